@@ -0,0 +1,49 @@
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { Button, ButtonGroup, InlineStack, Text } from "@shopify/polaris";
+
+// Product or variant chosen by hand for a file that did not match anything. Calls onChange with
+// { productId, productTitle, variantId, variantTitle }; variantId is null for product-level images.
+export function MatchPicker({ value, onChange, disabled }) {
+  const shopify = useAppBridge();
+
+  const pickProduct = async () => {
+    const selection = await shopify.resourcePicker({
+      type: "product",
+      multiple: false,
+      filter: { variants: false },
+    });
+    const product = selection?.[0];
+    if (!product) return;
+    onChange({ productId: product.id, productTitle: product.title, variantId: null, variantTitle: null });
+  };
+
+  const pickVariant = async () => {
+    const selection = await shopify.resourcePicker({ type: "variant", multiple: false });
+    const variant = selection?.[0];
+    if (!variant?.product?.id) return;
+    onChange({
+      productId: variant.product.id,
+      productTitle: variant.product.title || variant.displayName,
+      variantId: variant.id,
+      variantTitle: variant.title,
+    });
+  };
+
+  return (
+    <InlineStack gap="100" blockAlign="center" wrap={false}>
+      <ButtonGroup variant="segmented">
+        <Button size="slim" onClick={pickProduct} disabled={disabled}>
+          Choose product
+        </Button>
+        <Button size="slim" onClick={pickVariant} disabled={disabled}>
+          Choose variant
+        </Button>
+      </ButtonGroup>
+      {value?.productId ? (
+        <Text as="span" variant="bodySm" tone="subdued">
+          {value.variantTitle ? `${value.productTitle} / ${value.variantTitle}` : value.productTitle}
+        </Text>
+      ) : null}
+    </InlineStack>
+  );
+}
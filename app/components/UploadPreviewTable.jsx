@@ -0,0 +1,151 @@
+import { useState } from "react";
+import {
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  DataTable,
+  TextField,
+} from "@shopify/polaris";
+import { formatResultError, statusTone } from "../models/uploadStatus";
+import { MatchPicker } from "./MatchPicker";
+
+// Key field of a row that did not resolve; a corrected SKU / custom ID is checked again on demand
+function KeyEditor({ row, index, onRecheck, disabled }) {
+  const [value, setValue] = useState(row.sku || "");
+  return (
+    <InlineStack gap="100" wrap={false} blockAlign="center">
+      <TextField
+        label="SKU or custom ID"
+        labelHidden
+        autoComplete="off"
+        value={value}
+        onChange={setValue}
+        disabled={disabled}
+      />
+      <Button onClick={() => onRecheck(index, value.trim())} disabled={disabled || !value.trim()}>
+        Check
+      </Button>
+    </InlineStack>
+  );
+}
+
+// Variants sharing an ambiguous SKU; choosing one assigns the file to it
+function CandidateList({ candidates, onPick, disabled }) {
+  return (
+    <InlineStack gap="100">
+      {candidates.map((c) => (
+        <Button key={c.variantId || c.productId} size="slim" onClick={() => onPick(c)} disabled={disabled}>
+          {`Use ${c.variantTitle ? `${c.productTitle} / ${c.variantTitle}` : c.productTitle}`}
+        </Button>
+      ))}
+    </InlineStack>
+  );
+}
+
+function describeReplaces(row) {
+  if (row.status !== "matched") return "-";
+  if (row.unchangedMediaId) return "unchanged";
+  if (row.skipMediaId) return "skipped";
+  return row.willReplace;
+}
+
+function describeTarget(row) {
+  if (row.status !== "matched") return "-";
+  return !row.variantId && !row.variantCount
+    ? `#${row.targetPosition}`
+    : `#${row.targetPosition} (variant image)`;
+}
+
+// Preview of where every selected file would go, aligned with the selected files. Rows are null
+// for files added after the last preview. nameOf gives the name a file is shown and matched by.
+export function UploadPreviewTable({ files, nameOf = (file) => file.name, rows, onRemove, onRecheck, onPick, disabled }) {
+  const checked = rows.filter(Boolean);
+  const matched = checked.filter((r) => r.status === "matched");
+  // Several files can replace the same image (replace-all), so count images rather than files
+  const replacing = new Set(matched.flatMap((r) => r.replaceIds || [])).size;
+  const unchanged = matched.filter((r) => r.unchangedMediaId).length;
+  const skipped = matched.filter((r) => r.skipMediaId).length;
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack gap="200">
+        <Badge tone="success">{`${matched.length} matched`}</Badge>
+        {checked.length > matched.length ? (
+          <Badge tone="critical">{`${checked.length - matched.length} unmatched`}</Badge>
+        ) : null}
+        {rows.length > checked.length ? (
+          <Badge>{`${rows.length - checked.length} not checked`}</Badge>
+        ) : null}
+        {replacing ? (
+          <Badge tone="attention">{`${replacing} existing images will be replaced`}</Badge>
+        ) : null}
+        {unchanged ? <Badge>{`${unchanged} unchanged, will be skipped`}</Badge> : null}
+        {skipped ? <Badge>{`${skipped} already have an image, will be skipped`}</Badge> : null}
+      </InlineStack>
+      <DataTable
+        columnContentTypes={["text", "text", "text", "text", "text", "numeric", "text", "text"]}
+        headings={[
+          "File",
+          "SKU / custom ID",
+          "Product",
+          "Variant",
+          "Position before sorting",
+          "Replaces",
+          "Status",
+          "",
+        ]}
+        rows={files.map((file, i) => {
+          const row = rows[i];
+          if (!row) {
+            const notChecked = <Badge key="status">not checked</Badge>;
+            return [nameOf(file), "-", "-", "-", "-", "-", notChecked, ""];
+          }
+          const unmatched = row.status !== "matched";
+          return [
+            nameOf(file),
+            unmatched ? (
+              <BlockStack key={`key-${row.sku}`} gap="100">
+                <KeyEditor row={row} index={i} onRecheck={onRecheck} disabled={disabled} />
+                <MatchPicker onChange={(match) => onPick(i, match)} disabled={disabled} />
+              </BlockStack>
+            ) : (
+              row.sku
+            ),
+            row.matchedBy === "manual"
+              ? `${row.productTitle || row.productId} (picked)`
+              : row.productTitle || "-",
+            row.variantTitle || "-",
+            describeTarget(row),
+            describeReplaces(row),
+            <BlockStack key="status" gap="100">
+              <Badge tone={unmatched ? statusTone(row.status) : "success"}>{row.status}</Badge>
+              {unmatched && formatResultError(row) ? (
+                <Text as="span" variant="bodySm" tone="subdued">
+                  {formatResultError(row)}
+                </Text>
+              ) : null}
+              {unmatched && row.candidates?.length ? (
+                <CandidateList
+                  candidates={row.candidates}
+                  onPick={(match) => onPick(i, match)}
+                  disabled={disabled}
+                />
+              ) : null}
+            </BlockStack>,
+            <Button key="remove" variant="tertiary" onClick={() => onRemove(i)} disabled={disabled}>
+              Remove
+            </Button>,
+          ];
+        })}
+      />
+      {matched.length ? (
+        <Text as="p" variant="bodySm" tone="subdued">
+          Positions are where the upload puts each image. Afterwards every gallery is sorted by the ordering
+          rules in Settings, which can move images.
+        </Text>
+      ) : null}
+    </BlockStack>
+  );
+}
@@ -0,0 +1,45 @@
+import { useFetcher } from "@remix-run/react";
+import { useCallback, useEffect, useState } from "react";
+
+// How long to wait before asking again when another request is already working on the job
+const BUSY_RETRY_MS = 2000;
+
+// Drives a queued upload job to completion. Every POST to /app/jobs/:jobId runs one time-boxed
+// worker slice and answers with the job's progress; we keep posting until the job is done.
+export function useUploadJob(jobId) {
+  const { submit, state, data } = useFetcher();
+  const action = jobId ? `/app/jobs/${jobId}` : null;
+
+  useEffect(() => {
+    if (action) submit({}, { method: "post", action });
+  }, [action, submit]);
+
+  const progress = data && data.jobId === jobId ? data : null;
+  // Admin API cost of the last slice that did work; busy answers carry none
+  const [cost, setCost] = useState(null);
+
+  useEffect(() => {
+    if (progress?.cost) setCost(progress.cost);
+  }, [progress]);
+
+  useEffect(() => {
+    if (!action || state !== "idle" || !progress || progress.done) return;
+    const timer = setTimeout(
+      () => submit({}, { method: "post", action }),
+      progress.ran ? 0 : BUSY_RETRY_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [action, state, progress, submit]);
+
+  // Pick a finished job up again after some of its items were requeued
+  const resume = useCallback(() => {
+    if (action) submit({}, { method: "post", action });
+  }, [action, submit]);
+
+  return {
+    progress,
+    cost,
+    resume,
+    isRunning: !!jobId && !progress?.done,
+  };
+}
@@ -0,0 +1,461 @@
+import { randomUUID } from "node:crypto";
+import {
+  addJobResult,
+  addLookupStats,
+  claimUploadJob,
+  finishUploadJob,
+  finishUploadJobUndo,
+  getProductSnapshot,
+  hasProductSnapshot,
+  listJobItems,
+  listPendingKeys,
+  markProductRestored,
+  releaseUploadJob,
+  renewUploadJobLease,
+  saveItemResult,
+  saveProductSnapshot,
+  setJobPhase,
+  setReorderQueue,
+  setUndoQueue,
+  takeNextPendingItem,
+} from "../models/uploadJob.server";
+import { getMatchingConfig, getOrderingRules, getVariantMediaMode } from "../models/shopSettings.server";
+import {
+  checkCatalogExport,
+  failCatalogSnapshot,
+  importCatalogChunk,
+  loadCatalogMatcher,
+} from "../models/catalogSnapshot.server";
+import {
+  DEFAULT_ON_EXISTING,
+  SKIPPED_EXISTING,
+  applyMediaOrdering,
+  attachUploadToVariants,
+  createMatchResolver,
+  createRemixTransport,
+  createThrottledTransport,
+  describeOptionVariants,
+  downloadRemoteImage,
+  findNamedVariant,
+  findOptionVariants,
+  getMediaHashes,
+  listProductImageMedia,
+  listProductVariantOptions,
+  optionSlotKey,
+  planImageUpload,
+  restoreProductMedia,
+  safeReplaceProductImage,
+  saveMediaHashes,
+  snapshotProductMedia,
+  toErrorResult,
+  UNCHANGED,
+  updateMediaHashes,
+  variantSlotKey,
+  waitForMediaReady,
+} from "@mrpet/media-service";
+import { fetchPinned, lookupAddresses } from "@mrpet/media-service/node";
+
+// How long a single worker invocation may spend on a job before handing back to the poller.
+// Checked between files, so keep well below the hosting platform's function timeout.
+const SLICE_BUDGET_MS = Number(process.env.UPLOAD_WORKER_BUDGET_MS || 20000);
+
+// Keys of upcoming files resolved together in aliased queries (two batches per lookup)
+const LOOKUP_PREFETCH_SIZE = 40;
+
+// How often a catalog job asks whether Shopify finished the bulk export
+const BULK_POLL_MS = 3000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Match chosen by hand in the uploader (resource picker), or kept from an earlier attempt
+function storedMatch(item) {
+  if (!item.productId) return null;
+  return {
+    productId: item.productId,
+    productTitle: item.productTitle,
+    variantId: item.variantId,
+    variantTitle: item.variantTitle,
+    matchedBy: item.matchedBy || "manual",
+  };
+}
+
+// Message of a failed safe replace, saying whether the product was left as it was
+function describeRollback({ message, rolledBack }) {
+  if (rolledBack === undefined) return message;
+  const outcome = rolledBack
+    ? "the new image was removed again, existing images are unchanged"
+    : "the new image could not be removed again";
+  return message ? `${message}; ${outcome}` : outcome;
+}
+
+// Variants an option upload goes to, as the product match it reports: the product of the key with
+// "Color: Blue (4 variants)" as its variant
+async function matchOptionVariants(gql, match, option) {
+  const found = findOptionVariants(await listProductVariantOptions(gql, match.productId), option);
+  return { found, match: { ...match, variantId: null, variantTitle: describeOptionVariants(found) } };
+}
+
+// Attach one staged file (or imported image URL) to its product and, for variant and option matches, to the variants
+async function processImageItem(gql, item, resolver, { variantMedia }) {
+  const { filename, sku } = item;
+  const index = item.position ?? 0;
+  const altLabel = index === 0 ? sku : `${sku}_${index}`;
+  // Images of an option (1234__color-blue) have slots of their own, apart from the key's images
+  const option = item.variantOption || null;
+  let slotKey = optionSlotKey(sku, option);
+  // Key lookup, alt text and variant from the manifest row the file was mapped by
+  const manifest = item.manifest || {};
+
+  let match = storedMatch(item) || (await resolver.resolve(sku, { lookup: manifest.lookup || undefined }));
+  if (!match) {
+    return { sku, status: "no_product_for_sku" };
+  }
+  if (manifest.variant && !(match.matchedBy === "manual" && match.variantId)) {
+    const named = findNamedVariant(await listProductVariantOptions(gql, match.productId), manifest.variant);
+    if (!named) {
+      return {
+        sku,
+        ...match,
+        status: "variant_not_found",
+        message: `No variant of ${match.productTitle || match.productId} has the SKU or title "${manifest.variant}"`,
+      };
+    }
+    match = { ...match, variantId: named.id, variantTitle: named.title };
+    slotKey = variantSlotKey(sku, named);
+  }
+  let optionVariants = null;
+  if (option) {
+    ({ found: optionVariants, match } = await matchOptionVariants(gql, match, option));
+    if (!optionVariants.variants.length) {
+      return {
+        sku,
+        ...match,
+        status: "no_variant_for_option",
+        message: `No variant of ${match.productTitle || match.productId} has ${option.name} "${option.value}"`,
+      };
+    }
+  }
+  const { productId, productTitle, variantId, variantTitle } = match;
+  // custom.id and manual product matches lead the gallery; variant and option matches also become
+  // variant images
+  const isProductLevel = !variantId && !optionVariants;
+  const variantIds = optionVariants ? optionVariants.variants.map((v) => v.id) : [variantId].filter(Boolean);
+
+  // The first item of a product records how the product looked before this job, for undo
+  if (!(await hasProductSnapshot(item.jobId, productId))) {
+    await saveProductSnapshot(item.jobId, productId, await snapshotProductMedia(gql, productId));
+  }
+
+  // Replace earlier uploads of the same slot, found by their recorded content hash (alt label or file
+  // name for images uploaded before hashes were recorded), or whatever the job's policy says. Identical
+  // bytes are not attached again; the existing image keeps its place in the job's reordering.
+  const policy = item.onExisting || DEFAULT_ON_EXISTING;
+  const [existingImages, hashes, keep] = await Promise.all([
+    listProductImageMedia(gql, productId),
+    getMediaHashes(gql, productId),
+    // replace-all keeps what this job already uploaded to the product
+    policy === "replace-all" ? jobMediaIds(item.jobId, productId) : [],
+  ]);
+  // Images of a URL import are hashed here; uploaded files were hashed in the browser
+  let sha256 = item.contentHash;
+  if (!sha256 && item.sourceUrl) {
+    const download = await downloadRemoteImage(item.sourceUrl, { lookup: lookupAddresses, fetch: fetchPinned });
+    if (download.status !== "ok") return { sku, ...match, ...download };
+    sha256 = download.sha256;
+  }
+  const {
+    unchanged,
+    skip,
+    replace: toReplace,
+  } = planImageUpload(existingImages, hashes, { filename, sku: slotKey, index, sha256 }, { policy, keep });
+  if (unchanged) {
+    return { sku, ...match, status: UNCHANGED, mediaId: unchanged.id };
+  }
+  if (skip) {
+    return { sku, ...match, status: SKIPPED_EXISTING, message: `Kept existing image ${skip.id}` };
+  }
+
+  // Alt text: the manifest's; Product - Variant when variantTitle exists (Product - Blue for option
+  // uploads); else product title; fallback to altLabel
+  const altVariant = optionVariants ? optionVariants.value : variantTitle;
+  let altText = altLabel;
+  if (manifest.alt) {
+    altText = manifest.alt;
+  } else if (productTitle && altVariant) {
+    altText = `${productTitle} - ${altVariant}`;
+    if (index > 0) altText += ` (${index + 1})`;
+  } else if (productTitle) {
+    altText = productTitle;
+    if (!isProductLevel && index > 0) altText += ` (${index + 1})`;
+  }
+
+  // The superseded images are deleted only once the new one is READY and in their place; a failure
+  // on the way removes the new image again
+  const attached = await safeReplaceProductImage(gql, productId, {
+    resourceUrl: item.resourceUrl,
+    altText,
+    replace: toReplace,
+  });
+  if (!["ok", "replaced"].includes(attached.status)) {
+    return { sku, ...match, ...attached, message: describeRollback(attached) };
+  }
+
+  const createdId = attached.mediaId;
+  const uploaded = { sku, ...match, replaced: attached.replaced, mediaId: createdId };
+
+  const recorded =
+    createdId && sha256
+      ? updateMediaHashes(hashes, {
+          mediaIds: existingImages.map((i) => i.id),
+          removed: attached.replaced ? toReplace.map((i) => i.id) : [],
+          added: { mediaId: createdId, sha256, sku: slotKey, index },
+        })
+      : hashes;
+  if (recorded !== hashes) {
+    // Without the record the next upload of this slot falls back to alt text and file names
+    const { errors } = await saveMediaHashes(gql, productId, recorded);
+    if (errors.length) console.warn(`Content hash of ${filename} not recorded on ${productId}`, errors);
+  }
+
+  // Give the image to the variants only for variant and option matches: all images of the SKU (or
+  // option) in index order, or only the first one in the shop's "featured" mode. The image itself is
+  // attached at this point, so a failure here is reported on the file but does not undo the upload.
+  if (variantIds.length && createdId && !isProductLevel) {
+    try {
+      const ready = await waitForMediaReady(gql, createdId);
+      if (!ready) {
+        return { ...uploaded, status: "media_not_ready" };
+      }
+      const { status, errors } = await attachUploadToVariants(gql, productId, variantIds, {
+        mediaId: createdId,
+        sku: slotKey,
+        index,
+        hashes: recorded,
+        mode: variantMedia,
+      });
+      if (status !== "ok") {
+        return { ...uploaded, status, errors };
+      }
+    } catch (variantError) {
+      // The image is attached; report why the variant could not be linked to it
+      return { ...uploaded, ...toErrorResult(variantError) };
+    }
+  }
+
+  return { ...uploaded, status: attached.status };
+}
+
+async function jobMediaIds(jobId, productId) {
+  const items = await listJobItems(jobId, { productId, mediaId: { not: null } });
+  return items.map((i) => i.mediaId);
+}
+
+// Every product the job attached media to is sorted again
+async function productsToReorder(jobId) {
+  const items = await listJobItems(jobId, { mediaId: { not: null } });
+  return [...new Set(items.map((i) => i.productId))];
+}
+
+async function reorderJobProduct(gql, jobId, productId, rules) {
+  const created = await listJobItems(jobId, { productId, mediaId: { not: null } });
+
+  // Reordering media that is still processing fails, so wait for everything created in this job
+  await Promise.all(
+    created.map((m) =>
+      waitForMediaReady(gql, m.mediaId, { timeoutMs: 20000, intervalMs: 800 }).catch(() => false),
+    ),
+  );
+
+  // The shop's ordering rules place the new images by their slots among the existing media
+  const result = await applyMediaOrdering(gql, productId, rules);
+  if (result.status === "reorder_failed") {
+    await addJobResult(jobId, {
+      productId,
+      status: "reorder_failed",
+      message: result.message,
+      details: result.errors,
+    });
+  }
+}
+
+// Plan (scan) or apply (sort) the shop's ordering rules on the product of a gallery sort job item
+async function sortJobProduct(gql, item, rules, { dryRun }) {
+  const product = { productId: item.productId, productTitle: item.productTitle };
+  const result = await applyMediaOrdering(gql, item.productId, rules, { dryRun });
+  if (result.status === "reorder_failed") {
+    return { ...product, status: result.status, message: result.message, errors: result.errors };
+  }
+  if (!result.changed) return { ...product, status: UNCHANGED };
+  return {
+    ...product,
+    status: dryRun ? "would_sort" : "sorted",
+    message: `${result.moves.length} of ${result.mediaCount} media change position`,
+    details: result.moves,
+  };
+}
+
+// Message of an undo result row
+function describeRestore({ removed, recreated, lost, message }) {
+  const parts = [`${removed} removed`, `${recreated} re-created`];
+  if (lost.length) parts.push(`${lost.length} deleted videos or 3D models cannot be re-created`);
+  if (message) parts.push(message);
+  return parts.join(", ");
+}
+
+// Put a product back to its snapshot: media the job created goes, media it deleted comes back
+async function undoJobProduct(gql, jobId, productId) {
+  const snapshot = await getProductSnapshot(jobId, productId);
+  if (!snapshot || snapshot.restoredAt) return;
+  const created = await listJobItems(jobId, { productId, mediaId: { not: null } });
+  const result = await restoreProductMedia(gql, productId, snapshot.media, {
+    added: created.map((i) => i.mediaId),
+  });
+  await addJobResult(jobId, {
+    productId,
+    productTitle: created[0]?.productTitle,
+    status: result.status,
+    message: describeRestore(result),
+    errors: result.errors.length ? result.errors : undefined,
+  });
+  if (result.status === "restored") await markProductRestored(jobId, productId);
+}
+
+// Process a job for up to SLICE_BUDGET_MS. Progress is persisted after every file and product,
+// so the next slice (from the polling UI, or anyone reopening the job) resumes where this one stopped.
+// Returns { ran: false } when another slice currently holds the job, otherwise { ran: true, cost }
+// with the Admin API cost statistics of this slice.
+export async function runUploadJobSlice(admin, jobId, { budgetMs = SLICE_BUDGET_MS } = {}) {
+  const gql = createThrottledTransport(createRemixTransport(admin), {
+    onThrottle: ({ attempt, waitMs }) =>
+      console.warn(`Upload job ${jobId} throttled by Shopify, retry ${attempt} in ${waitMs}ms`),
+  });
+  const workerId = randomUUID();
+  const job = await claimUploadJob(jobId, workerId);
+  if (!job) return { ran: false };
+
+  const [matching, rules, variantMedia] = await Promise.all([
+    getMatchingConfig(job.shop),
+    getOrderingRules(job.shop),
+    getVariantMediaMode(job.shop),
+  ]);
+  // Only uploads look products up
+  const resolver = createMatchResolver(gql, matching, {
+    catalog: job.phase === "upload" ? await loadCatalogMatcher(job.shop, matching) : null,
+  });
+  const deadline = Date.now() + budgetMs;
+  let { phase, reorderQueue, undoQueue } = job;
+  let sincePrefetch = LOOKUP_PREFETCH_SIZE;
+  try {
+    while (phase === "upload" && Date.now() < deadline) {
+      if (sincePrefetch >= LOOKUP_PREFETCH_SIZE) {
+        const pending = await listPendingKeys(jobId, LOOKUP_PREFETCH_SIZE);
+        for (const lookup of new Set(pending.map((p) => p.lookup))) {
+          const keys = pending.filter((p) => p.lookup === lookup).map((p) => p.key);
+          await resolver.prefetch(keys, { lookup: lookup || undefined });
+        }
+        sincePrefetch = 0;
+      }
+      sincePrefetch++;
+      const item = await takeNextPendingItem(jobId);
+      if (!item) {
+        reorderQueue = await productsToReorder(jobId);
+        phase = "reorder";
+        await setReorderQueue(jobId, reorderQueue);
+        break;
+      }
+      let result;
+      try {
+        result = await processImageItem(gql, item, resolver, { variantMedia });
+      } catch (error) {
+        result = { sku: item.sku, ...toErrorResult(error) };
+      }
+      await saveItemResult(item.id, result);
+      await renewUploadJobLease(jobId, workerId);
+    }
+
+    if (resolver.stats().resolved) await addLookupStats(jobId, resolver.stats());
+
+    while (phase === "reorder" && reorderQueue.length && Date.now() < deadline) {
+      const [productId, ...rest] = reorderQueue;
+      try {
+        await reorderJobProduct(gql, jobId, productId, rules);
+      } catch (error) {
+        await addJobResult(jobId, { productId, ...toErrorResult(error) });
+      }
+      reorderQueue = rest;
+      await setReorderQueue(jobId, reorderQueue);
+      await renewUploadJobLease(jobId, workerId);
+    }
+
+    if (phase === "reorder" && !reorderQueue.length) {
+      await finishUploadJob(jobId);
+    }
+
+    while (phase === "undo" && undoQueue.length && Date.now() < deadline) {
+      const [productId, ...rest] = undoQueue;
+      try {
+        await undoJobProduct(gql, jobId, productId);
+      } catch (error) {
+        await addJobResult(jobId, { productId, ...toErrorResult(error) });
+      }
+      undoQueue = rest;
+      await setUndoQueue(jobId, undoQueue);
+      await renewUploadJobLease(jobId, workerId);
+    }
+
+    if (phase === "undo" && !undoQueue.length) {
+      await finishUploadJobUndo(jobId);
+    }
+
+    // Gallery sort jobs: one product per item, planned in the scan phase and sorted in the sort phase
+    while ((phase === "scan" || phase === "sort") && Date.now() < deadline) {
+      const item = await takeNextPendingItem(jobId);
+      if (!item) {
+        await finishUploadJob(jobId);
+        break;
+      }
+      let result;
+      try {
+        result = await sortJobProduct(gql, item, rules, { dryRun: phase === "scan" });
+      } catch (error) {
+        result = { productId: item.productId, productTitle: item.productTitle, ...toErrorResult(error) };
+      }
+      await saveItemResult(item.id, result);
+      await renewUploadJobLease(jobId, workerId);
+    }
+
+    // Catalog snapshot jobs: wait for the bulk operation in the export phase, then store its result a
+    // chunk at a time in the import phase
+    while (phase === "export" && Date.now() < deadline) {
+      const state = await checkCatalogExport(job.shop, jobId, gql);
+      if (state.error) {
+        await finishUploadJob(jobId, { error: state.error });
+        break;
+      }
+      if (state === "import") {
+        phase = "import";
+        await setJobPhase(jobId, phase);
+        break;
+      }
+      await renewUploadJobLease(jobId, workerId);
+      await sleep(Math.max(0, Math.min(BULK_POLL_MS, deadline - Date.now())));
+    }
+
+    while (phase === "import" && Date.now() < deadline) {
+      const state = await importCatalogChunk(job.shop, jobId, gql);
+      if (state.error || state === "ready") {
+        await finishUploadJob(jobId, { error: state.error });
+        break;
+      }
+      await renewUploadJobLease(jobId, workerId);
+    }
+  } catch (error) {
+    console.error(`Upload job ${jobId} failed:`, error);
+    const finish = phase === "undo" ? finishUploadJobUndo : finishUploadJob;
+    await finish(jobId, { error: error?.message || "Upload worker failed" });
+    if (job.kind === "catalog") await failCatalogSnapshot(job.shop, jobId, error?.message || "Catalog export failed");
+  } finally {
+    await releaseUploadJob(jobId, workerId);
+  }
+  return { ran: true, cost: gql.stats() };
+}
@@ -0,0 +1,186 @@
+import prisma from "../db.server";
+import { createUploadJob } from "./uploadJob.server";
+import {
+  catalogAgeHours,
+  catalogBulkQuery,
+  createCatalogMatcher,
+  getBulkOperation,
+  isBulkOperationFinished,
+  parseCatalogJsonl,
+  readBulkResultChunk,
+  runBulkQuery,
+} from "@mrpet/media-service";
+
+// Snapshots older than this are not used for matching until they are refreshed
+export const CATALOG_SNAPSHOT_MAX_AGE_HOURS = Number(process.env.CATALOG_SNAPSHOT_MAX_AGE_HOURS || 24);
+
+// Parsed snapshots by shop, so worker slices do not rebuild the indexes on every invocation
+const matcherCache = new Map();
+
+// Part of the matching configuration that decides what the export contains
+function exportedFields(matching) {
+  return { identifier: matching.identifier, variantIdentifier: matching.variantIdentifier || null };
+}
+
+const metafieldName = (m) => (m?.key ? `${m.namespace}.${m.key}` : "");
+
+// Whether a snapshot was exported for the identifier metafields of the matching configuration.
+// Compared by name, JSONB does not keep the key order of stored objects.
+export function isSnapshotFor(snapshot, matching) {
+  return (
+    metafieldName(snapshot?.matching?.identifier) === metafieldName(matching.identifier) &&
+    metafieldName(snapshot?.matching?.variantIdentifier) === metafieldName(matching.variantIdentifier)
+  );
+}
+
+// Snapshot status for the catalog page, without the catalog itself
+export async function getCatalogSnapshot(shop) {
+  return prisma.catalogSnapshot.findUnique({
+    where: { shop },
+    select: {
+      shop: true,
+      status: true,
+      bulkOperationId: true,
+      jobId: true,
+      matching: true,
+      objectCount: true,
+      importedBytes: true,
+      error: true,
+      startedAt: true,
+      completedAt: true,
+    },
+  });
+}
+
+// Start a new export and queue the upload job (kind catalog) that stores it: the worker waits for the
+// bulk operation in the export phase and stores its result a chunk at a time in the import phase (see
+// checkCatalogExport and importCatalogChunk). Returns { snapshot } or { errors } when Shopify refuses the
+// bulk query (for example because another bulk query of the app is still running).
+export async function startCatalogSnapshot(shop, gql, matching, uploader = {}) {
+  const { bulkOperation, errors } = await runBulkQuery(gql, catalogBulkQuery(matching));
+  if (errors.length || !bulkOperation) return { errors };
+  const job = await createUploadJob({ shop, ...uploader, kind: "catalog", phase: "export", items: [] });
+  const data = {
+    status: "running",
+    bulkOperationId: bulkOperation.id,
+    jobId: job.id,
+    matching: exportedFields(matching),
+    objectCount: 0,
+    importedBytes: 0,
+    error: null,
+    startedAt: new Date(),
+    completedAt: null,
+  };
+  const [, snapshot] = await prisma.$transaction([
+    prisma.catalogSnapshotChunk.deleteMany({ where: { shop } }),
+    prisma.catalogSnapshot.upsert({
+      where: { shop },
+      create: { shop, ...data },
+      update: data,
+      select: { shop: true, status: true, bulkOperationId: true, jobId: true, startedAt: true },
+    }),
+  ]);
+  matcherCache.delete(shop);
+  return { snapshot };
+}
+
+// The running export of a shop when it belongs to the job, else null (a newer export replaced it)
+async function runningExport(shop, jobId) {
+  const snapshot = await prisma.catalogSnapshot.findUnique({ where: { shop } });
+  return snapshot?.status === "running" && snapshot.jobId === jobId ? snapshot : null;
+}
+
+export async function failCatalogSnapshot(shop, jobId, error) {
+  await prisma.catalogSnapshot.updateMany({
+    where: { shop, jobId, status: "running" },
+    data: { status: "failed", error, completedAt: new Date() },
+  });
+}
+
+// Export phase of a catalog job: check the bulk operation once. Returns "running" while Shopify is
+// still exporting, "import" once the result can be stored, or { error } when the export failed (the
+// snapshot is marked failed) or was replaced by a newer one.
+export async function checkCatalogExport(shop, jobId, gql) {
+  const snapshot = await runningExport(shop, jobId);
+  if (!snapshot) return { error: "A newer catalog export replaced this one" };
+
+  const operation = await getBulkOperation(gql, snapshot.bulkOperationId);
+  if (!isBulkOperationFinished(operation)) return "running";
+  if (operation?.status !== "COMPLETED") {
+    const error = operation
+      ? `Bulk operation ${operation.status.toLowerCase()}: ${operation.errorCode || "no details"}`
+      : "Bulk operation not found";
+    await failCatalogSnapshot(shop, jobId, error);
+    return { error };
+  }
+  await prisma.catalogSnapshot.update({
+    where: { shop },
+    data: { objectCount: Number(operation.objectCount || 0) },
+  });
+  return "import";
+}
+
+// Import phase of a catalog job: store the next chunk of the bulk operation's result. Returns "import"
+// while more is left, "ready" once the snapshot is complete, or { error } as checkCatalogExport does.
+// A chunk and the progress are saved together, so a slice that dies in between repeats nothing.
+export async function importCatalogChunk(shop, jobId, gql) {
+  const snapshot = await runningExport(shop, jobId);
+  if (!snapshot) return { error: "A newer catalog export replaced this one" };
+
+  // The result URL is signed for a limited time, so it is asked for again instead of being stored
+  const operation = await getBulkOperation(gql, snapshot.bulkOperationId);
+  const chunk = operation?.url
+    ? await readBulkResultChunk(operation.url, { offset: snapshot.importedBytes })
+    : { text: "", nextOffset: 0, done: true };
+  const catalog = parseCatalogJsonl(chunk.text);
+  const ready = { status: "ready", error: null, completedAt: new Date(operation?.completedAt || Date.now()) };
+  await prisma.$transaction([
+    ...(catalog.products.length || catalog.variants.length || catalog.media.length
+      ? [prisma.catalogSnapshotChunk.create({ data: { shop, offset: snapshot.importedBytes, data: catalog } })]
+      : []),
+    prisma.catalogSnapshot.update({
+      where: { shop },
+      data: { importedBytes: chunk.nextOffset, ...(chunk.done ? ready : {}) },
+    }),
+  ]);
+  if (!chunk.done) return "import";
+  matcherCache.delete(shop);
+  return "ready";
+}
+
+// Whether a snapshot can answer lookups for the given matching configuration
+export function isSnapshotUsable(snapshot, matching, now = Date.now()) {
+  return (
+    snapshot?.status === "ready" &&
+    !!snapshot.completedAt &&
+    catalogAgeHours(snapshot.completedAt, now) <= CATALOG_SNAPSHOT_MAX_AGE_HOURS &&
+    isSnapshotFor(snapshot, matching)
+  );
+}
+
+// Catalog matcher for createMatchResolver({ catalog }), or null when the shop has no fresh snapshot
+// made with the current identifier settings. Files are looked up live while a snapshot is refreshed.
+export async function loadCatalogMatcher(shop, matching) {
+  const snapshot = await prisma.catalogSnapshot.findUnique({
+    where: { shop },
+    select: { status: true, matching: true, completedAt: true },
+  });
+  if (!isSnapshotUsable(snapshot, matching)) return null;
+
+  const key = `${snapshot.completedAt.toISOString()} ${JSON.stringify(matching)}`;
+  const cached = matcherCache.get(shop);
+  if (cached?.key === key) return cached.matcher;
+  const chunks = await prisma.catalogSnapshotChunk.findMany({
+    where: { shop },
+    orderBy: { offset: "asc" },
+    select: { data: true },
+  });
+  const catalog = {
+    products: chunks.flatMap((chunk) => chunk.data.products),
+    variants: chunks.flatMap((chunk) => chunk.data.variants),
+    media: chunks.flatMap((chunk) => chunk.data.media),
+  };
+  const matcher = createCatalogMatcher(catalog, matching);
+  matcherCache.set(shop, { key, matcher });
+  return matcher;
+}
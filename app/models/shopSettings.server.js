@@ -0,0 +1,150 @@
+import prisma from "../db.server";
+import {
+  DEFAULT_IDENTIFIER,
+  DEFAULT_MEDIA_ORDERING,
+  DEFAULT_VARIANT_MEDIA,
+  OPTIONAL_LOOKUPS,
+  VARIANT_MEDIA_MODES,
+  validateFilenameTemplate,
+  validateOrderingRule,
+} from "@mrpet/media-service";
+
+// Metafield namespaces and keys: letters, digits, dashes and underscores
+const METAFIELD_PART = /^[A-Za-z0-9_-]{2,64}$/;
+
+// Settings of a shop, or the defaults when it never saved any
+export async function getShopSettings(shop) {
+  const settings = await prisma.shopSettings.findUnique({ where: { shop } });
+  return {
+    shop,
+    filenameTemplates: settings?.filenameTemplates || [],
+    filenameRoles: settings?.filenameRoles || [],
+    identifierNamespace: settings?.identifierNamespace || DEFAULT_IDENTIFIER.namespace,
+    identifierKey: settings?.identifierKey || DEFAULT_IDENTIFIER.key,
+    matchLookups: settings?.matchLookups || [],
+    variantIdentifierNamespace: settings?.variantIdentifierNamespace || "",
+    variantIdentifierKey: settings?.variantIdentifierKey || "",
+    mediaOrdering: settings?.mediaOrdering || [],
+    variantMedia: settings?.variantMedia || DEFAULT_VARIANT_MEDIA,
+  };
+}
+
+// Naming configuration for the filename parser ({ templates, roles }), the same shape the CLI reads
+// from its config file
+export async function getNamingConfig(shop) {
+  const { filenameTemplates, filenameRoles } = await getShopSettings(shop);
+  return { templates: filenameTemplates, roles: filenameRoles };
+}
+
+// Matching configuration for matchProductForKey ({ identifier, lookups, variantIdentifier }), the same
+// shape as the `matching` section of the CLI config file
+export async function getMatchingConfig(shop) {
+  const settings = await getShopSettings(shop);
+  return toMatchingConfig(settings);
+}
+
+// Gallery ordering rules for applyMediaOrdering, the same shape as `ordering` in the CLI config file
+export async function getOrderingRules(shop) {
+  const { mediaOrdering } = await getShopSettings(shop);
+  return mediaOrdering.length ? mediaOrdering : DEFAULT_MEDIA_ORDERING;
+}
+
+// Which uploaded images go to the variant a SKU matched, the same as `variantMedia` in the CLI config
+export async function getVariantMediaMode(shop) {
+  const { variantMedia } = await getShopSettings(shop);
+  return variantMedia;
+}
+
+export function toMatchingConfig(settings) {
+  return {
+    identifier: { namespace: settings.identifierNamespace, key: settings.identifierKey },
+    lookups: settings.matchLookups,
+    variantIdentifier: settings.variantIdentifierKey
+      ? { namespace: settings.variantIdentifierNamespace, key: settings.variantIdentifierKey }
+      : null,
+  };
+}
+
+function cleanList(values) {
+  return [...new Set((values || []).map((v) => String(v).trim()).filter(Boolean))];
+}
+
+// Returns { settings } or { errors } keyed by field when a template cannot be used
+export async function saveNamingSettings(shop, { templates, roles }) {
+  const filenameTemplates = cleanList(templates);
+  const filenameRoles = cleanList(roles).map((r) => r.toLowerCase());
+
+  const templateErrors = filenameTemplates
+    .map((template) => {
+      const error = validateFilenameTemplate(template, { roles: filenameRoles });
+      return error && `${template}: ${error}`;
+    })
+    .filter(Boolean);
+  if (templateErrors.length) return { errors: { templates: templateErrors.join("; ") } };
+  if (filenameRoles.some((r) => !/^[a-z]+$/.test(r))) {
+    return { errors: { roles: "Roles can only contain letters" } };
+  }
+
+  const data = { filenameTemplates, filenameRoles };
+  const settings = await prisma.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+  return { settings };
+}
+
+// Gallery ordering rules and variant media mode. Returns { settings } or { errors } keyed by field when
+// a rule cannot be used.
+export async function saveOrderingSettings(shop, { rules, variantMedia = DEFAULT_VARIANT_MEDIA }) {
+  const mediaOrdering = cleanList(rules);
+  const ruleErrors = mediaOrdering
+    .map((rule) => {
+      const error = validateOrderingRule(rule);
+      return error && `${rule}: ${error}`;
+    })
+    .filter(Boolean);
+  if (ruleErrors.length) return { errors: { rules: ruleErrors.join("; ") } };
+  if (!VARIANT_MEDIA_MODES.includes(variantMedia)) {
+    return { errors: { variantMedia: `Choose one of ${VARIANT_MEDIA_MODES.join(", ")}` } };
+  }
+
+  const data = { mediaOrdering, variantMedia };
+  const settings = await prisma.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+  return { settings };
+}
+
+// Returns { settings } or { errors } keyed by field
+export async function saveMatchingSettings(shop, values) {
+  const data = {
+    identifierNamespace: String(values.identifierNamespace || "").trim(),
+    identifierKey: String(values.identifierKey || "").trim(),
+    matchLookups: OPTIONAL_LOOKUPS.filter((name) => values.matchLookups?.includes(name)),
+    variantIdentifierNamespace: String(values.variantIdentifierNamespace || "").trim() || null,
+    variantIdentifierKey: String(values.variantIdentifierKey || "").trim() || null,
+  };
+
+  const errors = {};
+  if (!METAFIELD_PART.test(data.identifierNamespace)) errors.identifierNamespace = "Enter a metafield namespace";
+  if (!METAFIELD_PART.test(data.identifierKey)) errors.identifierKey = "Enter a metafield key";
+  if (data.matchLookups.includes("variant_metafield")) {
+    if (!METAFIELD_PART.test(data.variantIdentifierNamespace || "")) {
+      errors.variantIdentifierNamespace = "Enter the variant metafield namespace";
+    }
+    if (!METAFIELD_PART.test(data.variantIdentifierKey || "")) {
+      errors.variantIdentifierKey = "Enter the variant metafield key";
+    }
+  }
+  if (Object.keys(errors).length) return { errors };
+
+  const settings = await prisma.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+  return { settings };
+}
@@ -0,0 +1,449 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+import {
+  FINISHED_JOB_STATUSES,
+  QUEUED_STATUSES,
+  SUCCESS_STATUSES,
+} from "./uploadStatus";
+
+const PAGE_SIZE = 20;
+
+// A worker slice that has not touched its job for this long is considered dead and the job can be resumed
+const LEASE_MS = Number(process.env.UPLOAD_JOB_LEASE_MS || 90000);
+
+const MAX_ITEM_ATTEMPTS = 3;
+
+// Items a job reports progress and counts on: files of upload jobs, products of gallery sort jobs
+function isCountedItem(kind, item) {
+  return kind === "sort" ? !!item.productId : !!item.filename;
+}
+
+// Best available label for the staff member behind the request. Offline sessions carry no
+// user details, so fall back to the user id from the App Bridge session token.
+export function describeUploader(session, sessionToken) {
+  const name = [session?.firstName, session?.lastName].filter(Boolean).join(" ");
+  const userId = session?.userId
+    ? String(session.userId)
+    : sessionToken?.sub
+      ? String(sessionToken.sub)
+      : null;
+  return {
+    uploadedBy: session?.email || name || (userId ? `Staff #${userId}` : null),
+    userId,
+  };
+}
+
+// Map a result row produced by the upload flow onto UploadJobItem columns
+export function toItemData(result) {
+  const error = result.errors || result.message || result.details
+    ? {
+        errors: result.errors,
+        message: result.message,
+        details: result.details,
+        candidates: result.candidates,
+      }
+    : undefined;
+  return {
+    filename: result.filename || null,
+    sku: result.sku || result.customId || null,
+    productId: result.productId || null,
+    productTitle: result.productTitle || null,
+    variantId: result.variantId || null,
+    variantTitle: result.variantTitle || null,
+    matchedBy: result.matchedBy || null,
+    onExisting: result.onExisting || null,
+    position: Number.isFinite(result.order) ? result.order : null,
+    status: result.status,
+    replaced: result.replaced || 0,
+    mediaId: result.media?.[0]?.id || result.mediaId || null,
+    error,
+  };
+}
+
+// Inverse of toItemData, used to send job items back to the results table
+export function toResult(item) {
+  return {
+    id: item.id,
+    filename: item.filename,
+    sku: item.sku,
+    status: item.status,
+    productId: item.productId,
+    productTitle: item.productTitle,
+    variantId: item.variantId,
+    variantTitle: item.variantTitle,
+    replaced: item.replaced,
+    mediaId: item.mediaId,
+    order: item.position,
+    matchedBy: item.matchedBy,
+    onExisting: item.onExisting,
+    // The staged file is still around, so the row can be retried with a different match
+    retryable: !!item.resourceUrl,
+    message: item.error?.message,
+    errors: item.error?.errors,
+    details: item.error?.details,
+    candidates: item.error?.candidates,
+  };
+}
+
+// Queue a job. Items carry either a staged resourceUrl (the image URL itself for URL imports) with
+// status "pending", or a final status when the file already failed before it could be queued.
+export async function createUploadJob({ shop, uploadedBy, userId, kind = "image", phase = "upload", items }) {
+  return prisma.uploadJob.create({
+    data: {
+      shop,
+      kind,
+      phase,
+      uploadedBy,
+      userId,
+      status: "queued",
+      totalFiles: items.filter((i) => isCountedItem(kind, i)).length,
+      items: { create: items },
+    },
+  });
+}
+
+// Queue a gallery sort job over products ([{ id, title }]). The worker first plans each gallery
+// (phase scan, items end up would_sort or unchanged); startGallerySort then applies the plan.
+export async function createGallerySortJob({ shop, uploadedBy, userId, products }) {
+  return createUploadJob({
+    shop,
+    uploadedBy,
+    userId,
+    kind: "sort",
+    phase: "scan",
+    items: products.map((p) => ({ productId: p.id, productTitle: p.title, status: "pending" })),
+  });
+}
+
+// Queue the products of a scanned sort job (all would_sort ones, or those of itemIds) for sorting.
+// Returns the number of queued products, or null when the job does not exist or is not a finished scan.
+export async function startGallerySort(shop, jobId, itemIds = null) {
+  const job = await prisma.uploadJob.findFirst({ where: { id: jobId, shop } });
+  if (!job || job.kind !== "sort" || job.phase !== "scan" || job.status !== "completed") return null;
+  const { count } = await prisma.uploadJobItem.updateMany({
+    where: { jobId, status: "would_sort", ...(itemIds ? { id: { in: itemIds } } : {}) },
+    data: { status: "pending", attempts: 0 },
+  });
+  if (count) {
+    await prisma.uploadJob.update({
+      where: { id: jobId },
+      data: { status: "queued", phase: "sort", error: null, finishedAt: null },
+    });
+  }
+  return count;
+}
+
+// Take the lease on a job. Returns the job when this worker may process it, null when another
+// worker holds a live lease or the job is already finished.
+export async function claimUploadJob(id, workerId) {
+  const now = new Date();
+  const { count } = await prisma.uploadJob.updateMany({
+    where: {
+      id,
+      status: { notIn: FINISHED_JOB_STATUSES },
+      OR: [{ lockedAt: null }, { lockedAt: { lt: new Date(now.getTime() - LEASE_MS) } }],
+    },
+    data: { status: "running", lockedAt: now, lockedBy: workerId },
+  });
+  if (!count) return null;
+
+  // Items left in "processing" belong to a slice that died mid-file; give them another go
+  await prisma.uploadJobItem.updateMany({
+    where: { jobId: id, status: "processing" },
+    data: { status: "pending" },
+  });
+  return prisma.uploadJob.findUnique({ where: { id } });
+}
+
+export async function renewUploadJobLease(id, workerId) {
+  await prisma.uploadJob.updateMany({
+    where: { id, lockedBy: workerId },
+    data: { lockedAt: new Date() },
+  });
+}
+
+export async function releaseUploadJob(id, workerId) {
+  await prisma.uploadJob.updateMany({
+    where: { id, lockedBy: workerId },
+    data: { lockedAt: null, lockedBy: null },
+  });
+}
+
+// Mark the next pending item as processing and return it, or null when the queue is drained.
+// Items that keep failing this way are given up on instead of blocking the job forever.
+export async function takeNextPendingItem(jobId) {
+  while (true) {
+    const item = await prisma.uploadJobItem.findFirst({
+      where: { jobId, status: "pending" },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+    if (!item) return null;
+    if (item.attempts >= MAX_ITEM_ATTEMPTS) {
+      await prisma.uploadJobItem.update({
+        where: { id: item.id },
+        data: { status: "error", error: { message: `Gave up after ${item.attempts} attempts` } },
+      });
+      continue;
+    }
+    return prisma.uploadJobItem.update({
+      where: { id: item.id },
+      data: { status: "processing", attempts: { increment: 1 } },
+    });
+  }
+}
+
+export async function saveItemResult(itemId, result) {
+  // Filename, position and replace policy were fixed when the item was queued
+  const data = toItemData(result);
+  delete data.filename;
+  delete data.position;
+  delete data.onExisting;
+  return prisma.uploadJobItem.update({ where: { id: itemId }, data });
+}
+
+export async function addJobResult(jobId, result) {
+  return prisma.uploadJobItem.create({ data: { jobId, ...toItemData(result) } });
+}
+
+export async function listJobItems(jobId, where = {}) {
+  return prisma.uploadJobItem.findMany({
+    where: { jobId, ...where },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+}
+
+// Keys of files still waiting for the worker, so a slice can resolve them in batches. Returns
+// [{ key, lookup }]; lookup is the manifest column the key came from, null for filename keys.
+export async function listPendingKeys(jobId, take) {
+  const items = await prisma.uploadJobItem.findMany({
+    where: { jobId, status: "pending", productId: null, sku: { not: null } },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    select: { sku: true, manifest: true },
+    take,
+  });
+  return items.map((i) => ({ key: i.sku, lookup: i.manifest?.lookup || null }));
+}
+
+// Add the lookup statistics of one worker slice to the job's totals
+export async function addLookupStats(jobId, stats) {
+  const job = await prisma.uploadJob.findUnique({ where: { id: jobId }, select: { lookupStats: true } });
+  const total = { ...job?.lookupStats };
+  for (const field of ["resolved", "requests", "unbatchedRequests", "keys"]) {
+    total[field] = (total[field] || 0) + (stats[field] || 0);
+  }
+  return prisma.uploadJob.update({ where: { id: jobId }, data: { lookupStats: total } });
+}
+
+// Keep the media of a product as it was before the job first changed it; later items of the job for
+// the same product leave the first snapshot alone
+export async function hasProductSnapshot(jobId, productId) {
+  const count = await prisma.uploadJobProductSnapshot.count({ where: { jobId, productId } });
+  return count > 0;
+}
+
+export async function saveProductSnapshot(jobId, productId, media) {
+  return prisma.uploadJobProductSnapshot.upsert({
+    where: { jobId_productId: { jobId, productId } },
+    create: { jobId, productId, media },
+    update: {},
+  });
+}
+
+export async function getProductSnapshot(jobId, productId) {
+  return prisma.uploadJobProductSnapshot.findUnique({ where: { jobId_productId: { jobId, productId } } });
+}
+
+// Products the job changed, and how many of them an undo restored so far
+export async function countProductSnapshots(jobId) {
+  const [total, restored] = await Promise.all([
+    prisma.uploadJobProductSnapshot.count({ where: { jobId } }),
+    prisma.uploadJobProductSnapshot.count({ where: { jobId, restoredAt: { not: null } } }),
+  ]);
+  return { total, restored };
+}
+
+export async function markProductRestored(jobId, productId) {
+  return prisma.uploadJobProductSnapshot.update({
+    where: { jobId_productId: { jobId, productId } },
+    data: { restoredAt: new Date() },
+  });
+}
+
+export async function setJobPhase(jobId, phase) {
+  return prisma.uploadJob.update({ where: { id: jobId }, data: { phase } });
+}
+
+export async function setReorderQueue(jobId, productIds) {
+  return prisma.uploadJob.update({
+    where: { id: jobId },
+    data: { phase: "reorder", reorderQueue: productIds },
+  });
+}
+
+export async function finishUploadJob(jobId, { error } = {}) {
+  const job = await prisma.uploadJob.findUnique({ where: { id: jobId }, select: { kind: true } });
+  const files = await prisma.uploadJobItem.findMany({
+    where: { jobId, [job?.kind === "sort" ? "productId" : "filename"]: { not: null } },
+    select: { status: true },
+  });
+  const okCount = files.filter((f) => SUCCESS_STATUSES.includes(f.status)).length;
+  return prisma.uploadJob.update({
+    where: { id: jobId },
+    data: {
+      status: error ? "failed" : "completed",
+      error: error || null,
+      okCount,
+      failedCount: files.length - okCount,
+      finishedAt: new Date(),
+    },
+  });
+}
+
+// Queue the undo of a finished image job: every product with a snapshot is restored by the worker.
+// Returns the number of products to restore, or null when the job does not exist, is still being
+// processed or was undone already.
+export async function startUploadJobUndo(shop, jobId) {
+  const job = await prisma.uploadJob.findFirst({
+    where: { id: jobId, shop },
+    include: { snapshots: { where: { restoredAt: null }, select: { productId: true } } },
+  });
+  if (!job || job.kind !== "image" || job.status === "undone" || !FINISHED_JOB_STATUSES.includes(job.status)) {
+    return null;
+  }
+  const productIds = job.snapshots.map((s) => s.productId);
+  if (productIds.length) {
+    await prisma.uploadJob.update({
+      where: { id: jobId },
+      data: { status: "queued", phase: "undo", undoQueue: productIds, error: null, finishedAt: null },
+    });
+  }
+  return productIds.length;
+}
+
+export async function setUndoQueue(jobId, productIds) {
+  return prisma.uploadJob.update({ where: { id: jobId }, data: { undoQueue: productIds } });
+}
+
+// The job counts as undone once every snapshot was restored. A failed undo can be started again;
+// products restored already are skipped.
+export async function finishUploadJobUndo(jobId, { error } = {}) {
+  const now = new Date();
+  if (!error) {
+    const { total, restored } = await countProductSnapshots(jobId);
+    const left = total - restored;
+    if (left) error = `${left} ${left === 1 ? "product" : "products"} could not be restored`;
+  }
+  return prisma.uploadJob.update({
+    where: { id: jobId },
+    data: error
+      ? { status: "failed", error, finishedAt: now }
+      : { status: "undone", error: null, finishedAt: now, undoneAt: now },
+  });
+}
+
+// Put finished files of a job back in the queue, each with the product (and optionally variant) the
+// user picked for it. Returns the number of requeued files, or null when the job does not exist or
+// is still being processed.
+export async function retryUploadJobItems(shop, jobId, assignments) {
+  const job = await prisma.uploadJob.findFirst({ where: { id: jobId, shop } });
+  // Files of a job that is (being) undone are not put back
+  if (!job || job.phase === "undo" || !FINISHED_JOB_STATUSES.includes(job.status)) return null;
+
+  const requeued = await prisma.$transaction(
+    assignments.map((a) =>
+      prisma.uploadJobItem.updateMany({
+        where: {
+          id: a.itemId,
+          jobId,
+          resourceUrl: { not: null },
+          status: { notIn: [...SUCCESS_STATUSES, ...QUEUED_STATUSES] },
+        },
+        data: {
+          status: "pending",
+          attempts: 0,
+          error: Prisma.DbNull,
+          mediaId: null,
+          replaced: 0,
+          productId: a.productId,
+          productTitle: a.productTitle || null,
+          variantId: a.variantId || null,
+          variantTitle: a.variantTitle || null,
+          matchedBy: "manual",
+        },
+      }),
+    ),
+  );
+  const count = requeued.reduce((sum, r) => sum + r.count, 0);
+  if (count) {
+    await prisma.uploadJob.update({
+      where: { id: jobId },
+      data: { status: "queued", phase: "upload", reorderQueue: [], error: null, finishedAt: null },
+    });
+  }
+  return count;
+}
+
+// Snapshot sent to the uploader UI while it polls a job
+export async function getUploadJobProgress(shop, id) {
+  const job = await getUploadJob(shop, id);
+  if (!job) return null;
+  const files = job.items.filter((i) => isCountedItem(job.kind, i));
+  return {
+    jobId: job.id,
+    status: job.status,
+    phase: job.phase,
+    error: job.error,
+    totalFiles: files.length,
+    processed: files.filter((i) => !QUEUED_STATUSES.includes(i.status)).length,
+    done: FINISHED_JOB_STATUSES.includes(job.status),
+    lookupStats: job.lookupStats,
+    results: job.items.map(toResult),
+  };
+}
+
+function itemFilter({ query, status }) {
+  const where = {};
+  if (query) {
+    where.OR = [
+      { sku: { contains: query, mode: "insensitive" } },
+      { filename: { contains: query, mode: "insensitive" } },
+      { productTitle: { contains: query, mode: "insensitive" } },
+    ];
+  }
+  if (status === "ok") where.status = { in: SUCCESS_STATUSES };
+  else if (status === "failed") where.status = { notIn: [...SUCCESS_STATUSES, ...QUEUED_STATUSES] };
+  else if (status) where.status = status;
+  return where;
+}
+
+export async function listUploadJobs(shop, { query, status, page = 1 } = {}) {
+  const filtered = !!(query || status);
+  const where = { shop, ...(filtered ? { items: { some: itemFilter({ query, status }) } } : {}) };
+  const [jobs, count] = await Promise.all([
+    prisma.uploadJob.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * PAGE_SIZE,
+      take: PAGE_SIZE,
+    }),
+    prisma.uploadJob.count({ where }),
+  ]);
+  return { jobs, count, page, pageCount: Math.max(1, Math.ceil(count / PAGE_SIZE)) };
+}
+
+// Individual file rows across all jobs of a shop, newest first; answers "when did this SKU change"
+export async function listUploadJobItems(shop, { query, status, take = 100 } = {}) {
+  return prisma.uploadJobItem.findMany({
+    where: { job: { shop }, ...itemFilter({ query, status }) },
+    include: { job: { select: { id: true, createdAt: true, uploadedBy: true } } },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+}
+
+export async function getUploadJob(shop, id) {
+  return prisma.uploadJob.findFirst({
+    where: { id, shop },
+    include: { items: { orderBy: [{ createdAt: "asc" }, { id: "asc" }] } },
+  });
+}
@@ -0,0 +1,44 @@
+import { API_ERROR_STATUSES, THROTTLED } from "@mrpet/media-service";
+
+export { formatResultError } from "@mrpet/media-service";
+
+// Result statuses that count as a successful upload. Shared by server code and route components.
+// would_sort and sorted are products of gallery sort jobs whose order is (to be) changed.
+export const SUCCESS_STATUSES = [
+  "ok",
+  "replaced",
+  "unchanged",
+  "skipped_existing",
+  "restored",
+  "would_sort",
+  "sorted",
+];
+
+// Item statuses of files still waiting for the upload worker
+export const QUEUED_STATUSES = ["pending", "processing"];
+
+// What happens to images a product already has, as offered by the upload pages; the worker applies the
+// same policy without a preview
+export const ON_EXISTING_OPTIONS = [
+  { label: "Replace the image in the same slot", value: "replace" },
+  { label: "Keep existing images and append", value: "append" },
+  { label: "Skip files whose slot already has an image", value: "skip" },
+  { label: "Replace all images of the product", value: "replace-all" },
+];
+
+// "undone": every product the job changed was restored to its snapshot
+export const FINISHED_JOB_STATUSES = ["completed", "failed", "undone"];
+
+export function isSuccessStatus(status) {
+  return SUCCESS_STATUSES.includes(status);
+}
+
+// Badge tone for a result status. Admin API failures (transport, GraphQL, throttling) stand out from
+// per-file problems such as a missing product.
+export function statusTone(status) {
+  if (isSuccessStatus(status)) return "success";
+  if (QUEUED_STATUSES.includes(status)) return "info";
+  if (status === THROTTLED) return "warning";
+  if (API_ERROR_STATUSES.includes(status)) return "critical";
+  return "attention";
+}
@@ -1,5 +1,5 @@
-import { useFetcher } from "@remix-run/react";
-import { useCallback, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "@remix-run/react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   Page,
   Card,
@@ -11,10 +11,38 @@ import {
   List,
   DataTable,
   Banner,
+  Badge,
+  ProgressBar,
+  Select,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import {
+  ON_EXISTING_OPTIONS,
+  QUEUED_STATUSES,
+  formatResultError,
+  isSuccessStatus,
+  statusTone,
+} from "../models/uploadStatus";
+import { useUploadJob } from "../hooks/useUploadJob";
+import {
+  DEFAULT_ON_EXISTING,
+  SKIPPED_EXISTING,
+  createRemixTransport,
+  createStagedUploads,
+  describeCostStats,
+  describeLookupStats,
+  layoutProductFolders,
+  readManifestRows,
+  sha256Hex,
+  toErrorResult,
+  validateManifest,
+} from "@mrpet/media-service";
+import { mapWithConcurrency, uploadToStagedTarget } from "../utils/stagedUpload";
+import { isZipFile, unpackImageArchive } from "../utils/zipArchive";
+import { UploadPreviewTable } from "../components/UploadPreviewTable";
+import { MatchPicker } from "../components/MatchPicker";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
@@ -22,610 +50,436 @@ export const loader = async ({ request }) => {
   return null;
 };
 
-function extractSkuAndIndexFromFilename(filename) {
-  // Convention: 1234 -> featured (index 0), 1234_1 -> second (index 1), 1234_2 -> third, ...
-  const base = filename.split("/").pop() || filename;
-  const withoutQuery = base.split("?")[0];
-  const nameOnly = (withoutQuery.includes("."))
-    ? withoutQuery.substring(0, withoutQuery.lastIndexOf("."))
-    : withoutQuery;
-  const match = nameOnly.match(/^(.*?)(?:_(\d+))?$/);
-  if (!match) {
-    return { sku: nameOnly.trim(), index: 0 };
-  }
-  const sku = (match[1] || "").trim();
-  const index = match[2] ? parseInt(match[2], 10) : 0;
-  return { sku, index: Number.isFinite(index) ? index : 0 };
-}
+// Staged upload targets are requested in chunks; Shopify caps the size of a single mutation
+const STAGE_BATCH_SIZE = 50;
 
-async function findProductIdBySku(admin, sku) {
-  const response = await admin.graphql(
-    `#graphql
-      query VariantBySku($query: String!) {
-        productVariants(first: 1, query: $query) {
-          edges {
-            node {
-              id
-              sku
-              product { id title }
-            }
-          }
-        }
-      }
-    `,
-    { variables: { query: `sku:${sku}` } },
-  );
-  const resJson = await response.json();
-  const edge = resJson?.data?.productVariants?.edges?.[0];
-  return edge?.node?.product?.id || null;
-}
+// Step 1 of the direct upload: create staged targets for the selected files (metadata only, no bytes).
+// The browser then POSTs each file to its target and hands the results to /app/image-upload/complete.
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const gql = createRemixTransport(admin);
+  const { files } = await request.json();
+  if (!Array.isArray(files) || !files.length) {
+    return json({ success: false, error: "No files provided" }, { status: 400 });
+  }
 
-// Look up a product by custom.id metafield using productByIdentifier
-async function findProductByCustomId(admin, customId) {
-  try {
-    const response = await admin.graphql(
-      `#graphql
-        query FindProductByCustomId($identifier: ProductIdentifierInput!) {
-          productByIdentifier(identifier: $identifier) {
-            id
-            title
-          }
-        }
-      `,
-      {
-        variables: {
-          identifier: {
-            customId: { namespace: "custom", key: "id", value: customId },
-          },
-        },
-      },
-    );
-    const resJson = await response.json();
-    const product = resJson?.data?.productByIdentifier;
-    if (!product) return null;
-    return { productId: product.id, productTitle: product.title };
-  } catch (error) {
-    console.log("Product custom.id lookup failed:", error);
-    return null;
+  const targets = [];
+  for (let i = 0; i < files.length; i += STAGE_BATCH_SIZE) {
+    const chunk = files.slice(i, i + STAGE_BATCH_SIZE);
+    try {
+      const { targets: staged, errors } = await createStagedUploads(gql, chunk);
+      chunk.forEach((file, j) => {
+        const target = staged[j];
+        targets.push(
+          target
+            ? { filename: file.filename, url: target.url, resourceUrl: target.resourceUrl, parameters: target.parameters }
+            : { filename: file.filename, errors },
+        );
+      });
+    } catch (error) {
+      chunk.forEach((file) => targets.push({ filename: file.filename, ...toErrorResult(error) }));
+    }
   }
-}
 
-// Find product/variant by SKU; returns ids and titles
-async function findProductAndVariantBySku(admin, sku) {
-  const response = await admin.graphql(
-    `#graphql
-      query VariantBySku($query: String!) {
-        productVariants(first: 1, query: $query) {
-          edges {
-            node {
-              id
-              title
-              product { id title }
-            }
-          }
-        }
-      }
-    `,
-    { variables: { query: `sku:${sku}` } },
-  );
-  const resJson = await response.json();
-  const edge = resJson?.data?.productVariants?.edges?.[0];
-  if (!edge) return { productId: null, variantId: null, productTitle: null, variantTitle: null };
-  return {
-    productId: edge.node.product.id,
-    variantId: edge.node.id,
-    productTitle: edge.node.product.title,
-    variantTitle: edge.node.title,
-  };
-}
+  return json({ success: true, targets });
+};
 
-async function createStagedUpload(admin, { filename, mimeType, fileSize }) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
-        stagedUploadsCreate(input: $input) {
-          stagedTargets { url resourceUrl parameters { name value } }
-          userErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        input: [
-          {
-            resource: "IMAGE",
-            filename,
-            mimeType: mimeType || "image/jpeg",
-            fileSize: String(fileSize ?? 0),
-            httpMethod: "POST",
-          },
-        ],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.stagedUploadsCreate?.userErrors || [];
-  const target = jsonRes?.data?.stagedUploadsCreate?.stagedTargets?.[0];
-  return { target, errors };
+// Parallel browser-to-Shopify uploads; a handful keeps the tab responsive without tripping rate limits
+const UPLOAD_CONCURRENCY = 4;
+
+// Files resolved per preview request; keeps each request well inside the function timeout
+const PREVIEW_BATCH_SIZE = 25;
+
+async function requestPreview(files, onExisting) {
+  const response = await fetch("/app/image-upload/preview", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ files, onExisting }),
+  });
+  const result = await response.json();
+  if (!result.success) throw new Error(result.error || "Preview failed");
+  return result.rows;
 }
 
-async function uploadToS3Target(target, file, filename) {
-  const form = new FormData();
-  for (const param of target.parameters) {
-    form.append(param.name, param.value);
-  }
-  form.append("file", file, filename);
-  const res = await fetch(target.url, { method: "POST", body: form });
-  return res.ok;
+// Product or variant picked by hand for a preview row, sent along so the match is kept
+function manualMatch(row) {
+  if (row?.matchedBy !== "manual") return {};
+  const { productId, productTitle, variantId, variantTitle } = row;
+  return { productId, productTitle, variantId, variantTitle };
 }
 
-async function attachImageToProduct(admin, productId, resourceUrl, altText) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
-        productCreateMedia(productId: $productId, media: $media) {
-          media {
-            ... on MediaImage { id alt image { originalSrc } }
-          }
-          mediaUserErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        productId,
-        media: [
-          {
-            alt: altText || null,
-            originalSource: resourceUrl,
-            mediaContentType: "IMAGE",
-          },
-        ],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.productCreateMedia?.mediaUserErrors || [];
-  const media = jsonRes?.data?.productCreateMedia?.media || [];
-  return { media, errors };
+// Status of a preview row whose file is not uploaded: its bytes are already in the slot, or the
+// "skip" policy keeps the image there. null for files that are uploaded.
+function notUploadedStatus(row) {
+  if (row?.status !== "matched") return null;
+  if (row.unchangedMediaId) return "unchanged";
+  if (row.skipMediaId) return SKIPPED_EXISTING;
+  return null;
 }
 
-async function listProductImageMedia(admin, productId) {
-  const response = await admin.graphql(
-    `#graphql
-      query ProductImageMedia($id: ID!) {
-        product(id: $id) {
-          id
-          media(first: 100) {
-            edges {
-              node {
-                id
-                __typename
-                ... on MediaImage {
-                  id
-                  alt
-                  image { originalSrc }
-                }
-              }
-            }
-          }
-        }
-      }
-    `,
-    { variables: { id: productId } },
-  );
-  const jsonRes = await response.json();
-  const edges = jsonRes?.data?.product?.media?.edges || [];
-  return edges.map((e) => e.node).filter((n) => n.__typename === "MediaImage");
-}
+// Problems of a manifest listed before the rest are summed up
+const MANIFEST_ERRORS_SHOWN = 50;
 
-async function deleteProductMedia(admin, productId, mediaIds) {
-  if (!mediaIds.length) return { deleted: 0, errors: [] };
-  const response = await admin.graphql(
-    `#graphql
-      mutation ProductDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
-        productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
-          deletedMediaIds
-          userErrors { field message }
-        }
-      }
-    `,
-    { variables: { productId, mediaIds } },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.productDeleteMedia?.userErrors || [];
-  const deleted = jsonRes?.data?.productDeleteMedia?.deletedMediaIds?.length || 0;
-  return { deleted, errors };
-}
+// Archive entries that were not added, listed before the rest are summed up
+const ARCHIVE_SKIPPED_SHOWN = 20;
 
-async function listVariantMedia(admin, variantId) {
-  const response = await admin.graphql(
-    `#graphql
-      query VariantMedia($id: ID!) {
-        productVariant(id: $id) {
-          id
-          media(first: 50) { nodes { id } }
-        }
-      }
-    `,
-    { variables: { id: variantId } },
-  );
-  const jsonRes = await response.json();
-  return jsonRes?.data?.productVariant?.media?.nodes?.map((n) => n.id) || [];
-}
+// Unpacking progress is shown every this many entries, not to re-render the page for each one
+const UNPACK_PROGRESS_EVERY = 10;
 
-async function detachVariantMedia(admin, variantId, mediaIds) {
-  if (!mediaIds.length) return { removed: 0, errors: [] };
-  const response = await admin.graphql(
-    `#graphql
-      mutation ProductVariantDetachMedia($variantId: ID!, $mediaIds: [ID!]!) {
-        productVariantDetachMedia(variantId: $variantId, mediaIds: $mediaIds) {
-          detachedMediaIds
-          userErrors { field message }
-        }
-      }
-    `,
-    { variables: { variantId, mediaIds } },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.productVariantDetachMedia?.userErrors || [];
-  const removed = jsonRes?.data?.productVariantDetachMedia?.detachedMediaIds?.length || 0;
-  return { removed, errors };
+// How the folders of an archive are read, like --layout of the CLI
+const ARCHIVE_LAYOUT_OPTIONS = [
+  { label: "Folders are part of the file name (filename templates)", value: "flat" },
+  { label: "One folder per product: the folder names the SKU, files are its images in order", value: "folders" },
+];
+
+// Failed results the user can point at a product and run again (the staged file is kept)
+function canAssign(result) {
+  return result.retryable && !!result.id && !isSuccessStatus(result.status);
 }
 
-async function appendVariantMedia(admin, variantId, mediaId) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation ProductVariantAppendMedia($variantId: ID!, $mediaIds: [ID!]!) {
-        productVariantAppendMedia(variantId: $variantId, mediaIds: $mediaIds) {
-          attachedToVariantIds
-          userErrors { field message }
-        }
-      }
-    `,
-    { variables: { variantId, mediaIds: [mediaId] } },
+export default function BulkUpload() {
+  const shopify = useAppBridge();
+  const [searchParams] = useSearchParams();
+  const [files, setFiles] = useState([]);
+  // Per-file direct upload state, keyed by index in `files`: { status, progress }
+  const [uploads, setUploads] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [startedJobId, setStartedJobId] = useState(null);
+  // Match preview rows aligned with `files` (null = not checked yet), or null before the first preview
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [onExisting, setOnExisting] = useState(DEFAULT_ON_EXISTING);
+  // Spreadsheet mapping files to products: { name, rows } as read, or { name, error } when unreadable
+  const [manifestFile, setManifestFile] = useState(null);
+  // A job can also be resumed from the upload history via ?job=<id>
+  const jobId = startedJobId || searchParams.get("job");
+  const { progress, cost, isRunning, resume } = useUploadJob(jobId);
+  // Matches picked for failed results, keyed by job item id
+  const [assignments, setAssignments] = useState({});
+  const [isRetrying, setIsRetrying] = useState(false);
+  // Archive being unpacked: { name, done, total }; entries of dropped archives that were not added
+  const [unpacking, setUnpacking] = useState(null);
+  const [archiveSkipped, setArchiveSkipped] = useState([]);
+  const [archiveLayout, setArchiveLayout] = useState("flat");
+  const isBusy = isSubmitting || isRunning || isPreviewing || isRetrying || !!unpacking;
+  // Files taken from an archive are matched by their path in it ("DB-RL/2.jpg"), others by their name
+  const archiveEntries = useRef(new WeakMap());
+  const nameOf = useCallback((file) => archiveEntries.current.get(file)?.path || file.name, []);
+
+  // Checked again whenever files are added or removed; nothing is previewed or uploaded with errors
+  const manifest = useMemo(
+    () => (manifestFile?.rows ? validateManifest(manifestFile.rows, { filenames: files.map(nameOf) }) : null),
+    [manifestFile, files, nameOf],
   );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.productVariantAppendMedia?.userErrors || [];
-  return { errors };
-}
+  const manifestEntries = useMemo(
+    () => new Map((manifest?.entries || []).map((entry) => [entry.filename, entry])),
+    [manifest],
+  );
+  const manifestBlocked = !!manifestFile?.error || !!manifest?.errors.length;
+  // SHA-256 per selected File, computed once and shared by preview and upload
+  const hashes = useRef(new WeakMap());
+  const hashOf = useCallback((file) => {
+    if (!hashes.current.has(file)) hashes.current.set(file, sha256Hex(file));
+    return hashes.current.get(file);
+  }, []);
 
-async function waitForMediaReady(admin, mediaId, { timeoutMs = 15000, intervalMs = 600 } = {}) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    const res = await admin.graphql(
-      `#graphql
-        query MediaStatus($id: ID!) {
-          node(id: $id) {
-            ... on Media { id status }
-          }
-        }
-      `,
-      { variables: { id: mediaId } },
-    );
-    const json = await res.json();
-    const status = json?.data?.node?.status;
-    if (status === "READY") return true;
-    // SMALL BACKOFF
-    await new Promise((r) => setTimeout(r, intervalMs));
-  }
-  return false;
-}
+  // With one folder per product, key and position of the archive files in folders, by File; the
+  // manifest's rows still override the key
+  const folderSlots = useMemo(() => {
+    const slots = new Map();
+    if (archiveLayout !== "folders") return slots;
+    const byArchive = new Map();
+    for (const file of files) {
+      const entry = archiveEntries.current.get(file);
+      if (!entry) continue;
+      if (!byArchive.has(entry.archive)) byArchive.set(entry.archive, new Map());
+      byArchive.get(entry.archive).set(entry.path, file);
+    }
+    for (const byPath of byArchive.values()) {
+      for (const [path, slot] of layoutProductFolders([...byPath.keys()])) slots.set(byPath.get(path), slot);
+    }
+    return slots;
+  }, [archiveLayout, files]);
+  // What is sent for a file besides its name: the manifest row, and the folder's key and position
+  const describeFile = useCallback(
+    (file, row) => {
+      const manifestEntry = manifestEntries.get(nameOf(file));
+      const slot = folderSlots.get(file);
+      return {
+        filename: nameOf(file),
+        sku: row?.sku || (manifestEntry ? undefined : slot?.sku),
+        position: slot?.index,
+        manifest: manifestEntry,
+      };
+    },
+    [folderSlots, manifestEntries, nameOf],
+  );
 
-async function bulkSetVariantMedia(admin, productId, variantId, mediaId) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation VariantSetMedia($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-          productVariants { id }
-          userErrors { field message }
+  const onDrop = useCallback(
+    async (_dropFiles, acceptedFiles) => {
+      const added = acceptedFiles.filter((file) => !isZipFile(file));
+      const skipped = [];
+      for (const archive of acceptedFiles.filter(isZipFile)) {
+        setUnpacking({ name: archive.name, done: 0, total: 0 });
+        try {
+          const unpacked = await unpackImageArchive(archive, {
+            onProgress: (done, total) => {
+              if (done % UNPACK_PROGRESS_EVERY === 0) setUnpacking({ name: archive.name, done, total });
+            },
+          });
+          for (const { path, file } of unpacked.images) archiveEntries.current.set(file, { path, archive });
+          added.push(...unpacked.images.map((image) => image.file));
+          skipped.push(...unpacked.skipped.map((entry) => ({ ...entry, archive: archive.name })));
+          shopify.toast.show(`${unpacked.images.length} images added from ${archive.name}`);
+        } catch (error) {
+          shopify.toast.show(`${archive.name}: ${error.message}`, { isError: true });
         }
       }
-    `,
-    {
-      variables: {
-        productId,
-        variants: [
-          {
-            id: variantId,
-            mediaId,
-          },
-        ],
-      },
+      setUnpacking(null);
+      setArchiveSkipped(skipped);
+      setFiles((prev) => [...prev, ...added]);
+      setPreview((prev) => prev && [...prev, ...added.map(() => null)]);
     },
+    [shopify],
   );
-  const json = await response.json();
-  const errors = json?.data?.productVariantsBulkUpdate?.userErrors || [];
-  return { errors };
-}
 
-export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-  const formData = await request.formData();
-  const files = formData.getAll("files");
+  const onDropManifest = useCallback(async (_dropFiles, [file]) => {
+    if (!file) return;
+    setPreview(null);
+    setUploads({});
+    try {
+      const rows = await readManifestRows(new Uint8Array(await file.arrayBuffer()), file.name);
+      setManifestFile({ name: file.name, rows });
+    } catch (error) {
+      setManifestFile({ name: file.name, error: error.message });
+    }
+  }, []);
 
-  const results = [];
-  const productIdToCreated = new Map(); // productId -> Array<{id, order}>
+  const removeManifest = useCallback(() => {
+    setManifestFile(null);
+    setPreview(null);
+    setUploads({});
+  }, []);
 
-  for (const file of files) {
-    try {
-      if (!file || typeof file === "string" || !file.name) {
-        results.push({ filename: String(file), status: "invalid_file" });
-        continue;
-      }
+  const removeFile = useCallback((index) => {
+    setFiles((prev) => prev.filter((_, i) => i !== index));
+    setPreview((prev) => prev && prev.filter((_, i) => i !== index));
+    setUploads({});
+  }, []);
 
-      const filename = file.name;
-      const { sku, index } = extractSkuAndIndexFromFilename(filename);
-      const uploadedBaseName = (filename.split("/").pop() || filename).split("?")[0].toLowerCase();
-      const altLabel = index === 0 ? sku : `${sku}_${index}`;
-
-      // 1) Try product by custom.id (using base filename as the custom id)
-      const productMatch = await findProductByCustomId(admin, sku);
-      let productId = null;
-      let productTitle = null;
-      let variantId = null;
-      let variantTitle = null;
-      let isProductLevel = false;
-
-      if (productMatch?.productId) {
-        productId = productMatch.productId;
-        productTitle = productMatch.productTitle;
-        isProductLevel = true;
-      } else {
-        // 2) Fallback: find by variant SKU
-        const variantMatch = await findProductAndVariantBySku(admin, sku);
-        productId = variantMatch.productId;
-        variantId = variantMatch.variantId;
-        productTitle = variantMatch.productTitle;
-        variantTitle = variantMatch.variantTitle;
-      }
+  const removeUnmatched = useCallback(() => {
+    const keep = (_, i) => !preview?.[i] || preview[i].status === "matched";
+    setFiles((prev) => prev.filter(keep));
+    setPreview((prev) => prev && prev.filter(keep));
+    setUploads({});
+  }, [preview]);
 
-      if (!productId) {
-        results.push({ filename, sku, status: "no_product_for_sku" });
-        continue;
+  const handlePreview = useCallback(async () => {
+    if (!files.length || isBusy) return;
+    setIsPreviewing(true);
+    try {
+      // Keys corrected and products picked in an earlier preview are kept
+      const sha256s = await Promise.all(files.map(hashOf));
+      const entries = files.map((file, i) => ({
+        ...describeFile(file, preview?.[i]),
+        sha256: sha256s[i],
+        ...manualMatch(preview?.[i]),
+      }));
+      const rows = [];
+      for (let i = 0; i < entries.length; i += PREVIEW_BATCH_SIZE) {
+        rows.push(...(await requestPreview(entries.slice(i, i + PREVIEW_BATCH_SIZE), onExisting)));
+        setPreview([...rows, ...entries.slice(rows.length).map(() => null)]);
       }
-
-      // Check existing images on product; match by exact alt label OR filename equality
-      const existingImages = await listProductImageMedia(admin, productId);
-      const toReplace = existingImages.filter((img) => {
-        const alt = (img.alt || "").trim().toLowerCase();
-        const src = img?.image?.url || img?.image?.originalSrc || "";
-        const existingBaseName = (src.split("/").pop() || "").split("?")[0].toLowerCase();
-        return alt === altLabel.toLowerCase() || (!!existingBaseName && existingBaseName === uploadedBaseName);
-      });
-      let replacedCount = 0;
-      if (toReplace.length) {
-        const { deleted, errors: delErrors } = await deleteProductMedia(
-          admin,
-          productId,
-          toReplace.map((i) => i.id),
+    } catch (error) {
+      shopify.toast.show(`Preview failed: ${error.message}`, { isError: true });
+    } finally {
+      setIsPreviewing(false);
+    }
+  }, [describeFile, files, hashOf, isBusy, onExisting, preview, shopify]);
+
+  // Check one row again with a corrected key, or with a product or variant picked for it
+  const recheckFile = useCallback(
+    async (index, sku, match = {}) => {
+      setIsPreviewing(true);
+      try {
+        const sha256 = await hashOf(files[index]);
+        const [row] = await requestPreview(
+          [{ ...describeFile(files[index]), sku, sha256, ...match }],
+          onExisting,
         );
-        replacedCount = deleted;
-        if (delErrors?.length) {
-          results.push({ filename, sku, status: "delete_existing_failed", errors: delErrors });
-          continue;
-        }
-      }
-
-      const { target, errors: stagedErrors } = await createStagedUpload(admin, {
-        filename,
-        mimeType: file.type,
-        fileSize: file.size,
-      });
-      if (!target) {
-        results.push({ filename, sku, status: "staged_upload_error", errors: stagedErrors });
-        continue;
+        setPreview((prev) => prev.map((r, i) => (i === index ? row : r)));
+      } catch (error) {
+        shopify.toast.show(`Preview failed: ${error.message}`, { isError: true });
+      } finally {
+        setIsPreviewing(false);
       }
+    },
+    [describeFile, files, hashOf, onExisting, shopify],
+  );
 
-      const uploaded = await uploadToS3Target(target, file, filename);
-      if (!uploaded) {
-        results.push({ filename, sku, status: "s3_upload_failed" });
-        continue;
-      }
+  // Files in archive folders get other keys, so the preview is checked again
+  const changeArchiveLayout = useCallback((value) => {
+    setArchiveLayout(value);
+    setPreview(null);
+    setUploads({});
+  }, []);
 
-      // Alt text: Product - Variant when variantTitle exists; else product title; fallback to altLabel
-      let altText = altLabel;
-      if (productTitle && variantTitle) {
-        altText = `${productTitle} - ${variantTitle}`;
-        if (index > 0) altText += ` (${index + 1})`;
-      } else if (productTitle) {
-        altText = productTitle;
-        if (!isProductLevel && index > 0) altText += ` (${index + 1})`;
-      }
+  // The preview shows what the chosen policy would replace or skip, so it is checked again
+  const changeOnExisting = useCallback((value) => {
+    setOnExisting(value);
+    setPreview(null);
+    setUploads({});
+  }, []);
 
-      const { media, errors: attachErrors } = await attachImageToProduct(
-        admin,
-        productId,
-        target.resourceUrl,
-        altText,
-      );
-      if (attachErrors?.length) {
-        results.push({ filename, sku, status: "attach_failed", errors: attachErrors });
-        continue;
-      }
+  const setUpload = useCallback((index, upload) => {
+    setUploads((prev) => ({ ...prev, [index]: { ...prev[index], ...upload } }));
+  }, []);
 
-      const createdId = media?.[0]?.id || null;
-      if (createdId) {
-        const list = productIdToCreated.get(productId) || [];
-        list.push({ id: createdId, order: index, isProductLevel });
-        productIdToCreated.set(productId, list);
+  const handleSubmit = useCallback(async () => {
+    if (!files.length || isBusy || manifestBlocked) return;
+    setIsSubmitting(true);
+    setStartedJobId(null);
+    setUploads({});
+    setAssignments({});
+    try {
+      // Step 1: staged targets for every file the preview did not find unchanged or skipped (metadata only)
+      const toStage = files
+        .map((file, index) => ({ file, index }))
+        .filter(({ index }) => !notUploadedStatus(preview?.[index]));
+      const stageResponse = toStage.length
+        ? await fetch("/app?index", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              files: toStage.map(({ file }) => ({ filename: file.name, mimeType: file.type, fileSize: file.size })),
+            }),
+          })
+        : null;
+      const staged = stageResponse ? await stageResponse.json() : { success: true, targets: [] };
+      if (!staged.success) {
+        shopify.toast.show(`Upload failed: ${staged.error}`, { isError: true });
+        return;
       }
-      // Assign variant image only when matched by SKU
-      if (variantId && createdId && !isProductLevel) {
-        try {
-          const ready = await waitForMediaReady(admin, createdId);
-          if (!ready) {
-            results.push({ filename, sku, status: "media_not_ready", productId, media });
-          } else {
-            // Prefer new API via bulk update
-            const { errors: bulkErrors } = await bulkSetVariantMedia(admin, productId, variantId, createdId);
-            if (bulkErrors?.length) {
-              // Fallback to detach/append
-              const existingVariantMedia = await listVariantMedia(admin, variantId);
-              if (existingVariantMedia.length) {
-                const { errors: detErrors } = await detachVariantMedia(admin, variantId, existingVariantMedia);
-                if (detErrors?.length) {
-                  results.push({ filename, sku, status: "variant_detach_failed", errors: detErrors });
-                }
-              }
-              const { errors: appErrors } = await appendVariantMedia(admin, variantId, createdId);
-              if (appErrors?.length) {
-                results.push({ filename, sku, status: "variant_attach_failed", errors: appErrors });
-              }
-            }
-          }
-        } catch (variantError) {
-          results.push({ filename, sku, status: "variant_error", message: variantError?.message });
+      const targets = new Map(toStage.map(({ index }, i) => [index, staged.targets[i]]));
+
+      // Step 2: POST the files straight to their targets
+      const completed = await mapWithConcurrency(files, UPLOAD_CONCURRENCY, async (file, index) => {
+        const row = preview?.[index];
+        const meta = {
+          // Key confirmed or corrected in the preview; the manifest, folder or filename decides otherwise
+          ...describeFile(file, row),
+          mimeType: file.type,
+          fileSize: file.size,
+          sha256: await hashOf(file),
+          ...manualMatch(row),
+        };
+        const skipped = notUploadedStatus(row);
+        if (skipped) {
+          setUpload(index, { status: skipped, progress: 1 });
+          const { productId, productTitle, variantId, variantTitle, matchedBy } = row;
+          return {
+            ...meta,
+            productId,
+            productTitle,
+            variantId,
+            variantTitle,
+            matchedBy,
+            status: skipped,
+            // Only an unchanged image is part of the new set and takes part in the reordering
+            mediaId: row.unchangedMediaId || null,
+            message: row.skipMediaId ? `Kept existing image ${row.skipMediaId}` : undefined,
+          };
+        }
+        const target = targets.get(index);
+        if (!target?.url) {
+          setUpload(index, { status: "failed", progress: 0 });
+          return {
+            ...meta,
+            status: target?.status || "staged_upload_error",
+            errors: target?.errors,
+            message: target?.message,
+          };
         }
+        setUpload(index, { status: "uploading", progress: 0 });
+        const ok = await uploadToStagedTarget(target, file, {
+          onProgress: (fraction) => setUpload(index, { progress: fraction }),
+        });
+        setUpload(index, { status: ok ? "uploaded" : "failed", progress: ok ? 1 : 0 });
+        return ok ? { ...meta, resourceUrl: target.resourceUrl } : { ...meta, status: "s3_upload_failed" };
+      });
+
+      // Step 3: queue the job; attaching, variant assignment and reordering run in the worker
+      const completeResponse = await fetch("/app/image-upload/complete", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ uploads: completed, onExisting }),
+      });
+      const result = await completeResponse.json();
+      if (result.success) {
+        setStartedJobId(result.jobId);
+      } else {
+        shopify.toast.show(`Upload failed: ${result.error}`, { isError: true });
       }
-      // Always record the successful product upload
-      results.push({ filename, sku, status: replacedCount ? "replaced" : "ok", replaced: replacedCount, productId, media, order: index });
     } catch (error) {
-      const safeName = typeof file === "object" && file?.name ? file.name : String(file);
-      const { sku: caughtSku } = typeof safeName === "string" ? extractSkuAndIndexFromFilename(safeName) : { sku: undefined };
-      results.push({ filename: safeName, sku: caughtSku, status: "error", message: error?.message });
+      shopify.toast.show(`Upload failed: ${error.message}`, { isError: true });
+    } finally {
+      setIsSubmitting(false);
     }
-  }
+  }, [describeFile, files, hashOf, isBusy, manifestBlocked, onExisting, preview, setUpload, shopify]);
+
+  const results = useMemo(
+    () => (progress?.results || []).filter((r) => !QUEUED_STATUSES.includes(r.status)),
+    [progress],
+  );
+
+  const summary = useMemo(() => {
+    const ok = results.filter((r) => isSuccessStatus(r.status)).length;
+    const failed = results.length - ok;
+    return { total: results.length, ok, failed };
+  }, [results]);
 
-  // After all uploads, reorder only if this batch included a featured (index 0) image for the product.
-  for (const [productId, created] of productIdToCreated.entries()) {
-    // Partition: product-level vs variant-level created in this batch
-    const productLevel = created.filter((c) => c.isProductLevel);
-    const variantLevel = created.filter((c) => !c.isProductLevel);
-    if (!productLevel.length) continue;
+  const isDone = !!progress?.done;
+  const assigned = results.filter((r) => assignments[r.id] && canAssign(r));
 
-    // Ensure all newly created media are READY before attempting reorder
+  const retryAssigned = useCallback(async () => {
+    if (!assigned.length || isBusy) return;
+    setIsRetrying(true);
     try {
-      await Promise.all(
-        created.map(async (m) => {
-          try {
-            await waitForMediaReady(admin, m.id, { timeoutMs: 20000, intervalMs: 800 });
-          } catch (_) {}
+      const response = await fetch("/app/image-upload/retry", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          jobId,
+          assignments: assigned.map((r) => ({ itemId: r.id, ...assignments[r.id] })),
         }),
-      );
-    } catch (_) {}
-
-    productLevel.sort((a, b) => a.order - b.order);
-    variantLevel.sort((a, b) => a.order - b.order);
-
-    // Build a comprehensive order including existing media so Admin shows the true first item
-    const existingIds = await listAllProductMediaIds(admin, productId);
-    const createdIdsInOrder = [
-      ...productLevel.map((m) => m.id),
-      ...variantLevel.map((m) => m.id),
-    ];
-    const remainingExisting = existingIds.filter((id) => !createdIdsInOrder.includes(id));
-    const finalOrder = [
-      ...productLevel.map((m) => m.id),
-      ...remainingExisting,
-      ...variantLevel.map((m) => m.id),
-    ];
-    const moves = finalOrder.map((id, index) => ({ id, newPosition: String(index + 1) }));
-
-    // Debug: log what we're trying to reorder
-    console.log(`Reordering product ${productId} (product first, variants after):`, moves);
-
-    // Add a small delay to ensure media is ready for reordering
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    const reorderResult = await reorderProductMedia(admin, productId, moves);
-    if (!reorderResult.success) {
-      results.push({ 
-        productId, 
-        status: "reorder_failed", 
-        message: reorderResult.message,
-        details: reorderResult.errors 
       });
-    }
-  }
-
-  return json({ results });
-};
-
-async function reorderProductMedia(admin, productId, moves) {
-  if (!moves?.length) return { success: true };
-  const response = await admin.graphql(
-    `#graphql
-      mutation ProductReorderMedia($id: ID!, $moves: [MoveInput!]!) {
-        productReorderMedia(id: $id, moves: $moves) {
-          userErrors { field message }
-        }
-      }
-    `,
-    { variables: { id: productId, moves } },
-  );
-  const resJson = await response.json();
-  const errors = resJson?.data?.productReorderMedia?.userErrors || [];
-  if (errors.length) {
-    const msg = errors.map((e) => e.message).join(", ");
-    return { success: false, errors, message: msg };
-  }
-  return { success: true };
-}
-
-async function listAllProductMediaIds(admin, productId) {
-  const response = await admin.graphql(
-    `#graphql
-      query AllProductMediaIds($id: ID!) {
-        product(id: $id) {
-          id
-          media(first: 250) {
-            nodes { id }
-          }
-        }
+      const result = await response.json();
+      if (!result.success) {
+        shopify.toast.show(`Retry failed: ${result.error}`, { isError: true });
+        return;
       }
-    `,
-    { variables: { id: productId } },
-  );
-  const json = await response.json();
-  return json?.data?.product?.media?.nodes?.map((n) => n.id) || [];
-}
-
-export default function BulkUpload() {
-  const fetcher = useFetcher();
-  const shopify = useAppBridge();
-  const [files, setFiles] = useState([]);
-  const isSubmitting =
-    ["loading", "submitting"].includes(fetcher.state) &&
-    fetcher.formMethod === "POST";
-
-  const onDrop = useCallback((_dropFiles, acceptedFiles) => {
-    setFiles((prev) => [...prev, ...acceptedFiles]);
-  }, []);
-
-  const removeFile = useCallback((index) => {
-    setFiles((prev) => prev.filter((_, i) => i !== index));
-  }, []);
-
-  const handleSubmit = useCallback(() => {
-    if (!files.length || isSubmitting) return;
-    const formData = new FormData();
-    for (const file of files) {
-      formData.append("files", file, file.name);
+      setAssignments({});
+      shopify.toast.show(`Retrying ${result.requeued} files`);
+      resume();
+    } catch (error) {
+      shopify.toast.show(`Retry failed: ${error.message}`, { isError: true });
+    } finally {
+      setIsRetrying(false);
     }
-    fetcher.submit(formData, { method: "post", encType: "multipart/form-data" });
-  }, [files, fetcher, isSubmitting]);
-
-  const summary = useMemo(() => {
-    const results = fetcher.data?.results || [];
-    const ok = results.filter((r) => r.status === "ok" || r.status === "replaced").length;
-    const failed = results.filter((r) => !["ok", "replaced"].includes(r.status)).length;
-    return { total: results.length, ok, failed };
-  }, [fetcher.data]);
+  }, [assigned, assignments, isBusy, jobId, resume, shopify]);
 
   useEffect(() => {
-    if ((fetcher.data?.results || []).length) {
-      if (summary.failed === 0) {
-        shopify.toast.show(`Uploaded ${summary.ok} images successfully`);
-      } else if (summary.ok > 0) {
-        shopify.toast.show(
-          `Uploaded ${summary.ok} images, ${summary.failed} failed`,
-        );
-      } else {
-        shopify.toast.show(`All ${summary.failed} uploads failed`);
-      }
+    if (!isDone) return;
+    if (summary.failed === 0) {
+      shopify.toast.show(`Uploaded ${summary.ok} images successfully`);
+    } else if (summary.ok > 0) {
+      shopify.toast.show(
+        `Uploaded ${summary.ok} images, ${summary.failed} failed`,
+      );
+    } else {
+      shopify.toast.show(`All ${summary.failed} uploads failed`);
     }
-  }, [fetcher.data, shopify, summary.failed, summary.ok]);
+  }, [isDone, shopify, summary.failed, summary.ok]);
 
   return (
     <Page>
@@ -633,11 +487,108 @@ export default function BulkUpload() {
       <Card>
         <BlockStack gap="300">
           <Text as="p" variant="bodyMd">
-            Select multiple image files. The SKU must be the filename (without extension).
+            Select multiple image files or ZIP archives of them. The SKU must be the filename (without
+            extension), or follow one of the filename templates in Settings; folders in an archive are part
+            of the name, so a {"{key}/{index}"} template reads DB-RL/2.jpg. Archives with one folder per
+            product can have the folder name the SKU instead: its files become the product&apos;s images,
+            numbered files first. Use Preview matches to see where each file will go before uploading.
           </Text>
-          <DropZone accept="image/*" allowMultiple onDrop={onDrop}>
-            <DropZone.FileUpload actionTitle="Add images" actionHint="or drop to upload" />
+          <Select
+            label="Folders in ZIP archives"
+            options={ARCHIVE_LAYOUT_OPTIONS}
+            value={archiveLayout}
+            onChange={changeArchiveLayout}
+            disabled={isBusy}
+          />
+          <DropZone
+            accept="image/*,.zip,application/zip,application/x-zip-compressed"
+            allowMultiple
+            onDrop={onDrop}
+            disabled={!!unpacking}
+          >
+            <DropZone.FileUpload actionTitle="Add images or ZIP" actionHint="or drop to upload" />
           </DropZone>
+          {unpacking ? (
+            <BlockStack gap="100">
+              <Text as="p" variant="bodySm">
+                {unpacking.total
+                  ? `Unpacking ${unpacking.name}: ${unpacking.done} of ${unpacking.total} entries`
+                  : `Reading ${unpacking.name}`}
+              </Text>
+              <ProgressBar progress={unpacking.total ? (unpacking.done / unpacking.total) * 100 : 0} size="small" />
+            </BlockStack>
+          ) : null}
+          {archiveSkipped.length ? (
+            <Banner
+              title={`${archiveSkipped.length} archive entries were not added`}
+              tone="warning"
+              onDismiss={() => setArchiveSkipped([])}
+            >
+              <List>
+                {archiveSkipped.slice(0, ARCHIVE_SKIPPED_SHOWN).map((entry) => (
+                  <List.Item key={`${entry.archive}/${entry.path}`}>
+                    <code>{entry.path}</code> ({entry.archive}): {entry.reason}
+                  </List.Item>
+                ))}
+              </List>
+              {archiveSkipped.length > ARCHIVE_SKIPPED_SHOWN ? (
+                <p>{`and ${archiveSkipped.length - ARCHIVE_SKIPPED_SHOWN} more`}</p>
+              ) : null}
+            </Banner>
+          ) : null}
+          <BlockStack gap="200">
+            <Text as="p" variant="bodySm" tone="subdued">
+              Optionally add a manifest (CSV or XLSX) with one row per file: a file column, one of sku,
+              custom_id, handle or key, and optionally position, alt, variant, option (Color: Blue) and
+              on_existing. Files it lists ignore their names; the others still use them.
+            </Text>
+            {manifestFile ? (
+              <InlineStack gap="200" blockAlign="center">
+                <code>{manifestFile.name}</code>
+                {manifest ? <Badge>{`${manifest.entries.length} rows`}</Badge> : null}
+                {manifest && files.length > manifestEntries.size ? (
+                  <Badge>{`${files.length - manifestEntries.size} files not in the manifest`}</Badge>
+                ) : null}
+                <Button variant="tertiary" onClick={removeManifest} disabled={isBusy}>
+                  Remove manifest
+                </Button>
+              </InlineStack>
+            ) : (
+              <DropZone
+                accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                allowMultiple={false}
+                onDrop={onDropManifest}
+                variableHeight
+              >
+                <DropZone.FileUpload actionTitle="Add manifest" />
+              </DropZone>
+            )}
+            {manifestFile?.error ? (
+              <Banner title="The manifest cannot be read" tone="critical">
+                <p>{manifestFile.error}</p>
+              </Banner>
+            ) : null}
+            {manifest?.errors.length ? (
+              <Banner
+                title={`The manifest has ${manifest.errors.length} ${manifest.errors.length === 1 ? "problem" : "problems"}`}
+                tone="critical"
+              >
+                <BlockStack gap="200">
+                  <p>Fix them in the spreadsheet and add it again; nothing is uploaded until then.</p>
+                  <DataTable
+                    columnContentTypes={["numeric", "text", "text"]}
+                    headings={["Row", "Column", "Problem"]}
+                    rows={manifest.errors
+                      .slice(0, MANIFEST_ERRORS_SHOWN)
+                      .map((e) => [e.row, e.column || "-", e.message])}
+                  />
+                  {manifest.errors.length > MANIFEST_ERRORS_SHOWN ? (
+                    <p>{`and ${manifest.errors.length - MANIFEST_ERRORS_SHOWN} more`}</p>
+                  ) : null}
+                </BlockStack>
+              </Banner>
+            ) : null}
+          </BlockStack>
           {files.length ? (
             <Card>
               <BlockStack gap="200">
@@ -645,44 +596,173 @@ export default function BulkUpload() {
                 <List>
                   {files.map((f, i) => (
                     <List.Item key={`${f.name}-${i}`}>
-                      <InlineStack align="space-between">
-                        <span>
-                          <code>{f.name}</code>
-                        </span>
-                        <Button onClick={() => removeFile(i)} variant="tertiary">
-                          Remove
-                        </Button>
-                      </InlineStack>
+                      <BlockStack gap="100">
+                        <InlineStack align="space-between">
+                          <span>
+                            <code>{nameOf(f)}</code>
+                            {uploads[i]?.status === "failed" ? (
+                              <Text as="span" variant="bodySm" tone="critical">
+                                {" "}upload failed
+                              </Text>
+                            ) : null}
+                            {uploads[i]?.status === "unchanged" ? (
+                              <Text as="span" variant="bodySm" tone="subdued">
+                                {" "}unchanged, not uploaded
+                              </Text>
+                            ) : null}
+                            {uploads[i]?.status === SKIPPED_EXISTING ? (
+                              <Text as="span" variant="bodySm" tone="subdued">
+                                {" "}slot already has an image, not uploaded
+                              </Text>
+                            ) : null}
+                          </span>
+                          <Button onClick={() => removeFile(i)} variant="tertiary" disabled={isBusy}>
+                            Remove
+                          </Button>
+                        </InlineStack>
+                        {uploads[i]?.status === "uploading" ? (
+                          <ProgressBar progress={(uploads[i].progress || 0) * 100} size="small" />
+                        ) : null}
+                      </BlockStack>
                     </List.Item>
                   ))}
                 </List>
               </BlockStack>
             </Card>
           ) : null}
+          <Select
+            label="When a product already has images"
+            options={ON_EXISTING_OPTIONS}
+            value={onExisting}
+            onChange={changeOnExisting}
+            disabled={isBusy}
+          />
           <InlineStack gap="200">
-            <Button loading={isSubmitting} disabled={!files.length} onClick={handleSubmit}>
+            <Button
+              loading={isSubmitting || isRunning}
+              disabled={!files.length || isPreviewing || manifestBlocked || !!unpacking}
+              onClick={handleSubmit}
+            >
               Upload
             </Button>
-            <Button disabled={!files.length || isSubmitting} onClick={() => setFiles([])} variant="secondary">
+            <Button
+              loading={isPreviewing}
+              disabled={!files.length || isSubmitting || isRunning || manifestBlocked || !!unpacking}
+              onClick={handlePreview}
+            >
+              Preview matches
+            </Button>
+            <Button
+              disabled={!files.length || isBusy}
+              onClick={() => {
+                setFiles([]);
+                setUploads({});
+                setPreview(null);
+              }}
+              variant="secondary"
+            >
               Clear
             </Button>
           </InlineStack>
-          {(fetcher.data?.results || []).length ? (
+          {preview && files.length ? (
+            <Card>
+              <BlockStack gap="200">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h3" variant="headingMd">Match preview</Text>
+                  <Button
+                    variant="tertiary"
+                    onClick={removeUnmatched}
+                    disabled={isBusy || !preview.some((r) => r && r.status !== "matched")}
+                  >
+                    Remove unmatched
+                  </Button>
+                </InlineStack>
+                <UploadPreviewTable
+                  files={files}
+                  nameOf={nameOf}
+                  rows={preview}
+                  onRemove={removeFile}
+                  onRecheck={recheckFile}
+                  onPick={(index, match) => recheckFile(index, preview[index]?.sku, match)}
+                  disabled={isBusy}
+                />
+              </BlockStack>
+            </Card>
+          ) : null}
+          {isRunning ? (
+            <BlockStack gap="100">
+              <Text as="p" variant="bodyMd">
+                {progress?.phase === "reorder"
+                  ? "Reordering product media…"
+                  : `Processed ${progress?.processed ?? 0} of ${progress?.totalFiles ?? "?"} files`}
+              </Text>
+              <ProgressBar
+                progress={progress?.totalFiles ? (progress.processed / progress.totalFiles) * 100 : 0}
+                size="small"
+              />
+              {cost ? (
+                <Text as="p" variant="bodySm" tone="subdued">
+                  {`Shopify API (last batch): ${describeCostStats(cost)}`}
+                </Text>
+              ) : null}
+            </BlockStack>
+          ) : null}
+          {results.length ? (
             <BlockStack gap="200">
-              {summary.failed ? (
-                <Banner title="Some uploads failed" tone="critical" />
-              ) : (
-                <Banner title="Uploads completed" tone="success" />
-              )}
+              {isDone ? (
+                summary.failed ? (
+                  <Banner title="Some uploads failed" tone="critical" />
+                ) : (
+                  <Banner title="Uploads completed" tone="success" />
+                )
+              ) : null}
+              {isDone && describeLookupStats(progress.lookupStats) ? (
+                <Text as="p" variant="bodySm" tone="subdued">
+                  {`Product lookups: ${describeLookupStats(progress.lookupStats)}`}
+                </Text>
+              ) : null}
+              {progress?.error ? (
+                <Banner title="Upload job failed" tone="critical">
+                  <p>{progress.error}</p>
+                </Banner>
+              ) : null}
               <DataTable
-                columnContentTypes={["text", "text", "text"]}
-                headings={["File", "SKU", "Status"]}
-                rows={(fetcher.data.results || []).map((r) => [
+                columnContentTypes={["text", "text", "text", "text", "text", "text"]}
+                headings={["File", "SKU", "Status", "Details", "Existing images", "Match"]}
+                rows={results.map((r) => [
                   r.filename || r.productId || "Product",
                   r.sku || "-",
-                  r.status + (r.message ? `: ${r.message}` : "") + (r.details ? ` (${JSON.stringify(r.details)})` : ""),
+                  <Badge key="status" tone={statusTone(r.status)}>
+                    {r.status}
+                  </Badge>,
+                  formatResultError(r) || "-",
+                  r.onExisting || "-",
+                  isDone && canAssign(r) ? (
+                    <MatchPicker
+                      key="match"
+                      value={assignments[r.id]}
+                      onChange={(match) => setAssignments((prev) => ({ ...prev, [r.id]: match }))}
+                      disabled={isBusy}
+                    />
+                  ) : (
+                    r.productTitle || "-"
+                  ),
                 ])}
               />
+              {assigned.length ? (
+                <InlineStack>
+                  <Button variant="primary" loading={isRetrying} disabled={isBusy} onClick={retryAssigned}>
+                    {`Retry ${assigned.length} assigned ${assigned.length === 1 ? "file" : "files"}`}
+                  </Button>
+                </InlineStack>
+              ) : null}
+              {jobId ? (
+                <InlineStack>
+                  <Button url={`/app/history/${jobId}`} variant="plain">
+                    View in upload history
+                  </Button>
+                </InlineStack>
+              ) : null}
             </BlockStack>
           ) : null}
         </BlockStack>
@@ -690,4 +770,3 @@ export default function BulkUpload() {
     </Page>
   );
 }
-
@@ -0,0 +1,165 @@
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData, useRevalidator } from "@remix-run/react";
+import { useEffect } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Banner,
+  Button,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getMatchingConfig } from "../models/shopSettings.server";
+import { describeUploader } from "../models/uploadJob.server";
+import {
+  CATALOG_SNAPSHOT_MAX_AGE_HOURS,
+  getCatalogSnapshot,
+  isSnapshotFor,
+  isSnapshotUsable,
+  startCatalogSnapshot,
+} from "../models/catalogSnapshot.server";
+import { useUploadJob } from "../hooks/useUploadJob";
+import {
+  catalogAgeHours,
+  createRemixTransport,
+  createThrottledTransport,
+  toErrorResult,
+} from "@mrpet/media-service";
+
+const STATUS_TONES = { ready: "success", running: "info", failed: "critical" };
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [snapshot, matching] = await Promise.all([
+    getCatalogSnapshot(session.shop),
+    getMatchingConfig(session.shop),
+  ]);
+  return json({
+    snapshot,
+    maxAgeHours: CATALOG_SNAPSHOT_MAX_AGE_HOURS,
+    usable: isSnapshotUsable(snapshot, matching),
+    matchesSettings: !snapshot || isSnapshotFor(snapshot, matching),
+  });
+};
+
+// Start an export; the page then drives its job, which waits for Shopify and stores the result
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const gql = createThrottledTransport(createRemixTransport(admin));
+  try {
+    const result = await startCatalogSnapshot(
+      session.shop,
+      gql,
+      await getMatchingConfig(session.shop),
+      describeUploader(session, sessionToken),
+    );
+    if (result.errors) {
+      return json({ success: false, error: result.errors.map((e) => e.message).join(", ") }, { status: 400 });
+    }
+    return json({ success: true });
+  } catch (error) {
+    return json({ success: false, error: toErrorResult(error).message }, { status: 502 });
+  }
+};
+
+function describeAge(completedAt) {
+  const hours = catalogAgeHours(completedAt);
+  if (hours < 1) return `${Math.max(1, Math.round(hours * 60))} minutes ago`;
+  return `${hours.toFixed(1)} hours ago`;
+}
+
+export default function CatalogSnapshot() {
+  const { snapshot, maxAgeHours, usable, matchesSettings } = useLoaderData();
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const shopify = useAppBridge();
+  const running = snapshot?.status === "running";
+  const { progress } = useUploadJob(running ? snapshot.jobId : null);
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show("Catalog export started");
+    } else if (fetcher.data?.error) {
+      shopify.toast.show(`Could not start the export: ${fetcher.data.error}`, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  // Every worker slice of the export's job may have stored more of it, or finished it
+  useEffect(() => {
+    if (progress) revalidate();
+  }, [progress, revalidate]);
+
+  return (
+    <Page>
+      <TitleBar title="Catalog snapshot" />
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Catalog snapshot"
+          description={
+            `A copy of all products, variants, SKUs, identifier metafields and media, exported with a ` +
+            `Shopify bulk operation. While it is less than ${maxAgeHours} hours old, uploads match files ` +
+            `against it instead of looking up every file; files it does not know are still looked up.`
+          }
+        >
+          <Card>
+            <BlockStack gap="300">
+              {snapshot?.error ? (
+                <Banner tone="critical" title="The last export failed">
+                  <p>{snapshot.error}</p>
+                </Banner>
+              ) : null}
+              {!matchesSettings ? (
+                <Banner tone="warning" title="Matching settings changed">
+                  <p>The snapshot was exported for other identifier metafields. Refresh it to use it again.</p>
+                </Banner>
+              ) : null}
+              {snapshot ? (
+                <BlockStack gap="100">
+                  <InlineStack gap="200">
+                    <Badge tone={STATUS_TONES[snapshot.status]}>{snapshot.status}</Badge>
+                    {snapshot.status === "ready" ? (
+                      <Badge tone={usable ? "success" : "attention"}>
+                        {usable ? "used for matching" : "not used"}
+                      </Badge>
+                    ) : null}
+                  </InlineStack>
+                  {snapshot.status === "ready" ? (
+                    <Text as="p" variant="bodyMd">
+                      {`${snapshot.objectCount} objects, exported ${describeAge(snapshot.completedAt)}`}
+                    </Text>
+                  ) : null}
+                  {running ? (
+                    <Text as="p" variant="bodyMd" tone="subdued">
+                      {snapshot.importedBytes
+                        ? `Storing the export: ${(snapshot.importedBytes / 1048576).toFixed(1)} MB so far.`
+                        : `Export started ${new Date(snapshot.startedAt).toLocaleString()}; large catalogs take a few minutes.`}
+                    </Text>
+                  ) : null}
+                </BlockStack>
+              ) : (
+                <Text as="p" variant="bodyMd">
+                  No snapshot yet. Every file is looked up in Shopify.
+                </Text>
+              )}
+              <InlineStack>
+                <Button
+                  variant="primary"
+                  onClick={() => fetcher.submit({}, { method: "post" })}
+                  loading={fetcher.state !== "idle"}
+                  disabled={running}
+                >
+                  {snapshot ? "Refresh snapshot" : "Create snapshot"}
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+      </Layout>
+    </Page>
+  );
+}
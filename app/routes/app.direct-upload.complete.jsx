@@ -1,105 +1,18 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-
-// Helper functions
-async function createFileInShopify(admin, resourceUrl, filename) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation FileCreate($files: [FileCreateInput!]!) {
-        fileCreate(files: $files) {
-          files {
-            id
-            fileStatus
-            preview {
-              image {
-                url
-              }
-            }
-          }
-          userErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        files: [
-          {
-            originalSource: resourceUrl,
-            contentType: "VIDEO",
-            alt: filename,
-          },
-        ],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.fileCreate?.userErrors || [];
-  const files = jsonRes?.data?.fileCreate?.files || [];
-  return { files, errors };
-}
-
-async function findProductByCustomId(admin, customId) {
-  try {
-    const response = await admin.graphql(
-      `#graphql
-        query FindProductByCustomId($identifier: ProductIdentifierInput!) {
-          productByIdentifier(identifier: $identifier) {
-            id
-            title
-          }
-        }
-      `,
-      {
-        variables: {
-          identifier: {
-            customId: { namespace: "custom", key: "id", value: customId },
-          },
-        },
-      },
-    );
-    const resJson = await response.json();
-    const product = resJson?.data?.productByIdentifier;
-    if (!product) return null;
-    return { productId: product.id, productTitle: product.title };
-  } catch (error) {
-    console.log("Product custom.id lookup failed:", error);
-    return null;
-  }
-}
-
-async function attachVideoToProduct(admin, productId, fileId, altText) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
-        productCreateMedia(productId: $productId, media: $media) {
-          media {
-            ... on Media { id alt }
-            ... on MediaImage { id alt image { originalSrc } }
-          }
-          mediaUserErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        productId,
-        media: [
-          {
-            mediaId: fileId,
-            alt: altText || null,
-          },
-        ],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.productCreateMedia?.mediaUserErrors || [];
-  const media = jsonRes?.data?.productCreateMedia?.media || [];
-  return { media, errors };
-}
+import {
+  createFile,
+  createMatchResolver,
+  createProductMedia,
+  createRemixTransport,
+  toErrorResult,
+} from "@mrpet/media-service";
+import { getMatchingConfig } from "../models/shopSettings.server";
+import { loadCatalogMatcher } from "../models/catalogSnapshot.server";
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
+  const gql = createRemixTransport(admin);
   
   try {
     const { resourceUrl, filename, customIds } = await request.json();
@@ -109,7 +22,11 @@ export const action = async ({ request }) => {
     }
 
     // Step 1: Create file in Shopify
-    const { files, errors: fileErrors } = await createFileInShopify(admin, resourceUrl, filename);
+    const { files, errors: fileErrors } = await createFile(gql, {
+      originalSource: resourceUrl,
+      contentType: "VIDEO",
+      alt: filename,
+    });
     if (fileErrors?.length) {
       return json({ success: false, error: "File creation failed", errors: fileErrors });
     }
@@ -120,21 +37,23 @@ export const action = async ({ request }) => {
     }
 
     // Step 2: Attach to all products
+    const matching = await getMatchingConfig(session.shop);
+    const resolver = createMatchResolver(gql, matching, {
+      catalog: await loadCatalogMatcher(session.shop, matching),
+    });
+    await resolver.prefetch(customIds);
     const results = [];
     for (const customId of customIds) {
       try {
-        const productMatch = await findProductByCustomId(admin, customId);
+        const productMatch = await resolver.resolve(customId);
         if (!productMatch?.productId) {
           results.push({ customId, status: "no_product_found" });
           continue;
         }
 
-        const { media, errors: attachErrors } = await attachVideoToProduct(
-          admin,
-          productMatch.productId,
-          fileId,
-          productMatch.productTitle || customId,
-        );
+        const { errors: attachErrors } = await createProductMedia(gql, productMatch.productId, [
+          { mediaId: fileId, alt: productMatch.productTitle || customId },
+        ]);
 
         if (attachErrors?.length) {
           results.push({ customId, status: "attach_failed", errors: attachErrors });
@@ -142,7 +61,7 @@ export const action = async ({ request }) => {
           results.push({ customId, status: "success", productId: productMatch.productId });
         }
       } catch (error) {
-        results.push({ customId, status: "error", message: error.message });
+        results.push({ customId, ...toErrorResult(error) });
       }
     }
 
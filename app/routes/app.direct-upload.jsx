@@ -16,149 +16,14 @@ import {
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { createRemixTransport, createStagedUpload } from "@mrpet/media-service";
+import { formatResultError } from "../models/uploadStatus";
 
 export const loader = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
   return json({ shop: session?.shop });
 };
 
-// Helper functions for direct upload
-async function createStagedUpload(admin, { filename, mimeType, fileSize }) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
-        stagedUploadsCreate(input: $input) {
-          stagedTargets { url resourceUrl parameters { name value } }
-          userErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        input: [
-          {
-            resource: "VIDEO",
-            filename,
-            mimeType: mimeType || "video/mp4",
-            fileSize: String(fileSize ?? 0),
-            httpMethod: "POST",
-          },
-        ],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.stagedUploadsCreate?.userErrors || [];
-  const target = jsonRes?.data?.stagedUploadsCreate?.stagedTargets?.[0];
-  return { target, errors };
-}
-
-async function uploadToS3Target(target, file, filename) {
-  const form = new FormData();
-  for (const param of target.parameters) {
-    form.append(param.name, param.value);
-  }
-  form.append("file", file, filename);
-  const res = await fetch(target.url, { method: "POST", body: form });
-  return res.ok;
-}
-
-async function createFileInShopify(admin, resourceUrl, filename) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation FileCreate($files: [FileCreateInput!]!) {
-        fileCreate(files: $files) {
-          files {
-            id
-            fileStatus
-            preview {
-              image {
-                url
-              }
-            }
-          }
-          userErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        files: [
-          {
-            originalSource: resourceUrl,
-            contentType: "VIDEO",
-            alt: filename,
-          },
-        ],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.fileCreate?.userErrors || [];
-  const files = jsonRes?.data?.fileCreate?.files || [];
-  return { files, errors };
-}
-
-async function findProductByCustomId(admin, customId) {
-  try {
-    const response = await admin.graphql(
-      `#graphql
-        query FindProductByCustomId($identifier: ProductIdentifierInput!) {
-          productByIdentifier(identifier: $identifier) {
-            id
-            title
-          }
-        }
-      `,
-      {
-        variables: {
-          identifier: {
-            customId: { namespace: "custom", key: "id", value: customId },
-          },
-        },
-      },
-    );
-    const resJson = await response.json();
-    const product = resJson?.data?.productByIdentifier;
-    if (!product) return null;
-    return { productId: product.id, productTitle: product.title };
-  } catch (error) {
-    console.log("Product custom.id lookup failed:", error);
-    return null;
-  }
-}
-
-async function attachVideoToProduct(admin, productId, fileId, altText) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
-        productCreateMedia(productId: $productId, media: $media) {
-          media {
-            ... on Media { id alt }
-            ... on MediaImage { id alt image { originalSrc } }
-          }
-          mediaUserErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        productId,
-        media: [
-          {
-            mediaId: fileId,
-            alt: altText || null,
-          },
-        ],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.productCreateMedia?.mediaUserErrors || [];
-  const media = jsonRes?.data?.productCreateMedia?.media || [];
-  return { media, errors };
-}
-
 // Get staged upload URL without processing the file
 export const action = async ({ request }) => {
   const { admin } = await authenticate.admin(request);
@@ -179,11 +44,11 @@ export const action = async ({ request }) => {
 
   try {
     // Only create staged upload URL - don't process the file
-    const { target, errors: stagedErrors } = await createStagedUpload(admin, {
-      filename,
-      mimeType,
-      fileSize: parseInt(fileSize),
-    });
+    const { target, errors: stagedErrors } = await createStagedUpload(
+      createRemixTransport(admin),
+      { filename, mimeType, fileSize: parseInt(fileSize) },
+      { resource: "VIDEO" },
+    );
 
     if (!target) {
       return json({ success: false, error: "Staged upload failed", errors: stagedErrors });
@@ -352,11 +217,12 @@ export default function DirectUpload() {
                 tone={fetcher.data.success ? "success" : "critical"} 
               />
               <DataTable
-                columnContentTypes={["text", "text"]}
-                headings={["Custom ID", "Status"]}
+                columnContentTypes={["text", "text", "text"]}
+                headings={["Custom ID", "Status", "Details"]}
                 rows={fetcher.data.results.map((r) => [
                   r.customId,
-                  r.status + (r.message ? `: ${r.message}` : ""),
+                  r.status,
+                  formatResultError(r) || "-",
                 ])}
               />
             </BlockStack>
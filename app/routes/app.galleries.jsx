@@ -0,0 +1,307 @@
+import { json } from "@remix-run/node";
+import { Link, useFetcher, useLoaderData, useSearchParams } from "@remix-run/react";
+import { useCallback, useEffect, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Banner,
+  Button,
+  TextField,
+  DataTable,
+  IndexTable,
+  ProgressBar,
+  useIndexResourceState,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getOrderingRules } from "../models/shopSettings.server";
+import {
+  createGallerySortJob,
+  describeUploader,
+  getUploadJob,
+  startGallerySort,
+} from "../models/uploadJob.server";
+import { useUploadJob } from "../hooks/useUploadJob";
+import {
+  FINISHED_JOB_STATUSES,
+  QUEUED_STATUSES,
+  formatResultError,
+  isSuccessStatus,
+  statusTone,
+} from "../models/uploadStatus";
+import {
+  createRemixTransport,
+  createThrottledTransport,
+  listProductsToSort,
+  toErrorResult,
+} from "@mrpet/media-service";
+
+// A scan covers at most this many products; narrower filters split larger catalogs
+const MAX_SCAN_PRODUCTS = Number(process.env.GALLERY_SORT_MAX_PRODUCTS || 2500);
+
+// Moves listed per product in the preview
+const PREVIEW_MOVES = 3;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const jobId = new URL(request.url).searchParams.get("job");
+  const job = jobId ? await getUploadJob(session.shop, jobId) : null;
+  return json({
+    rules: await getOrderingRules(session.shop),
+    job: job?.kind === "sort" ? job : null,
+  });
+};
+
+// All products matching the filters, or { error } when there are more than a scan covers
+async function findProducts(gql, filters) {
+  const products = [];
+  let after = null;
+  do {
+    const page = await listProductsToSort(gql, filters, { after });
+    products.push(...page.products);
+    after = page.nextCursor;
+    if (products.length > MAX_SCAN_PRODUCTS) {
+      return { error: `More than ${MAX_SCAN_PRODUCTS} products match, narrow the filters` };
+    }
+  } while (after);
+  return { products };
+}
+
+// scan: queue a sort job over the matching products, which the page then drives through its scan.
+// sort: apply the scanned order to the selected products of that job.
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const form = await request.formData();
+
+  if (form.get("intent") === "sort") {
+    const itemIds = JSON.parse(String(form.get("itemIds") || "[]"));
+    const products = await startGallerySort(session.shop, String(form.get("jobId")), itemIds);
+    if (products === null) {
+      return json({ success: false, error: "The scan is still running or was applied already" }, { status: 409 });
+    }
+    if (!products) return json({ success: false, error: "No products selected" }, { status: 400 });
+    return json({ success: true, products });
+  }
+
+  const filters = {
+    collectionId: form.get("collectionId") || null,
+    vendor: String(form.get("vendor") || "").trim(),
+    tag: String(form.get("tag") || "").trim(),
+  };
+  const gql = createThrottledTransport(createRemixTransport(admin));
+  try {
+    const { products, error } = await findProducts(gql, filters);
+    if (error) return json({ success: false, error }, { status: 400 });
+    if (!products.length) return json({ success: false, error: "No products match the filters" }, { status: 400 });
+    const job = await createGallerySortJob({
+      shop: session.shop,
+      ...describeUploader(session, sessionToken),
+      products,
+    });
+    return json({ success: true, jobId: job.id });
+  } catch (error) {
+    return json({ success: false, error: toErrorResult(error).message }, { status: 502 });
+  }
+};
+
+function describeMove(move) {
+  const label = move.alt || (move.mediaContentType || "media").toLowerCase();
+  return `${label}: ${move.from} → ${move.to}`;
+}
+
+function describeMoves(item) {
+  const moves = item.error?.details || [];
+  const shown = moves.slice(0, PREVIEW_MOVES).map(describeMove).join(", ");
+  return moves.length > PREVIEW_MOVES ? `${shown} and ${moves.length - PREVIEW_MOVES} more` : shown;
+}
+
+export default function Galleries() {
+  const { rules, job } = useLoaderData();
+  const shopify = useAppBridge();
+  const [, setSearchParams] = useSearchParams();
+  const scanFetcher = useFetcher();
+  const sortFetcher = useFetcher();
+  const [collection, setCollection] = useState(null);
+  const [vendor, setVendor] = useState("");
+  const [tag, setTag] = useState("");
+
+  const finished = !job || FINISHED_JOB_STATUSES.includes(job.status);
+  // Every worker slice revalidates the loader, so the job's items are the progress
+  const { isRunning } = useUploadJob(finished ? null : job.id);
+  const products = job?.items.filter((i) => i.productId) || [];
+  const processed = products.filter((i) => !QUEUED_STATUSES.includes(i.status)).length;
+  const toSort = products.filter((i) => i.status === "would_sort");
+  const failed = products.filter((i) => !isSuccessStatus(i.status) && !QUEUED_STATUSES.includes(i.status));
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(toSort);
+  const reviewing = job?.phase === "scan" && job.status === "completed";
+
+  useEffect(() => {
+    if (scanFetcher.data?.jobId) setSearchParams({ job: scanFetcher.data.jobId });
+    else if (scanFetcher.data?.error) {
+      shopify.toast.show(`Scan failed: ${scanFetcher.data.error}`, { isError: true });
+    }
+  }, [scanFetcher.data, setSearchParams, shopify]);
+
+  useEffect(() => {
+    if (sortFetcher.data?.error) shopify.toast.show(sortFetcher.data.error, { isError: true });
+  }, [sortFetcher.data, shopify]);
+
+  const pickCollection = useCallback(async () => {
+    const selection = await shopify.resourcePicker({ type: "collection", multiple: false });
+    if (selection?.[0]) setCollection({ id: selection[0].id, title: selection[0].title });
+  }, [shopify]);
+
+  const scan = () =>
+    scanFetcher.submit(
+      { intent: "scan", collectionId: collection?.id || "", vendor, tag },
+      { method: "post" },
+    );
+
+  const sortSelected = () => {
+    const itemIds = allResourcesSelected ? toSort.map((i) => i.id) : selectedResources;
+    clearSelection();
+    sortFetcher.submit({ intent: "sort", jobId: job.id, itemIds: JSON.stringify(itemIds) }, { method: "post" });
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Re-sort galleries" />
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Products"
+          description="Galleries of the matching products are checked against the shop's media order rules. Nothing changes until you apply the preview."
+        >
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack gap="200" blockAlign="center">
+                <Button onClick={pickCollection}>{collection ? "Change collection" : "Pick a collection"}</Button>
+                {collection ? (
+                  <>
+                    <Text as="span" variant="bodyMd">
+                      {collection.title}
+                    </Text>
+                    <Button variant="plain" onClick={() => setCollection(null)}>
+                      Clear
+                    </Button>
+                  </>
+                ) : (
+                  <Text as="span" variant="bodyMd" tone="subdued">
+                    All collections
+                  </Text>
+                )}
+              </InlineStack>
+              <InlineStack gap="300">
+                <TextField label="Vendor" value={vendor} onChange={setVendor} autoComplete="off" />
+                <TextField label="Tag" value={tag} onChange={setTag} autoComplete="off" />
+              </InlineStack>
+              <Text as="p" variant="bodySm" tone="subdued">
+                {`Rules: ${rules.join(", ")}. `}
+                <Link to="/app/settings">Change them in Settings</Link>
+              </Text>
+              <InlineStack>
+                <Button
+                  variant="primary"
+                  onClick={scan}
+                  loading={scanFetcher.state !== "idle"}
+                  disabled={isRunning}
+                >
+                  Scan galleries
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        {job ? (
+          <Layout.Section>
+            <BlockStack gap="400">
+              {!finished ? (
+                <Card>
+                  <BlockStack gap="100">
+                    <Text as="p" variant="bodyMd">
+                      {`${job.phase === "scan" ? "Scanned" : "Sorted"} ${processed} of ${products.length} products`}
+                    </Text>
+                    <ProgressBar progress={(processed / products.length) * 100} size="small" />
+                  </BlockStack>
+                </Card>
+              ) : null}
+              {job.error ? (
+                <Banner title="The job failed" tone="critical">
+                  <p>{job.error}</p>
+                </Banner>
+              ) : null}
+              {reviewing ? (
+                <Card>
+                  <BlockStack gap="200">
+                    <BlockStack gap="100" inlineAlign="start">
+                      <Text as="h2" variant="headingMd">
+                        {`${toSort.length} of ${products.length} galleries are out of order`}
+                      </Text>
+                      {failed.length ? (
+                        <Badge tone="critical">{`${failed.length} could not be checked`}</Badge>
+                      ) : null}
+                    </BlockStack>
+                    {toSort.length ? (
+                      <IndexTable
+                        resourceName={{ singular: "product", plural: "products" }}
+                        itemCount={toSort.length}
+                        selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+                        onSelectionChange={handleSelectionChange}
+                        promotedBulkActions={[{ content: "Apply new order", onAction: sortSelected }]}
+                        headings={[{ title: "Product" }, { title: "Changes" }, { title: "Moves" }]}
+                      >
+                        {toSort.map((item, index) => (
+                          <IndexTable.Row
+                            id={item.id}
+                            key={item.id}
+                            position={index}
+                            selected={selectedResources.includes(item.id)}
+                          >
+                            <IndexTable.Cell>{item.productTitle || item.productId}</IndexTable.Cell>
+                            <IndexTable.Cell>{item.error?.message || "-"}</IndexTable.Cell>
+                            <IndexTable.Cell>{describeMoves(item)}</IndexTable.Cell>
+                          </IndexTable.Row>
+                        ))}
+                      </IndexTable>
+                    ) : null}
+                  </BlockStack>
+                </Card>
+              ) : null}
+              {job.phase === "sort" && finished ? (
+                <Banner
+                  title={`Sorted ${products.filter((i) => i.status === "sorted").length} galleries`}
+                  tone={failed.length ? "warning" : "success"}
+                  action={{ content: "View in upload history", url: `/app/history/${job.id}` }}
+                >
+                  {failed.length ? <p>{`${failed.length} products failed, see the report below.`}</p> : null}
+                </Banner>
+              ) : null}
+              {job.phase === "sort" || failed.length ? (
+                <Card>
+                  <DataTable
+                    columnContentTypes={["text", "text", "text"]}
+                    headings={["Product", "Status", "Changes / error"]}
+                    rows={products
+                      .filter((i) => (job.phase === "sort" ? i.status !== "unchanged" : failed.includes(i)))
+                      .map((item) => [
+                        item.productTitle || item.productId,
+                        <Badge key="status" tone={statusTone(item.status)}>
+                          {item.status}
+                        </Badge>,
+                        isSuccessStatus(item.status) ? item.error?.message || "-" : formatResultError(item.error) || "-",
+                      ])}
+                  />
+                </Card>
+              ) : null}
+            </BlockStack>
+          </Layout.Section>
+        ) : null}
+      </Layout>
+    </Page>
+  );
+}
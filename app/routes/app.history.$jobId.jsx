@@ -0,0 +1,197 @@
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useEffect, useRef, useState } from "react";
+import {
+  Page,
+  Card,
+  BlockStack,
+  Text,
+  InlineStack,
+  Badge,
+  Banner,
+  Button,
+  DataTable,
+  ProgressBar,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  countProductSnapshots,
+  getUploadJob,
+  startUploadJobUndo,
+} from "../models/uploadJob.server";
+import { useUploadJob } from "../hooks/useUploadJob";
+import { describeLookupStats } from "@mrpet/media-service";
+import {
+  FINISHED_JOB_STATUSES,
+  formatResultError,
+  isSuccessStatus,
+  statusTone,
+} from "../models/uploadStatus";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await getUploadJob(session.shop, params.jobId);
+  if (!job) {
+    throw new Response("Upload job not found", { status: 404 });
+  }
+  // Reloaded after every worker slice of an undo, so it also reports the undo's progress
+  return json({ job, snapshots: await countProductSnapshots(job.id) });
+};
+
+// Undo: queue the restore of every product the job changed; the page then drives the worker
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const products = await startUploadJobUndo(session.shop, params.jobId);
+  if (products === null) {
+    return json({ success: false, error: "The job is still running or was undone already" }, { status: 409 });
+  }
+  if (!products) {
+    return json({ success: false, error: "The job changed no products" }, { status: 400 });
+  }
+  return json({ success: true, products });
+};
+
+// Page that drives a job of each kind to completion
+function resumeUrl(job) {
+  if (job.kind === "sort") return `/app/galleries?job=${job.id}`;
+  if (job.kind === "catalog") return "/app/catalog";
+  return `/app?job=${job.id}`;
+}
+
+export default function UploadJobDetail() {
+  const { job, snapshots } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [confirming, setConfirming] = useState(false);
+  const finished = FINISHED_JOB_STATUSES.includes(job.status);
+  // An undo started here, or one left unfinished, is driven from this page like an upload
+  const undoing = fetcher.data?.success || (job.phase === "undo" && !finished);
+  const { progress, isRunning } = useUploadJob(undoing ? job.id : null);
+  const undoableProducts = snapshots.total - snapshots.restored;
+  const canUndo =
+    job.kind === "image" && finished && job.status !== "undone" && undoableProducts > 0 && !isRunning;
+
+  useEffect(() => {
+    if (fetcher.data?.error) shopify.toast.show(`Undo failed: ${fetcher.data.error}`, { isError: true });
+  }, [fetcher.data, shopify]);
+
+  // Finished progress stays around, so report it once
+  const reported = useRef(false);
+  useEffect(() => {
+    if (!progress?.done || reported.current) return;
+    reported.current = true;
+    shopify.toast.show(progress.error ? `Undo failed: ${progress.error}` : "Job undone", {
+      isError: !!progress.error,
+    });
+  }, [progress, shopify]);
+
+  return (
+    <Page backAction={{ content: "Upload history", url: "/app/history" }}>
+      <TitleBar title="Upload job" />
+      <BlockStack gap="400">
+        {job.status === "undone" ? (
+          <Banner title="This job was undone" tone="info">
+            <p>{`The products it changed were restored on ${new Date(job.undoneAt).toLocaleString()}.`}</p>
+          </Banner>
+        ) : null}
+        {isRunning ? (
+          <Card>
+            <BlockStack gap="100">
+              <Text as="p" variant="bodyMd">
+                {`Restored ${snapshots.restored} of ${snapshots.total} products`}
+              </Text>
+              <ProgressBar progress={(snapshots.restored / snapshots.total) * 100} size="small" />
+            </BlockStack>
+          </Card>
+        ) : null}
+        {confirming && canUndo ? (
+          <Banner
+            title={`Undo this job on ${undoableProducts} ${undoableProducts === 1 ? "product" : "products"}?`}
+            tone="warning"
+            action={{
+              content: "Undo job",
+              loading: fetcher.state !== "idle",
+              onAction: () => {
+                setConfirming(false);
+                reported.current = false;
+                fetcher.submit({}, { method: "post" });
+              },
+            }}
+            secondaryAction={{ content: "Cancel", onAction: () => setConfirming(false) }}
+            onDismiss={() => setConfirming(false)}
+          >
+            <p>
+              Images the job added are deleted, images it replaced or removed are uploaded again from
+              their saved copies, and gallery order and variant images are put back. Changes made to
+              these products after the job may be lost.
+            </p>
+          </Banner>
+        ) : null}
+        {!finished && !undoing ? (
+          <Banner
+            title="This job has not finished processing"
+            tone="warning"
+            action={{
+              content: "Resume processing",
+              url: resumeUrl(job),
+            }}
+          />
+        ) : null}
+        {job.error ? (
+          <Banner title="Upload job failed" tone="critical">
+            <p>{job.error}</p>
+          </Banner>
+        ) : null}
+        <Card>
+          <BlockStack gap="200">
+            <Text as="h2" variant="headingMd">
+              {new Date(job.createdAt).toLocaleString()}
+            </Text>
+            <InlineStack gap="200">
+              <Text as="span" variant="bodyMd">
+                Uploaded by {job.uploadedBy || "unknown"}
+              </Text>
+              <Badge>{job.kind}</Badge>
+              <Badge>{job.status}</Badge>
+              <Badge tone="success">{`${job.okCount} succeeded`}</Badge>
+              {job.failedCount ? <Badge tone="critical">{`${job.failedCount} failed`}</Badge> : null}
+            </InlineStack>
+            {canUndo && !confirming ? (
+              <InlineStack>
+                <Button tone="critical" onClick={() => setConfirming(true)}>
+                  Undo job
+                </Button>
+              </InlineStack>
+            ) : null}
+            {describeLookupStats(job.lookupStats) ? (
+              <Text as="p" variant="bodySm" tone="subdued">
+                {`Product lookups: ${describeLookupStats(job.lookupStats)}`}
+              </Text>
+            ) : null}
+          </BlockStack>
+        </Card>
+        <Card>
+          <DataTable
+            columnContentTypes={["text", "text", "text", "text", "numeric", "text", "text", "text"]}
+            headings={["File", "SKU", "Product", "Variant", "Position", "Existing images", "Status", "Media / error"]}
+            rows={job.items.map((item) => [
+              item.filename || item.productId || "Product",
+              item.sku || "-",
+              item.productTitle || item.productId || "-",
+              item.variantTitle || "-",
+              item.position ?? "-",
+              item.onExisting || "-",
+              <Badge key="status" tone={statusTone(item.status)}>
+                {item.status + (item.replaced ? ` (${item.replaced} replaced)` : "")}
+              </Badge>,
+              (isSuccessStatus(item.status) && (item.mediaId || item.error?.message)) ||
+                formatResultError(item.error) ||
+                "-",
+            ])}
+          />
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,222 @@
+import { json } from "@remix-run/node";
+import { Link, useLoaderData, useSearchParams } from "@remix-run/react";
+import { useCallback, useState } from "react";
+import {
+  Page,
+  Card,
+  BlockStack,
+  Text,
+  InlineStack,
+  Button,
+  TextField,
+  Select,
+  Pagination,
+  EmptyState,
+  Badge,
+  IndexTable,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { listUploadJobItems, listUploadJobs } from "../models/uploadJob.server";
+import { statusTone } from "../models/uploadStatus";
+
+const STATUS_OPTIONS = [
+  { label: "Any status", value: "" },
+  { label: "Succeeded", value: "ok" },
+  { label: "Failed", value: "failed" },
+  { label: "Replaced", value: "replaced" },
+  { label: "Unchanged", value: "unchanged" },
+  { label: "Skipped, image existed", value: "skipped_existing" },
+  { label: "Gallery sorted", value: "sorted" },
+  { label: "No product for SKU", value: "no_product_for_sku" },
+  { label: "Ambiguous SKU", value: "ambiguous_sku" },
+  { label: "Attach failed", value: "attach_failed" },
+  { label: "Shopify connection error", value: "transport_error" },
+  { label: "Shopify API error", value: "graphql_error" },
+  { label: "Rate limited", value: "throttled" },
+];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const query = (url.searchParams.get("q") || "").trim();
+  const status = url.searchParams.get("status") || "";
+  const page = Math.max(1, parseInt(url.searchParams.get("page") || "1", 10) || 1);
+
+  const [jobList, items] = await Promise.all([
+    listUploadJobs(session.shop, { query, status, page }),
+    query || status ? listUploadJobItems(session.shop, { query, status }) : [],
+  ]);
+
+  return json({ ...jobList, items, query, status });
+};
+
+const JOB_STATUS_TONES = {
+  queued: "attention",
+  running: "info",
+  completed: "success",
+  failed: "critical",
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "-";
+}
+
+function StatusBadge({ status }) {
+  return (
+    <Badge tone={statusTone(status)}>
+      {status}
+    </Badge>
+  );
+}
+
+export default function UploadHistory() {
+  const { jobs, count, page, pageCount, items, query, status } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [queryValue, setQueryValue] = useState(query);
+
+  const applyFilters = useCallback(
+    (next) => {
+      const params = new URLSearchParams(searchParams);
+      for (const [key, value] of Object.entries(next)) {
+        if (value) params.set(key, value);
+        else params.delete(key);
+      }
+      if (!("page" in next)) params.delete("page");
+      setSearchParams(params);
+    },
+    [searchParams, setSearchParams],
+  );
+
+  return (
+    <Page>
+      <TitleBar title="Upload history" />
+      <BlockStack gap="400">
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack gap="200" blockAlign="end">
+              <div style={{ flexGrow: 1 }}>
+                <TextField
+                  label="SKU, custom ID, filename or product"
+                  value={queryValue}
+                  onChange={setQueryValue}
+                  autoComplete="off"
+                  clearButton
+                  onClearButtonClick={() => {
+                    setQueryValue("");
+                    applyFilters({ q: "" });
+                  }}
+                />
+              </div>
+              <Select
+                label="Status"
+                options={STATUS_OPTIONS}
+                value={status}
+                onChange={(value) => applyFilters({ status: value })}
+              />
+              <Button onClick={() => applyFilters({ q: queryValue.trim() })}>Search</Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        {items.length ? (
+          <Card>
+            <BlockStack gap="200">
+              <Text as="h2" variant="headingMd">
+                Matching files ({items.length})
+              </Text>
+              <IndexTable
+                resourceName={{ singular: "file", plural: "files" }}
+                itemCount={items.length}
+                selectable={false}
+                headings={[
+                  { title: "Uploaded" },
+                  { title: "By" },
+                  { title: "File" },
+                  { title: "SKU" },
+                  { title: "Product" },
+                  { title: "Status" },
+                ]}
+              >
+                {items.map((item, index) => (
+                  <IndexTable.Row id={item.id} key={item.id} position={index}>
+                    <IndexTable.Cell>
+                      <Link to={`/app/history/${item.job.id}`}>{formatDate(item.createdAt)}</Link>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{item.job.uploadedBy || "-"}</IndexTable.Cell>
+                    <IndexTable.Cell>{item.filename || "-"}</IndexTable.Cell>
+                    <IndexTable.Cell>{item.sku || "-"}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      {[item.productTitle, item.variantTitle].filter(Boolean).join(" - ") || "-"}
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <StatusBadge status={item.status} />
+                    </IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            </BlockStack>
+          </Card>
+        ) : null}
+
+        <Card>
+          {jobs.length === 0 ? (
+            <EmptyState heading="No upload jobs found">
+              <Text as="p" variant="bodyMd">
+                {query || status
+                  ? "No jobs match the current filters."
+                  : "Jobs appear here after the first bulk image upload."}
+              </Text>
+            </EmptyState>
+          ) : (
+            <BlockStack gap="300">
+              <Text as="p" variant="bodyMd">
+                Showing {jobs.length} of {count} jobs
+              </Text>
+              <IndexTable
+                resourceName={{ singular: "job", plural: "jobs" }}
+                itemCount={jobs.length}
+                selectable={false}
+                headings={[
+                  { title: "Started" },
+                  { title: "By" },
+                  { title: "Type" },
+                  { title: "Status" },
+                  { title: "Files" },
+                  { title: "Succeeded" },
+                  { title: "Failed" },
+                ]}
+              >
+                {jobs.map((job, index) => (
+                  <IndexTable.Row id={job.id} key={job.id} position={index}>
+                    <IndexTable.Cell>
+                      <Link to={`/app/history/${job.id}`}>{formatDate(job.createdAt)}</Link>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{job.uploadedBy || "-"}</IndexTable.Cell>
+                    <IndexTable.Cell>{job.kind}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <Badge tone={JOB_STATUS_TONES[job.status]}>{job.status}</Badge>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{job.totalFiles}</IndexTable.Cell>
+                    <IndexTable.Cell>{job.okCount}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      {job.failedCount ? <Badge tone="critical">{String(job.failedCount)}</Badge> : 0}
+                    </IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+              <InlineStack align="center">
+                <Pagination
+                  hasPrevious={page > 1}
+                  onPrevious={() => applyFilters({ page: String(page - 1) })}
+                  hasNext={page < pageCount}
+                  onNext={() => applyFilters({ page: String(page + 1) })}
+                />
+              </InlineStack>
+            </BlockStack>
+          )}
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,134 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { createUploadJob, describeUploader, toItemData } from "../models/uploadJob.server";
+import { getNamingConfig } from "../models/shopSettings.server";
+import {
+  DEFAULT_ON_EXISTING,
+  ON_EXISTING_POLICIES,
+  SKIPPED_EXISTING,
+  extractSkuAndIndexFromFilename,
+  validateManifestEntry,
+} from "@mrpet/media-service";
+
+// Step 2 of the direct image upload: the browser reports which files reached their staged targets.
+// Uploaded files are queued for the worker, which attaches them, assigns variants and reorders. Files
+// mapped by a manifest row keep the row on their job item.
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const { uploads, onExisting = DEFAULT_ON_EXISTING } = await request.json();
+    if (!Array.isArray(uploads) || !uploads.length) {
+      return json({ success: false, error: "Missing required data" }, { status: 400 });
+    }
+    if (!ON_EXISTING_POLICIES.includes(onExisting)) {
+      return json({ success: false, error: `Unknown policy ${onExisting}` }, { status: 400 });
+    }
+    const invalid = uploads.find((upload) => upload.manifest && validateManifestEntry(upload.manifest));
+    if (invalid) {
+      const error = validateManifestEntry(invalid.manifest);
+      return json({ success: false, error: `Manifest row ${invalid.manifest.row}: ${error}` }, { status: 400 });
+    }
+
+    const naming = await getNamingConfig(session.shop);
+    const items = uploads.map((upload) => {
+      const filename = String(upload.filename || "");
+      if (!filename) return { filename: String(upload.filename), status: "invalid_file" };
+      const parsed = extractSkuAndIndexFromFilename(filename, naming);
+      const manifest = upload.manifest || null;
+      // The preview lets the user correct the key of a file that did not match
+      const sku = String(upload.sku || manifest?.key || parsed.sku).trim();
+      // Files of an archive laid out one folder per product bring their position in the folder
+      const folderPosition = Number.isInteger(upload.position) && upload.position >= 0 ? upload.position : null;
+      const index = manifest?.index ?? folderPosition ?? parsed.index;
+      const option = manifest?.option || parsed.option;
+      const policy = manifest?.onExisting || onExisting;
+      if (upload.status === "unchanged" && upload.mediaId) {
+        // The preview found the same bytes in this slot, so the browser did not upload the file. The
+        // media id keeps the existing image in the job's reordering.
+        return toItemData({
+          filename,
+          sku,
+          order: index,
+          status: "unchanged",
+          productId: upload.productId,
+          productTitle: upload.productTitle,
+          variantId: upload.variantId,
+          variantTitle: upload.variantTitle,
+          matchedBy: upload.matchedBy,
+          mediaId: upload.mediaId,
+          onExisting: policy,
+        });
+      }
+      if (upload.status === SKIPPED_EXISTING && upload.productId) {
+        // The "skip" policy found an image in this slot, so the browser did not upload the file
+        return toItemData({
+          filename,
+          sku,
+          order: index,
+          status: SKIPPED_EXISTING,
+          productId: upload.productId,
+          productTitle: upload.productTitle,
+          variantId: upload.variantId,
+          variantTitle: upload.variantTitle,
+          matchedBy: upload.matchedBy,
+          message: upload.message,
+          onExisting: policy,
+        });
+      }
+      if (!upload.resourceUrl) {
+        return toItemData({
+          filename,
+          sku,
+          order: index,
+          status: upload.status || "s3_upload_failed",
+          errors: upload.errors,
+          message: upload.message,
+          onExisting: policy,
+        });
+      }
+      return {
+        filename,
+        sku,
+        position: index,
+        status: "pending",
+        onExisting: policy,
+        // 1234__color-blue.jpg goes to every variant of the product whose Color is Blue
+        variantOption: option || undefined,
+        // A corrected key is looked up like a filename key
+        manifest: manifest
+          ? {
+              row: manifest.row,
+              lookup: sku === manifest.key ? manifest.lookup : null,
+              alt: manifest.alt,
+              variant: manifest.variant,
+            }
+          : undefined,
+        resourceUrl: upload.resourceUrl,
+        mimeType: upload.mimeType || null,
+        fileSize: Number.isFinite(upload.fileSize) ? upload.fileSize : null,
+        contentHash: /^[0-9a-f]{64}$/.test(upload.sha256 || "") ? upload.sha256 : null,
+        // Product or variant picked by hand in the preview; the worker skips the lookup
+        ...(upload.productId
+          ? {
+              productId: String(upload.productId),
+              productTitle: upload.productTitle || null,
+              variantId: upload.variantId || null,
+              variantTitle: upload.variantTitle || null,
+              matchedBy: "manual",
+            }
+          : {}),
+      };
+    });
+
+    const job = await createUploadJob({
+      shop: session.shop,
+      ...describeUploader(session, sessionToken),
+      items,
+    });
+
+    return json({ success: true, jobId: job.id });
+  } catch (error) {
+    return json({ success: false, error: error.message });
+  }
+};
@@ -0,0 +1,197 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getMatchingConfig, getNamingConfig } from "../models/shopSettings.server";
+import { loadCatalogMatcher } from "../models/catalogSnapshot.server";
+import {
+  DEFAULT_ON_EXISTING,
+  ON_EXISTING_POLICIES,
+  createRemixTransport,
+  createThrottledTransport,
+  describeOptionVariants,
+  extractSkuAndIndexFromFilename,
+  findNamedVariant,
+  findOptionVariants,
+  getMediaHashes,
+  listProductImageMedia,
+  listProductVariantOptions,
+  createMatchResolver,
+  optionSlotKey,
+  planImageUpload,
+  toErrorResult,
+  validateManifestEntry,
+  variantSlotKey,
+} from "@mrpet/media-service";
+
+// Dry run of the upload worker's matching for a batch of filenames: which product and variant each file
+// would go to, where the upload puts it in the gallery (before the gallery is sorted by the ordering
+// rules) and how many existing images it would replace, or whether its bytes (sha256 from the browser)
+// are already there. Option files (1234__color-blue.jpg) list how many variants they go to. Files mapped
+// by a manifest row use the row's key, lookup, position, variant, option and policy instead of their
+// name. Nothing is uploaded or changed. With a fresh catalog snapshot the estimates come from the images
+// and hash records it holds; the worker reads them live when it uploads.
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const gql = createThrottledTransport(createRemixTransport(admin));
+
+  const { files, onExisting = DEFAULT_ON_EXISTING } = await request.json();
+  if (!Array.isArray(files) || !files.length) {
+    return json({ success: false, error: "No files provided" }, { status: 400 });
+  }
+  if (!ON_EXISTING_POLICIES.includes(onExisting)) {
+    return json({ success: false, error: `Unknown policy ${onExisting}` }, { status: 400 });
+  }
+
+  const invalid = files.find((file) => file.manifest && validateManifestEntry(file.manifest));
+  if (invalid) {
+    const error = validateManifestEntry(invalid.manifest);
+    return json({ success: false, error: `Manifest row ${invalid.manifest.row}: ${error}` }, { status: 400 });
+  }
+
+  const [naming, matching] = await Promise.all([
+    getNamingConfig(session.shop),
+    getMatchingConfig(session.shop),
+  ]);
+
+  const entries = files.map((file) => {
+    const filename = String(file.filename || "");
+    const parsed = extractSkuAndIndexFromFilename(filename, naming);
+    const manifest = file.manifest || null;
+    // A key typed into the preview table replaces the one taken from the manifest or filename, and is
+    // looked up like a filename key
+    const sku = String(file.sku || manifest?.key || parsed.sku).trim();
+    // Files of an archive laid out one folder per product bring their position in the folder
+    const folderPosition = Number.isInteger(file.position) && file.position >= 0 ? file.position : null;
+    return {
+      file,
+      filename,
+      sku,
+      lookup: manifest?.lookup && sku === manifest.key ? manifest.lookup : null,
+      index: manifest?.index ?? folderPosition ?? parsed.index,
+      option: manifest?.option || parsed.option || null,
+      variant: manifest?.variant || null,
+      onExisting: manifest?.onExisting || onExisting,
+      sha256: file.sha256 || null,
+    };
+  });
+
+  // All keys of the batch are looked up together; files of one product (1234, 1234_1, ...) also
+  // share their image listing and hash record
+  const catalog = await loadCatalogMatcher(session.shop, matching);
+  const resolver = createMatchResolver(gql, matching, { catalog });
+  const toResolve = entries.filter((e) => !e.file.productId);
+  for (const lookup of new Set(toResolve.map((e) => e.lookup))) {
+    const keys = toResolve.filter((e) => e.lookup === lookup).map((e) => e.sku);
+    await resolver.prefetch(keys, { lookup: lookup || undefined });
+  }
+  const products = new Map();
+  const loadProduct = (productId) => {
+    const snapshotMedia = catalog?.productMedia(productId);
+    if (snapshotMedia) {
+      const images = snapshotMedia.filter((m) => m.__typename === "MediaImage");
+      return Promise.resolve([images, catalog.productHashes(productId)]);
+    }
+    if (!products.has(productId)) {
+      products.set(
+        productId,
+        Promise.all([listProductImageMedia(gql, productId), getMediaHashes(gql, productId)]),
+      );
+    }
+    return products.get(productId);
+  };
+  const variantOptions = new Map();
+  const loadVariantOptions = (productId) => {
+    if (!variantOptions.has(productId)) variantOptions.set(productId, listProductVariantOptions(gql, productId));
+    return variantOptions.get(productId);
+  };
+
+  // replace-all removes a product's images once; later files of the product count nothing again
+  const counted = new Map();
+  const rows = [];
+  for (const { file, filename, sku, lookup, index, option, variant, onExisting: policy, sha256 } of entries) {
+    try {
+      // A product or variant picked by hand skips the lookup, as it does in the worker
+      let match = file.productId
+        ? {
+            productId: file.productId,
+            productTitle: file.productTitle || null,
+            variantId: file.variantId || null,
+            variantTitle: file.variantTitle || null,
+            matchedBy: "manual",
+          }
+        : await resolver.resolve(sku, { lookup: lookup || undefined });
+      if (!match) {
+        rows.push({ filename, sku, index, status: "no_product_for_sku" });
+        continue;
+      }
+      // The variant named in a manifest row replaces the variant of the key, unless one was picked
+      let slotKey = optionSlotKey(sku, option);
+      if (variant && !(match.matchedBy === "manual" && match.variantId)) {
+        const named = findNamedVariant(await loadVariantOptions(match.productId), variant);
+        if (!named) {
+          rows.push({
+            filename,
+            sku,
+            index,
+            ...match,
+            status: "variant_not_found",
+            message: `No variant of ${match.productTitle || match.productId} has the SKU or title "${variant}"`,
+          });
+          continue;
+        }
+        match = { ...match, variantId: named.id, variantTitle: named.title };
+        slotKey = variantSlotKey(sku, named);
+      }
+      // An option file goes to the variants of its option value instead of the variant of the key
+      let variantCount = 0;
+      if (option) {
+        const found = findOptionVariants(await loadVariantOptions(match.productId), option);
+        match = { ...match, variantId: null, variantTitle: describeOptionVariants(found) };
+        variantCount = found.variants.length;
+        if (!variantCount) {
+          rows.push({
+            filename,
+            sku,
+            index,
+            ...match,
+            status: "no_variant_for_option",
+            message: `No variant of ${match.productTitle || match.productId} has ${option.name} "${option.value}"`,
+          });
+          continue;
+        }
+      }
+      const [existing, hashes] = await loadProduct(match.productId);
+      const keep = counted.get(match.productId) || [];
+      const plan = planImageUpload(
+        existing,
+        hashes,
+        { filename, sku: slotKey, index, sha256 },
+        { policy, keep },
+      );
+      const replaceIds = plan.replace.map((img) => img.id);
+      counted.set(match.productId, [...keep, ...replaceIds]);
+      rows.push({
+        filename,
+        sku,
+        index,
+        status: "matched",
+        ...match,
+        variantCount,
+        willReplace: replaceIds.length,
+        replaceIds,
+        // Media already holding these bytes in this slot; the file is not uploaded again
+        unchangedMediaId: plan.unchanged?.id || null,
+        // Image occupying the slot under the "skip" policy; the file is not uploaded
+        skipMediaId: plan.skip?.id || null,
+        // Where the upload puts the image: product-level images lead the gallery in filename order,
+        // variant images go after the rest. The worker then sorts the gallery by the shop's ordering
+        // rules, so this is the position before sorting and the table says so.
+        targetPosition:
+          !match.variantId && !variantCount ? index + 1 : existing.length - replaceIds.length + 1,
+      });
+    } catch (error) {
+      rows.push({ filename, sku, index, ...toErrorResult(error) });
+    }
+  }
+
+  return json({ success: true, rows });
+};
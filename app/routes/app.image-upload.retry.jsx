@@ -0,0 +1,22 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { retryUploadJobItems } from "../models/uploadJob.server";
+
+// Requeue files of a finished job with a product or variant picked by hand. The staged files are
+// reused, so nothing is uploaded again; the client resumes the job afterwards.
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { jobId, assignments } = await request.json();
+  const valid = Array.isArray(assignments)
+    ? assignments.filter((a) => a?.itemId && a?.productId)
+    : [];
+  if (!jobId || !valid.length) {
+    return json({ success: false, error: "Nothing to retry" }, { status: 400 });
+  }
+
+  const requeued = await retryUploadJobItems(session.shop, jobId, valid);
+  if (requeued === null) {
+    return json({ success: false, error: "Upload job not found or still running" }, { status: 409 });
+  }
+  return json({ success: true, requeued });
+};
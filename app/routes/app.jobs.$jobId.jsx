@@ -0,0 +1,27 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getUploadJobProgress } from "../models/uploadJob.server";
+import { runUploadJobSlice } from "../jobs/imageUploadWorker.server";
+
+// GET: progress of an upload job
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const progress = await getUploadJobProgress(session.shop, params.jobId);
+  if (!progress) {
+    throw new Response("Upload job not found", { status: 404 });
+  }
+  return json(progress);
+};
+
+// POST: run one time-boxed worker slice on the job, then report progress and the slice's API cost
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const progress = await getUploadJobProgress(session.shop, params.jobId);
+  if (!progress) {
+    throw new Response("Upload job not found", { status: 404 });
+  }
+  if (progress.done) return json({ ...progress, ran: false });
+
+  const { ran, cost } = await runUploadJobSlice(admin, params.jobId);
+  return json({ ...(await getUploadJobProgress(session.shop, params.jobId)), ran, cost });
+};
@@ -28,6 +28,21 @@ export default function App() {
         <Link to="/app/direct-upload">
           Direct Upload (Large Files)
         </Link>
+        <Link to="/app/url-import">
+          Import from URLs
+        </Link>
+        <Link to="/app/history">
+          Upload history
+        </Link>
+        <Link to="/app/galleries">
+          Re-sort galleries
+        </Link>
+        <Link to="/app/catalog">
+          Catalog snapshot
+        </Link>
+        <Link to="/app/settings">
+          Settings
+        </Link>
         <Link to="/app/vasi-ljubimci">
           Vasi ljubimci
         </Link>
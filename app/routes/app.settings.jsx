@@ -0,0 +1,414 @@
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { useEffect, useMemo, useState } from "react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  InlineStack,
+  Button,
+  TextField,
+  DataTable,
+  Banner,
+  List,
+  ChoiceList,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getShopSettings,
+  saveMatchingSettings,
+  saveNamingSettings,
+  saveOrderingSettings,
+  toMatchingConfig,
+} from "../models/shopSettings.server";
+import {
+  DEFAULT_FILENAME_ROLES,
+  DEFAULT_FILENAME_TEMPLATES,
+  DEFAULT_MEDIA_ORDERING,
+  DEFAULT_VARIANT_MEDIA,
+  applyMediaOrdering,
+  createFilenameParser,
+  createRemixTransport,
+  createThrottledTransport,
+  toErrorResult,
+  validateOrderingRule,
+} from "@mrpet/media-service";
+
+const LOOKUP_CHOICES = [
+  { label: "Variant barcode", value: "barcode" },
+  { label: "Product handle", value: "handle" },
+  { label: "Variant metafield", value: "variant_metafield" },
+];
+
+const VARIANT_MEDIA_CHOICES = [
+  { label: "All images of a SKU, in filename order", value: "all" },
+  { label: "Only the first image (the others are only added to the product)", value: "featured" },
+];
+
+const SAMPLE_FILENAMES = [
+  "1234.jpg",
+  "1234_1.jpg",
+  "1234__color-blue_1.jpg",
+  "SKU-front.jpg",
+  "SKU (2).jpg",
+  "SKU_A.png",
+];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const settings = await getShopSettings(session.shop);
+  return json({ ...settings, matching: toMatchingConfig(settings) });
+};
+
+// Sort one product's gallery with the rules as typed, to try them before saving
+async function applyOrdering(admin, form) {
+  const rules = splitLines(String(form.get("rules") || ""));
+  const invalid = rules.map(validateOrderingRule).find(Boolean);
+  if (invalid) return json({ success: false, errors: { rules: invalid } }, { status: 400 });
+  const gql = createThrottledTransport(createRemixTransport(admin));
+  try {
+    const result = await applyMediaOrdering(gql, String(form.get("productId")), rules);
+    if (result.status === "reorder_failed") {
+      return json({ success: false, error: result.message }, { status: 400 });
+    }
+    return json({ success: true, applied: { productTitle: form.get("productTitle"), changed: result.changed } });
+  } catch (error) {
+    return json({ success: false, error: toErrorResult(error).message }, { status: 502 });
+  }
+}
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = form.get("intent");
+  if (intent === "apply-ordering") return applyOrdering(admin, form);
+  if (intent === "ordering") {
+    const saved = await saveOrderingSettings(session.shop, {
+      rules: splitLines(String(form.get("rules") || "")),
+      variantMedia: form.get("variantMedia") || undefined,
+    });
+    if (saved.errors) return json({ success: false, errors: saved.errors }, { status: 400 });
+    return json({ success: true });
+  }
+  const result =
+    intent === "matching"
+      ? await saveMatchingSettings(session.shop, {
+          identifierNamespace: form.get("identifierNamespace"),
+          identifierKey: form.get("identifierKey"),
+          matchLookups: String(form.get("matchLookups") || "").split(","),
+          variantIdentifierNamespace: form.get("variantIdentifierNamespace"),
+          variantIdentifierKey: form.get("variantIdentifierKey"),
+        })
+      : await saveNamingSettings(session.shop, {
+          templates: String(form.get("templates") || "").split("\n"),
+          roles: String(form.get("roles") || "").split(","),
+        });
+  if (result.errors) return json({ success: false, errors: result.errors }, { status: 400 });
+  return json({ success: true });
+};
+
+const splitLines = (value) => value.split("\n").map((v) => v.trim()).filter(Boolean);
+const splitList = (value) => value.split(",").map((v) => v.trim()).filter(Boolean);
+
+export default function Settings() {
+  const settings = useLoaderData();
+  const fetcher = useFetcher();
+  const matchingFetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [templates, setTemplates] = useState(settings.filenameTemplates.join("\n"));
+  const [roles, setRoles] = useState(settings.filenameRoles.join(", "));
+  const [samples, setSamples] = useState(SAMPLE_FILENAMES.join("\n"));
+  const [matching, setMatching] = useState({
+    identifierNamespace: settings.identifierNamespace,
+    identifierKey: settings.identifierKey,
+    matchLookups: settings.matchLookups,
+    variantIdentifierNamespace: settings.variantIdentifierNamespace,
+    variantIdentifierKey: settings.variantIdentifierKey,
+  });
+  const setMatchingField = (field) => (value) => setMatching((prev) => ({ ...prev, [field]: value }));
+  const orderingFetcher = useFetcher();
+  const applyFetcher = useFetcher();
+  const [ordering, setOrdering] = useState(settings.mediaOrdering.join("\n"));
+  const [variantMedia, setVariantMedia] = useState(settings.variantMedia);
+
+  const isSaving = fetcher.state !== "idle";
+  const errors = fetcher.data?.errors || {};
+  const matchingErrors = matchingFetcher.data?.errors || {};
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.success) shopify.toast.show("Settings saved");
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  useEffect(() => {
+    if (matchingFetcher.state === "idle" && matchingFetcher.data?.success) {
+      shopify.toast.show("Settings saved");
+    }
+  }, [matchingFetcher.state, matchingFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (orderingFetcher.state === "idle" && orderingFetcher.data?.success) {
+      shopify.toast.show("Settings saved");
+    }
+  }, [orderingFetcher.state, orderingFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (applyFetcher.state !== "idle") return;
+    const { applied, error } = applyFetcher.data || {};
+    if (applied) {
+      shopify.toast.show(applied.changed ? `Sorted ${applied.productTitle}` : `${applied.productTitle} is already in order`);
+    } else if (error) {
+      shopify.toast.show(`Sorting failed: ${error}`, { isError: true });
+    }
+  }, [applyFetcher.state, applyFetcher.data, shopify]);
+
+  const orderingErrors = { ...applyFetcher.data?.errors, ...orderingFetcher.data?.errors };
+  const saveOrdering = () =>
+    orderingFetcher.submit({ intent: "ordering", rules: ordering, variantMedia }, { method: "post" });
+  const applyToProduct = async () => {
+    const selection = await shopify.resourcePicker({ type: "product", multiple: false, filter: { variants: false } });
+    const product = selection?.[0];
+    if (!product) return;
+    applyFetcher.submit(
+      { intent: "apply-ordering", rules: ordering, productId: product.id, productTitle: product.title },
+      { method: "post" },
+    );
+  };
+
+  // The unsaved templates, so the test box reflects what is being typed
+  const naming = useMemo(
+    () => ({ templates: splitLines(templates), roles: splitList(roles).map((r) => r.toLowerCase()) }),
+    [templates, roles],
+  );
+  const parsed = useMemo(() => {
+    try {
+      const parse = createFilenameParser(naming);
+      return { rows: splitLines(samples).map((filename) => ({ filename, ...parse(filename) })) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [naming, samples]);
+
+  // Saved settings in the shape of the CLI config file
+  const cliConfig = JSON.stringify(
+    {
+      naming: { templates: settings.filenameTemplates, roles: settings.filenameRoles },
+      matching: settings.matching,
+      ...(settings.mediaOrdering.length ? { ordering: settings.mediaOrdering } : {}),
+      ...(settings.variantMedia !== DEFAULT_VARIANT_MEDIA ? { variantMedia: settings.variantMedia } : {}),
+    },
+    null,
+    2,
+  );
+
+  const save = () => fetcher.submit({ templates, roles }, { method: "post" });
+  const saveMatching = () =>
+    matchingFetcher.submit(
+      { intent: "matching", ...matching, matchLookups: matching.matchLookups.join(",") },
+      { method: "post" },
+    );
+
+  return (
+    <Page>
+      <TitleBar title="Settings" />
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Filename templates"
+          description="How the uploader reads the product key and gallery position from a filename. Templates are tried from top to bottom; names that match none use the default convention."
+        >
+          <Card>
+            <BlockStack gap="300">
+              <TextField
+                label="Templates (one per line)"
+                value={templates}
+                onChange={setTemplates}
+                multiline={4}
+                autoComplete="off"
+                placeholder={DEFAULT_FILENAME_TEMPLATES.join("\n")}
+                error={errors.templates}
+                monospaced
+              />
+              <TextField
+                label="Roles"
+                value={roles}
+                onChange={setRoles}
+                autoComplete="off"
+                placeholder={DEFAULT_FILENAME_ROLES.join(", ")}
+                helpText="Comma separated. A {role} takes the position of its place in this list."
+                error={errors.roles}
+              />
+              <BlockStack gap="100">
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Placeholders:
+                </Text>
+                <List type="bullet">
+                  <List.Item>{"{key} SKU or custom ID (required)"}</List.Item>
+                  <List.Item>{"{index} position from 0, as in 1234_1"}</List.Item>
+                  <List.Item>{"{number} position from 1, as in 1234 (2)"}</List.Item>
+                  <List.Item>{"{letter} position as a letter, A is the first image"}</List.Item>
+                  <List.Item>{"{role} one of the roles above"}</List.Item>
+                  <List.Item>
+                    {"{option} an option as name-value; {key}[__{option}][_{index}] gives 1234__color-blue.jpg to every Blue variant"}
+                  </List.Item>
+                  <List.Item>{"{*} anything; [ ] marks an optional part, / a folder"}</List.Item>
+                </List>
+              </BlockStack>
+              <InlineStack>
+                <Button variant="primary" onClick={save} loading={isSaving}>
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Test filenames"
+          description="Sample filenames are parsed with the templates above as you type, before saving. With an {option} template, an option part after the key (1234__color-blue) gives the image to every variant with that option value."
+        >
+          <Card>
+            <BlockStack gap="300">
+              <TextField
+                label="Filenames (one per line)"
+                value={samples}
+                onChange={setSamples}
+                multiline={4}
+                autoComplete="off"
+                monospaced
+              />
+              {parsed.error ? (
+                <Banner tone="critical" title="Template error">
+                  <p>{parsed.error}</p>
+                </Banner>
+              ) : (
+                <DataTable
+                  columnContentTypes={["text", "text", "numeric", "text", "text", "text"]}
+                  headings={["Filename", "Key", "Position", "Role", "Option", "Template"]}
+                  rows={parsed.rows.map((r) => [
+                    r.filename,
+                    r.sku || "-",
+                    r.index + 1,
+                    r.role || "-",
+                    r.option ? `${r.option.name}: ${r.option.value}` : "-",
+                    r.template || "-",
+                  ])}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Product matching"
+          description="The key from a filename is looked up in this product metafield first, then as a variant SKU, then with the extra lookups selected below. Image, video and direct uploads all use this order."
+        >
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack gap="200" wrap={false}>
+                <TextField
+                  label="Identifier namespace"
+                  value={matching.identifierNamespace}
+                  onChange={setMatchingField("identifierNamespace")}
+                  autoComplete="off"
+                  error={matchingErrors.identifierNamespace}
+                />
+                <TextField
+                  label="Identifier key"
+                  value={matching.identifierKey}
+                  onChange={setMatchingField("identifierKey")}
+                  autoComplete="off"
+                  error={matchingErrors.identifierKey}
+                />
+              </InlineStack>
+              <Text as="p" variant="bodySm" tone="subdued">
+                The metafield definition needs the &quot;unique values&quot; constraint, e.g. custom.id,
+                custom.erp_id or mrpet.article_no.
+              </Text>
+              <ChoiceList
+                allowMultiple
+                title="Also match by"
+                choices={LOOKUP_CHOICES}
+                selected={matching.matchLookups}
+                onChange={setMatchingField("matchLookups")}
+              />
+              {matching.matchLookups.includes("variant_metafield") ? (
+                <InlineStack gap="200" wrap={false}>
+                  <TextField
+                    label="Variant metafield namespace"
+                    value={matching.variantIdentifierNamespace}
+                    onChange={setMatchingField("variantIdentifierNamespace")}
+                    autoComplete="off"
+                    error={matchingErrors.variantIdentifierNamespace}
+                  />
+                  <TextField
+                    label="Variant metafield key"
+                    value={matching.variantIdentifierKey}
+                    onChange={setMatchingField("variantIdentifierKey")}
+                    autoComplete="off"
+                    error={matchingErrors.variantIdentifierKey}
+                  />
+                </InlineStack>
+              ) : null}
+              <InlineStack>
+                <Button variant="primary" onClick={saveMatching} loading={matchingFetcher.state !== "idle"}>
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Media order"
+          description="How product galleries are sorted after an upload, one rule per line from the top of the gallery. Media no rule takes stays in its current order at the end, or where rest stands."
+        >
+          <Card>
+            <BlockStack gap="300">
+              <TextField
+                label="Rules (one per line)"
+                value={ordering}
+                onChange={setOrdering}
+                multiline={5}
+                autoComplete="off"
+                placeholder={DEFAULT_MEDIA_ORDERING.join("\n")}
+                error={orderingErrors.rules}
+                monospaced
+              />
+              <List type="bullet">
+                <List.Item>featured: the first product image</List.Item>
+                <List.Item>product: images of no variant, in filename order</List.Item>
+                <List.Item>variants, or variants by Color: variant images, grouped by an option</List.Item>
+                <List.Item>videos, models: videos and 3D models</List.Item>
+                <List.Item>alt lifestyle: images whose alt text or file name contains the text</List.Item>
+                <List.Item>rest: everything else</List.Item>
+              </List>
+              <ChoiceList
+                title="Images given to the variant a SKU matched"
+                choices={VARIANT_MEDIA_CHOICES}
+                selected={[variantMedia]}
+                onChange={([value]) => setVariantMedia(value)}
+                error={orderingErrors.variantMedia}
+              />
+              <InlineStack gap="200">
+                <Button variant="primary" onClick={saveOrdering} loading={orderingFetcher.state !== "idle"}>
+                  Save
+                </Button>
+                <Button onClick={applyToProduct} loading={applyFetcher.state !== "idle"}>
+                  Sort a product now
+                </Button>
+                <Button url="/app/galleries">Re-sort galleries</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="CLI configuration"
+          description="The saved settings as a JSON file for the CLI uploader's --config option, so it reads filenames and matches products the same way."
+        >
+          <Card>
+            <TextField label="Config file" value={cliConfig} multiline={6} readOnly autoComplete="off" monospaced />
+          </Card>
+        </Layout.AnnotatedSection>
+      </Layout>
+    </Page>
+  );
+}
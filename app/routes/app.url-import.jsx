@@ -0,0 +1,163 @@
+import { json } from "@remix-run/node";
+import { useFetcher, useNavigate } from "@remix-run/react";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  Page,
+  Card,
+  BlockStack,
+  Text,
+  InlineStack,
+  Button,
+  DropZone,
+  DataTable,
+  Banner,
+  Badge,
+  Select,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { createUploadJob, describeUploader } from "../models/uploadJob.server";
+import { ON_EXISTING_OPTIONS } from "../models/uploadStatus";
+import { DEFAULT_ON_EXISTING, ON_EXISTING_POLICIES, parseRemoteImageList } from "@mrpet/media-service";
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  return null;
+};
+
+// Problems of a list shown before the rest are summed up
+const LIST_ERRORS_SHOWN = 50;
+
+// Queue a URL import: every line becomes a job item whose resourceUrl is the image URL. The worker
+// matches, attaches, assigns variants and reorders like for uploaded files; it downloads each image once
+// to hash it, Shopify fetches it again as the media's original source.
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const form = await request.formData();
+  const onExisting = String(form.get("onExisting") || DEFAULT_ON_EXISTING);
+  if (!ON_EXISTING_POLICIES.includes(onExisting)) {
+    return json({ success: false, error: `Unknown policy ${onExisting}` }, { status: 400 });
+  }
+  const { entries, errors } = parseRemoteImageList(String(form.get("list") || ""));
+  if (errors.length) {
+    const [first] = errors;
+    return json({ success: false, error: `Line ${first.row}: ${first.message}` }, { status: 400 });
+  }
+
+  try {
+    const job = await createUploadJob({
+      shop: session.shop,
+      ...describeUploader(session, sessionToken),
+      items: entries.map((entry) => ({
+        filename: entry.filename,
+        sku: entry.key,
+        position: entry.index,
+        status: "pending",
+        onExisting,
+        manifest: { row: entry.row, lookup: null, alt: entry.alt, variant: null },
+        resourceUrl: entry.url,
+        sourceUrl: entry.url,
+      })),
+    });
+    return json({ success: true, jobId: job.id });
+  } catch (error) {
+    return json({ success: false, error: error.message });
+  }
+};
+
+export default function UrlImport() {
+  const shopify = useAppBridge();
+  const navigate = useNavigate();
+  const fetcher = useFetcher();
+  const [list, setList] = useState("");
+  const [onExisting, setOnExisting] = useState(DEFAULT_ON_EXISTING);
+  const isQueuing = fetcher.state !== "idle";
+  // Checked while typing; the action checks the list again
+  const parsed = useMemo(() => (list.trim() ? parseRemoteImageList(list) : null), [list]);
+  const keyCount = useMemo(
+    () => new Set((parsed?.entries || []).map((e) => e.key.toLowerCase())).size,
+    [parsed],
+  );
+
+  useEffect(() => {
+    if (fetcher.data?.jobId) navigate(`/app?job=${fetcher.data.jobId}`);
+    else if (fetcher.data?.error) shopify.toast.show(`Import failed: ${fetcher.data.error}`, { isError: true });
+  }, [fetcher.data, navigate, shopify]);
+
+  const onDrop = useCallback(async (_dropFiles, [file]) => {
+    if (file) setList(await file.text());
+  }, []);
+
+  const queue = () => fetcher.submit({ list, onExisting }, { method: "post" });
+
+  return (
+    <Page>
+      <TitleBar title="Import images from URLs" />
+      <Card>
+        <BlockStack gap="400">
+          <Text as="p" variant="bodyMd">
+            One image per line as identifier,url[,position,alt], pasted or from a CSV file. The identifier is
+            matched like the key of a file name (custom ID, SKU, then the lookups in Settings). Lines without
+            a position follow the previous image of the same identifier. Shopify fetches every image from its
+            URL, so the URLs must be publicly reachable.
+          </Text>
+          <DropZone accept=".csv,.tsv,.txt,text/csv,text/plain" allowMultiple={false} onDrop={onDrop} variableHeight>
+            <DropZone.FileUpload actionTitle="Load CSV" />
+          </DropZone>
+          <TextField
+            label="Image URLs"
+            value={list}
+            onChange={setList}
+            multiline={8}
+            autoComplete="off"
+            placeholder="1234,https://supplier.example.com/images/1234-front.jpg,1,Dog bed"
+            monospaced
+          />
+          {parsed?.entries.length ? (
+            <InlineStack gap="200">
+              <Badge>{`${parsed.entries.length} images`}</Badge>
+              <Badge>{`${keyCount} identifiers`}</Badge>
+            </InlineStack>
+          ) : null}
+          {parsed?.errors.length ? (
+            <Banner
+              title={`The list has ${parsed.errors.length} ${parsed.errors.length === 1 ? "problem" : "problems"}`}
+              tone="critical"
+            >
+              <DataTable
+                columnContentTypes={["numeric", "text", "text"]}
+                headings={["Line", "Column", "Problem"]}
+                rows={parsed.errors.slice(0, LIST_ERRORS_SHOWN).map((e) => [e.row, e.column || "-", e.message])}
+              />
+              {parsed.errors.length > LIST_ERRORS_SHOWN ? (
+                <p>{`and ${parsed.errors.length - LIST_ERRORS_SHOWN} more`}</p>
+              ) : null}
+            </Banner>
+          ) : null}
+          <Select
+            label="When a product already has images"
+            options={ON_EXISTING_OPTIONS}
+            value={onExisting}
+            onChange={setOnExisting}
+            disabled={isQueuing}
+          />
+          <InlineStack gap="200">
+            <Button
+              variant="primary"
+              loading={isQueuing}
+              disabled={!parsed?.entries.length || !!parsed.errors.length}
+              onClick={queue}
+            >
+              Import
+            </Button>
+            <Button variant="secondary" disabled={!list || isQueuing} onClick={() => setList("")}>
+              Clear
+            </Button>
+          </InlineStack>
+        </BlockStack>
+      </Card>
+    </Page>
+  );
+}
@@ -11,11 +11,27 @@ import {
   List,
   DataTable,
   Banner,
+  Badge,
   TextField,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import {
+  createMatchResolver,
+  createProductMedia,
+  createRemixTransport,
+  createStagedUpload,
+  createThrottledTransport,
+  deleteProductMedia,
+  extractCustomIdFromFilename,
+  listProductMedia,
+  toErrorResult,
+  uploadToStagedTarget,
+} from "@mrpet/media-service";
+import { formatResultError, statusTone } from "../models/uploadStatus";
+import { getMatchingConfig } from "../models/shopSettings.server";
+import { loadCatalogMatcher } from "../models/catalogSnapshot.server";
 
 /* -------------------- SERVER -------------------- */
 
@@ -25,239 +41,15 @@ export const loader = async ({ request }) => {
   return null;
 };
 
-function extractCustomIdFromFilename(filename) {
-  const base = filename.split("/").pop() || filename;
-  const withoutQuery = base.split("?")[0];
-  const nameOnly = withoutQuery.includes(".")
-    ? withoutQuery.substring(0, withoutQuery.lastIndexOf("."))
-    : withoutQuery;
-  return nameOnly.trim();
-}
-
-async function findProductByCustomId(admin, customId) {
-  try {
-    const response = await admin.graphql(
-      `#graphql
-        query FindProductByCustomId($identifier: ProductIdentifierInput!) {
-          productByIdentifier(identifier: $identifier) { id title }
-        }
-      `,
-      {
-        variables: {
-          identifier: {
-            customId: { namespace: "custom", key: "id", value: customId },
-          },
-        },
-      },
-    );
-    const resJson = await response.json();
-    const product = resJson?.data?.productByIdentifier;
-    if (!product) return null;
-    return { productId: product.id, productTitle: product.title };
-  } catch (error) {
-    console.log("Product custom.id lookup failed:", error);
-    return null;
-  }
-}
-
-async function findProductAndVariantBySku(admin, sku) {
-  const response = await admin.graphql(
-    `#graphql
-      query VariantBySku($query: String!) {
-        productVariants(first: 1, query: $query) {
-          edges { node { id title product { id title } } }
-        }
-      }
-    `,
-    { variables: { query: `sku:${sku}` } },
-  );
-  const resJson = await response.json();
-  const edge = resJson?.data?.productVariants?.edges?.[0];
-  if (!edge)
-    return { productId: null, variantId: null, productTitle: null, variantTitle: null };
-  return {
-    productId: edge.node.product.id,
-    variantId: edge.node.id,
-    productTitle: edge.node.product.title,
-    variantTitle: edge.node.title,
-  };
-}
-
-async function createStagedUpload(admin, { filename, mimeType, fileSize }) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
-        stagedUploadsCreate(input: $input) {
-          stagedTargets { url resourceUrl parameters { name value } }
-          userErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        input: [
-          {
-            resource: "VIDEO",
-            filename,
-            mimeType: mimeType || "video/mp4",
-            fileSize: String(fileSize ?? 0),
-            httpMethod: "POST",
-          },
-        ],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.stagedUploadsCreate?.userErrors || [];
-  const target = jsonRes?.data?.stagedUploadsCreate?.stagedTargets?.[0];
-  return { target, errors };
-}
-
-async function uploadToS3Target(target, file, filename) {
-  const form = new FormData();
-  for (const param of target.parameters) form.append(param.name, param.value);
-  form.append("file", file, filename);
-  const res = await fetch(target.url, { method: "POST", body: form });
-  return res.ok;
-}
-
-// Direct upload function for large files
-async function directUploadLargeFile(admin, file, filename) {
-  try {
-    // Create staged upload for large file
-    const { target, errors: stagedErrors } = await createStagedUpload(admin, {
-      filename,
-      mimeType: file.type,
-      fileSize: file.size,
-    });
-    
-    if (!target) {
-      return { success: false, errors: stagedErrors };
-    }
-
-    // Upload directly to S3
-    const uploaded = await uploadToS3Target(target, file, filename);
-    if (!uploaded) {
-      return { success: false, errors: ["S3 upload failed"] };
-    }
-
-    // Create file in Shopify using the resource URL
-    const { files, errors: fileErrors } = await createFileInShopify(admin, target.resourceUrl, filename);
-    if (fileErrors?.length) {
-      return { success: false, errors: fileErrors };
-    }
-
-    const fileId = files?.[0]?.id;
-    if (!fileId) {
-      return { success: false, errors: ["No file ID returned"] };
-    }
-
-    return { success: true, fileId, resourceUrl: target.resourceUrl };
-  } catch (error) {
-    return { success: false, errors: [error.message] };
-  }
-}
-
-async function createFileInShopify(admin, resourceUrl, filename) {
-  const response = await admin.graphql(
-    `#graphql
-      mutation FileCreate($files: [FileCreateInput!]!) {
-        fileCreate(files: $files) {
-          files { __typename ... on Video { id fileStatus } }
-          userErrors { field message }
-        }
-      }
-    `,
-    {
-      variables: {
-        files: [{ originalSource: resourceUrl, contentType: "VIDEO", alt: filename }],
-      },
-    },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.fileCreate?.userErrors || [];
-  const files = jsonRes?.data?.fileCreate?.files || [];
-  return { files, errors };
-}
-
-async function waitForVideoReady(admin, videoId, { timeoutMs = 300000, intervalMs = 2000 } = {}) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    const res = await admin.graphql(
-      `#graphql
-        query MediaStatus($id: ID!) {
-          node(id: $id) { id ... on Media { status } ... on Video { fileStatus } }
-        }
-      `,
-      { variables: { id: videoId } },
-    );
-    const json = await res.json();
-    const node = json?.data?.node;
-    const status = node?.status || node?.fileStatus;
-    if (status === "READY") return true;
-    if (status === "FAILED") return false;
-    await new Promise((r) => setTimeout(r, intervalMs));
-  }
-  return false;
-}
-
-async function getVideoOriginalSource(admin, videoId) {
-  const res = await admin.graphql(
-    `#graphql
-      query VideoOriginalSource($id: ID!) {
-        node(id: $id) {
-          id
-          ... on Video { originalSource { url mimeType format } }
-        }
-      }
-    `,
-    { variables: { id: videoId } },
-  );
-  const json = await res.json();
-  return json?.data?.node?.originalSource?.url || null;
-}
-
-async function listProductVideoMedia(admin, productId) {
-  const response = await admin.graphql(
-    `#graphql
-      query ProductVideoMedia($id: ID!) {
-        product(id: $id) {
-          id
-          media(first: 100) {
-            edges { node { id __typename alt ... on Video { id } } }
-          }
-        }
-      }
-    `,
-    { variables: { id: productId } },
-  );
-  const jsonRes = await response.json();
-  const edges = jsonRes?.data?.product?.media?.edges || [];
-  return edges.map((e) => e.node).filter((n) => n.__typename === "Video");
-}
-
-async function deleteProductMedia(admin, productId, mediaIds) {
-  if (!mediaIds.length) return { deleted: 0, errors: [] };
-  const response = await admin.graphql(
-    `#graphql
-      mutation ProductDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
-        productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
-          deletedMediaIds
-          userErrors { field message }
-        }
-      }
-    `,
-    { variables: { productId, mediaIds } },
-  );
-  const jsonRes = await response.json();
-  const errors = jsonRes?.data?.productDeleteMedia?.userErrors || [];
-  const deleted = jsonRes?.data?.productDeleteMedia?.deletedMediaIds?.length || 0;
-  return { deleted, errors };
+async function listProductVideoMedia(gql, productId) {
+  const media = await listProductMedia(gql, productId);
+  return media.filter((n) => n.__typename === "Video");
 }
 
 export const action = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
   console.log("Video action - shop:", session?.shop);
+  const gql = createThrottledTransport(createRemixTransport(admin));
   
   // Check content length for large files
   const contentLength = request.headers.get("content-length");
@@ -275,6 +67,18 @@ export const action = async ({ request }) => {
   const files = formData.getAll("files");
   const additionalProductIds = formData.get("additionalProductIds") || "";
 
+  // Resolve the custom IDs of every file (or the explicit IDs) in batched lookups up front
+  const matching = await getMatchingConfig(session.shop);
+  const resolver = createMatchResolver(gql, matching, {
+    catalog: await loadCatalogMatcher(session.shop, matching),
+  });
+  const explicitKeys = additionalProductIds.split(";").map((s) => s.trim()).filter(Boolean);
+  await resolver.prefetch(
+    explicitKeys.length
+      ? explicitKeys
+      : files.filter((f) => f && typeof f !== "string" && f.name).map((f) => extractCustomIdFromFilename(f.name)),
+  );
+
   const results = [];
 
   for (const file of files) {
@@ -297,8 +101,8 @@ export const action = async ({ request }) => {
         // For bulk operations, repeat the entire upload process for each custom ID
         for (const customId of explicitIds) {
           try {
-            // Find product by custom ID
-            const productMatch = await findProductByCustomId(admin, customId);
+            // Find product by custom ID (or the shop's other lookups)
+            const productMatch = await resolver.resolve(customId);
             if (!productMatch?.productId) {
               results.push({ filename, customId, status: "no_product_for_custom_id" });
               continue;
@@ -307,7 +111,7 @@ export const action = async ({ request }) => {
             const { productId, productTitle } = productMatch;
 
             // Check existing videos on product; match by exact alt text OR filename equality
-            const existingVideos = await listProductVideoMedia(admin, productId);
+            const existingVideos = await listProductVideoMedia(gql, productId);
             const uploadedBaseName = (filename.split("/").pop() || filename).split("?")[0].toLowerCase();
             const toReplace = existingVideos.filter((video) => {
               const alt = (video.alt || "").trim().toLowerCase();
@@ -320,7 +124,7 @@ export const action = async ({ request }) => {
             let replacedCount = 0;
             if (toReplace.length) {
               const { deleted, errors: delErrors } = await deleteProductMedia(
-                admin,
+                gql,
                 productId,
                 toReplace.map((v) => v.id),
               );
@@ -332,17 +136,17 @@ export const action = async ({ request }) => {
             }
 
             // Upload file for this specific product (repeat the entire process)
-            const { target, errors: stagedErrors } = await createStagedUpload(admin, {
-              filename,
-              mimeType: file.type,
-              fileSize: file.size,
-            });
+            const { target, errors: stagedErrors } = await createStagedUpload(
+              gql,
+              { filename, mimeType: file.type, fileSize: file.size },
+              { resource: "VIDEO" },
+            );
             if (!target) {
               results.push({ filename, customId, status: "staged_upload_error", errors: stagedErrors });
               continue;
             }
 
-            const uploaded = await uploadToS3Target(target, file, filename);
+            const uploaded = await uploadToStagedTarget(target, file, filename);
             if (!uploaded) {
               results.push({ filename, customId, status: "s3_upload_failed" });
               continue;
@@ -352,31 +156,9 @@ export const action = async ({ request }) => {
             const altText = productTitle || customId;
 
             // Attach directly using originalSource from staged VIDEO (same as single file logic)
-            const attachRes = await admin.graphql(
-              `#graphql
-                mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
-                  productCreateMedia(productId: $productId, media: $media) {
-                    media { ... on Media { id alt } }
-                    mediaUserErrors { field message }
-                  }
-                }
-              `,
-              {
-                variables: {
-                  productId,
-                  media: [
-                    {
-                      originalSource: target.resourceUrl,
-                      mediaContentType: "VIDEO",
-                      alt: altText || null,
-                    },
-                  ],
-                },
-              },
-            );
-            const attachJson = await attachRes.json();
-            const attachErrors = attachJson?.data?.productCreateMedia?.mediaUserErrors || [];
-            const media = attachJson?.data?.productCreateMedia?.media || [];
+            const { media, errors: attachErrors } = await createProductMedia(gql, productId, [
+              { originalSource: target.resourceUrl, mediaContentType: "VIDEO", alt: altText || null },
+            ]);
             
             if (attachErrors?.length) {
               results.push({ filename, customId, status: "attach_failed", errors: attachErrors });
@@ -392,33 +174,23 @@ export const action = async ({ request }) => {
               media 
             });
           } catch (error) {
-            results.push({ filename, customId, status: "error", message: error?.message });
+            results.push({ filename, customId, ...toErrorResult(error) });
           }
         }
         continue;
       }
 
       // Original filename-based flow (when no explicit IDs)
-      let productId = null;
-      let productTitle = null;
-      const byCustom = await findProductByCustomId(admin, baseKey);
-      if (byCustom?.productId) {
-        productId = byCustom.productId;
-        productTitle = byCustom.productTitle;
-      } else {
-        const bySku = await findProductAndVariantBySku(admin, baseKey);
-        if (bySku?.productId) {
-          productId = bySku.productId;
-          productTitle = bySku.productTitle;
-        }
-      }
+      const match = await resolver.resolve(baseKey);
+      const productId = match?.productId || null;
+      const productTitle = match?.productTitle || null;
       if (!productId) {
         results.push({ filename, customId: baseKey, status: "no_product_for_custom_id_or_sku" });
         continue;
       }
 
       // delete existing videos with same alt/custom id
-      const existingVideos = await listProductVideoMedia(admin, productId);
+      const existingVideos = await listProductVideoMedia(gql, productId);
       const uploadedBaseName = (filename.split("/").pop() || filename).split("?")[0].toLowerCase();
       const toReplace = existingVideos.filter((video) => {
         const alt = (video.alt || "").trim().toLowerCase();
@@ -427,7 +199,7 @@ export const action = async ({ request }) => {
       let replacedCount = 0;
       if (toReplace.length) {
         const { deleted, errors: delErrors } = await deleteProductMedia(
-          admin,
+          gql,
           productId,
           toReplace.map((v) => v.id),
         );
@@ -439,17 +211,17 @@ export const action = async ({ request }) => {
       }
 
       // staged upload
-      const { target, errors: stagedErrors } = await createStagedUpload(admin, {
-        filename,
-        mimeType: file.type,
-        fileSize: file.size,
-      });
+      const { target, errors: stagedErrors } = await createStagedUpload(
+        gql,
+        { filename, mimeType: file.type, fileSize: file.size },
+        { resource: "VIDEO" },
+      );
       if (!target) {
         results.push({ filename, customId: baseKey, status: "staged_upload_error", errors: stagedErrors });
         continue;
       }
 
-      const uploaded = await uploadToS3Target(target, file, filename);
+      const uploaded = await uploadToStagedTarget(target, file, filename);
       if (!uploaded) {
         results.push({ filename, customId: baseKey, status: "s3_upload_failed" });
         continue;
@@ -459,31 +231,9 @@ export const action = async ({ request }) => {
       const altText = productTitle || baseKey;
 
       // Attach directly using originalSource from staged VIDEO (no FileCreate, no mediaId)
-      const attachRes = await admin.graphql(
-        `#graphql
-          mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
-            productCreateMedia(productId: $productId, media: $media) {
-              media { ... on Media { id alt } }
-              mediaUserErrors { field message }
-            }
-          }
-        `,
-        {
-          variables: {
-            productId,
-            media: [
-              {
-                originalSource: target.resourceUrl,
-                mediaContentType: "VIDEO",
-                alt: altText || null,
-              },
-            ],
-          },
-        },
-      );
-      const attachJson = await attachRes.json();
-      const attachErrors = attachJson?.data?.productCreateMedia?.mediaUserErrors || [];
-      const media = attachJson?.data?.productCreateMedia?.media || [];
+      const { media, errors: attachErrors } = await createProductMedia(gql, productId, [
+        { originalSource: target.resourceUrl, mediaContentType: "VIDEO", alt: altText || null },
+      ]);
       if (attachErrors?.length) {
         results.push({ filename, customId: baseKey, status: "attach_failed", errors: attachErrors });
         continue;
@@ -496,8 +246,7 @@ export const action = async ({ request }) => {
       results.push({
         filename: safeName,
         customId: caughtCustomId,
-        status: "error",
-        message: error?.message,
+        ...toErrorResult(error),
       });
     }
   }
@@ -614,14 +363,15 @@ export default function VideoUpload() {
                 <Banner title="Uploads completed" tone="success" />
               )}
               <DataTable
-                columnContentTypes={["text", "text", "text"]}
-                headings={["File", "Custom ID", "Status"]}
+                columnContentTypes={["text", "text", "text", "text"]}
+                headings={["File", "Custom ID", "Status", "Details"]}
                 rows={(fetcher.data.results || []).map((r) => [
                   r.filename || r.productId || "Product",
                   r.customId || "-",
-                  r.status +
-                    (r.message ? `: ${r.message}` : "") +
-                    (r.details ? ` (${JSON.stringify(r.details)})` : ""),
+                  <Badge key="status" tone={statusTone(r.status)}>
+                    {r.status}
+                  </Badge>,
+                  formatResultError(r) || "-",
                 ])}
               />
             </BlockStack>
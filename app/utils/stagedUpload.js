@@ -0,0 +1,38 @@
+// Browser-side helpers for posting files straight to Shopify staged upload targets, so file bytes
+// never pass through our serverless functions.
+
+// POST one file to its staged target. XMLHttpRequest rather than fetch because only XHR reports
+// upload progress. onProgress receives a fraction between 0 and 1.
+export function uploadToStagedTarget(target, file, { onProgress } = {}) {
+  return new Promise((resolve) => {
+    const form = new FormData();
+    for (const param of target.parameters) {
+      form.append(param.name, param.value);
+    }
+    form.append("file", file, file.name);
+
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", target.url);
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) onProgress?.(event.loaded / event.total);
+    };
+    xhr.onload = () => resolve(xhr.status >= 200 && xhr.status < 300);
+    xhr.onerror = () => resolve(false);
+    xhr.onabort = () => resolve(false);
+    xhr.send(form);
+  });
+}
+
+// Run worker(item, index) over items with at most `concurrency` calls in flight
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
@@ -0,0 +1,28 @@
+import { listArchiveImages } from "@mrpet/media-service";
+
+// Browser-side unpacking of ZIP archives dropped on the uploader, so a supplier's folder of images can be
+// added in one go. The entries become File objects and go through the same preview and upload as files
+// that were picked one by one. Which entries are images is decided by listArchiveImages.
+
+export function isZipFile(file) {
+  return /\.zip$/i.test(file.name) || ["application/zip", "application/x-zip-compressed"].includes(file.type);
+}
+
+// Unpack the images of an archive. Resolves { images: [{ path, file }], skipped: [{ path, reason }] }:
+// path is the entry's path in the archive ("DB-RL/2.jpg", so folder templates apply), the File has the
+// base name. onProgress(done, total) is called after every image. Rejects when the archive itself cannot
+// be read.
+export async function unpackImageArchive(archive, { onProgress } = {}) {
+  const listed = listArchiveImages(new Uint8Array(await archive.arrayBuffer()));
+  const images = [];
+  const skipped = [...listed.skipped];
+  for (const [i, { path, name, type, read }] of listed.images.entries()) {
+    try {
+      images.push({ path, file: new File([await read()], name, { type }) });
+    } catch (error) {
+      skipped.push({ path, reason: error.message });
+    }
+    onProgress?.(i + 1, listed.images.length);
+  }
+  return { images, skipped };
+}
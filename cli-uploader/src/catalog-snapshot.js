@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+import { Command } from 'commander';
+import dotenv from 'dotenv';
+import { loadConfig, resolveMatching } from './config.js';
+import { createRunTransport } from './run.js';
+import { refreshSnapshot } from './snapshot.js';
+
+dotenv.config();
+
+// Export the catalog for --snapshot of the upload scripts
+const program = new Command();
+program
+  .requiredOption('--out <file>', 'Where to write the snapshot (JSONL, with <file>.meta.json next to it)')
+  .option('--config <file>', 'JSON config file with matching settings (see README)')
+  .option('--id-metafield <namespace.key>', 'Product identifier metafield (default custom.id)')
+  .option('--variant-metafield <namespace.key>', 'Variant metafield for the variant_metafield lookup')
+  .parse(process.argv);
+
+const opts = program.opts();
+
+let matching;
+try {
+  matching = resolveMatching(loadConfig(opts.config), opts);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+const { gql, shop } = createRunTransport();
+
+refreshSnapshot(gql, opts.out, { shop, matching }).catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  DEFAULT_MATCHING,
+  OPTIONAL_LOOKUPS,
+  VARIANT_MEDIA_MODES,
+  createFilenameParser,
+  validateOrderingRule,
+} from '@mrpet/media-service';
+
+// Optional JSON config file shared by the CLI scripts. The `naming` ({ templates, roles }),
+// `matching` ({ identifier, lookups, variantIdentifier }), `ordering` (gallery ordering rules) and
+// `variantMedia` (all or featured) sections have the same shape as the settings page of the app,
+// which can export them.
+export function loadConfig(file) {
+  if (!file) return {};
+  const fullPath = path.resolve(file);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Config file not found: ${fullPath}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Config file ${fullPath} is not valid JSON: ${e.message}`);
+  }
+  if (config.naming) {
+    // Fail on a broken template before any file is touched
+    try {
+      createFilenameParser(config.naming);
+    } catch (e) {
+      throw new Error(`Invalid filename template in ${fullPath}: ${e.message}`);
+    }
+  }
+  if (config.ordering) {
+    if (!Array.isArray(config.ordering)) throw new Error(`"ordering" in ${fullPath} must be a list of rules`);
+    const invalid = config.ordering
+      .map((rule) => {
+        const error = validateOrderingRule(rule);
+        return error && `${rule}: ${error}`;
+      })
+      .filter(Boolean);
+    if (invalid.length) throw new Error(`Invalid ordering rule in ${fullPath}: ${invalid.join('; ')}`);
+  }
+  if (config.variantMedia != null && !VARIANT_MEDIA_MODES.includes(config.variantMedia)) {
+    throw new Error(`"variantMedia" in ${fullPath} must be one of ${VARIANT_MEDIA_MODES.join(', ')}`);
+  }
+  return config;
+}
+
+// "namespace.key" -> { namespace, key }
+function parseMetafield(value, flag) {
+  const [namespace, ...rest] = String(value).split('.');
+  const key = rest.join('.');
+  if (!namespace || !key) throw new Error(`${flag} expects namespace.key, got "${value}"`);
+  return { namespace, key };
+}
+
+// Matching configuration from the config file, overridden by --id-metafield, --lookups and
+// --variant-metafield
+export function resolveMatching(config, opts) {
+  const matching = { ...DEFAULT_MATCHING, ...config.matching };
+  if (opts.idMetafield) matching.identifier = parseMetafield(opts.idMetafield, '--id-metafield');
+  if (opts.variantMetafield) {
+    matching.variantIdentifier = parseMetafield(opts.variantMetafield, '--variant-metafield');
+  }
+  if (opts.lookups != null) {
+    matching.lookups = String(opts.lookups).split(',').map((l) => l.trim()).filter(Boolean);
+  }
+  const unknown = (matching.lookups || []).filter((l) => !OPTIONAL_LOOKUPS.includes(l));
+  if (unknown.length) {
+    throw new Error(`Unknown lookup ${unknown.join(', ')} (use ${OPTIONAL_LOOKUPS.join(', ')})`);
+  }
+  if (matching.lookups?.includes('variant_metafield') && !matching.variantIdentifier?.key) {
+    throw new Error('The variant_metafield lookup needs --variant-metafield namespace.key');
+  }
+  return matching;
+}
@@ -2,6 +2,8 @@
 import { Command } from 'commander';
 import dotenv from 'dotenv';
 import pLimit from 'p-limit';
+import { describeCostStats } from '@mrpet/media-service';
+import { createRunTransport } from './run.js';
 
 dotenv.config();
 
@@ -14,26 +16,7 @@ program
 
 const opts = program.opts();
 
-const SHOP = process.env.SHOP;
-const TOKEN = process.env.ADMIN_ACCESS_TOKEN;
-const API_VERSION = process.env.API_VERSION || '2025-01';
-
-if (!SHOP || !TOKEN) {
-  console.error('Missing SHOP or ADMIN_ACCESS_TOKEN in .env');
-  process.exit(1);
-}
-
-const adminFetch = async (query, variables) => {
-  const res = await fetch(`https://${SHOP}/admin/api/${API_VERSION}/graphql.json`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': TOKEN,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-  return res.json();
-};
+const { gql: adminFetch } = createRunTransport();
 
 async function listProductIds(cursor = null) {
   const data = await adminFetch(
@@ -100,6 +83,7 @@ async function main() {
     cursor = pageInfo.endCursor;
   }
   console.log(`Done. processed=${total}`);
+  console.log(`Admin API: ${describeCostStats(adminFetch.stats())}`);
 }
 
 main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+import { Command } from 'commander';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import {
+  ON_EXISTING_POLICIES,
+  SKIPPED_EXISTING,
+  UNCHANGED,
+  VARIANT_MEDIA_MODES,
+  DEFAULT_MEDIA_ORDERING,
+  DEFAULT_VARIANT_MEDIA,
+  downloadRemoteImage,
+  getMediaHashes,
+  listProductImageMedia,
+  parseRemoteImageList,
+  planImageUpload,
+} from '@mrpet/media-service';
+import { fetchPinned, lookupAddresses } from '@mrpet/media-service/node';
+import { loadConfig, resolveMatching } from './config.js';
+import { attachPlannedImage, createProductState, createRunResolver, createRunTransport, runItems } from './run.js';
+
+dotenv.config();
+
+const program = new Command();
+
+program
+  .option('--list <file>', 'Image URLs, one per line as identifier,url[,position,alt] (CSV)')
+  .option('--concurrency <n>', 'Parallel imports', (v) => parseInt(v, 10), 3)
+  .option('--limit <n>', 'Process up to N lines', (v) => parseInt(v, 10), 0)
+  .option('--dry-run', 'Do not import, only report matches', false)
+  .option('--on-existing <mode>', `What to do with images a product already has: ${ON_EXISTING_POLICIES.join(', ')}`, 'replace')
+  .option('--variant-media <mode>', `Images given to a matched variant: ${VARIANT_MEDIA_MODES.join(', ')} (default from config, else all)`)
+  .option('--config <file>', 'JSON config file with matching and ordering (see README)')
+  .option('--id-metafield <namespace.key>', 'Product identifier metafield (default custom.id)')
+  .option('--lookups <list>', 'Extra lookups after the identifier and SKU: barcode,handle,variant_metafield')
+  .option('--variant-metafield <namespace.key>', 'Variant metafield for the variant_metafield lookup')
+  .option('--snapshot <file>', 'Match against a catalog snapshot (see mrpet-catalog-snapshot) instead of a lookup per line')
+  .option('--snapshot-max-age <hours>', 'Refuse snapshots older than this', (v) => parseFloat(v), 24)
+  .option('--refresh-snapshot', 'Export the catalog to --snapshot before starting', false)
+  .option('--cost-every <n>', 'Print Admin API cost stats every N lines (0 = only at the end)', (v) => parseInt(v, 10), 50)
+  .parse(process.argv);
+
+const opts = program.opts();
+
+if (!ON_EXISTING_POLICIES.includes(opts.onExisting)) {
+  console.error(`--on-existing must be one of ${ON_EXISTING_POLICIES.join(', ')}`);
+  process.exit(1);
+}
+
+let config;
+let matching;
+try {
+  config = loadConfig(opts.config);
+  matching = resolveMatching(config, opts);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const ordering = config.ordering || DEFAULT_MEDIA_ORDERING;
+const variantMedia = opts.variantMedia || config.variantMedia || DEFAULT_VARIANT_MEDIA;
+if (!VARIANT_MEDIA_MODES.includes(variantMedia)) {
+  console.error(`--variant-media must be one of ${VARIANT_MEDIA_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+const { gql, shop } = createRunTransport();
+
+// Identifiers are matched like keys from file names in --mode auto of mrpet-upload: resolved in batched
+// queries before importing, or from --snapshot
+const resolver = await createRunResolver(gql, opts, { shop, matching });
+const { withProductLock, recordCreated, createdIn } = createProductState();
+
+// Results carry the URL as their filename, that is what the output lists
+async function processEntry(entry) {
+  const { url, key } = entry;
+  const m = await resolver.resolve(key);
+  if (!m) return { filename: url, status: 'no_product_for_id_or_sku', message: `line ${entry.row}: ${key}` };
+
+  if (opts.dryRun) return { filename: url, productId: m.productId, status: 'matched' };
+
+  // The bytes are only hashed here; Shopify fetches the image from its URL itself
+  const image = await downloadRemoteImage(url, { lookup: lookupAddresses, fetch: fetchPinned });
+  if (image.status !== 'ok') return { filename: url, productId: m.productId, status: image.status, message: image.message };
+
+  return withProductLock(m.productId, () => importImage(entry, m, image.sha256));
+}
+
+async function importImage(entry, m, sha256) {
+  const { url, filename, key, index } = entry;
+  const { productId, productTitle, variantId, variantTitle } = m;
+
+  // Same slots as uploaded files (key and position), so a file upload and a URL import of the same
+  // image replace each other or are found unchanged
+  const [existingImages, hashes] = await Promise.all([
+    listProductImageMedia(gql, productId),
+    getMediaHashes(gql, productId),
+  ]);
+  const policy = opts.onExisting;
+  const plan = planImageUpload(
+    existingImages,
+    hashes,
+    { filename, sku: key, index, sha256 },
+    { policy, keep: createdIn(productId) },
+  );
+  if (plan.unchanged) {
+    recordCreated(productId, plan.unchanged.id);
+    return { filename: url, productId, status: UNCHANGED, mediaId: plan.unchanged.id };
+  }
+  if (plan.skip) {
+    return { filename: url, productId, status: SKIPPED_EXISTING, message: `Kept existing image ${plan.skip.id}` };
+  }
+
+  // Alt text: the list's, else mirror the file uploader
+  let altText = productTitle || filename;
+  if (entry.alt) {
+    altText = entry.alt;
+  } else if (productTitle && variantId && variantTitle) {
+    altText = `${productTitle} - ${variantTitle}`;
+    if (index > 0) altText += ` (${index + 1})`;
+  } else if (productTitle && index > 0) {
+    altText = `${productTitle} (${index + 1})`;
+  }
+  const attached = await attachPlannedImage(gql, productId, {
+    label: url,
+    resourceUrl: url,
+    altText,
+    plan,
+    existingImages,
+    hashes,
+    slot: { sku: key, index, sha256 },
+    variantIds: [variantId].filter(Boolean),
+    variantMedia,
+    ordering,
+    recordCreated,
+  });
+  return { filename: url, ...attached };
+}
+
+async function main() {
+  if (!opts.list || !fs.existsSync(opts.list)) {
+    console.error('--list is required and must exist');
+    process.exit(1);
+  }
+  const { entries: allEntries, errors } = parseRemoteImageList(fs.readFileSync(opts.list, 'utf8'));
+  if (errors.length) {
+    console.error(`${opts.list} has ${errors.length} problem(s), nothing was imported:`);
+    for (const e of errors) console.error(`  line ${e.row}${e.column ? ` (${e.column})` : ''}: ${e.message}`);
+    process.exit(1);
+  }
+  const entries = opts.limit > 0 ? allEntries.slice(0, opts.limit) : allEntries;
+
+  console.log(`Importing ${entries.length} images (on-existing=${opts.onExisting}, variant-media=${variantMedia}, concurrency=${opts.concurrency})`);
+  await resolver.prefetch(entries.map((e) => e.key));
+
+  await runItems(entries, processEntry, { gql, resolver, opts, nameOf: (entry) => entry.url });
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
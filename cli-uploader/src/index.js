@@ -7,120 +7,91 @@ import { fileURLToPath } from 'url';
 import mime from 'mime-types';
 import FormData from 'form-data';
 import axios from 'axios';
-import pLimit from 'p-limit';
-import pRetry from 'p-retry';
+import {
+  ON_EXISTING_POLICIES,
+  SKIPPED_EXISTING,
+  VARIANT_MEDIA_MODES,
+  DEFAULT_MEDIA_ORDERING,
+  DEFAULT_VARIANT_MEDIA,
+  createStagedUpload,
+  describeOptionVariants,
+  extractSkuAndIndexFromFilename,
+  findNamedVariant,
+  findOptionVariants,
+  getMediaHashes,
+  layoutProductFolders,
+  listProductImageMedia,
+  listProductVariantOptions,
+  optionSlotKey,
+  planImageUpload,
+  readManifestRows,
+  sha256Hex,
+  UNCHANGED,
+  validateManifest,
+  variantSlotKey,
+} from '@mrpet/media-service';
+import { loadConfig, resolveMatching } from './config.js';
+import { attachPlannedImage, createProductState, createRunResolver, createRunTransport, runItems } from './run.js';
 
 dotenv.config();
 
+// flat: keys come from the file names; folders: from the name of the folder holding the files
+const LAYOUTS = ['flat', 'folders'];
+
 const program = new Command();
 
 program
   .option('--dir <dir>', 'Directory with images')
+  .option('--layout <layout>', `Where keys come from: ${LAYOUTS.join(', ')} (folders: one folder per key, see README)`, 'flat')
+  .option('--recursive', 'Also read the files in subfolders of --dir, at any depth', false)
   .option('--mode <mode>', 'sku or custom-id or auto', 'sku')
   .option('--concurrency <n>', 'Parallel uploads', (v) => parseInt(v, 10), 3)
   .option('--limit <n>', 'Process up to N files', (v) => parseInt(v, 10), 0)
-  .option('--start-from <filename>', 'Skip files until this basename is encountered')
+  .option('--start-from <filename>', 'Skip files until this one, by its path below --dir, is encountered')
   .option('--from-inclusive', 'Include the start-from file in processing', false)
   .option('--dry-run', 'Do not upload, only report matches', false)
+  .option('--on-existing <mode>', `What to do with images a product already has: ${ON_EXISTING_POLICIES.join(', ')}`, 'replace')
+  .option('--variant-media <mode>', `Images given to a matched variant: ${VARIANT_MEDIA_MODES.join(', ')} (default from config, else all)`)
+  .option('--manifest <file>', 'CSV or XLSX file mapping files to products (see README)')
+  .option('--config <file>', 'JSON config file with filename templates and matching (see README)')
+  .option('--id-metafield <namespace.key>', 'Product identifier metafield (default custom.id)')
+  .option('--lookups <list>', 'Extra lookups after the identifier and SKU: barcode,handle,variant_metafield')
+  .option('--variant-metafield <namespace.key>', 'Variant metafield for the variant_metafield lookup')
+  .option('--snapshot <file>', 'Match against a catalog snapshot (see mrpet-catalog-snapshot) instead of a lookup per file')
+  .option('--snapshot-max-age <hours>', 'Refuse snapshots older than this', (v) => parseFloat(v), 24)
+  .option('--refresh-snapshot', 'Export the catalog to --snapshot before starting', false)
+  .option('--cost-every <n>', 'Print Admin API cost stats every N files (0 = only at the end)', (v) => parseInt(v, 10), 50)
   .parse(process.argv);
 
 const opts = program.opts();
 
-const SHOP = process.env.SHOP;
-const TOKEN = process.env.ADMIN_ACCESS_TOKEN;
-const API_VERSION = process.env.API_VERSION || '2025-01';
-
-if (!SHOP || !TOKEN) {
-  console.error('Missing SHOP or ADMIN_ACCESS_TOKEN in .env');
+if (!ON_EXISTING_POLICIES.includes(opts.onExisting)) {
+  console.error(`--on-existing must be one of ${ON_EXISTING_POLICIES.join(', ')}`);
   process.exit(1);
 }
-
-const adminFetch = async (query, variables) => {
-  const res = await fetch(`https://${SHOP}/admin/api/${API_VERSION}/graphql.json`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': TOKEN,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-  return res;
-};
-
-function extractSkuAndIndexFromFilename(filename) {
-  const base = path.basename(filename).split('?')[0];
-  const nameOnly = base.includes('.') ? base.substring(0, base.lastIndexOf('.')) : base;
-  const match = nameOnly.match(/^(.*?)(?:_(\d+))?$/);
-  if (!match) return { sku: nameOnly.trim(), index: 0 };
-  const sku = (match[1] || '').trim();
-  const index = match[2] ? parseInt(match[2], 10) : 0;
-  return { sku, index: Number.isFinite(index) ? index : 0 };
-}
-
-function extractCustomIdAndIndexFromFilename(filename) {
-  const base = path.basename(filename).split('?')[0];
-  const nameOnly = base.includes('.') ? base.substring(0, base.lastIndexOf('.')) : base;
-  const match = nameOnly.match(/^(.*?)(?:_(\d+))?$/);
-  if (!match) return { id: nameOnly.trim(), index: 0 };
-  const id = (match[1] || '').trim();
-  const index = match[2] ? parseInt(match[2], 10) : 0;
-  return { id, index: Number.isFinite(index) ? index : 0 };
+if (!LAYOUTS.includes(opts.layout)) {
+  console.error(`--layout must be one of ${LAYOUTS.join(', ')}`);
+  process.exit(1);
 }
 
-async function findProductByCustomId(customId) {
-  const res = await adminFetch(
-    `#graphql
-      query FindProductByCustomId($identifier: ProductIdentifierInput!) {
-        productByIdentifier(identifier: $identifier) { id title }
-      }
-    `,
-    { identifier: { customId: { namespace: 'custom', key: 'id', value: customId } } },
-  );
-  const json = await res.json();
-  const p = json?.data?.productByIdentifier;
-  if (!p) return null;
-  return { productId: p.id, productTitle: p.title };
+let config;
+let matching;
+try {
+  config = loadConfig(opts.config);
+  matching = resolveMatching(config, opts);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
 }
-
-async function findProductAndVariantBySku(sku) {
-  const res = await adminFetch(
-    `#graphql
-      query VariantBySku($query: String!) {
-        productVariants(first: 1, query: $query) {
-          edges { node { id title product { id title } } }
-        }
-      }
-    `,
-    { query: `sku:${sku}` },
-  );
-  const json = await res.json();
-  const edge = json?.data?.productVariants?.edges?.[0];
-  if (!edge) return { productId: null, variantId: null, productTitle: null, variantTitle: null };
-  return {
-    productId: edge.node.product.id,
-    variantId: edge.node.id,
-    productTitle: edge.node.product.title,
-    variantTitle: edge.node.title,
-  };
+const naming = config.naming;
+const ordering = config.ordering || DEFAULT_MEDIA_ORDERING;
+const variantMedia = opts.variantMedia || config.variantMedia || DEFAULT_VARIANT_MEDIA;
+if (!VARIANT_MEDIA_MODES.includes(variantMedia)) {
+  console.error(`--variant-media must be one of ${VARIANT_MEDIA_MODES.join(', ')}`);
+  process.exit(1);
 }
 
-async function createStagedUpload({ filename, mimeType, fileSize }) {
-  const res = await adminFetch(
-    `#graphql
-      mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
-        stagedUploadsCreate(input: $input) {
-          stagedTargets { url resourceUrl parameters { name value } }
-          userErrors { field message }
-        }
-      }
-    `,
-    { input: [{ resource: 'IMAGE', filename, mimeType: mimeType || 'image/jpeg', fileSize: String(fileSize ?? 0), httpMethod: 'POST' }] },
-  );
-  const json = await res.json();
-  const target = json?.data?.stagedUploadsCreate?.stagedTargets?.[0];
-  const errors = json?.data?.stagedUploadsCreate?.userErrors || [];
-  return { target, errors };
-}
+const { gql, shop } = createRunTransport();
 
 async function uploadToS3Target(target, filePath, filename, mimeType) {
   const form = new FormData();
@@ -141,285 +112,197 @@ async function uploadToS3Target(target, filePath, filename, mimeType) {
   }
 }
 
-async function attachImageToProduct(productId, resourceUrl, altText) {
-  const res = await adminFetch(
-    `#graphql
-      mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
-        productCreateMedia(productId: $productId, media: $media) {
-          media { ... on MediaImage { id alt image { originalSrc } } }
-          mediaUserErrors { field message }
-        }
-      }
-    `,
-    { productId, media: [{ alt: altText || null, originalSource: resourceUrl, mediaContentType: 'IMAGE' }] },
-  );
-  const json = await res.json();
-  return { media: json?.data?.productCreateMedia?.media || [], errors: json?.data?.productCreateMedia?.mediaUserErrors || [] };
-}
+// Rows of --manifest by the file's path below --dir
+let manifestEntries = new Map();
 
-async function listProductImageMedia(productId) {
-  const res = await adminFetch(
-    `#graphql
-      query ProductImageMedia($id: ID!) {
-        product(id: $id) {
-          media(first: 250) { nodes { id __typename ... on MediaImage { id alt image { originalSrc } } } }
-        }
-      }
-    `,
-    { id: productId },
-  );
-  const json = await res.json();
-  const nodes = json?.data?.product?.media?.nodes || [];
-  return nodes.filter((n) => n.__typename === 'MediaImage');
+// A file's path below --dir with forward slashes: how files are named in the manifest, by --start-from
+// and in the results, so files of the same name in two folders are told apart
+function relativeName(filePath) {
+  return path.relative(opts.dir, filePath).split(path.sep).join('/');
 }
 
-async function deleteProductMedia(productId, mediaIds) {
-  if (!mediaIds.length) return { deleted: 0, errors: [] };
-  const res = await adminFetch(
-    `#graphql
-      mutation ProductDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
-        productDeleteMedia(productId: $productId, mediaIds: $mediaIds) { deletedMediaIds mediaUserErrors { field message } }
-      }
-    `,
-    { productId, mediaIds },
-  );
-  const json = await res.json();
-  const errors = json?.data?.productDeleteMedia?.mediaUserErrors || [];
-  const deleted = json?.data?.productDeleteMedia?.deletedMediaIds?.length || 0;
-  return { deleted, errors };
-}
+// Key and position of every file with --layout folders, by path (see layoutFolders)
+const folderSlots = new Map();
 
-async function reorderProductMedia(productId, moves) {
-  if (!moves?.length) return { success: true };
-  const res = await adminFetch(
-    `#graphql
-      mutation ProductReorderMedia($id: ID!, $moves: [MoveInput!]!) {
-        productReorderMedia(id: $id, moves: $moves) {
-          userErrors { field message }
-        }
-      }
-    `,
-    { id: productId, moves },
-  );
-  const json = await res.json();
-  const errors = json?.data?.productReorderMedia?.userErrors || [];
-  return { success: !errors.length, errors };
+// Relative to --dir so folder templates ({key}/{index}) see the folder name. Files listed in the manifest
+// take key, position and option from their row; lookup is the column the key came from
+function parseFile(filePath) {
+  const parsed = folderSlots.get(filePath) || extractSkuAndIndexFromFilename(relativeName(filePath), naming);
+  const entry = manifestEntries.get(relativeName(filePath));
+  if (!entry) return parsed;
+  return {
+    ...parsed,
+    sku: entry.key,
+    index: entry.index ?? parsed.index,
+    option: entry.option || parsed.option,
+    lookup: entry.lookup,
+    manifest: entry,
+  };
 }
 
-async function waitForMediaReady(mediaId, { timeoutMs = 20000, intervalMs = 800 } = {}) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
-    const res = await adminFetch(
-      `#graphql
-        query MediaStatus($id: ID!) { node(id: $id) { ... on Media { id status } } }
-      `,
-      { id: mediaId },
-    );
-    const json = await res.json();
-    const status = json?.data?.node?.status;
-    if (status === 'READY') return true;
-    await new Promise((r) => setTimeout(r, intervalMs));
+// Files under dir down to `depth` levels of subfolders, hidden files and folders left out
+function listFiles(dir, depth) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (depth > 0) files.push(...listFiles(fullPath, depth - 1));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
   }
-  return false;
+  return files;
 }
 
-async function listVariantMedia(variantId) {
-  const res = await adminFetch(
-    `#graphql
-      query VariantMedia($id: ID!) { productVariant(id: $id) { id media(first: 50) { nodes { id } } } }
-    `,
-    { id: variantId },
-  );
-  const json = await res.json();
-  return json?.data?.productVariant?.media?.nodes?.map((n) => n.id) || [];
+// --layout folders: every folder holding files is one key, named by the folder (SKU or custom.id per
+// --mode), and its files are the key's gallery in sortFolderFiles order (numeric prefix, then natural
+// order); their own names do not matter (layoutProductFolders). Returns the files folder by folder, in
+// gallery order, leaving out files directly in --dir.
+function layoutFolders(files) {
+  const byName = new Map(files.map((filePath) => [relativeName(filePath), filePath]));
+  const ordered = [];
+  for (const [name, slot] of layoutProductFolders([...byName.keys()])) {
+    folderSlots.set(byName.get(name), slot);
+    ordered.push(byName.get(name));
+  }
+  return ordered;
 }
 
-async function detachVariantMedia(variantId, mediaIds) {
-  if (!mediaIds.length) return { removed: 0, errors: [] };
-  const res = await adminFetch(
-    `#graphql
-      mutation ProductVariantDetachMedia($variantId: ID!, $mediaIds: [ID!]!) {
-        productVariantDetachMedia(variantId: $variantId, mediaIds: $mediaIds) { detachedMediaIds userErrors { field message } }
-      }
-    `,
-    { variantId, mediaIds },
-  );
-  const json = await res.json();
-  const errors = json?.data?.productVariantDetachMedia?.userErrors || [];
-  const removed = json?.data?.productVariantDetachMedia?.detachedMediaIds?.length || 0;
-  return { removed, errors };
+// Reads and checks --manifest against the files of --dir; exits listing every problem
+async function loadManifest(file, filenames) {
+  let rows;
+  try {
+    rows = await readManifestRows(new Uint8Array(fs.readFileSync(file)), file);
+  } catch (e) {
+    console.error(`Cannot read manifest ${file}: ${e.message}`);
+    process.exit(1);
+  }
+  const { entries, errors } = validateManifest(rows, { filenames });
+  if (errors.length) {
+    console.error(`Manifest ${file} has ${errors.length} problem(s), nothing was uploaded:`);
+    for (const e of errors) console.error(`  row ${e.row}${e.column ? ` (${e.column})` : ''}: ${e.message}`);
+    process.exit(1);
+  }
+  return new Map(entries.map((entry) => [entry.filename, entry]));
 }
 
-async function appendVariantMedia(variantId, mediaId) {
-  const res = await adminFetch(
-    `#graphql
-      mutation ProductVariantAppendMedia($variantId: ID!, $mediaIds: [ID!]!) {
-        productVariantAppendMedia(variantId: $variantId, mediaIds: $mediaIds) { attachedToVariantIds userErrors { field message } }
-      }
-    `,
-    { variantId, mediaIds: [mediaId] },
-  );
-  const json = await res.json();
-  const errors = json?.data?.productVariantAppendMedia?.userErrors || [];
-  return { errors };
-}
+// Lookups for --mode: custom-id and sku use a single one, auto the full chain of the app
+const MODE_CHAINS = { 'custom-id': ['custom_id'], sku: ['sku'] };
+const NOT_FOUND_STATUSES = { 'custom-id': 'no_product_for_custom_id', sku: 'no_product_for_sku' };
 
-async function bulkSetVariantMedia(productId, variantId, mediaId) {
-  const res = await adminFetch(
-    `#graphql
-      mutation VariantSetMedia($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-        productVariantsBulkUpdate(productId: $productId, variants: $variants) { productVariants { id } userErrors { field message } }
-      }
-    `,
-    { productId, variants: [{ id: variantId, mediaId }] },
-  );
-  const json = await res.json();
-  const errors = json?.data?.productVariantsBulkUpdate?.userErrors || [];
-  return { errors };
+const runMatching = { ...matching, chain: MODE_CHAINS[opts.mode] };
+const resolver = await createRunResolver(gql, opts, { shop, matching, runMatching });
+const { withProductLock, recordCreated, createdIn } = createProductState();
+
+// Variants and their options per product, looked up once for all option files of the product
+const variantOptions = new Map();
+function listVariantOptions(productId) {
+  if (!variantOptions.has(productId)) variantOptions.set(productId, listProductVariantOptions(gql, productId));
+  return variantOptions.get(productId);
 }
 
 async function processFile(filePath) {
   const filename = path.basename(filePath);
-  const mimeType = mime.lookup(filename) || 'image/jpeg';
-  const stats = fs.statSync(filePath);
+  const parsed = parseFile(filePath);
+
+  // Resolve mapping depending on mode (auto: identifier metafield, SKU, then --lookups); keys from a
+  // manifest's sku, custom_id or handle column are looked up only that way
+  let m = await resolver.resolve(parsed.sku, { lookup: parsed.lookup || undefined });
+  if (!m) return { filename, status: NOT_FOUND_STATUSES[opts.mode] || 'no_product_for_id_or_sku' };
+
+  // Option images have slots of their own (1234__color-blue_1), apart from the key's images; a variant
+  // named in the manifest gets the slots of its SKU
+  let slotKey = optionSlotKey(parsed.sku, parsed.option);
+  const variantName = parsed.manifest?.variant;
+  if (variantName) {
+    const named = findNamedVariant(await listVariantOptions(m.productId), variantName);
+    if (!named) {
+      return { filename, productId: m.productId, status: 'variant_not_found', message: `no variant has the SKU or title "${variantName}"` };
+    }
+    m = { ...m, variantId: named.id, variantTitle: named.title };
+    slotKey = variantSlotKey(parsed.sku, named);
+  }
 
-  let productId = null;
-  let productTitle = null;
-  let variantId = null;
-  let variantTitle = null;
-  let isProductLevel = false;
-  let uploadIndex = 0;
-
-  // Resolve mapping depending on mode
-  if (opts.mode === 'custom-id') {
-    const { id: customId, index } = extractCustomIdAndIndexFromFilename(filename);
-    uploadIndex = index;
-    const p = await findProductByCustomId(customId);
-    if (!p) return { filename, status: 'no_product_for_custom_id' };
-    productId = p.productId; productTitle = p.productTitle; isProductLevel = true;
-  } else if (opts.mode === 'sku') {
-    const { sku, index } = extractSkuAndIndexFromFilename(filename);
-    uploadIndex = index;
-    const v = await findProductAndVariantBySku(sku);
-    if (!v.productId) return { filename, status: 'no_product_for_sku' };
-    productId = v.productId; variantId = v.variantId; productTitle = v.productTitle; variantTitle = v.variantTitle; isProductLevel = false;
-  } else {
-    // auto: try custom-id first
-    const { id: customId, index } = extractCustomIdAndIndexFromFilename(filename);
-    uploadIndex = index;
-    const p = await findProductByCustomId(customId);
-    if (p && p.productId) {
-      productId = p.productId; productTitle = p.productTitle; isProductLevel = true;
-    } else {
-      const { sku } = extractSkuAndIndexFromFilename(filename);
-      const v = await findProductAndVariantBySku(sku);
-      if (!v.productId) return { filename, status: 'no_product_for_id_or_sku' };
-      productId = v.productId; variantId = v.variantId; productTitle = v.productTitle; variantTitle = v.variantTitle; isProductLevel = false;
+  // 1234__color-blue.jpg goes to every variant of the key's product whose Color is Blue
+  let optionVariants = null;
+  if (parsed.option) {
+    optionVariants = findOptionVariants(await listVariantOptions(m.productId), parsed.option);
+    m = { ...m, variantId: null, variantTitle: describeOptionVariants(optionVariants) };
+    if (!optionVariants.variants.length) {
+      const { name, value } = parsed.option;
+      return { filename, productId: m.productId, status: 'no_variant_for_option', message: `no variant has ${name} "${value}"` };
     }
   }
 
-  if (opts.dry_run) return { filename, productId, status: 'matched' };
-
-  // Duplicate detection aligned with app logic
-  const uploadedBaseName = (filename.split('/').pop() || filename).split('?')[0].toLowerCase();
-  const existingImages = await listProductImageMedia(productId);
-  let altLabel = null;
-  if (!isProductLevel) {
-    // SKU mode: expected alt label equals product/variant title pattern; we can't reconstruct titles here reliably
-    // but we can use filename-based label for legacy created alts
-    const { sku } = extractSkuAndIndexFromFilename(filename);
-    altLabel = uploadIndex === 0 ? sku : `${sku}_${uploadIndex}`;
-  } else {
-    // Custom-id mode: expected alt equals productTitle (+ (n+1) if not base)
-    altLabel = productTitle || null;
-    if (altLabel && uploadIndex > 0) altLabel = `${altLabel} (${uploadIndex + 1})`;
+  if (opts.dryRun) return { filename, productId: m.productId, status: 'matched', message: optionVariants ? m.variantTitle : undefined };
+
+  const sha256 = await sha256Hex(fs.readFileSync(filePath));
+  return withProductLock(m.productId, () => uploadFile(filePath, { ...parsed, slotKey }, m, sha256, optionVariants));
+}
+
+async function uploadFile(filePath, parsed, m, sha256, optionVariants) {
+  const filename = path.basename(filePath);
+  const mimeType = mime.lookup(filename) || 'image/jpeg';
+  const stats = fs.statSync(filePath);
+  const uploadIndex = parsed.index;
+  const { productId, productTitle, variantId, variantTitle } = m;
+  const isProductLevel = !m.variantId && !optionVariants;
+  const { slotKey } = parsed;
+  const variantIds = optionVariants ? optionVariants.variants.map((v) => v.id) : [variantId].filter(Boolean);
+
+  // Duplicate detection shared with the app: images with a recorded content hash are matched by slot,
+  // older uploads by alt text or file name, identical bytes are skipped
+  const [existingImages, hashes] = await Promise.all([
+    listProductImageMedia(gql, productId),
+    getMediaHashes(gql, productId),
+  ]);
+  const policy = parsed.manifest?.onExisting || opts.onExisting;
+  const plan = planImageUpload(
+    existingImages,
+    hashes,
+    { filename, sku: slotKey, index: uploadIndex, sha256 },
+    { policy, keep: createdIn(productId) },
+  );
+  if (plan.unchanged) {
+    recordCreated(productId, plan.unchanged.id);
+    return { filename, productId, status: UNCHANGED, mediaId: plan.unchanged.id };
   }
-  const toReplace = existingImages.filter((img) => {
-    const alt = (img.alt || '').trim();
-    const src = img?.image?.originalSrc || '';
-    const existingBaseName = (src.split('/').pop() || '').split('?')[0].toLowerCase();
-    const altMatches = altLabel ? alt.toLowerCase() === altLabel.toLowerCase() : false;
-    const fileMatches = !!existingBaseName && existingBaseName === uploadedBaseName;
-    return altMatches || fileMatches;
-  });
-  if (toReplace.length) {
-    await deleteProductMedia(productId, toReplace.map((i) => i.id));
+  if (plan.skip) {
+    return { filename, productId, status: SKIPPED_EXISTING, message: `Kept existing image ${plan.skip.id}` };
   }
 
-  const { target, errors: stagedErrors } = await createStagedUpload({ filename, mimeType, fileSize: stats.size });
+  const { target, errors: stagedErrors } = await createStagedUpload(gql, { filename, mimeType, fileSize: stats.size });
   if (!target) return { filename, productId, status: 'staged_upload_error', errors: stagedErrors };
 
   const uploaded = await uploadToS3Target(target, filePath, filename, mimeType);
   if (!uploaded) return { filename, productId, status: 's3_upload_failed' };
 
-  // Alt text: mirror app logic
+  // Alt text: mirror app logic, the manifest's alt column wins
+  const altVariant = optionVariants ? optionVariants.value : variantTitle;
   let altText = productTitle || filename;
-  if (!isProductLevel && productTitle && variantTitle) {
-    altText = `${productTitle} - ${variantTitle}`;
+  if (parsed.manifest?.alt) {
+    altText = parsed.manifest.alt;
+  } else if (!isProductLevel && productTitle && altVariant) {
+    altText = `${productTitle} - ${altVariant}`;
     if (uploadIndex > 0) altText += ` (${uploadIndex + 1})`;
   } else if (productTitle) {
     if (uploadIndex > 0) altText = `${productTitle} (${uploadIndex + 1})`;
   }
-  const { media, errors: attachErrors } = await attachImageToProduct(productId, target.resourceUrl, altText);
-  if (attachErrors?.length) return { filename, productId, status: 'attach_failed', errors: attachErrors };
-
-  const createdId = media?.[0]?.id;
-  if (!createdId) return { filename, productId, status: 'no_media_id' };
-
-  // Optional: map to variant when in SKU mode
-  if (!isProductLevel && uploadIndex === 0 && variantId && createdId) {
-    const ready = await waitForMediaReady(createdId);
-    if (ready) {
-      const { errors: bulkErrors } = await bulkSetVariantMedia(productId, variantId, createdId);
-      if (bulkErrors?.length) {
-        // Fallback detach/append
-        const currentVariantMedia = await listVariantMedia(variantId);
-        if (currentVariantMedia.length) await detachVariantMedia(variantId, currentVariantMedia);
-        await appendVariantMedia(variantId, createdId);
-      }
-    }
-  }
-
-  // Reorder: product-level (custom.id) first sorted by suffix (none, (2), (3)...), then variant-level
-  const existing = await listProductImageMedia(productId);
-  const productLevel = [];
-  const variantLevelGroup = [];
-  const others = [];
-  for (const n of existing) {
-    const alt = (n.alt || '').trim();
-    if (productTitle && alt === productTitle) {
-      productLevel.push({ id: n.id, idx: 0 });
-    } else {
-      const m = alt.match(/^(.+?) \((\d+)\)$/);
-      if (m && m[1] === productTitle) {
-        const idx = parseInt(m[2], 10);
-        productLevel.push({ id: n.id, idx: Number.isFinite(idx) ? idx - 1 : 0 });
-      } else if (productTitle && alt.startsWith(`${productTitle} - `)) {
-        variantLevelGroup.push(n.id);
-      } else {
-        others.push(n.id);
-      }
-    }
-  }
-  productLevel.sort((a, b) => a.idx - b.idx);
-  let finalOrder;
-  if (productLevel.length === 0 && variantLevelGroup.length > 0) {
-    // No product-level images exist: promote variant-level to the front
-    finalOrder = [
-      ...variantLevelGroup,
-      ...others.filter((id) => !variantLevelGroup.includes(id)),
-    ];
-  } else {
-    finalOrder = [
-      ...productLevel.map((x) => x.id),
-      ...others.filter((id) => !variantLevelGroup.includes(id)),
-      ...variantLevelGroup,
-    ];
-  }
-  const moves = finalOrder.map((id, i) => ({ id, newPosition: String(i + 1) }));
-  await reorderProductMedia(productId, moves);
-
-  return { filename, productId, status: 'ok', mediaId: createdId };
+  const attached = await attachPlannedImage(gql, productId, {
+    label: filename,
+    resourceUrl: target.resourceUrl,
+    altText,
+    plan,
+    existingImages,
+    hashes,
+    slot: { sku: slotKey, index: uploadIndex, sha256 },
+    variantIds: isProductLevel ? [] : variantIds,
+    variantMedia,
+    ordering,
+    recordCreated,
+  });
+  return { filename, ...attached };
 }
 
 async function main() {
@@ -428,29 +311,36 @@ async function main() {
     console.error('--dir is required and must exist');
     process.exit(1);
   }
-  const allFiles = fs.readdirSync(dir)
-    .filter((f) => !f.startsWith('.'))
-    .sort((a, b) => a.localeCompare(b))
-    .map((f) => path.join(dir, f));
+  // Product folders are one level below --dir unless --recursive allows any depth
+  const depth = opts.recursive ? Infinity : opts.layout === 'folders' ? 1 : 0;
+  const found = listFiles(dir, depth);
+  let allFiles;
+  if (opts.layout === 'folders') {
+    allFiles = layoutFolders(found);
+    if (found.length > allFiles.length) console.log(`Ignoring ${found.length - allFiles.length} files outside product folders`);
+  } else {
+    allFiles = found.sort((a, b) => a.localeCompare(b));
+  }
 
   let startIdx = 0;
   if (opts.startFrom) {
-    const target = opts.startFrom;
-    const idx = allFiles.findIndex((fp) => path.basename(fp) === target);
+    const target = opts.startFrom.split(/[\\/]/).filter((part) => part && part !== '.').join('/');
+    const idx = allFiles.findIndex((fp) => relativeName(fp) === target);
     if (idx >= 0) startIdx = opts.fromInclusive ? idx : idx + 1;
   }
+  if (opts.manifest) manifestEntries = await loadManifest(opts.manifest, allFiles.map(relativeName));
+
   const pending = allFiles.slice(startIdx);
   const files = opts.limit > 0 ? pending.slice(0, opts.limit) : pending;
 
-  console.log(`Processing ${files.length} files (mode=${opts.mode}, concurrency=${opts.concurrency})`);
-
-  const limit = pLimit(opts.concurrency);
-  let ok = 0, fail = 0;
-  const results = await Promise.all(files.map((fp) => limit(() => pRetry(() => processFile(fp), { retries: 2 }))
-    .then((r) => { if (r.status === 'ok') ok++; else fail++; console.log(`${r.status}: ${r.filename}${r.productId ? ' -> ' + r.productId : ''}`); return r; })
-    .catch((e) => { fail++; console.log(`error: ${path.basename(fp)}: ${e.message}`); return { filename: path.basename(fp), status: 'error', message: e.message }; })));
+  console.log(`Processing ${files.length} files (mode=${opts.mode}, layout=${opts.layout}${opts.manifest ? `, manifest rows=${manifestEntries.size}` : ''}, on-existing=${opts.onExisting}, variant-media=${variantMedia}, concurrency=${opts.concurrency})`);
+  const keysByLookup = new Map();
+  for (const { sku, lookup = null } of files.map(parseFile)) {
+    keysByLookup.set(lookup, [...(keysByLookup.get(lookup) || []), sku]);
+  }
+  for (const [lookup, keys] of keysByLookup) await resolver.prefetch(keys, { lookup: lookup || undefined });
 
-  console.log(`Done. ok=${ok}, failed=${fail}`);
+  await runItems(files, processFile, { gql, resolver, opts, nameOf: relativeName });
 }
 
 main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { Command } from 'commander';
+import dotenv from 'dotenv';
+import {
+  DEFAULT_MEDIA_ORDERING,
+  applyMediaOrdering,
+  createMatchResolver,
+  describeCostStats,
+  formatResultError,
+  listProductsToSort,
+  toErrorResult,
+} from '@mrpet/media-service';
+import { loadConfig, resolveMatching } from './config.js';
+import { createRunTransport } from './run.js';
+
+dotenv.config();
+
+// Sort the galleries of existing products by the ordering rules, without uploading anything. Without
+// --keys or --products every product matching the filters is scanned.
+const program = new Command();
+program
+  .option('--keys <list>', 'Comma separated SKUs or custom IDs of the products to sort')
+  .option('--products <list>', 'Comma separated product GIDs to sort')
+  .option('--collection <id>', 'Only products in this collection (numeric id or GID)')
+  .option('--vendor <name>', 'Only products of this vendor')
+  .option('--tag <tag>', 'Only products with this tag')
+  .option('--report <file>', 'Write a CSV report of the changed (or, on a dry run, out of order) products')
+  .option('--config <file>', 'JSON config file with matching and ordering settings (see README)')
+  .option('--id-metafield <namespace.key>', 'Product identifier metafield (default custom.id)')
+  .option('--lookups <list>', 'Extra lookups after the identifier and SKU: barcode,handle,variant_metafield')
+  .option('--variant-metafield <namespace.key>', 'Variant metafield for the variant_metafield lookup')
+  .option('--dry-run', 'Only preview which galleries would change and how', false)
+  .parse(process.argv);
+
+const opts = program.opts();
+
+const splitList = (value) => String(value || '').split(',').map((v) => v.trim()).filter(Boolean);
+
+let config;
+let matching;
+try {
+  config = loadConfig(opts.config);
+  matching = resolveMatching(config, opts);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const ordering = config.ordering || DEFAULT_MEDIA_ORDERING;
+const keys = splitList(opts.keys);
+const productIds = splitList(opts.products);
+const filters = { collectionId: opts.collection, vendor: opts.vendor, tag: opts.tag };
+
+const { gql } = createRunTransport();
+
+// Products matching the filters, page by page
+async function scanProducts() {
+  const products = [];
+  let after = null;
+  do {
+    const page = await listProductsToSort(gql, filters, { after });
+    products.push(...page.products.map((p) => ({ label: p.title, productId: p.id })));
+    after = page.nextCursor;
+    console.log(`scanning: ${products.length} products`);
+  } while (after);
+  return products;
+}
+
+async function resolveTargets() {
+  const resolver = createMatchResolver(gql, matching);
+  await resolver.prefetch(keys);
+  const targets = productIds.map((productId) => ({ label: productId, productId }));
+  for (const key of keys) {
+    try {
+      const match = await resolver.resolve(key);
+      if (match) targets.push({ label: key, productId: match.productId });
+      else console.log(`not_found: ${key}`);
+    } catch (e) {
+      console.log(`${toErrorResult(e).status}: ${key} (${toErrorResult(e).message})`);
+    }
+  }
+  return targets;
+}
+
+const describe = ({ label, productId }) => (label === productId ? productId : `${label} -> ${productId}`);
+
+const moveLabel = (move) => move.alt || String(move.mediaContentType || 'media').toLowerCase();
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+function writeReport(rows) {
+  const lines = [['product_id', 'product', 'status', 'moved', 'media', 'details'].join(',')];
+  for (const r of rows) {
+    lines.push([r.productId, r.label, r.status, r.moves.length, r.mediaCount, r.detail].map(csvCell).join(','));
+  }
+  fs.writeFileSync(opts.report, `${lines.join('\n')}\n`);
+  console.log(`Report: ${rows.length} products written to ${opts.report}`);
+}
+
+async function main() {
+  console.log(`Ordering rules: ${ordering.join(', ')}${opts.dryRun ? ' (dry run)' : ''}`);
+  const targets = keys.length || productIds.length ? await resolveTargets() : await scanProducts();
+
+  let changed = 0;
+  let failed = 0;
+  const seen = new Set();
+  const reported = [];
+  const unique = targets.filter((t) => !seen.has(t.productId) && seen.add(t.productId));
+  for (const [index, target] of unique.entries()) {
+    const progress = `[${index + 1}/${unique.length}]`;
+    try {
+      const result = await applyMediaOrdering(gql, target.productId, ordering, { dryRun: opts.dryRun });
+      const detail = formatResultError(result);
+      if (result.status === 'reorder_failed') failed++;
+      else if (result.changed) changed++;
+      const status = result.status === 'ok' ? (opts.dryRun ? 'would_sort' : 'sorted') : result.status;
+      console.log(`${progress} ${status}: ${describe(target)}${detail ? ` (${detail})` : ''}`);
+      // Dry runs preview every move
+      if (opts.dryRun) result.moves.forEach((m) => console.log(`    ${moveLabel(m)}: ${m.from} -> ${m.to}`));
+      if (result.changed) reported.push({ ...target, ...result, status, detail });
+    } catch (e) {
+      failed++;
+      const { status, message } = toErrorResult(e);
+      console.log(`${progress} ${status}: ${describe(target)} (${message})`);
+      reported.push({ ...target, status, moves: [], mediaCount: null, detail: message });
+    }
+  }
+
+  if (opts.report) writeReport(reported);
+  console.log(`Done. ${opts.dryRun ? 'would sort' : 'sorted'}=${changed}, in order=${unique.length - changed - failed}, failed=${failed}`);
+  console.log(`Admin API: ${describeCostStats(gql.stats())}`);
+}
+
+main().catch((e) => { console.error(e); process.exit(1); });
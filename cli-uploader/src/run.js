@@ -0,0 +1,182 @@
+import pLimit from 'p-limit';
+import pRetry from 'p-retry';
+import {
+  AdminApiError,
+  AmbiguousMatchError,
+  GRAPHQL_ERROR,
+  SKIPPED_EXISTING,
+  UNCHANGED,
+  applyMediaOrdering,
+  attachUploadToVariants,
+  createCatalogMatcher,
+  createMatchResolver,
+  createThrottledTransport,
+  createTokenTransport,
+  describeCostStats,
+  describeLookupStats,
+  formatResultError,
+  safeReplaceProductImage,
+  saveMediaHashes,
+  toErrorResult,
+  updateMediaHashes,
+  waitForMediaReady,
+} from '@mrpet/media-service';
+import { loadSnapshotForRun } from './snapshot.js';
+
+// What mrpet-upload and mrpet-import-urls share: the Admin API transport (which every script uses), key
+// matching, the per-product state of a run and the run loop with its report.
+
+// Results that count as done in the totals
+const OK_STATUSES = ['ok', 'matched', UNCHANGED, SKIPPED_EXISTING];
+
+// Admin API transport for SHOP and ADMIN_ACCESS_TOKEN (and API_VERSION) from .env, shared by all
+// concurrent work so it waits on the same rate limit bucket. Exits when the credentials are missing.
+export function createRunTransport() {
+  const shop = process.env.SHOP;
+  const token = process.env.ADMIN_ACCESS_TOKEN;
+  const apiVersion = process.env.API_VERSION || '2025-01';
+  if (!shop || !token) {
+    console.error('Missing SHOP or ADMIN_ACCESS_TOKEN in .env');
+    process.exit(1);
+  }
+  const gql = createThrottledTransport(
+    createTokenTransport({ shop, accessToken: token, apiVersion }),
+    { onThrottle: ({ attempt, waitMs }) => console.log(`throttled: retry ${attempt} in ${waitMs}ms`) },
+  );
+  return { gql, shop };
+}
+
+// Keys are resolved in batched queries before processing and cached for the run; with --snapshot, keys
+// found in the snapshot need no query at all. The snapshot is exported for `matching`, keys are matched
+// with `runMatching` (the lookup chain of the run). Exits when the snapshot cannot be used.
+export async function createRunResolver(gql, opts, { shop, matching, runMatching = matching }) {
+  let catalog = null;
+  if (opts.snapshot) {
+    try {
+      const snapshot = await loadSnapshotForRun(gql, opts, { shop, matching });
+      console.log(`Using catalog snapshot ${opts.snapshot} (${snapshot.meta.objectCount} objects, ${snapshot.ageHours.toFixed(1)}h old)`);
+      catalog = createCatalogMatcher(snapshot.catalog, runMatching);
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+  }
+  return createMatchResolver(gql, runMatching, { catalog });
+}
+
+// Per-product state of a run: withProductLock runs the work on one product one after another (it shares
+// the product's gallery and hash record), recordCreated and createdIn keep the media the run uploaded or
+// found unchanged, which replace-all leaves in place.
+export function createProductState() {
+  const productQueues = new Map();
+  const createdInRun = new Map();
+  return {
+    withProductLock(productId, fn) {
+      const run = (productQueues.get(productId) || Promise.resolve()).then(fn, fn);
+      productQueues.set(productId, run.catch(() => {}));
+      return run;
+    },
+    recordCreated(productId, mediaId) {
+      if (!createdInRun.has(productId)) createdInRun.set(productId, new Set());
+      createdInRun.get(productId).add(mediaId);
+    },
+    createdIn(productId) {
+      return [...(createdInRun.get(productId) || [])];
+    },
+  };
+}
+
+// Attach an image to a product by a planImageUpload plan, then record its content hash for the slot
+// (sku, index), give it to variantIds (by variantMedia) and sort the gallery by ordering. Superseded
+// images are deleted only after the new one is READY and in their place; on failure the new image is
+// removed again and the old ones stay. The steps after attaching only warn under label: the image is in
+// place by then. Returns { productId, status, ... } like processing a file.
+export async function attachPlannedImage(gql, productId, {
+  label,
+  resourceUrl,
+  altText,
+  plan,
+  existingImages,
+  hashes,
+  slot: { sku, index, sha256 },
+  variantIds = [],
+  variantMedia,
+  ordering,
+  recordCreated,
+}) {
+  const attached = await safeReplaceProductImage(gql, productId, { resourceUrl, altText, replace: plan.replace });
+  if (!['ok', 'replaced'].includes(attached.status)) {
+    const { status, errors, message, rolledBack } = attached;
+    const outcome = rolledBack === undefined ? '' : rolledBack ? 'rolled back, old images kept' : 'rollback failed';
+    // A partial delete or a failed rollback leaves the new image on the product
+    if (attached.mediaId) recordCreated(productId, attached.mediaId);
+    return { productId, status, errors, message: [message, outcome].filter(Boolean).join('; ') };
+  }
+
+  const createdId = attached.mediaId;
+  if (!createdId) return { productId, status: 'no_media_id' };
+  recordCreated(productId, createdId);
+
+  const recorded = updateMediaHashes(hashes, {
+    mediaIds: existingImages.map((i) => i.id),
+    removed: attached.replaced ? plan.replace.map((i) => i.id) : [],
+    added: { mediaId: createdId, sha256, sku, index },
+  });
+  const { errors: hashErrors } = await saveMediaHashes(gql, productId, recorded);
+  if (hashErrors.length) console.log(`warning: content hash of ${label} not recorded (${formatResultError({ errors: hashErrors })})`);
+
+  // Variant assignment and sorting fail on media that is still processing
+  const ready = await waitForMediaReady(gql, createdId, { timeoutMs: 20000, intervalMs: 800 });
+
+  // Variant matches: the variant gets all images of the SKU in index order, or with variant media
+  // featured only the first one; option matches do the same for every variant
+  if (ready && variantIds.length) {
+    const assigned = await attachUploadToVariants(gql, productId, variantIds, {
+      mediaId: createdId,
+      sku,
+      index,
+      hashes: recorded,
+      mode: variantMedia,
+    });
+    if (assigned.status !== 'ok') console.log(`warning: ${label}: variant media not set (${formatResultError(assigned)})`);
+  }
+
+  // Sort the gallery with the ordering rules shared with the app (config `ordering`)
+  const ordered = await applyMediaOrdering(gql, productId, ordering).catch(toErrorResult);
+  if (ordered.status !== 'ok' && ordered.status !== 'unchanged') {
+    console.log(`warning: ${label}: gallery not sorted (${formatResultError(ordered)})`);
+  }
+
+  return { productId, status: 'ok', mediaId: createdId, replaced: attached.replaced };
+}
+
+// A rejected query, missing access scope or ambiguous SKU fails the same way on every attempt
+export function isRetryable(error) {
+  if (error instanceof AmbiguousMatchError) return false;
+  return !(error instanceof AdminApiError && error.status === GRAPHQL_ERROR);
+}
+
+// Run processItem on every item, opts.concurrency at a time with two retries, and print one line per
+// result under nameOf(item), Admin API cost every opts.costEvery items and the totals. Returns the
+// results in item order.
+export async function runItems(items, processItem, { gql, resolver, opts, nameOf }) {
+  const limit = pLimit(opts.concurrency);
+  let ok = 0, fail = 0;
+  const reportCost = () => {
+    if (opts.costEvery > 0 && (ok + fail) % opts.costEvery === 0) console.log(`cost: ${describeCostStats(gql.stats())}`);
+  };
+  const report = (r) => {
+    const detail = formatResultError(r);
+    console.log(`${r.status}: ${r.filename}${r.productId ? ' -> ' + r.productId : ''}${detail ? ` (${detail})` : ''}`);
+    return r;
+  };
+  const results = await Promise.all(items.map((item) => limit(() => pRetry(() => processItem(item), { retries: 2, shouldRetry: isRetryable }))
+    .then((r) => { if (OK_STATUSES.includes(r.status)) ok++; else fail++; return report({ ...r, filename: nameOf(item) }); })
+    .catch((e) => { fail++; return report({ filename: nameOf(item), ...toErrorResult(e) }); })
+    .finally(reportCost)));
+
+  console.log(`Done. ok=${ok}, failed=${fail}`);
+  console.log(`Admin API: ${describeCostStats(gql.stats())}`);
+  console.log(`Product lookups: ${describeLookupStats(resolver.stats())}`);
+  return results;
+}
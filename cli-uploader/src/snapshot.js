@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  catalogAgeHours,
+  catalogBulkQuery,
+  downloadBulkResult,
+  parseCatalogJsonl,
+  runBulkQuery,
+  waitForBulkOperation,
+} from '@mrpet/media-service';
+
+// Catalog snapshot on disk: the bulk operation's JSONL plus <file>.meta.json with when, for which shop
+// and for which identifier metafields it was exported.
+
+export const DEFAULT_SNAPSHOT_MAX_AGE_HOURS = 24;
+
+const metaPath = (file) => `${file}.meta.json`;
+
+const metafieldName = (m) => (m?.key ? `${m.namespace}.${m.key}` : '');
+
+// Export the catalog with a bulk operation and write it to file. Returns the meta data.
+export async function refreshSnapshot(gql, file, { shop, matching, log = console.log }) {
+  const { bulkOperation, errors } = await runBulkQuery(gql, catalogBulkQuery(matching));
+  if (errors.length || !bulkOperation) {
+    throw new Error(`Could not start the catalog export: ${errors.map((e) => e.message).join(', ')}`);
+  }
+  log(`Catalog export started (${bulkOperation.id})`);
+  const operation = await waitForBulkOperation(gql, bulkOperation.id, {
+    onProgress: (op) => log(`Catalog export ${op.status.toLowerCase()}: ${op.objectCount || 0} objects`),
+  });
+  if (!operation) throw new Error(`Catalog export ${bulkOperation.id} not found`);
+  if (operation.status !== 'COMPLETED') {
+    throw new Error(`Catalog export ${operation.status.toLowerCase()}: ${operation.errorCode || 'no details'}`);
+  }
+  const jsonl = await downloadBulkResult(operation);
+  const meta = {
+    shop,
+    bulkOperationId: operation.id,
+    createdAt: operation.completedAt || new Date().toISOString(),
+    objectCount: Number(operation.objectCount || 0),
+    identifier: matching.identifier,
+    variantIdentifier: matching.variantIdentifier || null,
+  };
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, jsonl);
+  fs.writeFileSync(metaPath(file), `${JSON.stringify(meta, null, 2)}\n`);
+  log(`Catalog snapshot written to ${file} (${meta.objectCount} objects)`);
+  return meta;
+}
+
+// Read a snapshot written by refreshSnapshot. Returns { catalog, meta, ageHours }, or { problem } when
+// it is missing, older than maxAgeHours, from another shop or exported for other identifier metafields.
+export function readSnapshot(file, { shop, matching, maxAgeHours = DEFAULT_SNAPSHOT_MAX_AGE_HOURS }) {
+  if (!fs.existsSync(file) || !fs.existsSync(metaPath(file))) return { problem: `${file} does not exist` };
+  const meta = JSON.parse(fs.readFileSync(metaPath(file), 'utf8'));
+  const ageHours = catalogAgeHours(meta.createdAt);
+  if (meta.shop && shop && meta.shop !== shop) return { problem: `${file} was exported from ${meta.shop}` };
+  if (ageHours > maxAgeHours) {
+    return { problem: `${file} is ${ageHours.toFixed(1)} hours old (maximum ${maxAgeHours})` };
+  }
+  if (
+    metafieldName(meta.identifier) !== metafieldName(matching.identifier) ||
+    metafieldName(meta.variantIdentifier) !== metafieldName(matching.variantIdentifier)
+  ) {
+    return { problem: `${file} was exported for other identifier metafields` };
+  }
+  return { catalog: parseCatalogJsonl(fs.readFileSync(file, 'utf8')), meta, ageHours };
+}
+
+// Snapshot for --snapshot / --snapshot-max-age / --refresh-snapshot: refreshed when asked to, otherwise
+// read from disk. Throws when the file cannot be used and --refresh-snapshot was not given.
+export async function loadSnapshotForRun(gql, opts, { shop, matching }) {
+  const file = opts.snapshot;
+  const maxAgeHours = opts.snapshotMaxAge ?? DEFAULT_SNAPSHOT_MAX_AGE_HOURS;
+  if (opts.refreshSnapshot) await refreshSnapshot(gql, file, { shop, matching });
+  const snapshot = readSnapshot(file, { shop, matching, maxAgeHours });
+  if (snapshot.problem) {
+    throw new Error(`Catalog snapshot unusable: ${snapshot.problem}. Run with --refresh-snapshot to export it again.`);
+  }
+  return snapshot;
+}
@@ -7,6 +7,19 @@ import FormData from 'form-data';
 import axios from 'axios';
 import pLimit from 'p-limit';
 import mime from 'mime-types';
+import {
+  createFile,
+  createProductMedia,
+  createStagedUpload,
+  describeCostStats,
+  describeLookupStats,
+  extractCustomIdFromFilename,
+  formatResultError,
+  toErrorResult,
+  waitForMediaReady,
+} from '@mrpet/media-service';
+import { loadConfig, resolveMatching } from './config.js';
+import { createRunResolver, createRunTransport } from './run.js';
 
 dotenv.config();
 
@@ -16,71 +29,32 @@ program
   .option('--concurrency <n>', 'Parallel uploads', (v) => parseInt(v, 10), 3)
   .option('--limit <n>', 'Process up to N files', (v) => parseInt(v, 10), 0)
   .option('--dry-run', 'Do not upload, only report matches', false)
+  .option('--config <file>', 'JSON config file with matching settings (see README)')
+  .option('--id-metafield <namespace.key>', 'Product identifier metafield (default custom.id)')
+  .option('--lookups <list>', 'Extra lookups after the identifier and SKU: barcode,handle,variant_metafield')
+  .option('--variant-metafield <namespace.key>', 'Variant metafield for the variant_metafield lookup')
+  .option('--snapshot <file>', 'Match against a catalog snapshot (see mrpet-catalog-snapshot) instead of a lookup per file')
+  .option('--snapshot-max-age <hours>', 'Refuse snapshots older than this', (v) => parseFloat(v), 24)
+  .option('--refresh-snapshot', 'Export the catalog to --snapshot before starting', false)
   .option('--poll-ms <n>', 'Polling interval ms for READY', (v) => parseInt(v, 10), 2500)
   .option('--poll-timeout-ms <n>', 'Max poll time ms', (v) => parseInt(v, 10), 180000)
   .parse(process.argv);
 
 const opts = program.opts();
 
-const SHOP = process.env.SHOP;
-const TOKEN = process.env.ADMIN_ACCESS_TOKEN;
-const API_VERSION = process.env.API_VERSION || '2025-01';
-
-if (!SHOP || !TOKEN) {
-  console.error('Missing SHOP or ADMIN_ACCESS_TOKEN in .env');
+let matching;
+try {
+  matching = resolveMatching(loadConfig(opts.config), opts);
+} catch (e) {
+  console.error(e.message);
   process.exit(1);
 }
 
-const adminFetch = async (query, variables) => {
-  const res = await fetch(`https://${SHOP}/admin/api/${API_VERSION}/graphql.json`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': TOKEN,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
-  return res;
-};
-
-function extractCustomIdFromFilename(filename) {
-  const base = path.basename(filename).split('?')[0];
-  const nameOnly = base.includes('.') ? base.substring(0, base.lastIndexOf('.')) : base;
-  return nameOnly.trim();
-}
+const { gql, shop } = createRunTransport();
 
-async function findProductByCustomId(customId) {
-  const res = await adminFetch(
-    `#graphql
-      query FindProductByCustomId($identifier: ProductIdentifierInput!) {
-        productByIdentifier(identifier: $identifier) { id title }
-      }
-    `,
-    { identifier: { customId: { namespace: 'custom', key: 'id', value: customId } } },
-  );
-  const json = await res.json();
-  const p = json?.data?.productByIdentifier;
-  if (!p) return null;
-  return { productId: p.id, productTitle: p.title };
-}
-
-async function createStagedUpload({ filename, mimeType, fileSize }) {
-  const res = await adminFetch(
-    `#graphql
-      mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
-        stagedUploadsCreate(input: $input) {
-          stagedTargets { url resourceUrl parameters { name value } }
-          userErrors { field message }
-        }
-      }
-    `,
-    { input: [{ resource: 'VIDEO', filename, mimeType: mimeType || 'video/mp4', fileSize: String(fileSize ?? 0), httpMethod: 'POST' }] },
-  );
-  const json = await res.json();
-  const target = json?.data?.stagedUploadsCreate?.stagedTargets?.[0];
-  const errors = json?.data?.stagedUploadsCreate?.userErrors || [];
-  return { target, errors };
-}
+// Custom IDs are resolved in batched queries before uploading and cached for the run; with --snapshot,
+// IDs found in the snapshot need no query at all
+const resolver = await createRunResolver(gql, opts, { shop, matching });
 
 async function uploadToS3Target(target, filePath, filename, mimeType) {
   const form = new FormData();
@@ -91,75 +65,23 @@ async function uploadToS3Target(target, filePath, filename, mimeType) {
   return res.status >= 200 && res.status < 300;
 }
 
-async function attachVideoToProductBySource(productId, resourceUrl, altText) {
-  const res = await adminFetch(
-    `#graphql
-      mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
-        productCreateMedia(productId: $productId, media: $media) {
-          media { ... on Media { id alt } }
-          mediaUserErrors { field message }
-        }
-      }
-    `,
-    { productId, media: [{ originalSource: resourceUrl, mediaContentType: 'VIDEO', alt: altText || null }] },
-  );
-  const json = await res.json();
-  return { media: json?.data?.productCreateMedia?.media || [], errors: json?.data?.productCreateMedia?.mediaUserErrors || [] };
-}
-
-async function createVideoFileFromStaged(resourceUrl, altText) {
-  const res = await adminFetch(
-    `#graphql
-      mutation FileCreate($files: [FileCreateInput!]!) {
-        fileCreate(files: $files) {
-          files { __typename ... on Video { id fileStatus url } }
-          userErrors { field message }
-        }
-      }
-    `,
-    { files: [{ contentType: 'VIDEO', originalSource: resourceUrl, alt: altText || null }] },
-  );
-  const json = await res.json();
-  const file = json?.data?.fileCreate?.files?.[0] || null;
-  const errors = json?.data?.fileCreate?.userErrors || [];
-  return { file, errors, raw: json };
-}
-
-async function pollVideoReady(videoId, intervalMs, timeoutMs) {
-  const started = Date.now();
-  let last = null;
-  while (Date.now() - started < timeoutMs) {
-    const res = await adminFetch(
-      `#graphql
-        query MediaStatus($id: ID!) {
-          node(id: $id) { id ... on Media { status } ... on Video { fileStatus } }
-        }
-      `,
-      { id: videoId },
-    );
-    const json = await res.json();
-    last = json?.data?.node;
-    const status = last?.status || last?.fileStatus;
-    if (status === 'READY') return { ready: true };
-    if (status === 'FAILED') return { ready: false, last };
-    await new Promise((r) => setTimeout(r, intervalMs));
-  }
-  return { ready: false, last, timeout: true };
-}
-
 async function processVideo(filePath) {
   const filename = path.basename(filePath);
   const mimeType = mime.lookup(filename) || 'video/mp4';
   const stats = fs.statSync(filePath);
 
   const customId = extractCustomIdFromFilename(filename);
-  const p = await findProductByCustomId(customId);
+  const p = await resolver.resolve(customId);
   if (!p) return { filename, status: 'no_product_for_custom_id' };
   const { productId, productTitle } = p;
 
   if (opts.dryRun) return { filename, productId, status: 'matched' };
 
-  const { target, errors: stagedErrors } = await createStagedUpload({ filename, mimeType, fileSize: stats.size });
+  const { target, errors: stagedErrors } = await createStagedUpload(
+    gql,
+    { filename, mimeType, fileSize: stats.size },
+    { resource: 'VIDEO' },
+  );
   if (!target) {
     console.log('staged_upload_error:', { filename, errors: stagedErrors });
     return { filename, productId, status: 'staged_upload_error', errors: stagedErrors };
@@ -174,11 +96,14 @@ async function processVideo(filePath) {
 
   const altText = productTitle || customId;
   // Create File (VIDEO) from staged URL, poll READY, then attach by mediaId
-  const { file, errors: fileErr, raw } = await createVideoFileFromStaged(target.resourceUrl, altText);
+  const { files, errors: fileErr } = await createFile(gql, { originalSource: target.resourceUrl, contentType: 'VIDEO', alt: altText });
+  const file = files[0];
   if (fileErr?.length || !file?.id) {
-    console.log('file_create_failed:', { filename, errors: fileErr, raw });
+    console.log('file_create_failed:', { filename, errors: fileErr });
     // fallback: try direct attach by originalSource
-    const { media, errors: attachErrors } = await attachVideoToProductBySource(productId, target.resourceUrl, altText);
+    const { media, errors: attachErrors } = await createProductMedia(gql, productId, [
+      { originalSource: target.resourceUrl, mediaContentType: 'VIDEO', alt: altText || null },
+    ]);
     if (attachErrors?.length) {
       console.log('attach_failed:', { filename, errors: attachErrors });
       return { filename, productId, status: 'attach_failed', errors: attachErrors };
@@ -186,31 +111,20 @@ async function processVideo(filePath) {
     return { filename, productId, status: 'ok', media };
   }
 
-  const poll = await pollVideoReady(file.id, opts.pollMs, opts.pollTimeoutMs);
-  if (!poll.ready) {
-    console.log('video_not_ready', { filename, videoId: file.id, last: poll.last, timeout: !!poll.timeout });
+  const ready = await waitForMediaReady(gql, file.id, { timeoutMs: opts.pollTimeoutMs, intervalMs: opts.pollMs });
+  if (!ready) {
+    console.log('video_not_ready', { filename, videoId: file.id });
     // still try to attach; Shopify may finish processing later
   }
 
   // Attach using mediaId
-  const resAttach = await adminFetch(
-    `#graphql
-      mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
-        productCreateMedia(productId: $productId, media: $media) {
-          media { ... on Media { id alt } }
-          mediaUserErrors { field message }
-        }
-      }
-    `,
-    { productId, media: [{ mediaId: file.id, alt: altText || null }] },
-  );
-  const jsonAttach = await resAttach.json();
-  const attachErrors = jsonAttach?.data?.productCreateMedia?.mediaUserErrors || [];
+  const { media, errors: attachErrors } = await createProductMedia(gql, productId, [
+    { mediaId: file.id, alt: altText || null },
+  ]);
   if (attachErrors?.length) {
     console.log('attach_failed_mediaId:', { filename, errors: attachErrors });
     return { filename, productId, status: 'attach_failed', errors: attachErrors };
   }
-  const media = jsonAttach?.data?.productCreateMedia?.media || [];
   return { filename, productId, status: 'ok', media };
 }
 
@@ -226,19 +140,23 @@ async function main() {
   const files = opts.limit > 0 ? allFiles.slice(0, opts.limit) : allFiles;
 
   console.log(`Processing ${files.length} videos (concurrency=${opts.concurrency})`);
+  await resolver.prefetch(files.map((fp) => extractCustomIdFromFilename(path.basename(fp))));
   const limit = pLimit(opts.concurrency);
   let ok = 0, fail = 0;
   await Promise.all(files.map((fp) => limit(async () => {
+    let r;
     try {
-      const r = await processVideo(fp);
-      if (r.status === 'ok') ok++; else fail++;
-      console.log(`${r.status}: ${r.filename}${r.productId ? ' -> ' + r.productId : ''}`);
+      r = await processVideo(fp);
     } catch (e) {
-      fail++;
-      console.log(`error: ${path.basename(fp)}: ${e.message}`);
+      r = { filename: path.basename(fp), ...toErrorResult(e) };
     }
+    if (r.status === 'ok') ok++; else fail++;
+    const detail = formatResultError(r);
+    console.log(`${r.status}: ${r.filename}${r.productId ? ' -> ' + r.productId : ''}${detail ? ` (${detail})` : ''}`);
   })));
   console.log(`Done. ok=${ok}, failed=${fail}`);
+  console.log(`Admin API: ${describeCostStats(gql.stats())}`);
+  console.log(`Product lookups: ${describeLookupStats(resolver.stats())}`);
 }
 
 main().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,37 @@
+import { listZipEntries } from "./zip.js";
+
+// Images in a ZIP archive of a supplier's folder, so the uploader can add them in one go
+
+// MIME types of the entries taken from an archive, by extension; everything else is skipped
+export const ARCHIVE_IMAGE_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  heic: "image/heic",
+};
+
+function isHiddenPart(part) {
+  return part.startsWith(".") || part === "__MACOSX";
+}
+
+// Image entries of a ZIP archive (Uint8Array or ArrayBuffer) as { images: [{ path, name, type, read }],
+// skipped: [{ path, reason }] }, in archive order. path is the entry's "/"-separated path in the archive
+// ("DB-RL/2.jpg", so folder templates and layoutProductFolders apply), name its base name and read() as
+// in listZipEntries. Folders, hidden files and macOS resource forks are left out silently. Throws an
+// Error when the archive cannot be read.
+export function listArchiveImages(input) {
+  const images = [];
+  const skipped = [];
+  for (const entry of listZipEntries(input)) {
+    const path = entry.name.replace(/\\/g, "/").replace(/^\/+/, "");
+    if (entry.directory || path.split("/").some(isHiddenPart)) continue;
+    const name = path.split("/").pop();
+    const type = ARCHIVE_IMAGE_TYPES[name.split(".").pop().toLowerCase()];
+    if (type) images.push({ path, name, type, read: entry.read });
+    else skipped.push({ path, reason: "not an image" });
+  }
+  return { images, skipped };
+}
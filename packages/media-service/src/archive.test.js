@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { listArchiveImages } from "./archive";
+import { zip } from "./testing";
+
+describe("listArchiveImages", () => {
+  it("takes the images of nested folders by their path and skips other files", async () => {
+    const { images, skipped } = listArchiveImages(
+      zip({
+        "DB-RL/": "",
+        "DB-RL/1.JPG": "front",
+        "shoot\\1234\\side.webp": "side",
+        "DB-RL/notes.txt": "x",
+        "README": "x",
+        ".DS_Store": "x",
+        "__MACOSX/DB-RL/._1.JPG": "x",
+        "DB-RL/.hidden.jpg": "x",
+      }),
+    );
+
+    expect(images.map(({ path, name, type }) => ({ path, name, type }))).toEqual([
+      { path: "DB-RL/1.JPG", name: "1.JPG", type: "image/jpeg" },
+      { path: "shoot/1234/side.webp", name: "side.webp", type: "image/webp" },
+    ]);
+    expect(new TextDecoder().decode(await images[1].read())).toBe("side");
+    expect(skipped).toEqual([
+      { path: "DB-RL/notes.txt", reason: "not an image" },
+      { path: "README", reason: "not an image" },
+    ]);
+  });
+});
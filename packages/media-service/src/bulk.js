@@ -0,0 +1,105 @@
+import { adminRequest } from "./errors.js";
+
+// Bulk operations run a query over the whole shop in the background and hand back a JSONL file.
+// Only one bulk query can run per shop and app at a time.
+
+const FINISHED_BULK_STATUSES = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+
+// Bytes of a bulk operation's result read per readBulkResultChunk call
+export const BULK_RESULT_CHUNK_BYTES = 4 * 1024 * 1024;
+
+const NEWLINE = 10;
+
+const defaultSleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export async function runBulkQuery(gql, query) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation BulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status createdAt }
+          userErrors { field message }
+        }
+      }
+    `,
+    { query },
+  );
+  return {
+    bulkOperation: json?.data?.bulkOperationRunQuery?.bulkOperation || null,
+    errors: json?.data?.bulkOperationRunQuery?.userErrors || [],
+  };
+}
+
+export async function getBulkOperation(gql, id) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query BulkOperationStatus($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id status errorCode objectCount url partialDataUrl createdAt completedAt
+          }
+        }
+      }
+    `,
+    { id },
+  );
+  return json?.data?.node || null;
+}
+
+export function isBulkOperationFinished(operation) {
+  return !operation || FINISHED_BULK_STATUSES.includes(operation.status);
+}
+
+// Poll a bulk operation until it finished. Resolves with the operation (check status === "COMPLETED")
+// or null when it does not exist; throws when it is still running after timeoutMs.
+export async function waitForBulkOperation(
+  gql,
+  id,
+  { intervalMs = 3000, timeoutMs = 30 * 60 * 1000, sleep = defaultSleep, onProgress } = {},
+) {
+  const start = Date.now();
+  for (;;) {
+    const operation = await getBulkOperation(gql, id);
+    if (isBulkOperationFinished(operation)) return operation;
+    onProgress?.(operation);
+    if (Date.now() - start > timeoutMs) {
+      throw new Error(`Bulk operation ${id} still ${operation.status} after ${Math.round(timeoutMs / 1000)}s`);
+    }
+    await sleep(intervalMs);
+  }
+}
+
+// Download the JSONL result of a completed bulk operation. Operations without results have no url.
+export async function downloadBulkResult(operation, { fetch: fetchImpl = fetch } = {}) {
+  if (!operation?.url) return "";
+  const res = await fetchImpl(operation.url);
+  if (!res.ok) throw new Error(`Bulk operation result download failed: HTTP ${res.status}`);
+  return res.text();
+}
+
+// Read the JSONL result at url from byte offset on, up to maxBytes of whole lines, so a large export can
+// be stored over several time-boxed requests. Resolves { text, nextOffset, done }: text holds complete
+// lines only and nextOffset is where the next chunk starts. A server that ignores the Range header sends
+// the whole file, which is then read in one go.
+export async function readBulkResultChunk(
+  url,
+  { offset = 0, maxBytes = BULK_RESULT_CHUNK_BYTES, fetch: fetchImpl = fetch } = {},
+) {
+  const res = await fetchImpl(url, { headers: { Range: `bytes=${offset}-${offset + maxBytes - 1}` } });
+  // Nothing left from offset on (an empty result has no first byte either)
+  if (res.status === 416) return { text: "", nextOffset: offset, done: true };
+  if (!res.ok) throw new Error(`Bulk operation result download failed: HTTP ${res.status}`);
+  const received = new Uint8Array(await res.arrayBuffer());
+  if (res.status !== 206) {
+    return { text: new TextDecoder().decode(received.subarray(offset)), nextOffset: received.length, done: true };
+  }
+
+  const total = Number(res.headers.get("content-range")?.split("/")[1]);
+  const done = Number.isFinite(total) ? offset + received.length >= total : received.length < maxBytes;
+  // A newline byte never occurs inside a multi-byte UTF-8 character, so cutting after one is safe
+  const length = done ? received.length : received.lastIndexOf(NEWLINE) + 1;
+  if (!length) throw new Error(`Bulk operation result has a line longer than ${maxBytes} bytes at byte ${offset}`);
+  return { text: new TextDecoder().decode(received.subarray(0, length)), nextOffset: offset + length, done };
+}
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from "vitest";
+import { downloadBulkResult, readBulkResultChunk, runBulkQuery, waitForBulkOperation } from "./bulk";
+import { mockAdmin } from "./testing";
+
+describe("runBulkQuery", () => {
+  it("starts the operation", async () => {
+    const gql = mockAdmin({
+      BulkOperationRunQuery: {
+        data: { bulkOperationRunQuery: { bulkOperation: { id: "op1", status: "CREATED" }, userErrors: [] } },
+      },
+    });
+
+    expect(await runBulkQuery(gql, "{ products { edges { node { id } } } }")).toEqual({
+      bulkOperation: { id: "op1", status: "CREATED" },
+      errors: [],
+    });
+    expect(gql.mock.calls[0][1]).toEqual({ query: "{ products { edges { node { id } } } }" });
+  });
+
+  it("returns the user errors when another bulk query is running", async () => {
+    const userErrors = [{ field: null, message: "A bulk query operation for this app and shop is already in progress" }];
+    const gql = mockAdmin({
+      BulkOperationRunQuery: { data: { bulkOperationRunQuery: { bulkOperation: null, userErrors } } },
+    });
+
+    expect(await runBulkQuery(gql, "{ products { edges { node { id } } } }")).toEqual({
+      bulkOperation: null,
+      errors: userErrors,
+    });
+  });
+});
+
+describe("waitForBulkOperation", () => {
+  it("polls until the operation finished", async () => {
+    const statuses = ["RUNNING", "RUNNING", "COMPLETED"];
+    const gql = mockAdmin({
+      BulkOperationStatus: () => ({ data: { node: { id: "op1", status: statuses.shift(), objectCount: "3" } } }),
+    });
+    const sleep = vi.fn().mockResolvedValue();
+    const onProgress = vi.fn();
+
+    const operation = await waitForBulkOperation(gql, "op1", { sleep, onProgress });
+
+    expect(operation).toMatchObject({ status: "COMPLETED", objectCount: "3" });
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(onProgress).toHaveBeenCalledTimes(2);
+  });
+
+  it("gives up after the timeout", async () => {
+    const gql = mockAdmin({ BulkOperationStatus: { data: { node: { id: "op1", status: "RUNNING" } } } });
+
+    await expect(
+      waitForBulkOperation(gql, "op1", { timeoutMs: -1, sleep: vi.fn() }),
+    ).rejects.toThrow("still RUNNING");
+  });
+});
+
+describe("downloadBulkResult", () => {
+  it("downloads the JSONL file", async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, text: async () => '{"id":"p1"}\n' });
+
+    expect(await downloadBulkResult({ url: "https://storage/result.jsonl" }, { fetch })).toBe('{"id":"p1"}\n');
+    expect(fetch).toHaveBeenCalledWith("https://storage/result.jsonl");
+  });
+
+  it("returns nothing for operations without results", async () => {
+    const fetch = vi.fn();
+
+    expect(await downloadBulkResult({ status: "COMPLETED", url: null }, { fetch })).toBe("");
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe("readBulkResultChunk", () => {
+  const url = "https://storage/result.jsonl";
+  const file = new TextEncoder().encode('{"id":"p1","title":"Größe"}\n{"id":"p2"}\n{"id":"p3"}\n');
+  // Storage answering Range requests like Google Cloud Storage
+  const storage = () =>
+    vi.fn(async (_url, { headers }) => {
+      const [, from, to] = headers.Range.match(/bytes=(\d+)-(\d+)/).map(Number);
+      if (from >= file.length) return { ok: false, status: 416 };
+      const part = file.subarray(from, Math.min(to + 1, file.length));
+      return {
+        ok: true,
+        status: 206,
+        headers: new Headers({ "content-range": `bytes ${from}-${from + part.length - 1}/${file.length}` }),
+        arrayBuffer: async () => part.slice().buffer,
+      };
+    });
+
+  it("reads whole lines chunk by chunk", async () => {
+    const fetch = storage();
+    const chunks = [];
+    let chunk = { nextOffset: 0, done: false };
+    while (!chunk.done) {
+      chunk = await readBulkResultChunk(url, { offset: chunk.nextOffset, maxBytes: 30, fetch });
+      chunks.push(chunk);
+    }
+
+    expect(chunks.map((c) => c.text)).toEqual(['{"id":"p1","title":"Größe"}\n', '{"id":"p2"}\n{"id":"p3"}\n']);
+    expect(chunks[1]).toMatchObject({ nextOffset: file.length, done: true });
+    expect(fetch).toHaveBeenCalledWith(url, { headers: { Range: "bytes=0-29" } });
+  });
+
+  it("ends at the end of the file", async () => {
+    expect(await readBulkResultChunk(url, { offset: file.length, fetch: storage() })).toEqual({
+      text: "",
+      nextOffset: file.length,
+      done: true,
+    });
+  });
+
+  it("reads the rest of the file when the server ignores the range", async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, status: 200, arrayBuffer: async () => file.slice().buffer });
+
+    expect(await readBulkResultChunk(url, { offset: 30, maxBytes: 10, fetch })).toEqual({
+      text: '{"id":"p2"}\n{"id":"p3"}\n',
+      nextOffset: file.length,
+      done: true,
+    });
+  });
+
+  it("rejects lines longer than a chunk", async () => {
+    await expect(readBulkResultChunk(url, { maxBytes: 10, fetch: storage() })).rejects.toThrow(
+      "line longer than 10 bytes at byte 0",
+    );
+  });
+});
@@ -0,0 +1,149 @@
+import { AMBIGUOUS_BARCODE, AMBIGUOUS_SKU, AmbiguousMatchError } from "./errors.js";
+import { MEDIA_HASHES_METAFIELD, parseMediaHashes } from "./hashes.js";
+import { DEFAULT_MATCHING, matchingChain } from "./matching.js";
+import { DEFAULT_IDENTIFIER } from "./products.js";
+
+// A catalog snapshot is the whole product catalog (products, variants, identifier metafields, existing
+// media and hash records) exported with a bulk operation, so large runs can match files and estimate
+// their uploads without a request per file. parseCatalogJsonl turns the export into
+// { products, variants, media }.
+
+const metafieldSelection = (alias, identifier) =>
+  `${alias}: metafield(namespace: ${JSON.stringify(identifier.namespace)}, key: ${JSON.stringify(identifier.key)}) { value }`;
+
+// Bulk query for a snapshot that can answer every lookup of the matching configuration
+export function catalogBulkQuery(matching = DEFAULT_MATCHING) {
+  const identifier = { ...DEFAULT_IDENTIFIER, ...matching.identifier };
+  const variantIdentifier = matching.variantIdentifier?.key
+    ? metafieldSelection("identifier", matching.variantIdentifier)
+    : "";
+  return `{
+  products {
+    edges {
+      node {
+        id
+        title
+        handle
+        ${metafieldSelection("identifier", identifier)}
+        ${metafieldSelection("mediaHashes", MEDIA_HASHES_METAFIELD)}
+        variants {
+          edges { node { id title sku barcode ${variantIdentifier} } }
+        }
+        media {
+          edges { node { id alt mediaContentType status ... on MediaImage { image { url } } } }
+        }
+      }
+    }
+  }
+}`;
+}
+
+function gidType(id) {
+  return String(id).split("/")[3];
+}
+
+// Bulk operation JSONL -> { products, variants, media }. Child rows carry their product in __parentId.
+export function parseCatalogJsonl(text) {
+  const catalog = { products: [], variants: [], media: [] };
+  for (const line of String(text).split("\n")) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+    const type = gidType(row.id);
+    if (type === "Product") {
+      catalog.products.push({
+        id: row.id,
+        title: row.title,
+        handle: row.handle,
+        identifier: row.identifier?.value ?? null,
+        mediaHashes: row.mediaHashes?.value ?? null,
+      });
+    } else if (type === "ProductVariant") {
+      catalog.variants.push({
+        id: row.id,
+        productId: row.__parentId,
+        title: row.title,
+        sku: row.sku || null,
+        barcode: row.barcode || null,
+        identifier: row.identifier?.value ?? null,
+      });
+    } else if (row.__parentId) {
+      catalog.media.push({
+        id: row.id,
+        productId: row.__parentId,
+        __typename: type,
+        alt: row.alt ?? null,
+        mediaContentType: row.mediaContentType,
+        status: row.status,
+        ...(row.image ? { image: row.image } : {}),
+      });
+    }
+  }
+  return catalog;
+}
+
+// Hours since a snapshot was taken
+export function catalogAgeHours(createdAt, now = Date.now()) {
+  return (now - new Date(createdAt).getTime()) / 3600000;
+}
+
+function indexBy(rows, keyOf) {
+  const index = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!key) continue;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(row);
+  }
+  return index;
+}
+
+// Answers matchProductForKey from a snapshot. match(key) returns { match } when a lookup of the chain
+// found the key (match includes matchedBy), or null when the snapshot does not know the key; ambiguous
+// SKUs and barcodes throw like the live lookups.
+export function createCatalogMatcher(catalog, matching = DEFAULT_MATCHING) {
+  const config = { ...DEFAULT_MATCHING, ...matching };
+  const products = new Map(catalog.products.map((p) => [p.id, p]));
+  const indexes = {
+    custom_id: indexBy(catalog.products, (p) => p.identifier?.trim()),
+    handle: indexBy(catalog.products, (p) => p.handle),
+    sku: indexBy(catalog.variants, (v) => v.sku?.trim()),
+    barcode: indexBy(catalog.variants, (v) => v.barcode?.trim()),
+    variant_metafield: indexBy(catalog.variants, (v) => v.identifier?.trim()),
+  };
+  const mediaByProduct = indexBy(catalog.media, (m) => m.productId);
+
+  const productMatch = (p) => ({ productId: p.id, productTitle: p.title, variantId: null, variantTitle: null });
+  const variantMatch = (v) => ({
+    productId: v.productId,
+    productTitle: products.get(v.productId)?.title ?? null,
+    variantId: v.id,
+    variantTitle: v.title,
+  });
+  const ambiguous = { sku: AMBIGUOUS_SKU, barcode: AMBIGUOUS_BARCODE };
+
+  return {
+    match(key) {
+      const wanted = String(key).trim();
+      for (const name of matchingChain(config)) {
+        const rows = indexes[name].get(name === "handle" ? wanted.toLowerCase() : wanted) || [];
+        if (!rows.length) continue;
+        const isProduct = name === "custom_id" || name === "handle";
+        const matches = rows.map(isProduct ? productMatch : variantMatch);
+        if (matches.length > 1 && ambiguous[name]) {
+          throw new AmbiguousMatchError(ambiguous[name], wanted, matches);
+        }
+        return { match: { ...matches[0], matchedBy: name } };
+      }
+      return null;
+    },
+    // Media of a product when the snapshot was taken, in gallery order; null for products the snapshot
+    // does not know
+    productMedia(productId) {
+      return products.has(productId) ? mediaByProduct.get(productId) || [] : null;
+    },
+    // Hash record of a product (getMediaHashes) when the snapshot was taken, null as productMedia
+    productHashes(productId) {
+      return products.has(productId) ? parseMediaHashes(products.get(productId).mediaHashes) : null;
+    },
+  };
+}
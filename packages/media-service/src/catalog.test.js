@@ -0,0 +1,127 @@
+import { describe, it, expect } from "vitest";
+import { catalogAgeHours, catalogBulkQuery, createCatalogMatcher, parseCatalogJsonl } from "./catalog";
+
+const jsonl = [
+  {
+    id: "gid://shopify/Product/1",
+    title: "Dog bed",
+    handle: "dog-bed",
+    identifier: { value: "1234" },
+    mediaHashes: { value: '{"gid://shopify/MediaImage/21":{"sha256":"ab12","slot":"1234"}}' },
+  },
+  { id: "gid://shopify/ProductVariant/11", title: "L", sku: "DB-L", barcode: "400", __parentId: "gid://shopify/Product/1" },
+  { id: "gid://shopify/ProductVariant/12", title: "M", sku: "DB-M ", barcode: "", __parentId: "gid://shopify/Product/1" },
+  {
+    id: "gid://shopify/MediaImage/21",
+    alt: "1234",
+    mediaContentType: "IMAGE",
+    status: "READY",
+    image: { url: "https://cdn.shopify.com/1234.jpg" },
+    __parentId: "gid://shopify/Product/1",
+  },
+  { id: "gid://shopify/Product/2", title: "Cat bed", handle: "cat-bed", identifier: null },
+  { id: "gid://shopify/ProductVariant/13", title: "Default", sku: "DB-L", barcode: null, __parentId: "gid://shopify/Product/2" },
+]
+  .map((row) => JSON.stringify(row))
+  .join("\n");
+
+describe("catalogBulkQuery", () => {
+  it("selects the configured identifier metafields", () => {
+    const query = catalogBulkQuery({
+      identifier: { namespace: "custom", key: "id" },
+      variantIdentifier: { namespace: "erp", key: "article" },
+    });
+
+    expect(query).toContain('identifier: metafield(namespace: "custom", key: "id") { value }');
+    expect(query).toContain('identifier: metafield(namespace: "erp", key: "article") { value }');
+    expect(query).toContain('mediaHashes: metafield(namespace: "mrpet", key: "media_hashes") { value }');
+    expect(query).toContain("media {");
+  });
+});
+
+describe("parseCatalogJsonl", () => {
+  it("groups rows by type", () => {
+    const catalog = parseCatalogJsonl(`${jsonl}\n`);
+
+    expect(catalog.products).toEqual([
+      {
+        id: "gid://shopify/Product/1",
+        title: "Dog bed",
+        handle: "dog-bed",
+        identifier: "1234",
+        mediaHashes: '{"gid://shopify/MediaImage/21":{"sha256":"ab12","slot":"1234"}}',
+      },
+      { id: "gid://shopify/Product/2", title: "Cat bed", handle: "cat-bed", identifier: null, mediaHashes: null },
+    ]);
+    expect(catalog.variants[1]).toEqual({
+      id: "gid://shopify/ProductVariant/12",
+      productId: "gid://shopify/Product/1",
+      title: "M",
+      sku: "DB-M ",
+      barcode: null,
+      identifier: null,
+    });
+    expect(catalog.media).toEqual([
+      {
+        id: "gid://shopify/MediaImage/21",
+        productId: "gid://shopify/Product/1",
+        __typename: "MediaImage",
+        alt: "1234",
+        mediaContentType: "IMAGE",
+        status: "READY",
+        image: { url: "https://cdn.shopify.com/1234.jpg" },
+      },
+    ]);
+  });
+});
+
+describe("createCatalogMatcher", () => {
+  const catalog = parseCatalogJsonl(jsonl);
+
+  it("matches keys along the configured chain", () => {
+    const matcher = createCatalogMatcher(catalog, { lookups: ["barcode", "handle"] });
+
+    expect(matcher.match("1234")).toEqual({
+      match: {
+        productId: "gid://shopify/Product/1",
+        productTitle: "Dog bed",
+        variantId: null,
+        variantTitle: null,
+        matchedBy: "custom_id",
+      },
+    });
+    expect(matcher.match(" DB-M")?.match).toMatchObject({ variantId: "gid://shopify/ProductVariant/12", matchedBy: "sku" });
+    expect(matcher.match("400")?.match).toMatchObject({ variantTitle: "L", matchedBy: "barcode" });
+    expect(matcher.match("Cat-Bed")?.match).toMatchObject({ productId: "gid://shopify/Product/2", matchedBy: "handle" });
+    expect(matcher.match("9999")).toBeNull();
+  });
+
+  it("skips lookups that are not enabled", () => {
+    expect(createCatalogMatcher(catalog).match("dog-bed")).toBeNull();
+  });
+
+  it("throws for SKUs shared by several variants", () => {
+    const matcher = createCatalogMatcher(catalog);
+
+    expect(() => matcher.match("DB-L")).toThrow(expect.objectContaining({ status: "ambiguous_sku" }));
+  });
+
+  it("lists a product's media and hash record", () => {
+    const matcher = createCatalogMatcher(catalog);
+
+    expect(matcher.productMedia("gid://shopify/Product/1").map((m) => m.id)).toEqual(["gid://shopify/MediaImage/21"]);
+    expect(matcher.productHashes("gid://shopify/Product/1")).toEqual({
+      "gid://shopify/MediaImage/21": { sha256: "ab12", slot: "1234" },
+    });
+    expect(matcher.productMedia("gid://shopify/Product/2")).toEqual([]);
+    expect(matcher.productHashes("gid://shopify/Product/2")).toEqual({});
+    expect(matcher.productMedia("gid://shopify/Product/3")).toBeNull();
+    expect(matcher.productHashes("gid://shopify/Product/3")).toBeNull();
+  });
+});
+
+describe("catalogAgeHours", () => {
+  it("counts hours since the snapshot", () => {
+    expect(catalogAgeHours("2026-10-19T00:00:00Z", Date.parse("2026-10-19T06:30:00Z"))).toBe(6.5);
+  });
+});
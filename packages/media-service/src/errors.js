@@ -0,0 +1,95 @@
+import { isThrottled } from "./throttle.js";
+
+// Result statuses for failures of the Admin API call itself, as opposed to user errors that Shopify
+// returns for a valid request (those keep their step specific statuses such as attach_failed).
+export const TRANSPORT_ERROR = "transport_error";
+export const GRAPHQL_ERROR = "graphql_error";
+export const THROTTLED = "throttled";
+export const API_ERROR_STATUSES = [TRANSPORT_ERROR, GRAPHQL_ERROR, THROTTLED];
+
+// More than one variant carries the key exactly, so there is no safe product to attach to
+export const AMBIGUOUS_SKU = "ambiguous_sku";
+export const AMBIGUOUS_BARCODE = "ambiguous_barcode";
+
+export class AdminApiError extends Error {
+  constructor(status, message, { errors = [], cause } = {}) {
+    super(message, { cause });
+    this.name = "AdminApiError";
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// Thrown by lookups that found several exact matches. candidates: [{ productId, productTitle,
+// variantId, variantTitle }]
+export class AmbiguousMatchError extends Error {
+  constructor(status, key, candidates) {
+    const list = candidates
+      .map((c) => (c.variantTitle ? `${c.productTitle} / ${c.variantTitle}` : c.productTitle))
+      .join(", ");
+    super(`"${key}" matches ${candidates.length} variants: ${list}`);
+    this.name = "AmbiguousMatchError";
+    this.status = status;
+    this.candidates = candidates;
+  }
+}
+
+// Send a query through a transport and return the body, or throw an AdminApiError when the request did
+// not reach Shopify, was throttled, or came back with top-level GraphQL errors (bad query, missing
+// access scope, invalid token). Helpers that only read `data` would otherwise report these as "not found".
+export async function adminRequest(gql, query, variables) {
+  let body;
+  try {
+    body = await gql(query, variables);
+  } catch (error) {
+    // Responses thrown by the Remix admin client (re-authentication) must reach Remix unchanged
+    if (error instanceof AdminApiError || error instanceof Response) throw error;
+    throw new AdminApiError(TRANSPORT_ERROR, `Admin API request failed: ${error?.message}`, { cause: error });
+  }
+  if (isThrottled(body)) {
+    throw new AdminApiError(THROTTLED, "Shopify API rate limit exceeded, try again later", {
+      errors: body.errors,
+    });
+  }
+  if (body?.errors) {
+    const errors = Array.isArray(body.errors) ? body.errors : [{ message: String(body.errors) }];
+    if (errors.length) {
+      throw new AdminApiError(GRAPHQL_ERROR, errors.map((e) => e.message).join("; "), { errors });
+    }
+  }
+  if (!body?.data) {
+    throw new AdminApiError(GRAPHQL_ERROR, "Admin API response contained no data");
+  }
+  return body;
+}
+
+// Turn anything thrown while processing a file into result row fields
+export function toErrorResult(error) {
+  if (error instanceof AdminApiError) {
+    return {
+      status: error.status,
+      message: error.message,
+      ...(error.errors.length ? { errors: error.errors } : {}),
+    };
+  }
+  if (error instanceof AmbiguousMatchError) {
+    return { status: error.status, message: error.message, candidates: error.candidates };
+  }
+  if (error instanceof Response) {
+    return { status: TRANSPORT_ERROR, message: `Admin API responded with HTTP ${error.status}` };
+  }
+  return { status: "error", message: error?.message || String(error) };
+}
+
+// Readable message for a failed result row ({ message, errors, details }), for tables and CLI output
+export function formatResultError(error) {
+  if (!error) return "";
+  const parts = [];
+  if (error.message) parts.push(error.message);
+  const messages = (error.errors || [])
+    .map((e) => (typeof e === "string" ? e : e?.message || JSON.stringify(e)))
+    .filter((m) => !error.message?.includes(m));
+  if (messages.length) parts.push(messages.join(", "));
+  if (error.details) parts.push(JSON.stringify(error.details));
+  return parts.join(" ");
+}
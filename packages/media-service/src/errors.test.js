@@ -0,0 +1,110 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  AdminApiError,
+  AmbiguousMatchError,
+  adminRequest,
+  formatResultError,
+  toErrorResult,
+} from "./errors";
+import { findProductAndVariantBySku } from "./products";
+import { mockAdmin } from "./testing";
+
+describe("adminRequest", () => {
+  it("returns bodies with data", async () => {
+    const gql = vi.fn().mockResolvedValue({ data: { shop: { id: "1" } } });
+
+    expect(await adminRequest(gql, "query", { a: 1 })).toEqual({ data: { shop: { id: "1" } } });
+    expect(gql).toHaveBeenCalledWith("query", { a: 1 });
+  });
+
+  it("wraps network failures as transport errors", async () => {
+    const gql = vi.fn().mockRejectedValue(new TypeError("fetch failed"));
+
+    await expect(adminRequest(gql, "query")).rejects.toMatchObject({
+      status: "transport_error",
+      message: "Admin API request failed: fetch failed",
+    });
+  });
+
+  it("lets responses thrown by the Remix client through", async () => {
+    const reauth = new Response(null, { status: 401 });
+    const gql = vi.fn().mockRejectedValue(reauth);
+
+    await expect(adminRequest(gql, "query")).rejects.toBe(reauth);
+  });
+
+  it("reports top-level GraphQL errors", async () => {
+    const errors = [{ message: "Access denied for productVariants field. Required access: `read_products`" }];
+    const gql = vi.fn().mockResolvedValue({ data: null, errors });
+
+    await expect(adminRequest(gql, "query")).rejects.toMatchObject({
+      status: "graphql_error",
+      message: errors[0].message,
+      errors,
+    });
+  });
+
+  it("reports throttled requests", async () => {
+    const gql = vi.fn().mockResolvedValue({ errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] });
+
+    await expect(adminRequest(gql, "query")).rejects.toMatchObject({ status: "throttled" });
+  });
+
+  it("reports bodies without data", async () => {
+    const gql = vi.fn().mockResolvedValue({ errors: "Not Found" });
+
+    await expect(adminRequest(gql, "query")).rejects.toMatchObject({ status: "graphql_error", message: "Not Found" });
+  });
+
+  it("keeps a scope problem from looking like a missing SKU", async () => {
+    const gql = mockAdmin({ VariantBySku: { data: null, errors: [{ message: "Access denied" }] } });
+
+    await expect(findProductAndVariantBySku(gql, "DB-L")).rejects.toBeInstanceOf(AdminApiError);
+  });
+});
+
+describe("toErrorResult", () => {
+  it("maps Admin API errors to their status", () => {
+    const error = new AdminApiError("graphql_error", "Access denied", { errors: [{ message: "Access denied" }] });
+
+    expect(toErrorResult(error)).toEqual({
+      status: "graphql_error",
+      message: "Access denied",
+      errors: [{ message: "Access denied" }],
+    });
+  });
+
+  it("keeps the candidates of an ambiguous match", () => {
+    const candidates = [
+      { productId: "p1", productTitle: "Dog bed", variantId: "v1", variantTitle: "L" },
+      { productId: "p2", productTitle: "Cat bed", variantId: "v2", variantTitle: null },
+    ];
+
+    expect(toErrorResult(new AmbiguousMatchError("ambiguous_sku", "1234", candidates))).toEqual({
+      status: "ambiguous_sku",
+      message: '"1234" matches 2 variants: Dog bed / L, Cat bed',
+      candidates,
+    });
+  });
+
+  it("maps anything else to a generic error", () => {
+    expect(toErrorResult(new Error("boom"))).toEqual({ status: "error", message: "boom" });
+  });
+});
+
+describe("formatResultError", () => {
+  it("combines the message with user errors it does not already contain", () => {
+    expect(
+      formatResultError({
+        message: "Staged upload failed",
+        errors: [{ field: ["input"], message: "File size is too large" }, "S3 upload failed"],
+      }),
+    ).toBe("Staged upload failed File size is too large, S3 upload failed");
+  });
+
+  it("does not repeat GraphQL error messages", () => {
+    expect(formatResultError({ message: "Access denied", errors: [{ message: "Access denied" }] })).toBe(
+      "Access denied",
+    );
+  });
+});
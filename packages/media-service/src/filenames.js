@@ -0,0 +1,216 @@
+function baseNameWithoutExtension(filename) {
+  const base = filename.split("/").pop() || filename;
+  const withoutQuery = base.split("?")[0];
+  return withoutQuery.includes(".")
+    ? withoutQuery.substring(0, withoutQuery.lastIndexOf("."))
+    : withoutQuery;
+}
+
+// Filename templates describe how suppliers name their files. Placeholders:
+//   {key}     SKU or custom id (required)
+//   {index}   position counted from 0: 1234, 1234_1, 1234_2, ...
+//   {number}  position counted from 1: "1234 (2)" is the second image
+//   {letter}  position as a letter: A is the first image, B the second, ...
+//   {role}    one of the configured roles (front, back, ...); its place in the list is the position
+//   {option}  an option as name-value (color-blue): the image goes to every variant with that value;
+//             name and value cannot contain dashes, underscores or dots, "light blue" has a space
+//   {*}       anything, ignored
+// Text inside [ ] is optional and "/" separates folders, so "{key}/{index}" reads 1234/2.jpg, and
+// "{key}[__{option}][_{index}]" reads 1234__color-blue_1.jpg as well as 1234_1.jpg. Options are only read
+// by templates that ask for them, so keys that contain "__" keep working with the default convention.
+// Templates are tried in order and the first match wins; names no template matches fall back to
+// the default convention.
+export const DEFAULT_FILENAME_TEMPLATES = ["{key}[_{index}]"];
+export const DEFAULT_FILENAME_ROLES = ["front", "back", "side", "detail"];
+
+const PLACEHOLDER_PATTERNS = {
+  key: () => "(?<key>.+?)",
+  index: () => "(?<index>\\d+)",
+  number: () => "(?<number>\\d+)",
+  letter: () => "(?<letter>[A-Za-z])",
+  option: () => "(?<optionName>[^_./\\\\-]+)-(?<optionValue>[^_./\\\\-]+)",
+  role: (roles) =>
+    roles.length
+      ? `(?<role>${roles.map((r) => r.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")})`
+      : "(?<role>[A-Za-z]+)",
+  "*": () => ".*?",
+};
+
+// Compile a template into a case-insensitive RegExp matched against the last `segments` parts of a
+// path (extension removed). Throws an Error describing what is wrong with the template.
+export function compileFilenameTemplate(template, { roles = DEFAULT_FILENAME_ROLES } = {}) {
+  const source = String(template || "").trim();
+  if (!source) throw new Error("Template is empty");
+  let pattern = "";
+  let optionalDepth = 0;
+  const seen = new Set();
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "{") {
+      const end = source.indexOf("}", i);
+      if (end < 0) throw new Error(`Unclosed "{" in ${source}`);
+      const name = source.slice(i + 1, end).trim().toLowerCase();
+      if (!PLACEHOLDER_PATTERNS[name]) throw new Error(`Unknown placeholder {${name}}`);
+      if (name !== "*" && seen.has(name)) throw new Error(`{${name}} is used more than once`);
+      seen.add(name);
+      pattern += PLACEHOLDER_PATTERNS[name](roles);
+      i = end;
+    } else if (char === "[") {
+      optionalDepth++;
+      pattern += "(?:";
+    } else if (char === "]") {
+      if (!optionalDepth) throw new Error(`Unmatched "]" in ${source}`);
+      optionalDepth--;
+      pattern += ")?";
+    } else if (char === "/") {
+      pattern += "/";
+    } else {
+      pattern += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  if (optionalDepth) throw new Error(`Unclosed "[" in ${source}`);
+  if (!seen.has("key")) throw new Error("Template needs a {key} placeholder");
+  return { template: source, regex: new RegExp(`^${pattern}$`, "i"), segments: source.split("/").length };
+}
+
+// null when the template is usable, otherwise the reason it is not
+export function validateFilenameTemplate(template, options) {
+  try {
+    compileFilenameTemplate(template, options);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function pathForTemplate(filename, segments) {
+  const parts = String(filename).split("?")[0].split(/[\\/]/).filter(Boolean);
+  const last = parts.pop() || "";
+  const name = last.includes(".") ? last.substring(0, last.lastIndexOf(".")) : last;
+  return [...parts.slice(Math.max(0, parts.length - segments + 1)), name].join("/");
+}
+
+function positionFromGroups(groups, roles) {
+  if (groups.index) return parseInt(groups.index, 10);
+  if (groups.number) return Math.max(0, parseInt(groups.number, 10) - 1);
+  if (groups.letter) return groups.letter.toUpperCase().charCodeAt(0) - 65;
+  if (groups.role) {
+    const at = roles.findIndex((r) => r.toLowerCase() === groups.role.toLowerCase());
+    return Math.max(0, at);
+  }
+  return 0;
+}
+
+// Slot key of an option upload, so "1234__color-blue" and "1234__color-red" images keep their own
+// positions in the content hash record
+export function optionSlotKey(key, option) {
+  return option ? `${key}__${option.name}-${option.value}` : key;
+}
+
+// Leading number of a file name ("01-front.jpg", "2 side.jpg", "3.jpg"), Infinity when there is none
+function numericPrefix(name) {
+  const match = /^(\d+)(?!\d)/.exec(name);
+  return match ? Number(match[1]) : Infinity;
+}
+
+const naturalOrder = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+// Gallery order of the files of a product folder, where the folder names the key and the file names do
+// not: files with a numeric prefix by that number, then the rest in natural order ("img2" before
+// "img10"). Returns the names sorted; a file's position is its index in the result.
+export function sortFolderFiles(filenames) {
+  return [...filenames].sort((a, b) => numericPrefix(a) - numericPrefix(b) || naturalOrder.compare(a, b));
+}
+
+// Key and position of files laid out one folder per product ("DB-RL/front.jpg"): each file belongs to
+// the folder it is in, whose name is the key, and takes its place in the folder by sortFolderFiles.
+// paths are "/"-separated; files outside any folder are left out. Returns a Map of path -> { sku, index },
+// folder by folder and in gallery order.
+export function layoutProductFolders(paths) {
+  const folders = new Map();
+  for (const path of paths) {
+    const parts = path.split("/");
+    if (parts.length < 2) continue;
+    const folder = parts.slice(0, -1).join("/");
+    if (!folders.has(folder)) folders.set(folder, new Map());
+    folders.get(folder).set(parts[parts.length - 1], path);
+  }
+  const slots = new Map();
+  for (const folder of [...folders.keys()].sort((a, b) => a.localeCompare(b))) {
+    const byName = folders.get(folder);
+    const sku = folder.split("/").pop().trim();
+    sortFolderFiles([...byName.keys()]).forEach((name, index) => slots.set(byName.get(name), { sku, index }));
+  }
+  return slots;
+}
+
+// Slot key of an image a manifest row gives to a variant: the variant's SKU, like a file named after it,
+// or the key and the variant title for variants without one
+export function variantSlotKey(key, variant) {
+  return variant.sku || `${key}__${variant.title}`;
+}
+
+// Build a parser for a naming configuration ({ templates, roles }, as stored in the shop settings
+// and in the CLI config file). The parser returns { sku, index, role, template }, plus option as
+// { name, value } for names an {option} template matched.
+export function createFilenameParser({ templates, roles } = {}) {
+  const roleList = roles?.length ? roles : DEFAULT_FILENAME_ROLES;
+  const compiled = (templates?.length ? templates : [])
+    .concat(DEFAULT_FILENAME_TEMPLATES)
+    .map((template) => compileFilenameTemplate(template, { roles: roleList }));
+
+  return (filename) => {
+    for (const { template, regex, segments } of compiled) {
+      const match = pathForTemplate(filename, segments).match(regex);
+      const sku = match?.groups?.key?.trim();
+      if (!sku) continue;
+      const index = positionFromGroups(match.groups, roleList);
+      const parsed = {
+        sku,
+        index: Number.isFinite(index) ? index : 0,
+        role: match.groups.role?.toLowerCase() || null,
+        template,
+      };
+      const option = optionFromGroups(match.groups);
+      return option ? { ...parsed, option } : parsed;
+    }
+    return { sku: baseNameWithoutExtension(filename).trim(), index: 0, role: null, template: null };
+  };
+}
+
+function optionFromGroups(groups) {
+  const name = groups.optionName?.trim();
+  const value = groups.optionValue?.trim();
+  return name && value ? { name, value } : null;
+}
+
+const parsers = new WeakMap();
+
+// Convention: 1234 -> featured (index 0), 1234_1 -> second (index 1), 1234_2 -> third, ...
+// The key is matched against custom.id first and variant SKU second. Pass the shop's naming
+// configuration to use its templates instead. Names an {option} template matches (1234__color-blue_1
+// with "{key}[__{option}][_{index}]") also return option: { name, value }.
+export function extractSkuAndIndexFromFilename(filename, naming) {
+  if (naming?.templates?.length) {
+    if (!parsers.has(naming)) parsers.set(naming, createFilenameParser(naming));
+    const { sku, index, role, option } = parsers.get(naming)(filename);
+    return option ? { sku, index, role, option } : { sku, index, role };
+  }
+  return parseDefaultName(filename);
+}
+
+function parseDefaultName(filename) {
+  const nameOnly = baseNameWithoutExtension(filename);
+  const match = nameOnly.match(/^(.*?)(?:_(\d+))?$/);
+  if (!match) {
+    return { sku: nameOnly.trim(), index: 0 };
+  }
+  const sku = (match[1] || "").trim();
+  const index = match[2] ? parseInt(match[2], 10) : 0;
+  return { sku, index: Number.isFinite(index) ? index : 0 };
+}
+
+// Videos carry no index: the whole base name is the custom id
+export function extractCustomIdFromFilename(filename) {
+  return baseNameWithoutExtension(filename).trim();
+}
@@ -0,0 +1,157 @@
+import { describe, it, expect } from "vitest";
+import {
+  createFilenameParser,
+  extractCustomIdFromFilename,
+  extractSkuAndIndexFromFilename,
+  optionSlotKey,
+  layoutProductFolders,
+  sortFolderFiles,
+  validateFilenameTemplate,
+  variantSlotKey,
+} from "./filenames";
+
+describe("extractSkuAndIndexFromFilename", () => {
+  it("treats a name without suffix as the featured image", () => {
+    expect(extractSkuAndIndexFromFilename("1234.jpg")).toEqual({ sku: "1234", index: 0 });
+  });
+
+  it("reads the position from the _N suffix", () => {
+    expect(extractSkuAndIndexFromFilename("folder/AB-12_3.png")).toEqual({ sku: "AB-12", index: 3 });
+  });
+
+  it("uses the templates of a naming configuration", () => {
+    const naming = { templates: ["{key} ({number})"] };
+    expect(extractSkuAndIndexFromFilename("AB-12 (2).jpg", naming)).toEqual({
+      sku: "AB-12",
+      index: 1,
+      role: null,
+    });
+  });
+
+  it("reads an option only with a template that asks for it", () => {
+    const naming = { templates: ["{key}[__{option}][_{index}]"] };
+    expect(extractSkuAndIndexFromFilename("1234__color-blue_1.jpg", naming)).toEqual({
+      sku: "1234",
+      index: 1,
+      role: null,
+      option: { name: "color", value: "blue" },
+    });
+    expect(extractSkuAndIndexFromFilename("1234__Color-Light Blue.jpg", naming).option).toEqual({
+      name: "Color",
+      value: "Light Blue",
+    });
+    expect(extractSkuAndIndexFromFilename("1234_2.jpg", naming)).toEqual({ sku: "1234", index: 2, role: null });
+  });
+
+  it("keeps keys with a double underscore whole by default", () => {
+    expect(extractSkuAndIndexFromFilename("AB__red-x_1.jpg")).toEqual({ sku: "AB__red-x", index: 1 });
+    expect(extractSkuAndIndexFromFilename("AB__12_1.jpg", { templates: ["{key}[__{option}][_{index}]"] })).toEqual({
+      sku: "AB__12",
+      index: 1,
+      role: null,
+    });
+  });
+
+  it("reads an option next to other placeholders", () => {
+    const naming = { templates: ["{key}__{option}-{role}"], roles: ["front", "back"] };
+    expect(extractSkuAndIndexFromFilename("1234__color-blue-back.jpg", naming)).toEqual({
+      sku: "1234",
+      index: 1,
+      role: "back",
+      option: { name: "color", value: "blue" },
+    });
+  });
+});
+
+describe("optionSlotKey", () => {
+  it("keeps option uploads in slots of their own", () => {
+    expect(optionSlotKey("1234", { name: "color", value: "blue" })).toBe("1234__color-blue");
+    expect(optionSlotKey("1234", null)).toBe("1234");
+  });
+});
+
+describe("variantSlotKey", () => {
+  it("uses the variant SKU, or the key and title without one", () => {
+    expect(variantSlotKey("1234", { sku: "DB-RL", title: "L / Red" })).toBe("DB-RL");
+    expect(variantSlotKey("1234", { sku: "", title: "L / Red" })).toBe("1234__L / Red");
+  });
+});
+
+describe("sortFolderFiles", () => {
+  it("puts numbered files first in number order, then the rest in natural order", () => {
+    const names = ["side.jpg", "10-back.jpg", "IMG_10.jpg", "2 detail.jpg", "01-front.jpg", "IMG_9.jpg"];
+
+    expect(sortFolderFiles(names)).toEqual([
+      "01-front.jpg",
+      "2 detail.jpg",
+      "10-back.jpg",
+      "IMG_9.jpg",
+      "IMG_10.jpg",
+      "side.jpg",
+    ]);
+  });
+});
+
+describe("layoutProductFolders", () => {
+  it("takes the key from the folder a file is in and its position from the folder's order", () => {
+    const slots = layoutProductFolders([
+      "DB-RL/side.jpg",
+      "DB-RL/1.jpg",
+      "brands/acme/1234/02-back.jpg",
+      "brands/acme/1234/01-front.jpg",
+      "top.jpg",
+    ]);
+
+    expect([...slots]).toEqual([
+      ["brands/acme/1234/01-front.jpg", { sku: "1234", index: 0 }],
+      ["brands/acme/1234/02-back.jpg", { sku: "1234", index: 1 }],
+      ["DB-RL/1.jpg", { sku: "DB-RL", index: 0 }],
+      ["DB-RL/side.jpg", { sku: "DB-RL", index: 1 }],
+    ]);
+  });
+});
+
+describe("createFilenameParser", () => {
+  const parse = createFilenameParser({
+    templates: ["{key}-{role}", "{key} ({number})", "{key}_{letter}", "{key}/{index}"],
+    roles: ["front", "back", "detail"],
+  });
+
+  it("takes the position from the role list", () => {
+    expect(parse("SKU1-back.jpg")).toMatchObject({ sku: "SKU1", index: 1, role: "back" });
+  });
+
+  it("keeps hyphens that are not followed by a role in the key", () => {
+    expect(parse("AB-12.jpg")).toMatchObject({ sku: "AB-12", index: 0, template: "{key}[_{index}]" });
+  });
+
+  it("counts letters from A", () => {
+    expect(parse("SKU1_C.png")).toMatchObject({ sku: "SKU1", index: 2 });
+  });
+
+  it("reads the key from the folder name", () => {
+    expect(parse("1234/2.jpg")).toMatchObject({ sku: "1234", index: 2, template: "{key}/{index}" });
+  });
+
+  it("falls back to the default convention", () => {
+    expect(parse("1234_1.jpg")).toMatchObject({ sku: "1234", index: 1, template: "{key}[_{index}]" });
+  });
+});
+
+describe("validateFilenameTemplate", () => {
+  it("accepts optional parts", () => {
+    expect(validateFilenameTemplate("{key}[-{role}]")).toBeNull();
+  });
+
+  it("explains what is wrong", () => {
+    expect(validateFilenameTemplate("{index}")).toMatch(/needs a \{key\}/);
+    expect(validateFilenameTemplate("{key}_{size}")).toMatch(/Unknown placeholder/);
+    expect(validateFilenameTemplate("{key}[_{index}")).toMatch(/Unclosed "\["/);
+  });
+});
+
+describe("extractCustomIdFromFilename", () => {
+  it("keeps underscores as part of the id", () => {
+    expect(extractCustomIdFromFilename("video_1.mp4?v=2")).toBe("video_1");
+  });
+});
@@ -0,0 +1,22 @@
+import { adminRequest } from "./errors.js";
+
+// Files API helpers, used for videos that are attached to several products by media id
+
+export async function createFile(gql, { originalSource, contentType = "VIDEO", alt }) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation FileCreate($files: [FileCreateInput!]!) {
+        fileCreate(files: $files) {
+          files { id fileStatus alt }
+          userErrors { field message }
+        }
+      }
+    `,
+    { files: [{ originalSource, contentType, alt: alt || null }] },
+  );
+  return {
+    files: json?.data?.fileCreate?.files || [],
+    errors: json?.data?.fileCreate?.userErrors || [],
+  };
+}
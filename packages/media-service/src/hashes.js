@@ -0,0 +1,129 @@
+import { adminRequest } from "./errors.js";
+import { findImagesToReplace } from "./matching.js";
+
+// Uploads record the SHA-256 of every image they attach in a JSON product metafield,
+// { [mediaId]: { sha256, slot } }, where slot is the key and position the file was uploaded for
+// (1234, 1234_1, ...). Unlike alt text and CDN file names, neither changes when Shopify renames the
+// file or someone edits the alt text, so identical bytes can be skipped and changed images replaced.
+export const MEDIA_HASHES_METAFIELD = { namespace: "mrpet", key: "media_hashes" };
+
+// Result status of a file whose bytes are already attached to its slot
+export const UNCHANGED = "unchanged";
+// Result status of a file not uploaded because its slot is taken and the policy is "skip"
+export const SKIPPED_EXISTING = "skipped_existing";
+
+// What an upload does with images already on the product: replace the image of the same slot, append
+// next to it, skip the file when the slot is taken, or replace all images of the product with the new set
+export const ON_EXISTING_POLICIES = ["replace", "append", "skip", "replace-all"];
+export const DEFAULT_ON_EXISTING = "replace";
+
+// Hex SHA-256 of an ArrayBuffer, typed array or Blob (Web Crypto, available in browsers and Node)
+export async function sha256Hex(data) {
+  const bytes = typeof data?.arrayBuffer === "function" ? await data.arrayBuffer() : data;
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function mediaSlot({ sku, index = 0 }) {
+  return (index === 0 ? String(sku) : `${sku}_${index}`).toLowerCase();
+}
+
+// Media recorded for the slots of a key (sku, sku_1, sku_2, ...), in index order
+export function slotMediaIds(hashes, sku) {
+  const base = mediaSlot({ sku });
+  return Object.entries(hashes || {})
+    .map(([mediaId, record]) => {
+      const slot = String(record?.slot || "");
+      if (slot === base) return { mediaId, index: 0 };
+      const suffix = slot.startsWith(`${base}_`) ? slot.slice(base.length + 1) : "";
+      return /^\d+$/.test(suffix) ? { mediaId, index: Number(suffix) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)
+    .map((m) => m.mediaId);
+}
+
+export async function getMediaHashes(gql, productId, metafield = MEDIA_HASHES_METAFIELD) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query ProductMediaHashes($id: ID!, $namespace: String!, $key: String!) {
+        product(id: $id) {
+          id
+          metafield(namespace: $namespace, key: $key) { value }
+        }
+      }
+    `,
+    { id: productId, ...metafield },
+  );
+  return parseMediaHashes(json?.data?.product?.metafield?.value);
+}
+
+// The hash record stored in the metafield's value; {} when there is none
+export function parseMediaHashes(value) {
+  if (!value) return {};
+  try {
+    const hashes = JSON.parse(value);
+    return hashes && typeof hashes === "object" && !Array.isArray(hashes) ? hashes : {};
+  } catch {
+    // A hand-edited, broken value is treated as no record; the next upload overwrites it
+    return {};
+  }
+}
+
+export async function saveMediaHashes(gql, productId, hashes, metafield = MEDIA_HASHES_METAFIELD) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation SaveMediaHashes($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message }
+        }
+      }
+    `,
+    {
+      metafields: [{ ownerId: productId, ...metafield, type: "json", value: JSON.stringify(hashes) }],
+    },
+  );
+  return { errors: json?.data?.metafieldsSet?.userErrors || [] };
+}
+
+// What an upload of { filename, sku, index, sha256 } does to a product's images under an
+// ON_EXISTING_POLICIES policy: `unchanged` is the image already holding the same bytes in the same slot
+// (nothing to upload), `skip` the image occupying the slot when the policy is "skip", `replace` the
+// images the upload supersedes. Images with a recorded hash are matched by slot only; older uploads
+// without a record fall back to the alt text / file name rules of findImagesToReplace.
+// Identical bytes are never uploaded twice; "replace-all" supersedes every other image except `keep`
+// (images the same job or run already uploaded or found unchanged).
+export function planImageUpload(
+  images,
+  hashes,
+  { filename, sku, index = 0, sha256 },
+  { policy = DEFAULT_ON_EXISTING, keep = [] } = {},
+) {
+  const none = { unchanged: null, skip: null, replace: [] };
+  const slot = mediaSlot({ sku, index });
+  const inSlot = images.filter((img) => hashes[img.id]?.slot === slot);
+  const unchanged = (sha256 && inSlot.find((img) => hashes[img.id].sha256 === sha256)) || null;
+  if (unchanged) return { ...none, unchanged };
+  if (policy === "append") return none;
+  if (policy === "replace-all") return { ...none, replace: images.filter((img) => !keep.includes(img.id)) };
+
+  const unrecorded = images.filter((img) => !hashes[img.id]);
+  const replace = [...inSlot, ...findImagesToReplace(unrecorded, { filename, sku, index })];
+  if (policy === "skip") return { ...none, skip: replace[0] || null };
+  return { ...none, replace };
+}
+
+// Hash record after an upload: drops removed media and media no longer on the product (mediaIds), adds
+// the new image
+export function updateMediaHashes(hashes, { mediaIds, removed = [], added }) {
+  const next = Object.fromEntries(
+    Object.entries(hashes).filter(([id]) => !removed.includes(id) && (!mediaIds || mediaIds.includes(id))),
+  );
+  if (added?.mediaId && added.sha256) {
+    next[added.mediaId] = { sha256: added.sha256, slot: mediaSlot(added) };
+  }
+  return next;
+}
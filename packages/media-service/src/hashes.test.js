@@ -0,0 +1,156 @@
+import { describe, it, expect } from "vitest";
+import {
+  getMediaHashes,
+  planImageUpload,
+  saveMediaHashes,
+  sha256Hex,
+  slotMediaIds,
+  updateMediaHashes,
+} from "./hashes";
+import { mockAdmin } from "./testing";
+
+const image = (id, alt, url) => ({ id, alt, image: { url } });
+
+describe("sha256Hex", () => {
+  it("hashes bytes and blobs alike", async () => {
+    const expected = "2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824";
+    expect(await sha256Hex(new TextEncoder().encode("hello"))).toBe(expected);
+    expect(await sha256Hex(new Blob(["hello"]))).toBe(expected);
+  });
+});
+
+describe("getMediaHashes", () => {
+  it("reads the product metafield", async () => {
+    const gql = mockAdmin({
+      ProductMediaHashes: {
+        data: { product: { id: "p1", metafield: { value: '{"m1":{"sha256":"aa","slot":"1234"}}' } } },
+      },
+    });
+
+    expect(await getMediaHashes(gql, "p1")).toEqual({ m1: { sha256: "aa", slot: "1234" } });
+    expect(gql.mock.calls[0][1]).toEqual({ id: "p1", namespace: "mrpet", key: "media_hashes" });
+  });
+
+  it("treats a missing or broken value as no record", async () => {
+    const missing = mockAdmin({ ProductMediaHashes: { data: { product: { id: "p1", metafield: null } } } });
+    const broken = mockAdmin({ ProductMediaHashes: { data: { product: { id: "p1", metafield: { value: "{" } } } } });
+
+    expect(await getMediaHashes(missing, "p1")).toEqual({});
+    expect(await getMediaHashes(broken, "p1")).toEqual({});
+  });
+});
+
+describe("saveMediaHashes", () => {
+  it("writes a JSON metafield", async () => {
+    const gql = mockAdmin({ SaveMediaHashes: { data: { metafieldsSet: { metafields: [{ id: "mf1" }], userErrors: [] } } } });
+
+    expect(await saveMediaHashes(gql, "p1", { m1: { sha256: "aa", slot: "1234" } })).toEqual({ errors: [] });
+    expect(gql.mock.calls[0][1].metafields).toEqual([
+      {
+        ownerId: "p1",
+        namespace: "mrpet",
+        key: "media_hashes",
+        type: "json",
+        value: '{"m1":{"sha256":"aa","slot":"1234"}}',
+      },
+    ]);
+  });
+});
+
+describe("planImageUpload", () => {
+  const images = [
+    image("m1", "Dog bed", "https://cdn.shopify.com/1234_1a2b3c.jpg"),
+    image("m2", "Dog bed (2)", "https://cdn.shopify.com/1234_1.jpg"),
+    image("m3", "1234_2", "https://cdn.shopify.com/other.jpg"),
+  ];
+  const hashes = { m1: { sha256: "aa", slot: "1234" }, m2: { sha256: "bb", slot: "1234_1" } };
+
+  it("skips identical bytes in the same slot", () => {
+    expect(planImageUpload(images, hashes, { filename: "1234.jpg", sku: "1234", index: 0, sha256: "aa" })).toEqual({
+      unchanged: images[0],
+      skip: null,
+      replace: [],
+    });
+  });
+
+  it("replaces the recorded image of the slot when the bytes changed", () => {
+    const plan = planImageUpload(images, hashes, { filename: "1234.jpg", sku: "1234", index: 0, sha256: "cc" });
+
+    expect(plan).toEqual({ unchanged: null, skip: null, replace: [images[0]] });
+  });
+
+  it("ignores alt text and file names of recorded images", () => {
+    // m2 was uploaded as 1234_1.jpg but is recorded for its slot, so 1234_1.jpg of another key keeps it
+    const plan = planImageUpload(images, hashes, { filename: "1234_1.jpg", sku: "5678", index: 1, sha256: "bb" });
+
+    expect(plan).toEqual({ unchanged: null, skip: null, replace: [] });
+  });
+
+  it("falls back to alt text and file names for images without a record", () => {
+    const plan = planImageUpload(images, hashes, { filename: "1234_2.jpg", sku: "1234", index: 2, sha256: "dd" });
+
+    expect(plan.replace.map((i) => i.id)).toEqual(["m3"]);
+  });
+
+  describe("policies", () => {
+    const file = { filename: "1234.jpg", sku: "1234", index: 0, sha256: "cc" };
+
+    it("append keeps every existing image", () => {
+      expect(planImageUpload(images, hashes, file, { policy: "append" })).toEqual({
+        unchanged: null,
+        skip: null,
+        replace: [],
+      });
+    });
+
+    it("skip leaves a taken slot alone", () => {
+      expect(planImageUpload(images, hashes, file, { policy: "skip" })).toEqual({
+        unchanged: null,
+        skip: images[0],
+        replace: [],
+      });
+      expect(planImageUpload(images, hashes, { ...file, sku: "5678" }, { policy: "skip" }).skip).toBeNull();
+    });
+
+    it("replace-all supersedes everything but the images kept", () => {
+      const plan = planImageUpload(images, hashes, file, { policy: "replace-all", keep: ["m2"] });
+
+      expect(plan.replace.map((i) => i.id)).toEqual(["m1", "m3"]);
+    });
+
+    it("never uploads identical bytes twice", () => {
+      for (const policy of ["append", "replace-all"]) {
+        expect(planImageUpload(images, hashes, { ...file, sha256: "aa" }, { policy }).unchanged).toBe(images[0]);
+      }
+    });
+  });
+});
+
+describe("updateMediaHashes", () => {
+  it("records the new image and forgets removed media", () => {
+    const hashes = { m1: { sha256: "aa", slot: "1234" }, m2: { sha256: "bb", slot: "1234_1" }, gone: { sha256: "x", slot: "9" } };
+
+    expect(
+      updateMediaHashes(hashes, {
+        mediaIds: ["m1", "m2"],
+        removed: ["m1"],
+        added: { mediaId: "m4", sha256: "cc", sku: "1234", index: 0 },
+      }),
+    ).toEqual({ m2: { sha256: "bb", slot: "1234_1" }, m4: { sha256: "cc", slot: "1234" } });
+  });
+});
+
+describe("slotMediaIds", () => {
+  it("lists the media of a key's slots in index order", () => {
+    const hashes = {
+      c: { sha256: "3", slot: "ab-1_10" },
+      a: { sha256: "1", slot: "ab-1" },
+      b: { sha256: "2", slot: "ab-1_2" },
+      other: { sha256: "4", slot: "ab-12" },
+      role: { sha256: "5", slot: "ab-1_front" },
+    };
+
+    expect(slotMediaIds(hashes, "AB-1")).toEqual(["a", "b", "c"]);
+    expect(slotMediaIds({}, "AB-1")).toEqual([]);
+  });
+});
@@ -0,0 +1,130 @@
+export { createRemixTransport, createTokenTransport } from "./transport.js";
+export {
+  AMBIGUOUS_BARCODE,
+  AMBIGUOUS_SKU,
+  API_ERROR_STATUSES,
+  AdminApiError,
+  AmbiguousMatchError,
+  GRAPHQL_ERROR,
+  THROTTLED,
+  TRANSPORT_ERROR,
+  adminRequest,
+  formatResultError,
+  toErrorResult,
+} from "./errors.js";
+export { createThrottledTransport, describeCostStats, isThrottled } from "./throttle.js";
+export {
+  DEFAULT_FILENAME_ROLES,
+  DEFAULT_FILENAME_TEMPLATES,
+  compileFilenameTemplate,
+  createFilenameParser,
+  extractCustomIdFromFilename,
+  extractSkuAndIndexFromFilename,
+  layoutProductFolders,
+  optionSlotKey,
+  sortFolderFiles,
+  validateFilenameTemplate,
+  variantSlotKey,
+} from "./filenames.js";
+export {
+  DEFAULT_IDENTIFIER,
+  findProductAndVariantByBarcode,
+  findProductAndVariantByMetafield,
+  findProductAndVariantBySku,
+  findProductByCustomId,
+  findProductByHandle,
+} from "./products.js";
+export {
+  DEFAULT_MATCHING,
+  OPTIONAL_LOOKUPS,
+  findImagesToReplace,
+  matchProductForKey,
+  matchingChain,
+} from "./matching.js";
+export {
+  DEFAULT_ON_EXISTING,
+  MEDIA_HASHES_METAFIELD,
+  ON_EXISTING_POLICIES,
+  SKIPPED_EXISTING,
+  UNCHANGED,
+  getMediaHashes,
+  mediaSlot,
+  planImageUpload,
+  saveMediaHashes,
+  sha256Hex,
+  slotMediaIds,
+  updateMediaHashes,
+} from "./hashes.js";
+export { getProductMediaState, restoreProductMedia, snapshotProductMedia } from "./restore.js";
+export {
+  DEFAULT_MEDIA_ORDERING,
+  applyMediaOrdering,
+  compileOrderingRule,
+  describeMediaMoves,
+  listProductsToSort,
+  planMediaOrder,
+  productFilterQuery,
+  validateOrderingRule,
+} from "./ordering.js";
+export { createMatchResolver, describeLookupStats } from "./resolver.js";
+export {
+  BULK_RESULT_CHUNK_BYTES,
+  downloadBulkResult,
+  getBulkOperation,
+  isBulkOperationFinished,
+  readBulkResultChunk,
+  runBulkQuery,
+  waitForBulkOperation,
+} from "./bulk.js";
+export { catalogAgeHours, catalogBulkQuery, createCatalogMatcher, parseCatalogJsonl } from "./catalog.js";
+export {
+  attachImageToProduct,
+  createProductMedia,
+  createStagedUpload,
+  createStagedUploads,
+  deleteProductMedia,
+  listAllProductMediaIds,
+  listProductImageMedia,
+  listProductMedia,
+  reorderProductMedia,
+  uploadToStagedTarget,
+  waitForMediaReady,
+} from "./media.js";
+export { safeReplaceProductImage } from "./replace.js";
+export {
+  DEFAULT_VARIANT_MEDIA,
+  VARIANT_MEDIA_MODES,
+  appendVariantMedia,
+  assignVariantMedia,
+  attachUploadToVariant,
+  attachUploadToVariants,
+  bulkSetVariantMedia,
+  describeOptionVariants,
+  detachVariantMedia,
+  findNamedVariant,
+  findOptionVariants,
+  listProductVariantOptions,
+  listVariantMedia,
+  setVariantMedia,
+} from "./variants.js";
+export { createFile } from "./files.js";
+export {
+  MANIFEST_LOOKUPS,
+  parseCsv,
+  parseManifestOption,
+  readManifestRows,
+  readXlsxRows,
+  validateManifest,
+  validateManifestEntry,
+} from "./manifest.js";
+export { listZipEntries } from "./zip.js";
+export { ARCHIVE_IMAGE_TYPES, listArchiveImages } from "./archive.js";
+export {
+  MAX_REMOTE_IMAGE_BYTES,
+  REMOTE_DOWNLOAD_TIMEOUT_MS,
+  downloadRemoteImage,
+  isPublicAddress,
+  isRemoteUrl,
+  parseRemoteImageList,
+  remoteFilename,
+} from "./remote.js";
@@ -0,0 +1,298 @@
+import { ON_EXISTING_POLICIES } from "./hashes.js";
+import { listZipEntries } from "./zip.js";
+
+// A manifest maps uploaded files to products in a spreadsheet (CSV or XLSX) instead of their names.
+// One row per file, the first row names the columns (case, spaces and dots do not matter):
+//   file          name of the image file (required)
+//   sku           variant SKU, looked up as a SKU only
+//   custom_id     product identifier metafield (custom.id unless configured otherwise)
+//   handle        product handle
+//   key           looked up like a key from a filename: identifier, SKU, then the shop's lookups
+//   position      gallery position counted from 1 (1 = featured); the file name decides when empty
+//   alt           alt text of the image
+//   variant       SKU or title of the variant of the product that gets the image
+//   option        "Color: Blue": every variant with that option value gets the image
+//   on_existing   replace, append, skip or replace-all for this file
+// Exactly one of sku, custom_id, handle and key is filled per row.
+export const MANIFEST_LOOKUPS = ["sku", "custom_id", "handle"];
+
+const COLUMN_ALIASES = {
+  file: ["file", "filename", "file_name", "image"],
+  sku: ["sku"],
+  custom_id: ["custom_id", "customid"],
+  handle: ["handle"],
+  key: ["key"],
+  position: ["position", "pos"],
+  alt: ["alt", "alt_text"],
+  variant: ["variant", "variant_sku", "variant_title"],
+  option: ["option"],
+  on_existing: ["on_existing", "policy"],
+};
+
+const KEY_COLUMNS = [...MANIFEST_LOOKUPS, "key"];
+
+// Shopify limits alt text to 512 characters
+export const MAX_ALT_LENGTH = 512;
+
+function columnName(header) {
+  const normalized = String(header || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+  return Object.keys(COLUMN_ALIASES).find((name) => COLUMN_ALIASES[name].includes(normalized)) || null;
+}
+
+// Rows of a CSV text as arrays of cells. Quoted cells may contain the delimiter, quotes ("") and line
+// breaks. The delimiter is the first of comma, semicolon and tab found in the first line, so files saved
+// by spreadsheet apps in any locale work.
+export function parseCsv(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = source.slice(0, source.search(/\r?\n|$/));
+  const delimiter = [",", ";", "\t"]
+    .map((d) => ({ d, at: firstLine.indexOf(d) }))
+    .filter((c) => c.at >= 0)
+    .sort((a, b) => a.at - b.at)[0]?.d || ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
+
+// Text of an <si> or <is> element: one <t>, or several rich text runs
+function textOf(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => decodeXml(m[1])).join("");
+}
+
+// "AB12" -> 27 (columns counted from 0)
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || "A";
+  return [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Rows of the first worksheet of an XLSX file as arrays of cells (strings). Formulas give their cached
+// value; dates stay Excel serial numbers.
+export async function readXlsxRows(input) {
+  const entries = new Map(listZipEntries(input).map((e) => [e.name, e]));
+  const readText = async (name) => {
+    const entry = entries.get(name);
+    return entry ? new TextDecoder().decode(await entry.read()) : null;
+  };
+
+  const workbook = await readText("xl/workbook.xml");
+  if (workbook === null) throw new Error("Not an XLSX workbook");
+  // The first sheet of the workbook, through its relationship; sheet1.xml for files that do not say
+  const relId = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const rels = (await readText("xl/_rels/workbook.xml.rels")) || "";
+  const target = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+    .map((m) => m[0])
+    .find((tag) => tag.includes(`Id="${relId}"`))
+    ?.match(/Target="([^"]+)"/)?.[1];
+  const sheetPath = target ? (target.startsWith("/") ? target.slice(1) : `xl/${target}`) : "xl/worksheets/sheet1.xml";
+  const sheet = await readText(sheetPath);
+  if (sheet === null) throw new Error("The workbook has no worksheet");
+
+  const shared = [...((await readText("xl/sharedStrings.xml")) || "").matchAll(/<si>([\s\S]*?)<\/si>/g)].map(
+    (m) => textOf(m[1]),
+  );
+
+  const rows = [];
+  for (const [, attributes, content] of sheet.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const number = Number(attributes.match(/\br="(\d+)"/)?.[1]) || rows.length + 1;
+    const cells = [];
+    for (const cell of content.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = cell[1].match(/\br="([A-Z]+)\d*"/i)?.[1];
+      const type = cell[1].match(/\bt="(\w+)"/)?.[1];
+      const inner = cell[2] || "";
+      const raw = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = "";
+      if (type === "s") value = shared[Number(raw)] ?? "";
+      else if (type === "inlineStr") value = textOf(inner);
+      else if (raw !== undefined) value = decodeXml(raw);
+      cells[ref ? columnIndex(ref) : cells.length] = value;
+    }
+    // Empty rows are left out of the file, so keep spreadsheet row numbers for the error report
+    while (rows.length < number - 1) rows.push([]);
+    rows.push(Array.from(cells, (c) => c ?? ""));
+  }
+  return rows;
+}
+
+// Rows of a manifest file by its name: .xlsx is read as a workbook, anything else as CSV text
+export async function readManifestRows(input, filename) {
+  if (/\.xlsx$/i.test(String(filename || ""))) return readXlsxRows(input);
+  if (/\.xls$/i.test(String(filename || ""))) throw new Error("Save the spreadsheet as .xlsx or .csv");
+  return parseCsv(new TextDecoder().decode(input));
+}
+
+// "Color: Blue" or "color=blue" -> { name, value }; null when the text is neither
+export function parseManifestOption(text) {
+  const match = String(text || "").match(/^\s*([^:=]+?)\s*[:=]\s*(.+?)\s*$/);
+  return match ? { name: match[1], value: match[2] } : null;
+}
+
+// "./shoot\1234/a.jpg" -> "shoot/1234/a.jpg", the form filenames and file cells are compared in
+function filePath(filename) {
+  return String(filename).split(/[\\/]/).filter((part) => part && part !== ".").join("/");
+}
+
+function baseName(filename) {
+  return filePath(filename).split("/").pop();
+}
+
+// null when an entry (as validateManifest builds it, or as sent back by the browser) can be used,
+// otherwise the reason it cannot
+export function validateManifestEntry(entry) {
+  if (!entry || typeof entry !== "object") return "Not a manifest entry";
+  if (!entry.filename || typeof entry.filename !== "string") return "File is missing";
+  if (!entry.key || typeof entry.key !== "string") return "No SKU, custom ID, handle or key";
+  if (entry.lookup != null && !MANIFEST_LOOKUPS.includes(entry.lookup)) return `Unknown lookup ${entry.lookup}`;
+  if (entry.index != null && !(Number.isInteger(entry.index) && entry.index >= 0)) {
+    return "Position must be a whole number from 1";
+  }
+  if (entry.alt != null && (typeof entry.alt !== "string" || entry.alt.length > MAX_ALT_LENGTH)) {
+    return `Alt text can have up to ${MAX_ALT_LENGTH} characters`;
+  }
+  if (entry.variant != null && typeof entry.variant !== "string") return "Variant must be a SKU or title";
+  if (entry.option != null && !(entry.option.name && entry.option.value)) return 'Option must look like "Color: Blue"';
+  if (entry.variant && entry.option) return "Fill either variant or option";
+  if (entry.onExisting != null && !ON_EXISTING_POLICIES.includes(entry.onExisting)) {
+    return `Unknown policy ${entry.onExisting}, use ${ON_EXISTING_POLICIES.join(", ")}`;
+  }
+  return null;
+}
+
+// Check a manifest's rows (readManifestRows) before anything is uploaded. filenames are the files of the
+// upload by their path (below the folder or inside the archive); rows naming another file are errors. A row
+// names a file by that path, or by its base name where no other file of the upload has it. Entries carry
+// the path from filenames. Returns { entries, errors }:
+//   entries  [{ row, filename, key, lookup, index, alt, variant, option, onExisting }], lookup null for
+//            the key column, index null when the position is left to the file name
+//   errors   [{ row, column, message }] with spreadsheet row numbers (the header is row 1)
+export function validateManifest(rows, { filenames } = {}) {
+  const errors = [];
+  const [header = [], ...body] = rows || [];
+  const columns = header.map(columnName);
+  const at = (cells, name) => {
+    const index = columns.indexOf(name);
+    return index < 0 ? "" : String(cells[index] ?? "").trim();
+  };
+  if (!columns.includes("file")) errors.push({ row: 1, column: null, message: "Needs a file column" });
+  if (!KEY_COLUMNS.some((name) => columns.includes(name))) {
+    errors.push({ row: 1, column: null, message: "Needs a sku, custom_id, handle or key column" });
+  }
+  if (errors.length) return { entries: [], errors };
+
+  const available = filenames ? new Set(filenames.map(filePath)) : null;
+  const byBaseName = new Map();
+  for (const name of available || []) {
+    if (!byBaseName.has(baseName(name))) byBaseName.set(baseName(name), []);
+    byBaseName.get(baseName(name)).push(name);
+  }
+  const seenFiles = new Map();
+  const seenSlots = new Map();
+  const entries = [];
+  body.forEach((cells, i) => {
+    const row = i + 2;
+    if (!cells.some((c) => String(c ?? "").trim())) return;
+    const rowErrors = [];
+    const fail = (column, message) => rowErrors.push({ row, column, message });
+
+    let filename = filePath(at(cells, "file"));
+    const sameName = available && !available.has(filename) ? byBaseName.get(filename) || [] : [];
+    if (sameName.length === 1) filename = sameName[0];
+    if (!filename) fail("file", "File is empty");
+    else if (seenFiles.has(filename)) fail("file", `${filename} is also listed in row ${seenFiles.get(filename)}`);
+    else if (sameName.length > 1) fail("file", `${filename} is in several folders, give its path (${sameName.join(", ")})`);
+    else if (available && !available.has(filename)) fail("file", `${filename} is not among the selected files`);
+    if (filename && !seenFiles.has(filename)) seenFiles.set(filename, row);
+
+    const filled = KEY_COLUMNS.filter((name) => at(cells, name));
+    if (!filled.length) fail(null, "No SKU, custom ID, handle or key");
+    if (filled.length > 1) fail(null, `Fill only one of ${filled.join(", ")}`);
+    const keyColumn = filled[0];
+
+    const position = at(cells, "position");
+    if (position && !/^\d+$/.test(position)) fail("position", "Position must be a whole number from 1");
+    else if (position && Number(position) < 1) fail("position", "Position must be a whole number from 1");
+
+    const option = at(cells, "option") ? parseManifestOption(at(cells, "option")) : null;
+    if (at(cells, "option") && !option) fail("option", 'Option must look like "Color: Blue"');
+
+    const onExisting = at(cells, "on_existing").toLowerCase();
+    if (onExisting && !ON_EXISTING_POLICIES.includes(onExisting)) {
+      fail("on_existing", `Unknown policy ${onExisting}, use ${ON_EXISTING_POLICIES.join(", ")}`);
+    }
+
+    const entry = {
+      row,
+      filename,
+      key: keyColumn ? at(cells, keyColumn) : "",
+      lookup: keyColumn && keyColumn !== "key" ? keyColumn : null,
+      index: position && /^\d+$/.test(position) && Number(position) >= 1 ? Number(position) - 1 : null,
+      alt: at(cells, "alt") || null,
+      variant: at(cells, "variant") || null,
+      option,
+      onExisting: onExisting || null,
+    };
+    if (!rowErrors.length) {
+      const error = validateManifestEntry(entry);
+      if (error) fail(null, error);
+    }
+
+    // Two files for the same gallery slot would replace each other
+    if (!rowErrors.length && entry.index !== null) {
+      const slot = JSON.stringify([entry.lookup, entry.key, entry.variant, entry.option, entry.index]).toLowerCase();
+      if (seenSlots.has(slot)) {
+        fail("position", `Position ${entry.index + 1} of ${entry.key} is also given in row ${seenSlots.get(slot)}`);
+      } else {
+        seenSlots.set(slot, row);
+      }
+    }
+
+    if (rowErrors.length) errors.push(...rowErrors);
+    else entries.push(entry);
+  });
+  if (!entries.length && !errors.length) errors.push({ row: 2, column: null, message: "The manifest has no rows" });
+  return { entries, errors };
+}
@@ -0,0 +1,157 @@
+import { describe, it, expect } from "vitest";
+import { parseCsv, readManifestRows, readXlsxRows, validateManifest } from "./manifest";
+import { zip } from "./testing";
+import { listZipEntries } from "./zip";
+
+const workbook = (sheet) =>
+  zip({
+    "xl/workbook.xml": '<workbook><sheets><sheet name="Shoot" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    "xl/_rels/workbook.xml.rels":
+      '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/></Relationships>',
+    "xl/sharedStrings.xml":
+      "<sst><si><t>file</t></si><si><t>sku</t></si><si><t>DB-RL.jpg</t></si><si><r><t>Red </t></r><r><t>&amp; white</t></r></si></sst>",
+    "xl/worksheets/sheet1.xml": `<worksheet><sheetData>${sheet}</sheetData></worksheet>`,
+  });
+
+describe("parseCsv", () => {
+  it("reads quoted cells with delimiters, quotes and line breaks", () => {
+    expect(parseCsv('file,alt\r\na.jpg,"Bed, ""large""\nred"\r\n')).toEqual([
+      ["file", "alt"],
+      ["a.jpg", 'Bed, "large"\nred'],
+    ]);
+  });
+
+  it("detects semicolons and tabs", () => {
+    expect(parseCsv("\uFEFFfile;sku\na.jpg;1234")).toEqual([
+      ["file", "sku"],
+      ["a.jpg", "1234"],
+    ]);
+    expect(parseCsv("file\tsku\na.jpg\t1234")[1]).toEqual(["a.jpg", "1234"]);
+  });
+});
+
+describe("readXlsxRows", () => {
+  it("reads shared strings, inline strings and numbers of the first sheet", async () => {
+    const bytes = workbook(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="inlineStr"><is><t>alt</t></is></c></row>' +
+        '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3"><v>1234</v></c><c r="D3" t="s"><v>3</v></c></row>',
+    );
+
+    expect(await readXlsxRows(bytes)).toEqual([
+      ["file", "sku", "", "alt"],
+      [],
+      ["DB-RL.jpg", "1234", "", "Red & white"],
+    ]);
+    expect(listZipEntries(bytes).map((e) => e.name)).toContain("xl/worksheets/sheet1.xml");
+  });
+
+  it("rejects files that are not workbooks", async () => {
+    await expect(readXlsxRows(zip({ "a.txt": "x" }))).rejects.toThrow("Not an XLSX workbook");
+    await expect(readManifestRows(new Uint8Array([1, 2, 3]), "shoot.xlsx")).rejects.toThrow("Not a ZIP archive");
+  });
+});
+
+describe("validateManifest", () => {
+  const filenames = ["bed-blue.jpg", "bed-blue-2.jpg", "bed-red.jpg", "tree.jpg"];
+
+  it("maps every row to its file, key, position and options", () => {
+    const rows = parseCsv(
+      [
+        "File,Custom ID,SKU,Handle,Position,Alt text,Variant,Option,On existing",
+        "bed-blue.jpg,1234,,,1,Blue bed,,Color: Blue,",
+        "bed-blue-2.jpg,1234,,,2,,,color=blue,append",
+        "bed-red.jpg,,DB-RL,,,,,,",
+        "",
+        "tree.jpg,,,cat-tree,,,M / Grey,,Replace-all",
+      ].join("\n"),
+    );
+
+    const { entries, errors } = validateManifest(rows, { filenames });
+
+    expect(errors).toEqual([]);
+    expect(entries).toEqual([
+      {
+        row: 2,
+        filename: "bed-blue.jpg",
+        key: "1234",
+        lookup: "custom_id",
+        index: 0,
+        alt: "Blue bed",
+        variant: null,
+        option: { name: "Color", value: "Blue" },
+        onExisting: null,
+      },
+      expect.objectContaining({ row: 3, index: 1, option: { name: "color", value: "blue" }, onExisting: "append" }),
+      expect.objectContaining({ row: 4, key: "DB-RL", lookup: "sku", index: null }),
+      expect.objectContaining({ row: 6, key: "cat-tree", lookup: "handle", variant: "M / Grey", onExisting: "replace-all" }),
+    ]);
+  });
+
+  it("reports every problem with its row and column", () => {
+    const rows = parseCsv(
+      [
+        "file,sku,key,position,option,on_existing",
+        "bed-blue.jpg,DB-BL,1234,,,",
+        "missing.jpg,DB-BL,,,,",
+        "bed-red.jpg,DB-RL,,0,,",
+        "bed-blue-2.jpg,DB-BL,,,Blue,",
+        "tree.jpg,CT,,,,overwrite",
+        "tree.jpg,CT,,,,",
+      ].join("\n"),
+    );
+
+    expect(validateManifest(rows, { filenames }).errors).toEqual([
+      { row: 2, column: null, message: "Fill only one of sku, key" },
+      { row: 3, column: "file", message: "missing.jpg is not among the selected files" },
+      { row: 4, column: "position", message: "Position must be a whole number from 1" },
+      { row: 5, column: "option", message: 'Option must look like "Color: Blue"' },
+      { row: 6, column: "on_existing", message: "Unknown policy overwrite, use replace, append, skip, replace-all" },
+      { row: 7, column: "file", message: "tree.jpg is also listed in row 6" },
+    ]);
+  });
+
+  it("rejects two files for the same slot", () => {
+    const rows = [
+      ["file", "sku", "position", "variant"],
+      ["bed-blue.jpg", "DB-BL", "1", ""],
+      ["bed-red.jpg", "db-bl", "1", ""],
+      ["tree.jpg", "DB-BL", "1", "M / Red"],
+    ];
+
+    expect(validateManifest(rows, { filenames }).errors).toEqual([
+      { row: 3, column: "position", message: "Position 1 of db-bl is also given in row 2" },
+    ]);
+  });
+
+  it("tells files of the same name in two folders apart by their path", () => {
+    const filenames = ["shoot-a/1.jpg", "shoot-b/1.jpg", "shoot-b/2.jpg"];
+    const rows = [
+      ["file", "sku", "position"],
+      ["shoot-a/1.jpg", "DB-BL", "1"],
+      [".\\shoot-b\\1.jpg", "DB-RL", "1"],
+      ["2.jpg", "DB-RL", "2"],
+    ];
+
+    const { entries, errors } = validateManifest(rows, { filenames });
+
+    expect(errors).toEqual([]);
+    expect(entries.map((e) => [e.filename, e.key])).toEqual([
+      ["shoot-a/1.jpg", "DB-BL"],
+      ["shoot-b/1.jpg", "DB-RL"],
+      ["shoot-b/2.jpg", "DB-RL"],
+    ]);
+    expect(validateManifest([["file", "sku"], ["1.jpg", "DB-BL"]], { filenames }).errors).toEqual([
+      { row: 2, column: "file", message: "1.jpg is in several folders, give its path (shoot-a/1.jpg, shoot-b/1.jpg)" },
+    ]);
+  });
+
+  it("needs a file and a key column", () => {
+    expect(validateManifest([["image", "alt"]]).errors).toEqual([
+      { row: 1, column: null, message: "Needs a sku, custom_id, handle or key column" },
+    ]);
+    expect(validateManifest([]).errors.map((e) => e.message)).toEqual([
+      "Needs a file column",
+      "Needs a sku, custom_id, handle or key column",
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+import {
+  DEFAULT_IDENTIFIER,
+  findProductAndVariantByBarcode,
+  findProductAndVariantByMetafield,
+  findProductAndVariantBySku,
+  findProductByCustomId,
+  findProductByHandle,
+} from "./products.js";
+
+// Lookups a shop can enable after the identifier metafield and SKU, tried in this order
+export const OPTIONAL_LOOKUPS = ["barcode", "handle", "variant_metafield"];
+
+export const DEFAULT_MATCHING = { identifier: DEFAULT_IDENTIFIER, lookups: [], variantIdentifier: null };
+
+const productLevel = (product) => product && { ...product, variantId: null, variantTitle: null };
+const variantLevel = (variant) => (variant.productId ? variant : null);
+
+const LOOKUPS = {
+  custom_id: async (gql, key, { identifier }) =>
+    productLevel(await findProductByCustomId(gql, key, identifier)),
+  sku: async (gql, key) => variantLevel(await findProductAndVariantBySku(gql, key)),
+  barcode: async (gql, key) => variantLevel(await findProductAndVariantByBarcode(gql, key)),
+  handle: async (gql, key) => productLevel(await findProductByHandle(gql, key)),
+  variant_metafield: async (gql, key, { variantIdentifier }) =>
+    variantIdentifier?.key
+      ? variantLevel(await findProductAndVariantByMetafield(gql, key, variantIdentifier))
+      : null,
+};
+
+// Lookups tried for a key, in order. `matching.chain` replaces the default order (the CLI's
+// --mode custom-id and --mode sku use a single lookup).
+export function matchingChain(matching = DEFAULT_MATCHING) {
+  if (matching.chain?.length) return matching.chain;
+  const optional = OPTIONAL_LOOKUPS.filter((name) => matching.lookups?.includes(name));
+  return ["custom_id", "sku", ...optional];
+}
+
+// Resolve the key taken from a filename: the product's identifier metafield (custom.id by default)
+// first, a variant SKU second, then the optional lookups enabled in `matching`. matchedBy names the
+// lookup that matched; custom_id and handle matches are product-level (variantId null).
+// Returns null when nothing matches.
+export async function matchProductForKey(gql, key, matching = DEFAULT_MATCHING) {
+  const config = { ...DEFAULT_MATCHING, ...matching };
+  for (const name of matchingChain(config)) {
+    const match = await LOOKUPS[name](gql, key, config);
+    if (match) return { ...match, matchedBy: name };
+  }
+  return null;
+}
+
+function baseName(url) {
+  return ((url || "").split("/").pop() || "").split("?")[0].toLowerCase();
+}
+
+// Existing images that an upload of `filename` supersedes: same alt label (1234, 1234_1, ...) as an
+// earlier upload of the same key and position, or the same file name.
+export function findImagesToReplace(images, { filename, sku, index = 0 }) {
+  const uploadedBaseName = baseName(filename);
+  const altLabel = (index === 0 ? sku : `${sku}_${index}`).toLowerCase();
+  return images.filter((img) => {
+    const alt = (img.alt || "").trim().toLowerCase();
+    const existingBaseName = baseName(img?.image?.url || img?.image?.originalSrc);
+    return alt === altLabel || (!!existingBaseName && existingBaseName === uploadedBaseName);
+  });
+}
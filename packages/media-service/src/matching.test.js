@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import { findImagesToReplace, matchProductForKey } from "./matching";
+import { mockAdmin } from "./testing";
+
+const noProduct = { data: { productByIdentifier: null } };
+
+describe("matchProductForKey", () => {
+  it("prefers a product whose custom.id equals the key", async () => {
+    const gql = mockAdmin({
+      FindProductByCustomId: { data: { productByIdentifier: { id: "p1", title: "Dog bed" } } },
+    });
+
+    expect(await matchProductForKey(gql, "1234")).toEqual({
+      productId: "p1",
+      productTitle: "Dog bed",
+      variantId: null,
+      variantTitle: null,
+      matchedBy: "custom_id",
+    });
+    expect(gql).toHaveBeenCalledTimes(1);
+  });
+
+  it("falls back to the variant SKU", async () => {
+    const gql = mockAdmin({
+      FindProductByCustomId: noProduct,
+      VariantBySku: {
+        data: {
+          productVariants: {
+            edges: [{ node: { id: "v1", title: "Large", sku: "DB-L", product: { id: "p1", title: "Dog bed" } } }],
+          },
+        },
+      },
+    });
+
+    expect(await matchProductForKey(gql, "DB-L")).toMatchObject({
+      productId: "p1",
+      variantId: "v1",
+      matchedBy: "sku",
+    });
+  });
+
+  it("returns null when nothing matches", async () => {
+    const gql = mockAdmin({
+      FindProductByCustomId: noProduct,
+      VariantBySku: { data: { productVariants: { edges: [] } } },
+    });
+
+    expect(await matchProductForKey(gql, "nope")).toBeNull();
+  });
+
+  it("uses the shop's identifier metafield", async () => {
+    const gql = mockAdmin({
+      FindProductByCustomId: { data: { productByIdentifier: { id: "p1", title: "Dog bed" } } },
+    });
+
+    await matchProductForKey(gql, "A-7", { identifier: { namespace: "mrpet", key: "article_no" } });
+
+    expect(gql.mock.calls[0][1]).toEqual({
+      identifier: { customId: { namespace: "mrpet", key: "article_no", value: "A-7" } },
+    });
+  });
+
+  it("tries the enabled optional lookups after the SKU", async () => {
+    const gql = mockAdmin({
+      FindProductByCustomId: noProduct,
+      VariantBySku: { data: { productVariants: { edges: [] } } },
+      VariantByBarcode: {
+        data: {
+          productVariants: {
+            edges: [
+              { node: { id: "v2", title: "Small", barcode: "3830001", product: { id: "p2", title: "Collar" } } },
+            ],
+          },
+        },
+      },
+    });
+
+    expect(await matchProductForKey(gql, "3830001", { lookups: ["handle", "barcode"] })).toMatchObject({
+      productId: "p2",
+      variantId: "v2",
+      matchedBy: "barcode",
+    });
+    expect(gql).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("findImagesToReplace", () => {
+  const images = [
+    { id: "m1", alt: "1234", image: { url: "https://cdn.shopify.com/s/files/other.jpg?v=1" } },
+    { id: "m2", alt: "Dog bed", image: { url: "https://cdn.shopify.com/s/files/1234_1.jpg?v=2" } },
+    { id: "m3", alt: "1234_2", image: { url: "https://cdn.shopify.com/s/files/x.jpg" } },
+  ];
+
+  it("matches the alt label of the same position", () => {
+    expect(findImagesToReplace(images, { filename: "1234.jpg", sku: "1234", index: 0 })).toEqual([images[0]]);
+  });
+
+  it("matches the same file name", () => {
+    expect(findImagesToReplace(images, { filename: "1234_1.JPG", sku: "1234", index: 1 })).toEqual([images[1]]);
+  });
+
+  it("leaves unrelated images alone", () => {
+    expect(findImagesToReplace(images, { filename: "5678.jpg", sku: "5678", index: 0 })).toEqual([]);
+  });
+});
@@ -0,0 +1,187 @@
+import { adminRequest } from "./errors.js";
+
+const DEFAULT_MIME_TYPES = { IMAGE: "image/jpeg", VIDEO: "video/mp4" };
+
+// Staged targets for several files in one call. targets[i] belongs to files[i]; when Shopify
+// rejects the input, targets is empty and errors explains why.
+export async function createStagedUploads(gql, files, { resource = "IMAGE" } = {}) {
+  if (!files.length) return { targets: [], errors: [] };
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets { url resourceUrl parameters { name value } }
+          userErrors { field message }
+        }
+      }
+    `,
+    {
+      input: files.map(({ filename, mimeType, fileSize }) => ({
+        resource,
+        filename,
+        mimeType: mimeType || DEFAULT_MIME_TYPES[resource],
+        fileSize: String(fileSize ?? 0),
+        httpMethod: "POST",
+      })),
+    },
+  );
+  const errors = json?.data?.stagedUploadsCreate?.userErrors || [];
+  const targets = errors.length ? [] : json?.data?.stagedUploadsCreate?.stagedTargets || [];
+  return { targets, errors };
+}
+
+export async function createStagedUpload(gql, { filename, mimeType, fileSize }, { resource = "IMAGE" } = {}) {
+  const { targets, errors } = await createStagedUploads(gql, [{ filename, mimeType, fileSize }], { resource });
+  return { target: targets[0], errors };
+}
+
+// POST a File/Blob to a staged target. In Node, fs.openAsBlob() gives a Blob backed by the file on disk.
+export async function uploadToStagedTarget(target, file, filename, { fetch: fetchImpl = fetch, timeoutMs } = {}) {
+  const form = new FormData();
+  for (const param of target.parameters) {
+    form.append(param.name, param.value);
+  }
+  form.append("file", file, filename);
+  try {
+    const res = await fetchImpl(target.url, {
+      method: "POST",
+      body: form,
+      ...(timeoutMs ? { signal: AbortSignal.timeout(timeoutMs) } : {}),
+    });
+    return res.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+// productCreateMedia with arbitrary CreateMediaInput entries (originalSource or mediaId)
+export async function createProductMedia(gql, productId, media) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+        productCreateMedia(productId: $productId, media: $media) {
+          media {
+            id
+            alt
+            mediaContentType
+            ... on MediaImage { image { url } }
+          }
+          mediaUserErrors { field message }
+        }
+      }
+    `,
+    { productId, media },
+  );
+  return {
+    media: json?.data?.productCreateMedia?.media || [],
+    errors: json?.data?.productCreateMedia?.mediaUserErrors || [],
+  };
+}
+
+export async function attachImageToProduct(gql, productId, resourceUrl, altText) {
+  return createProductMedia(gql, productId, [
+    { alt: altText || null, originalSource: resourceUrl, mediaContentType: "IMAGE" },
+  ]);
+}
+
+// All media of a product in gallery order (images, videos, 3D models)
+export async function listProductMedia(gql, productId) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query ProductMedia($id: ID!) {
+        product(id: $id) {
+          id
+          media(first: 250) {
+            nodes {
+              id
+              __typename
+              alt
+              mediaContentType
+              status
+              ... on MediaImage { image { url } }
+            }
+          }
+        }
+      }
+    `,
+    { id: productId },
+  );
+  return json?.data?.product?.media?.nodes || [];
+}
+
+export async function listProductImageMedia(gql, productId) {
+  const media = await listProductMedia(gql, productId);
+  return media.filter((n) => n.__typename === "MediaImage");
+}
+
+export async function listAllProductMediaIds(gql, productId) {
+  const media = await listProductMedia(gql, productId);
+  return media.map((n) => n.id);
+}
+
+// { deleted, deletedIds, errors }: deleted counts deletedIds, the media Shopify reports as gone
+export async function deleteProductMedia(gql, productId, mediaIds) {
+  if (!mediaIds.length) return { deleted: 0, deletedIds: [], errors: [] };
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation ProductDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+        productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+          deletedMediaIds
+          mediaUserErrors { field message }
+        }
+      }
+    `,
+    { productId, mediaIds },
+  );
+  const errors = json?.data?.productDeleteMedia?.mediaUserErrors || [];
+  const deletedIds = json?.data?.productDeleteMedia?.deletedMediaIds || [];
+  return { deleted: deletedIds.length, deletedIds, errors };
+}
+
+// moves: [{ id, newPosition }] with newPosition as a string, as MoveInput expects
+export async function reorderProductMedia(gql, productId, moves) {
+  if (!moves?.length) return { success: true, errors: [] };
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation ProductReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+        productReorderMedia(id: $id, moves: $moves) {
+          mediaUserErrors { field message }
+        }
+      }
+    `,
+    { id: productId, moves },
+  );
+  const errors = json?.data?.productReorderMedia?.mediaUserErrors || [];
+  if (errors.length) {
+    return { success: false, errors, message: errors.map((e) => e.message).join(", ") };
+  }
+  return { success: true, errors: [] };
+}
+
+// Poll a media item (or a Files API video) until Shopify finished processing it.
+// Resolves true when READY, false on FAILED or timeout.
+export async function waitForMediaReady(gql, mediaId, { timeoutMs = 15000, intervalMs = 600 } = {}) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const json = await adminRequest(
+      gql,
+      `#graphql
+        query MediaStatus($id: ID!) {
+          node(id: $id) { id ... on Media { status } ... on File { fileStatus } }
+        }
+      `,
+      { id: mediaId },
+    );
+    const node = json?.data?.node;
+    const status = node?.status || node?.fileStatus;
+    if (status === "READY") return true;
+    if (status === "FAILED") return false;
+    await new Promise((r) => setTimeout(r, intervalMs));
+  }
+  return false;
+}
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  createStagedUploads,
+  deleteProductMedia,
+  listProductImageMedia,
+  reorderProductMedia,
+  uploadToStagedTarget,
+  waitForMediaReady,
+} from "./media";
+import { mockAdmin } from "./testing";
+
+const target = {
+  url: "https://shopify-staged-uploads.storage.googleapis.com/",
+  resourceUrl: "https://shopify-staged-uploads.storage.googleapis.com/tmp/1234.jpg",
+  parameters: [{ name: "key", value: "tmp/1234.jpg" }],
+};
+
+describe("createStagedUploads", () => {
+  it("requests one target per file", async () => {
+    const gql = mockAdmin({
+      StagedUploadsCreate: { data: { stagedUploadsCreate: { stagedTargets: [target, target], userErrors: [] } } },
+    });
+
+    const { targets, errors } = await createStagedUploads(gql, [
+      { filename: "1234.jpg", mimeType: "image/jpeg", fileSize: 100 },
+      { filename: "1234_1.png", fileSize: 200 },
+    ]);
+
+    expect(targets).toHaveLength(2);
+    expect(errors).toEqual([]);
+    expect(gql.mock.calls[0][1].input).toEqual([
+      { resource: "IMAGE", filename: "1234.jpg", mimeType: "image/jpeg", fileSize: "100", httpMethod: "POST" },
+      { resource: "IMAGE", filename: "1234_1.png", mimeType: "image/jpeg", fileSize: "200", httpMethod: "POST" },
+    ]);
+  });
+
+  it("returns no targets when Shopify rejects the input", async () => {
+    const userErrors = [{ field: ["input", "0", "fileSize"], message: "File size is too large" }];
+    const gql = mockAdmin({
+      StagedUploadsCreate: { data: { stagedUploadsCreate: { stagedTargets: [target], userErrors } } },
+    });
+
+    expect(await createStagedUploads(gql, [{ filename: "huge.mp4" }], { resource: "VIDEO" })).toEqual({
+      targets: [],
+      errors: userErrors,
+    });
+    expect(gql.mock.calls[0][1].input[0].mimeType).toBe("video/mp4");
+  });
+
+  it("skips the request for an empty list", async () => {
+    const gql = mockAdmin({});
+
+    expect(await createStagedUploads(gql, [])).toEqual({ targets: [], errors: [] });
+    expect(gql).not.toHaveBeenCalled();
+  });
+});
+
+describe("uploadToStagedTarget", () => {
+  it("posts the target parameters followed by the file", async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true });
+
+    const ok = await uploadToStagedTarget(target, new Blob(["jpeg"]), "1234.jpg", { fetch });
+
+    expect(ok).toBe(true);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(target.url);
+    expect([...init.body.keys()]).toEqual(["key", "file"]);
+  });
+
+  it("reports network failures as false", async () => {
+    const fetch = vi.fn().mockRejectedValue(new Error("ECONNRESET"));
+
+    expect(await uploadToStagedTarget(target, new Blob(["jpeg"]), "1234.jpg", { fetch })).toBe(false);
+  });
+});
+
+describe("listProductImageMedia", () => {
+  it("keeps images only", async () => {
+    const gql = mockAdmin({
+      ProductMedia: {
+        data: {
+          product: {
+            media: {
+              nodes: [
+                { id: "m1", __typename: "MediaImage", image: { url: "https://cdn/1234.jpg" } },
+                { id: "m2", __typename: "Video" },
+              ],
+            },
+          },
+        },
+      },
+    });
+
+    expect((await listProductImageMedia(gql, "p1")).map((m) => m.id)).toEqual(["m1"]);
+  });
+});
+
+describe("deleteProductMedia", () => {
+  it("returns the deleted media and any media user errors", async () => {
+    const gql = mockAdmin({
+      ProductDeleteMedia: {
+        data: { productDeleteMedia: { deletedMediaIds: ["m1"], mediaUserErrors: [{ message: "m2 not found" }] } },
+      },
+    });
+
+    expect(await deleteProductMedia(gql, "p1", ["m1", "m2"])).toEqual({
+      deleted: 1,
+      deletedIds: ["m1"],
+      errors: [{ message: "m2 not found" }],
+    });
+  });
+});
+
+describe("reorderProductMedia", () => {
+  it("joins user error messages into one message", async () => {
+    const gql = mockAdmin({
+      ProductReorderMedia: {
+        data: { productReorderMedia: { mediaUserErrors: [{ message: "Media is processing" }, { message: "Bad id" }] } },
+      },
+    });
+
+    const result = await reorderProductMedia(gql, "p1", [{ id: "m1", newPosition: "1" }]);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe("Media is processing, Bad id");
+  });
+});
+
+describe("waitForMediaReady", () => {
+  it("polls until the media is READY", async () => {
+    const statuses = ["UPLOADED", "PROCESSING", "READY"];
+    const gql = mockAdmin({ MediaStatus: () => ({ data: { node: { id: "m1", status: statuses.shift() } } }) });
+
+    expect(await waitForMediaReady(gql, "m1", { intervalMs: 0 })).toBe(true);
+    expect(gql).toHaveBeenCalledTimes(3);
+  });
+
+  it("gives up as soon as processing failed", async () => {
+    const gql = mockAdmin({ MediaStatus: { data: { node: { id: "f1", fileStatus: "FAILED" } } } });
+
+    expect(await waitForMediaReady(gql, "f1", { intervalMs: 0 })).toBe(false);
+    expect(gql).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,214 @@
+import { adminRequest } from "./errors.js";
+import { reorderProductMedia } from "./media.js";
+import { getMediaHashes } from "./hashes.js";
+import { variantSearchQuery } from "./products.js";
+import { getProductMediaState } from "./restore.js";
+
+// Media ordering rules say in which order a product's gallery is sorted, one group per rule:
+//   featured            the first product image
+//   product             images that belong to no variant, in slot order (1234, 1234_1, ...)
+//   variants [by Name]  variant images in variant order, optionally grouped by an option (by Color)
+//   videos              videos, hosted and external
+//   models              3D models
+//   alt <text>          images whose alt text or file name contains the text (lifestyle, ...)
+//   rest                everything else, in its current order
+// A media item goes to the first rule that takes it, except that `alt` rules take their images out of
+// every other group; `rest` holds what no other rule took and is implied at the end when missing.
+// The default keeps what the uploader always did: product images first, variant images last.
+export const DEFAULT_MEDIA_ORDERING = ["product", "rest", "variants"];
+
+const RULE_TYPES = ["featured", "product", "variants", "videos", "models", "alt", "rest"];
+
+const VIDEO_TYPES = ["VIDEO", "EXTERNAL_VIDEO"];
+
+// Parse one rule into { type, option?, text? }. Throws an Error describing what is wrong with it.
+export function compileOrderingRule(rule) {
+  const source = String(rule || "").trim();
+  if (!source) throw new Error("Rule is empty");
+  const [word, ...rest] = source.split(/\s+/);
+  const type = word.toLowerCase();
+  const argument = rest.join(" ");
+  if (!RULE_TYPES.includes(type)) {
+    throw new Error(`Unknown rule "${word}" (use ${RULE_TYPES.join(", ")})`);
+  }
+  if (type === "alt") {
+    if (!argument) throw new Error("alt needs the text to look for, e.g. alt lifestyle");
+    return { type, text: argument.toLowerCase() };
+  }
+  if (type === "variants" && argument) {
+    const by = argument.match(/^by\s+(.+)$/i);
+    if (!by) throw new Error(`variants takes "by <option name>", got "${argument}"`);
+    return { type, option: by[1].trim().toLowerCase() };
+  }
+  if (argument) throw new Error(`${type} takes no argument`);
+  return { type };
+}
+
+// null when the rule is usable, otherwise the reason it is not
+export function validateOrderingRule(rule) {
+  try {
+    compileOrderingRule(rule);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// "1234_2" -> { key: "1234", index: 2 }; slots are written by mediaSlot
+function parseSlot(slot) {
+  const match = String(slot || "").match(/^(.*?)(?:_(\d+))?$/);
+  return { key: match[1], index: match[2] ? Number(match[2]) : 0 };
+}
+
+// Slot of an image uploaded before hashes were recorded, from the alt text the uploader wrote:
+// "Title" or "Title (3)" for product images, "Title - Variant" or "Title - Variant (2)" for variant
+// images. Images with any other alt text have no slot.
+function altSlot(alt, state) {
+  const match = String(alt || "").trim().match(/^(.*?)(?: \((\d+)\))?$/);
+  const index = match[2] ? Number(match[2]) - 1 : 0;
+  if (!state.title) return null;
+  if (match[1] === state.title) return { key: null, index };
+  const variant = state.variants.find((v) => v.title && match[1] === `${state.title} - ${v.title}`);
+  return variant ? { key: variant.sku, index, variantId: variant.id } : null;
+}
+
+function fileName(url) {
+  return (String(url || "").split("/").pop() || "").split("?")[0].toLowerCase();
+}
+
+// Gallery order of a product under the rules: ids of state.media (getProductMediaState) sorted into
+// the rule groups. hashes is the content hash record (getMediaHashes); its slots give the position of
+// uploaded images within their group, the uploader's alt text that of older uploads.
+export function planMediaOrder(state, hashes = {}, rules = DEFAULT_MEDIA_ORDERING) {
+  const compiled = (rules.length ? rules : DEFAULT_MEDIA_ORDERING).map(compileOrderingRule);
+  const current = state.media.map((m, position) => ({
+    ...m,
+    position,
+    slot: hashes[m.id] ? parseSlot(hashes[m.id].slot) : m.mediaContentType === "IMAGE" ? altSlot(m.alt, state) : null,
+  }));
+
+  // Variant of each image: attached to it, or uploaded for its SKU or with its title in the alt text
+  const variantOf = new Map();
+  state.variants.forEach((variant, variantIndex) => {
+    for (const media of current) {
+      if (variantOf.has(media.id)) continue;
+      const attached = variant.mediaIds.includes(media.id);
+      const uploadedFor =
+        (!!variant.sku && media.slot?.key?.toLowerCase() === variant.sku.toLowerCase()) ||
+        media.slot?.variantId === variant.id;
+      if (attached || uploadedFor) variantOf.set(media.id, { variant, variantIndex, attached });
+    }
+  });
+
+  const isImage = (m) => m.mediaContentType === "IMAGE";
+  const bySlot = (a, b) =>
+    (a.slot ? a.slot.index : Infinity) - (b.slot ? b.slot.index : Infinity) || a.position - b.position;
+  const altText = (m) => `${m.alt || ""} ${fileName(m.url)}`.toLowerCase();
+  const altRules = compiled.filter((r) => r.type === "alt");
+  const altRuleOf = (m) => (isImage(m) ? altRules.find((r) => altText(m).includes(r.text)) : undefined);
+  const productImages = () =>
+    current.filter((m) => isImage(m) && !variantOf.has(m.id) && !altRuleOf(m)).sort(bySlot);
+
+  // Every rule but `rest` takes its media first, so `rest` gets whatever is left wherever it stands
+  const placed = new Set();
+  const take = (media) => media.filter((m) => !placed.has(m.id) && placed.add(m.id)).map((m) => m.id);
+  const groups = compiled.map((rule) => {
+    if (rule.type === "featured") return take(productImages().filter((m) => !placed.has(m.id)).slice(0, 1));
+    if (rule.type === "product") return take(productImages());
+    if (rule.type === "variants") return take(variantImages(rule.option));
+    if (rule.type === "videos") return take(current.filter((m) => VIDEO_TYPES.includes(m.mediaContentType)));
+    if (rule.type === "models") return take(current.filter((m) => m.mediaContentType === "MODEL_3D"));
+    if (rule.type === "alt") return take(current.filter((m) => altRuleOf(m) === rule));
+    return null;
+  });
+  const rest = current.filter((m) => !placed.has(m.id)).map((m) => m.id);
+  const order = groups.flatMap((group) => group || rest);
+  return compiled.some((r) => r.type === "rest") ? order : [...order, ...rest];
+
+  // Variants in their order, grouped by the value of `option` in the order values first appear;
+  // within a variant the image attached to it leads, uploads for its SKU follow in slot order
+  function variantImages(option) {
+    const valueOf = (variant) =>
+      variant.selectedOptions?.find((o) => o.name.toLowerCase() === option)?.value ?? "";
+    const values = option ? [...new Set(state.variants.map(valueOf))] : [""];
+    const variants = state.variants
+      .map((variant, variantIndex) => ({ variant, variantIndex }))
+      .sort(
+        (a, b) =>
+          (option ? values.indexOf(valueOf(a.variant)) - values.indexOf(valueOf(b.variant)) : 0) ||
+          a.variantIndex - b.variantIndex,
+      );
+    return variants.flatMap(({ variant }) =>
+      current
+        .filter((m) => isImage(m) && !altRuleOf(m) && variantOf.get(m.id)?.variant === variant)
+        .sort((a, b) => variantOf.get(b.id).attached - variantOf.get(a.id).attached || bySlot(a, b)),
+    );
+  }
+}
+
+// Media of state.media (getProductMediaState) that changes position in order, as
+// [{ id, alt, mediaContentType, from, to }] with positions counted from 1
+export function describeMediaMoves(media, order) {
+  return order
+    .map((id, index) => {
+      const from = media.findIndex((m) => m.id === id);
+      const { alt = null, mediaContentType = null } = media[from] || {};
+      return { id, alt, mediaContentType, from: from + 1, to: index + 1 };
+    })
+    .filter((move) => move.from !== move.to);
+}
+
+// Sort a product's gallery by the ordering rules without uploading anything. With dryRun the order is
+// only computed. Returns { status, order, moves, mediaCount, changed, errors }; status is ok, unchanged,
+// or reorder_failed, moves is describeMediaMoves of the new order.
+export async function applyMediaOrdering(gql, productId, rules = DEFAULT_MEDIA_ORDERING, { dryRun = false } = {}) {
+  const [state, hashes] = await Promise.all([
+    getProductMediaState(gql, productId),
+    getMediaHashes(gql, productId),
+  ]);
+  const order = planMediaOrder(state, hashes, rules);
+  const moves = describeMediaMoves(state.media, order);
+  const planned = { order, moves, mediaCount: state.media.length, changed: moves.length > 0, errors: [] };
+  if (!planned.changed) return { status: "unchanged", ...planned };
+  if (dryRun) return { status: "ok", ...planned };
+
+  const { success, errors, message } = await reorderProductMedia(
+    gql,
+    productId,
+    order.map((id, index) => ({ id, newPosition: String(index + 1) })),
+  );
+  if (!success) return { status: "reorder_failed", ...planned, errors, message };
+  return { status: "ok", ...planned };
+}
+
+// Products search query for the galleries to sort: any of a collection (GID or numeric id), a vendor
+// and a tag, all of which must match. Empty for the whole catalog.
+export function productFilterQuery({ collectionId, vendor, tag } = {}) {
+  const parts = [];
+  if (collectionId) parts.push(`collection_id:${String(collectionId).split("/").pop()}`);
+  if (vendor) parts.push(variantSearchQuery("vendor", vendor));
+  if (tag) parts.push(variantSearchQuery("tag", tag));
+  return parts.join(" AND ");
+}
+
+// One page of the products matching productFilterQuery(filters), by title.
+// Returns { products: [{ id, title }], nextCursor }; nextCursor is null on the last page.
+export async function listProductsToSort(gql, filters, { after = null, first = 250 } = {}) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query ProductsToSort($first: Int!, $after: String, $query: String) {
+        products(first: $first, after: $after, query: $query, sortKey: TITLE) {
+          nodes { id title }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    { first, after, query: productFilterQuery(filters) || null },
+  );
+  const connection = json?.data?.products;
+  return {
+    products: connection?.nodes || [],
+    nextCursor: connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null,
+  };
+}
@@ -0,0 +1,277 @@
+import { describe, it, expect } from "vitest";
+import {
+  applyMediaOrdering,
+  compileOrderingRule,
+  describeMediaMoves,
+  listProductsToSort,
+  planMediaOrder,
+  productFilterQuery,
+  validateOrderingRule,
+} from "./ordering";
+import { mockAdmin, operations } from "./testing";
+
+const media = (id, mediaContentType = "IMAGE", alt = null) => ({
+  id,
+  alt,
+  mediaContentType,
+  url: `https://cdn.shopify.com/${id}.jpg`,
+});
+const variant = (id, sku, color, mediaIds = []) => ({
+  id,
+  sku,
+  selectedOptions: [
+    { name: "Color", value: color },
+    { name: "Size", value: id.endsWith("s") ? "S" : "L" },
+  ],
+  mediaIds,
+});
+
+describe("compileOrderingRule", () => {
+  it("parses rules with and without arguments", () => {
+    expect(compileOrderingRule("featured")).toEqual({ type: "featured" });
+    expect(compileOrderingRule("Variants by Color")).toEqual({ type: "variants", option: "color" });
+    expect(compileOrderingRule("alt Lifestyle shot")).toEqual({ type: "alt", text: "lifestyle shot" });
+  });
+
+  it("explains unusable rules", () => {
+    expect(validateOrderingRule("hero")).toMatch(/Unknown rule "hero"/);
+    expect(validateOrderingRule("alt")).toMatch(/needs the text/);
+    expect(validateOrderingRule("variants Color")).toMatch(/by <option name>/);
+    expect(validateOrderingRule("videos first")).toMatch(/no argument/);
+    expect(validateOrderingRule("rest")).toBeNull();
+  });
+});
+
+describe("planMediaOrder", () => {
+  // Gallery as an earlier upload left it: a video, a lifestyle shot and variant images mixed in
+  const state = {
+    media: [
+      media("vid", "VIDEO"),
+      media("red-l", "IMAGE", "Dog bed - Red / L"),
+      media("p1"),
+      media("life", "IMAGE", "Lifestyle"),
+      media("blue-l"),
+      media("p0"),
+      media("red-s"),
+      media("red-l-2"),
+    ],
+    variants: [
+      variant("red-l-v", "DB-RL", "Red", ["red-l"]),
+      variant("blue-l-v", "DB-BL", "Blue", ["blue-l"]),
+      variant("red-s-v", "DB-RS", "Red", ["red-s"]),
+    ],
+  };
+  const hashes = {
+    p0: { sha256: "a", slot: "1234" },
+    p1: { sha256: "b", slot: "1234_1" },
+    "red-l-2": { sha256: "c", slot: "DB-RL_1" },
+  };
+
+  it("puts product images first and variant images last by default", () => {
+    expect(planMediaOrder(state, hashes)).toEqual([
+      "p0",
+      "p1",
+      "life",
+      "vid",
+      "red-l",
+      "red-l-2",
+      "blue-l",
+      "red-s",
+    ]);
+  });
+
+  it("groups variant images by an option and moves matched images into their own group", () => {
+    const rules = ["featured", "variants by color", "videos", "alt lifestyle", "rest"];
+
+    expect(planMediaOrder(state, hashes, rules)).toEqual([
+      "p0",
+      "red-l",
+      "red-l-2",
+      "red-s",
+      "blue-l",
+      "vid",
+      "life",
+      "p1",
+    ]);
+  });
+
+  it("keeps media no rule takes in its current order at the end", () => {
+    expect(planMediaOrder(state, hashes, ["videos"])).toEqual([
+      "vid",
+      "red-l",
+      "p1",
+      "life",
+      "blue-l",
+      "p0",
+      "red-s",
+      "red-l-2",
+    ]);
+  });
+
+  it("places images uploaded before hashes were recorded by the alt text the uploader wrote", () => {
+    const legacy = {
+      title: "Dog bed",
+      media: [
+        media("red-2", "IMAGE", "Dog bed - Red / L (2)"),
+        media("p3", "IMAGE", "Dog bed (3)"),
+        media("red-1", "IMAGE", "Dog bed - Red / L"),
+        media("p1", "IMAGE", "Dog bed"),
+        media("own", "IMAGE", "Sleeping dog"),
+      ],
+      variants: [{ ...variant("red-l-v", null, "Red"), title: "Red / L" }],
+    };
+
+    expect(planMediaOrder(legacy, {})).toEqual(["p1", "p3", "own", "red-1", "red-2"]);
+  });
+});
+
+describe("describeMediaMoves", () => {
+  it("lists the media that change position", () => {
+    const current = [media("a", "IMAGE", "A"), media("b", "VIDEO"), media("c")];
+
+    expect(describeMediaMoves(current, ["a", "c", "b"])).toEqual([
+      { id: "c", alt: null, mediaContentType: "IMAGE", from: 3, to: 2 },
+      { id: "b", alt: null, mediaContentType: "VIDEO", from: 2, to: 3 },
+    ]);
+  });
+});
+
+describe("applyMediaOrdering", () => {
+  const state = (ids) => ({
+    ProductMediaState: {
+      data: {
+        product: {
+          id: "p",
+          media: { nodes: ids.map((id) => ({ id, alt: null, mediaContentType: "IMAGE", image: { url: `https://cdn/${id}.jpg` } })) },
+        },
+      },
+    },
+    ProductVariantMedia: { data: { product: { id: "p", variants: { nodes: [], pageInfo: { hasNextPage: false } } } } },
+  });
+  const hashes = {
+    data: {
+      product: {
+        id: "p",
+        metafield: { value: JSON.stringify({ a: { sha256: "a", slot: "k" }, b: { sha256: "b", slot: "k_1" } }) },
+      },
+    },
+  };
+
+  it("reorders when the gallery is out of order", async () => {
+    const gql = mockAdmin({
+      ...state(["b", "a"]),
+      ProductMediaHashes: hashes,
+      ProductReorderMedia: { data: { productReorderMedia: { mediaUserErrors: [] } } },
+    });
+
+    expect(await applyMediaOrdering(gql, "p")).toEqual({
+      status: "ok",
+      order: ["a", "b"],
+      moves: [
+        { id: "a", alt: null, mediaContentType: "IMAGE", from: 2, to: 1 },
+        { id: "b", alt: null, mediaContentType: "IMAGE", from: 1, to: 2 },
+      ],
+      mediaCount: 2,
+      changed: true,
+      errors: [],
+    });
+    expect(gql.mock.calls.at(-1)[1].moves).toEqual([
+      { id: "a", newPosition: "1" },
+      { id: "b", newPosition: "2" },
+    ]);
+  });
+
+  it("sends nothing when the gallery is already in order or on a dry run", async () => {
+    const sorted = mockAdmin({ ...state(["a", "b"]), ProductMediaHashes: hashes });
+    expect(await applyMediaOrdering(sorted, "p")).toMatchObject({ status: "unchanged", changed: false });
+
+    const dryRun = mockAdmin({ ...state(["b", "a"]), ProductMediaHashes: hashes });
+    expect(await applyMediaOrdering(dryRun, "p", undefined, { dryRun: true })).toMatchObject({
+      status: "ok",
+      changed: true,
+      order: ["a", "b"],
+    });
+    expect(dryRun).toHaveBeenCalledTimes(3);
+  });
+  it("places the images of variants read over several pages", async () => {
+    const variants = (after) =>
+      (after ? [["v2", "DB-BL", "Blue", "blue"]] : [["v1", "DB-RL", "Red", "red"]]).map(([id, sku, color, m]) => ({
+        ...variant(id, sku, color),
+        media: { nodes: [{ id: m }] },
+      }));
+    const gql = mockAdmin({
+      ...state(["blue", "red", "a"]),
+      ProductVariantMedia: (v) => ({
+        data: {
+          product: { id: "p", variants: { nodes: variants(v.after), pageInfo: { hasNextPage: !v.after, endCursor: "c1" } } },
+        },
+      }),
+      ProductMediaHashes: hashes,
+      ProductReorderMedia: { data: { productReorderMedia: { mediaUserErrors: [] } } },
+    });
+
+    expect(await applyMediaOrdering(gql, "p")).toMatchObject({ status: "ok", order: ["a", "red", "blue"] });
+  });
+  it("scans a product with variant images without reordering it", async () => {
+    const gql = mockAdmin({
+      ...state(["red", "a", "b"]),
+      ProductVariantMedia: {
+        data: {
+          product: {
+            id: "p",
+            variants: {
+              nodes: [{ ...variant("v1", "DB-RL", "Red"), title: "Red / L", media: { nodes: [{ id: "red" }] } }],
+              pageInfo: { hasNextPage: false, endCursor: null },
+            },
+          },
+        },
+      },
+      ProductMediaHashes: hashes,
+    });
+
+    expect(await applyMediaOrdering(gql, "p", ["variants", "product"], { dryRun: true })).toMatchObject({
+      status: "unchanged",
+      changed: false,
+    });
+    expect(await applyMediaOrdering(gql, "p", undefined, { dryRun: true })).toMatchObject({
+      status: "ok",
+      order: ["a", "b", "red"],
+      moves: [
+        { id: "a", from: 2, to: 1 },
+        { id: "b", from: 3, to: 2 },
+        { id: "red", from: 1, to: 3 },
+      ],
+    });
+    expect(operations(gql)).not.toContain("ProductReorderMedia");
+  });
+});
+
+describe("listProductsToSort", () => {
+  it("builds the search query from the filters", () => {
+    expect(productFilterQuery({})).toBe("");
+    expect(
+      productFilterQuery({ collectionId: "gid://shopify/Collection/42", vendor: "Mr Pet", tag: 'say "woof"' }),
+    ).toBe('collection_id:42 AND vendor:"Mr Pet" AND tag:"say \\"woof\\""');
+  });
+
+  it("pages through the matching products", async () => {
+    const gql = mockAdmin({
+      ProductsToSort: (v) => ({
+        data: {
+          products: {
+            nodes: [{ id: v.after ? "p2" : "p1", title: "Bed" }],
+            pageInfo: { hasNextPage: !v.after, endCursor: "c1" },
+          },
+        },
+      }),
+    });
+
+    expect(await listProductsToSort(gql, { vendor: "Mr Pet" })).toEqual({
+      products: [{ id: "p1", title: "Bed" }],
+      nextCursor: "c1",
+    });
+    expect(gql.mock.calls[0][1]).toEqual({ first: 250, after: null, query: 'vendor:"Mr Pet"' });
+    expect(await listProductsToSort(gql, {}, { after: "c1" })).toMatchObject({ nextCursor: null });
+    expect(gql.mock.calls[1][1].query).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+import { AMBIGUOUS_BARCODE, AMBIGUOUS_SKU, AmbiguousMatchError, adminRequest } from "./errors.js";
+
+export const DEFAULT_IDENTIFIER = { namespace: "custom", key: "id" };
+
+// Look up a product by its identifier metafield (custom.id unless the shop uses another one) using
+// productByIdentifier. The metafield definition must have the unique values constraint.
+export async function findProductByCustomId(gql, customId, identifier) {
+  const { namespace, key } = { ...DEFAULT_IDENTIFIER, ...identifier };
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query FindProductByCustomId($identifier: ProductIdentifierInput!) {
+        productByIdentifier(identifier: $identifier) { id title }
+      }
+    `,
+    { identifier: { customId: { namespace, key, value: customId } } },
+  );
+  const product = json?.data?.productByIdentifier;
+  if (!product) return null;
+  return { productId: product.id, productTitle: product.title };
+}
+
+export async function findProductByHandle(gql, handle) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query FindProductByHandle($identifier: ProductIdentifierInput!) {
+        productByIdentifier(identifier: $identifier) { id title }
+      }
+    `,
+    { identifier: { handle: String(handle).toLowerCase() } },
+  );
+  const product = json?.data?.productByIdentifier;
+  if (!product) return null;
+  return { productId: product.id, productTitle: product.title };
+}
+
+const NO_VARIANT = { productId: null, variantId: null, productTitle: null, variantTitle: null };
+
+// Candidates fetched per page of a SKU or barcode search. Shopify's search also returns prefix and fuzzy
+// hits (sku:1234 finds 12345), even for quoted values, so results are filtered to exact values afterwards
+// and the next page is read while a page has none.
+export const VARIANT_SEARCH_LIMIT = 10;
+
+// Selection of a productVariants search page
+export const VARIANT_SEARCH_PAGE =
+  "edges { node { id title sku barcode product { id title } } } pageInfo { hasNextPage endCursor }";
+
+const VARIANT_SEARCHES = {
+  sku: { operation: "VariantBySku", ambiguousStatus: AMBIGUOUS_SKU },
+  barcode: { operation: "VariantByBarcode", ambiguousStatus: AMBIGUOUS_BARCODE },
+};
+
+// Search query for one exact sku or barcode value
+export function variantSearchQuery(field, value) {
+  const quoted = String(value).trim().replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  return `${field}:"${quoted}"`;
+}
+
+// The variant among search results whose `field` equals value exactly, or null. Throws an
+// AmbiguousMatchError when more than one does.
+export function pickExactVariant(edges, field, value, ambiguousStatus) {
+  const wanted = String(value).trim();
+  const matches = (edges || [])
+    .map((e) => e.node)
+    .filter((node) => (node?.[field] || "").trim() === wanted)
+    .map((node) => ({
+      productId: node.product.id,
+      variantId: node.id,
+      productTitle: node.product.title,
+      variantTitle: node.title,
+    }));
+  if (matches.length > 1) throw new AmbiguousMatchError(ambiguousStatus, wanted, matches);
+  return matches[0] || null;
+}
+
+// The variant whose sku or barcode (`field`) is value, or null, reading search pages until one has the
+// exact value or there are no more. `page` is a first page fetched already (an aliased search of the
+// resolver); without it the search starts from the beginning. Variants sharing the value are reported as
+// ambiguous when they come on the same page.
+export async function searchExactVariant(gql, field, value, page = null) {
+  const { operation, ambiguousStatus } = VARIANT_SEARCHES[field];
+  for (;;) {
+    if (page) {
+      const match = pickExactVariant(page.edges, field, value, ambiguousStatus);
+      if (match || !page.pageInfo?.hasNextPage) return match;
+    }
+    const json = await adminRequest(
+      gql,
+      `#graphql
+        query ${operation}($query: String!, $first: Int!, $after: String) {
+          productVariants(first: $first, query: $query, after: $after) { ${VARIANT_SEARCH_PAGE} }
+        }
+      `,
+      {
+        query: variantSearchQuery(field, value),
+        first: VARIANT_SEARCH_LIMIT,
+        ...(page ? { after: page.pageInfo.endCursor } : {}),
+      },
+    );
+    page = json?.data?.productVariants || { edges: [] };
+  }
+}
+
+// Find product/variant by exact SKU; returns ids and titles (null ids when no variant has the SKU)
+export async function findProductAndVariantBySku(gql, sku) {
+  return (await searchExactVariant(gql, "sku", sku)) || { ...NO_VARIANT };
+}
+
+// Find product/variant by exact barcode (EAN, UPC, ...); same shape as findProductAndVariantBySku
+export async function findProductAndVariantByBarcode(gql, barcode) {
+  return (await searchExactVariant(gql, "barcode", barcode)) || { ...NO_VARIANT };
+}
+
+// Find a variant by a unique variant metafield (for example custom.article_no)
+export async function findProductAndVariantByMetafield(gql, value, { namespace, key }) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query VariantByIdentifier($identifier: ProductVariantIdentifierInput!) {
+        productVariantByIdentifier(identifier: $identifier) { id title product { id title } }
+      }
+    `,
+    { identifier: { customId: { namespace, key, value } } },
+  );
+  const node = json?.data?.productVariantByIdentifier;
+  if (!node) return { ...NO_VARIANT };
+  return {
+    productId: node.product.id,
+    variantId: node.id,
+    productTitle: node.product.title,
+    variantTitle: node.title,
+  };
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from "vitest";
+import { findProductAndVariantBySku, findProductByCustomId } from "./products";
+import { mockAdmin } from "./testing";
+
+describe("findProductByCustomId", () => {
+  it("looks the product up by the custom.id metafield", async () => {
+    const gql = mockAdmin({
+      FindProductByCustomId: { data: { productByIdentifier: { id: "gid://shopify/Product/1", title: "Dog bed" } } },
+    });
+
+    const match = await findProductByCustomId(gql, "1234");
+
+    expect(match).toEqual({ productId: "gid://shopify/Product/1", productTitle: "Dog bed" });
+    expect(gql.mock.calls[0][1]).toEqual({
+      identifier: { customId: { namespace: "custom", key: "id", value: "1234" } },
+    });
+  });
+
+  it("uses another identifier metafield when given one", async () => {
+    const gql = mockAdmin({ FindProductByCustomId: { data: { productByIdentifier: null } } });
+
+    await findProductByCustomId(gql, "E-1", { namespace: "custom", key: "erp_id" });
+
+    expect(gql.mock.calls[0][1]).toEqual({
+      identifier: { customId: { namespace: "custom", key: "erp_id", value: "E-1" } },
+    });
+  });
+
+  it("returns null when no product has that id", async () => {
+    const gql = mockAdmin({ FindProductByCustomId: { data: { productByIdentifier: null } } });
+
+    expect(await findProductByCustomId(gql, "missing")).toBeNull();
+  });
+});
+
+describe("findProductAndVariantBySku", () => {
+  it("returns product and variant of the first matching variant", async () => {
+    const gql = mockAdmin({
+      VariantBySku: {
+        data: {
+          productVariants: {
+            edges: [
+              {
+                node: {
+                  id: "gid://shopify/ProductVariant/7",
+                  title: "Large",
+                  sku: "DB-L",
+                  product: { id: "gid://shopify/Product/1", title: "Dog bed" },
+                },
+              },
+            ],
+          },
+        },
+      },
+    });
+
+    expect(await findProductAndVariantBySku(gql, "DB-L")).toEqual({
+      productId: "gid://shopify/Product/1",
+      variantId: "gid://shopify/ProductVariant/7",
+      productTitle: "Dog bed",
+      variantTitle: "Large",
+    });
+    expect(gql.mock.calls[0][1]).toEqual({ query: 'sku:"DB-L"', first: 10 });
+  });
+
+  it("ignores variants whose SKU only starts with the key", async () => {
+    const gql = mockAdmin({
+      VariantBySku: {
+        data: {
+          productVariants: {
+            edges: [{ node: { id: "v2", title: "XL", sku: "12345", product: { id: "p2", title: "Cat tree" } } }],
+          },
+        },
+      },
+    });
+
+    expect((await findProductAndVariantBySku(gql, "1234")).productId).toBeNull();
+  });
+
+  it("reads further pages until a variant has the exact SKU", async () => {
+    const hit = (i, sku) => ({
+      node: { id: `v${i}`, title: "Default", sku, product: { id: `p${i}`, title: `Bed ${i}` } },
+    });
+    const prefixHits = [...Array(10).keys()].map((i) => hit(i, `1234${i}`));
+    const gql = mockAdmin({
+      VariantBySku: (variables) => ({
+        data: {
+          productVariants: variables.after
+            ? { edges: [hit(10, "1234")], pageInfo: { hasNextPage: true, endCursor: "c2" } }
+            : { edges: prefixHits, pageInfo: { hasNextPage: true, endCursor: "c1" } },
+        },
+      }),
+    });
+
+    expect(await findProductAndVariantBySku(gql, "1234")).toMatchObject({ productId: "p10", variantId: "v10" });
+    expect(gql.mock.calls.map(([, variables]) => variables.after)).toEqual([undefined, "c1"]);
+  });
+
+  it("reports every product when several variants share the SKU", async () => {
+    const node = (id, product) => ({ id, title: "Default", sku: "1234", product: { id: product, title: product } });
+    const gql = mockAdmin({
+      VariantBySku: {
+        data: { productVariants: { edges: [{ node: node("v1", "Dog bed") }, { node: node("v2", "Cat bed") }] } },
+      },
+    });
+
+    await expect(findProductAndVariantBySku(gql, "1234")).rejects.toMatchObject({
+      status: "ambiguous_sku",
+      message: '"1234" matches 2 variants: Dog bed / Default, Cat bed / Default',
+      candidates: [
+        { productId: "Dog bed", variantId: "v1" },
+        { productId: "Cat bed", variantId: "v2" },
+      ],
+    });
+  });
+
+  it("returns empty ids when nothing matches", async () => {
+    const gql = mockAdmin({ VariantBySku: { data: { productVariants: { edges: [] } } } });
+
+    const match = await findProductAndVariantBySku(gql, "nope");
+
+    expect(match.productId).toBeNull();
+    expect(match.variantId).toBeNull();
+  });
+});
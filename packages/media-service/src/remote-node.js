@@ -0,0 +1,47 @@
+import { lookup } from "node:dns/promises";
+import http from "node:http";
+import https from "node:https";
+import { isIP } from "node:net";
+import { Readable } from "node:stream";
+
+// Node side of downloadRemoteImage, for the app's worker and the CLI (import from
+// "@mrpet/media-service/node"): lookupAddresses resolves a host for the address check and fetchPinned
+// connects to the address that passed it, so a host cannot pass the check with a public address and
+// then answer the connection's own lookup with a private one (DNS rebinding).
+
+// Statuses whose responses have no body
+const NO_BODY_STATUSES = [204, 205, 304];
+
+// Every address of a host, as downloadRemoteImage's lookup
+export function lookupAddresses(hostname) {
+  return lookup(hostname, { all: true });
+}
+
+// GET url like fetch(url, { signal, headers }), but connected to `address` whatever the host resolves to
+// by now; TLS still verifies the certificate against the host of the URL. Resolves a Response with the
+// body as a stream. Redirects are returned, not followed.
+export function fetchPinned(url, { address, signal, headers } = {}) {
+  const family = isIP(String(address || ""));
+  if (!family) return Promise.reject(new Error(`${address} is not an IP address to connect to`));
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  const pinned = (hostname, options, callback) =>
+    options?.all ? callback(null, [{ address, family }]) : callback(null, address, family);
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(target, { headers, signal, lookup: pinned }, (res) => {
+      const responseHeaders = new Headers();
+      for (let i = 0; i < res.rawHeaders.length; i += 2) responseHeaders.append(res.rawHeaders[i], res.rawHeaders[i + 1]);
+      const hasBody = !NO_BODY_STATUSES.includes(res.statusCode);
+      if (!hasBody) res.resume();
+      try {
+        resolve(new Response(hasBody ? Readable.toWeb(res) : null, { status: res.statusCode, headers: responseHeaders }));
+      } catch (error) {
+        // Status codes a Response cannot have
+        res.destroy();
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+}
@@ -0,0 +1,46 @@
+import { createServer } from "node:http";
+import { afterAll, beforeAll, describe, it, expect } from "vitest";
+import { fetchPinned } from "./remote-node";
+
+describe("fetchPinned", () => {
+  let server;
+  let port;
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      if (req.url === "/moved") {
+        res.writeHead(302, { location: "/a.jpg" }).end();
+        return;
+      }
+      // Written in parts without a content-length, so the response is chunked
+      res.writeHead(200, { "content-type": "image/jpeg", "x-host": req.headers.host });
+      res.write("jpeg ");
+      res.end("bytes");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  it("connects to the given address instead of resolving the host", async () => {
+    // .invalid never resolves, so the request can only reach the server through the pinned address
+    const res = await fetchPinned(`http://images.invalid:${port}/a.jpg`, { address: "127.0.0.1" });
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-length")).toBeNull();
+    expect(res.headers.get("x-host")).toBe(`images.invalid:${port}`);
+    expect(await res.text()).toBe("jpeg bytes");
+  });
+
+  it("returns redirects without following them", async () => {
+    const res = await fetchPinned(`http://images.invalid:${port}/moved`, { address: "127.0.0.1" });
+
+    expect(res.status).toBe(302);
+    expect(res.headers.get("location")).toBe("/a.jpg");
+  });
+
+  it("needs an IP address", async () => {
+    await expect(fetchPinned(`http://images.invalid:${port}/a.jpg`, { address: "images.invalid" })).rejects.toThrow(
+      "images.invalid is not an IP address to connect to",
+    );
+  });
+});
@@ -0,0 +1,281 @@
+import { sha256Hex } from "./hashes.js";
+import { MAX_ALT_LENGTH, parseCsv } from "./manifest.js";
+
+// Image URLs from a supplier feed instead of files: one line per image, `identifier,url[,position,alt]`
+// (comma, semicolon or tab separated, quoted like CSV). The identifier is looked up like a key from a
+// filename. Lines without a position follow the previous image of the same identifier, the first one
+// is position 1. A first line naming the columns (identifier,url,...) is skipped.
+
+// Shopify accepts images up to 20 MB
+export const MAX_REMOTE_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// A download has to finish within this, well inside an upload worker slice
+export const REMOTE_DOWNLOAD_TIMEOUT_MS = 15000;
+
+const MAX_REDIRECTS = 5;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Names of the URL column that mark a first line as the header
+const URL_HEADERS = ["url", "image", "image_url", "image url", "link", "src", "source"];
+
+// Content types of images as some storage buckets serve them
+const GENERIC_CONTENT_TYPES = ["application/octet-stream", "binary/octet-stream"];
+
+export function isRemoteUrl(text) {
+  try {
+    return ["http:", "https:"].includes(new URL(text).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// File name an image URL is recorded and shown with: the last path segment, "image" when there is none
+export function remoteFilename(url) {
+  let segment = "";
+  try {
+    segment = new URL(url).pathname.split("/").filter(Boolean).pop() || "";
+    segment = decodeURIComponent(segment);
+  } catch {
+    // Malformed escapes keep the raw segment
+  }
+  return segment || "image";
+}
+
+// Check a URL list before anything is queued. Returns { entries, errors }:
+//   entries  [{ row, key, url, filename, index, alt }], index counted from 0
+//   errors   [{ row, column, message }] with line numbers of the list (counted from 1)
+export function parseRemoteImageList(text) {
+  const rows = parseCsv(String(text || ""));
+  const errors = [];
+  const entries = [];
+  const lastIndex = new Map();
+  const seenSlots = new Map();
+  const seenUrls = new Map();
+
+  rows.forEach((cells, i) => {
+    const row = i + 1;
+    const [key = "", url = "", position = "", alt = ""] = cells.map((c) => String(c ?? "").trim());
+    if (!key && !url && !position && !alt) return;
+    if (i === 0 && URL_HEADERS.includes(url.toLowerCase())) return;
+    const rowErrors = [];
+    const fail = (column, message) => rowErrors.push({ row, column, message });
+
+    if (!key) fail("identifier", "Identifier is empty");
+    if (!isRemoteUrl(url)) fail("url", url ? `${url} is not an http(s) URL` : "URL is empty");
+    else if (seenUrls.has(`${key}\n${url}`.toLowerCase())) {
+      fail("url", `Also listed for ${key} in line ${seenUrls.get(`${key}\n${url}`.toLowerCase())}`);
+    }
+    if (position && !(/^\d+$/.test(position) && Number(position) >= 1)) {
+      fail("position", "Position must be a whole number from 1");
+    }
+    if (alt.length > MAX_ALT_LENGTH) fail("alt", `Alt text can have up to ${MAX_ALT_LENGTH} characters`);
+    if (rowErrors.length) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    const slotOf = key.toLowerCase();
+    const index = position ? Number(position) - 1 : lastIndex.has(slotOf) ? lastIndex.get(slotOf) + 1 : 0;
+    lastIndex.set(slotOf, index);
+    // Two images for the same gallery slot would replace each other
+    const slot = `${slotOf}\n${index}`;
+    if (seenSlots.has(slot)) {
+      const message = `Position ${index + 1} of ${key} is also given in line ${seenSlots.get(slot)}`;
+      errors.push({ row, column: "position", message });
+      return;
+    }
+    seenSlots.set(slot, row);
+    seenUrls.set(`${key}\n${url}`.toLowerCase(), row);
+    entries.push({ row, key, url, filename: remoteFilename(url), index, alt: alt || null });
+  });
+
+  if (!entries.length && !errors.length) errors.push({ row: 1, column: null, message: "No image URLs" });
+  return { entries, errors };
+}
+
+// Address ranges an image URL must not reach: "this" network, private (RFC 1918), shared (CGNAT), loopback,
+// link-local (cloud metadata at 169.254.169.254), IETF protocol assignments, benchmarking, multicast and
+// reserved; for IPv6 unique local (fc00::/7), link-local and multicast. IPv6 addresses that carry an
+// IPv4 address (unspecified, loopback, mapped, NAT64) are checked as that IPv4 address.
+const BLOCKED_IPV4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+];
+
+function parseIpv4(address) {
+  const parts = address.split(".");
+  if (parts.length !== 4 || !parts.every((p) => /^\d{1,3}$/.test(p) && Number(p) < 256)) return null;
+  return parts.reduce((n, p) => n * 256 + Number(p), 0);
+}
+
+// Eight 16-bit groups, or null when address is no IPv6 address
+function parseIpv6(address) {
+  let text = address.replace(/^\[|\]$/g, "").split("%")[0].toLowerCase();
+  const v4 = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = parseIpv4(v4[2]);
+    if (n === null) return null;
+    text = `${v4[1]}${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const groups = halves.map((half) => (half ? half.split(":") : []));
+  const missing = 8 - groups[0].length - (groups[1]?.length || 0);
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const all = [...groups[0], ...Array(halves.length === 2 ? missing : 0).fill("0"), ...(groups[1] || [])];
+  if (!all.every((g) => /^[0-9a-f]{1,4}$/.test(g))) return null;
+  return all.map((g) => parseInt(g, 16));
+}
+
+// Whether an IP address may be fetched: false for the BLOCKED_IPV4 ranges and their IPv6 counterparts,
+// and for anything that is not an IP address
+export function isPublicAddress(address) {
+  const v4 = parseIpv4(String(address));
+  if (v4 !== null) {
+    return !BLOCKED_IPV4.some(([base, bits]) => v4 >>> (32 - bits) === parseIpv4(base) >>> (32 - bits));
+  }
+  const v6 = parseIpv6(String(address));
+  if (!v6) return false;
+  // ::/96 (with :: and ::1), ::ffff:0:0/96 and the NAT64 prefix 64:ff9b::/96 carry an IPv4 address
+  const embedsIpv4 =
+    (v6.slice(0, 5).every((g) => g === 0) && (v6[5] === 0 || v6[5] === 0xffff)) ||
+    (v6[0] === 0x64 && v6[1] === 0xff9b && v6.slice(2, 6).every((g) => g === 0));
+  if (embedsIpv4) return isPublicAddress(`${v6[6] >>> 8}.${v6[6] & 0xff}.${v6[7] >>> 8}.${v6[7] & 0xff}`);
+  return !((v6[0] & 0xfe00) === 0xfc00 || (v6[0] & 0xffc0) === 0xfe80 || (v6[0] & 0xff00) === 0xff00);
+}
+
+// The address to connect to when the URL may be fetched, as { address }, otherwise { error } saying why
+// not: only http(s) to hosts whose every address is public (isPublicAddress)
+async function checkRemoteTarget(url, lookup) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: `${url} is not a URL` };
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) return { error: `${url} is not an http(s) URL` };
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (parseIpv4(host) !== null || parseIpv6(host)) {
+    addresses = [{ address: host }];
+  } else {
+    try {
+      addresses = await lookup(host);
+    } catch (error) {
+      return { error: `${host} cannot be resolved (${error.code || error.message})` };
+    }
+  }
+  if (!addresses.length || !addresses.every((a) => isPublicAddress(a.address))) {
+    return { error: `${host} is a private or reserved address` };
+  }
+  return { address: addresses[0].address };
+}
+
+// Bytes of a response body, read until maxBytes; null (and the download cancelled) when there are more
+async function readBody(res, maxBytes) {
+  if (!res.body) return new Uint8Array(0);
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+// Fetch an image URL to hash its bytes, so imported images get slots and are recognised as unchanged like
+// uploaded files. The URL comes from a user's list, so only public http(s) hosts are fetched: the host of
+// the URL and of every redirect (followed here, at most MAX_REDIRECTS) must resolve to public addresses
+// only, the whole download must finish within timeoutMs and reading stops after maxBytes.
+// lookup(hostname) resolves a host to all its addresses as [{ address }]; fetch(url, { redirect, signal,
+// address }) has to connect to `address`, the one that was checked, instead of resolving the host again
+// (which could answer with a private address by then). Both are passed in so the module, whose list parser
+// also runs in the browser, imports nothing from Node: lookupAddresses and fetchPinned of
+// "@mrpet/media-service/node" are the Node ones.
+// Resolves { status: "ok", bytes, mimeType, fileSize, sha256, filename }, or a result with status
+// download_failed, not_an_image or file_too_large and a message.
+export async function downloadRemoteImage(
+  url,
+  { fetch: fetchImpl, lookup, maxBytes = MAX_REMOTE_IMAGE_BYTES, timeoutMs = REMOTE_DOWNLOAD_TIMEOUT_MS } = {},
+) {
+  if (!lookup) throw new Error("downloadRemoteImage needs a lookup to check the addresses of hosts");
+  if (!fetchImpl) throw new Error("downloadRemoteImage needs a fetch that connects to the checked address");
+  const signal = AbortSignal.timeout(timeoutMs);
+  const failed = (error) => ({
+    status: "download_failed",
+    message: `${url}: ${describeFetchError(error, signal, timeoutMs)}`,
+  });
+  let res;
+  let target = url;
+  for (let redirects = 0; ; redirects++) {
+    const { address, error } = await checkRemoteTarget(target, lookup);
+    if (error) return { status: "download_failed", message: error };
+    try {
+      res = await fetchImpl(target, { redirect: "manual", signal, address });
+    } catch (error) {
+      return failed(error);
+    }
+    const location = REDIRECT_STATUSES.includes(res.status) && res.headers.get("location");
+    if (!location) break;
+    await res.body?.cancel().catch(() => {});
+    if (redirects >= MAX_REDIRECTS) return { status: "download_failed", message: `${url}: too many redirects` };
+    target = new URL(location, target).href;
+  }
+  if (!res.ok) return { status: "download_failed", message: `${url}: HTTP ${res.status}` };
+
+  const mimeType = (res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  if (!mimeType.startsWith("image/") && !GENERIC_CONTENT_TYPES.includes(mimeType)) {
+    return { status: "not_an_image", message: `${url} is ${mimeType || "of unknown type"}, not an image` };
+  }
+  const tooLarge = { status: "file_too_large", message: `${url} is larger than ${Math.round(maxBytes / 1024 / 1024)} MB` };
+  // Servers may send no length (chunked) or a wrong one, so the body is counted as it arrives
+  if (Number(res.headers.get("content-length")) > maxBytes) {
+    await res.body?.cancel().catch(() => {});
+    return tooLarge;
+  }
+  let bytes;
+  try {
+    bytes = await readBody(res, maxBytes);
+  } catch (error) {
+    return failed(error);
+  }
+  if (!bytes) return tooLarge;
+
+  return {
+    status: "ok",
+    bytes,
+    mimeType: mimeType.startsWith("image/") ? mimeType : null,
+    fileSize: bytes.length,
+    sha256: await sha256Hex(bytes),
+    filename: remoteFilename(url),
+  };
+}
+
+// Node's http aborts with an AbortError, fetch with the signal's TimeoutError
+function describeFetchError(error, signal, timeoutMs) {
+  const timedOut = error?.name === "TimeoutError" || signal.reason?.name === "TimeoutError";
+  return timedOut ? `no response within ${timeoutMs / 1000}s` : error.message;
+}
@@ -0,0 +1,212 @@
+import { describe, it, expect, vi } from "vitest";
+import { downloadRemoteImage, isPublicAddress, parseRemoteImageList, remoteFilename } from "./remote";
+import { sha256Hex } from "./hashes";
+
+const respond = (body, headers = {}, status = 200) =>
+  new Response(body, { status, headers: { "content-type": "image/jpeg", ...headers } });
+
+describe("parseRemoteImageList", () => {
+  it("reads identifier, url, position and alt, numbering images of an identifier in list order", () => {
+    const { entries, errors } = parseRemoteImageList(
+      [
+        "identifier,url,position,alt",
+        "1234,https://cdn.example.com/beds/dog%20bed.jpg",
+        "1234,https://cdn.example.com/beds/dog-bed-2.jpg,,Dog bed from the side",
+        "",
+        "DB-RL,https://cdn.example.com/p?id=7,3",
+      ].join("\n"),
+    );
+
+    expect(errors).toEqual([]);
+    expect(entries).toEqual([
+      { row: 2, key: "1234", url: "https://cdn.example.com/beds/dog%20bed.jpg", filename: "dog bed.jpg", index: 0, alt: null },
+      expect.objectContaining({ row: 3, index: 1, alt: "Dog bed from the side" }),
+      expect.objectContaining({ row: 5, key: "DB-RL", filename: "p", index: 2 }),
+    ]);
+  });
+
+  it("needs no header", () => {
+    expect(parseRemoteImageList("1234;https://cdn.example.com/a.jpg").entries).toHaveLength(1);
+  });
+
+  it("reports every problem with its line", () => {
+    const { errors } = parseRemoteImageList(
+      [
+        "1234,https://cdn.example.com/a.jpg,1",
+        ",https://cdn.example.com/b.jpg",
+        "1234,ftp://cdn.example.com/c.jpg",
+        "1234,https://cdn.example.com/d.jpg,0",
+        "1234,https://cdn.example.com/e.jpg,1",
+        "1234,https://cdn.example.com/a.jpg,2",
+      ].join("\n"),
+    );
+
+    expect(errors).toEqual([
+      { row: 2, column: "identifier", message: "Identifier is empty" },
+      { row: 3, column: "url", message: "ftp://cdn.example.com/c.jpg is not an http(s) URL" },
+      { row: 4, column: "position", message: "Position must be a whole number from 1" },
+      { row: 5, column: "position", message: "Position 1 of 1234 is also given in line 1" },
+      { row: 6, column: "url", message: "Also listed for 1234 in line 1" },
+    ]);
+    expect(parseRemoteImageList("\n").errors).toEqual([{ row: 1, column: null, message: "No image URLs" }]);
+    expect(parseRemoteImageList("1234,cdn.example.com/a.jpg").errors[0].message).toBe(
+      "cdn.example.com/a.jpg is not an http(s) URL",
+    );
+  });
+});
+
+describe("remoteFilename", () => {
+  it("is the last path segment", () => {
+    expect(remoteFilename("https://cdn.example.com/a/b%C3%A9d.png?v=2")).toBe("béd.png");
+    expect(remoteFilename("https://cdn.example.com/")).toBe("image");
+  });
+});
+
+describe("downloadRemoteImage", () => {
+  const url = "https://cdn.example.com/1234.jpg";
+  // DNS answers by host name; everything else resolves to a public address
+  const lookup = vi.fn(async (host) =>
+    ({
+      "intranet.example.com": [{ address: "10.0.0.7", family: 4 }],
+      "mixed.example.com": [
+        { address: "93.184.216.34", family: 4 },
+        { address: "fd00::1", family: 6 },
+      ],
+    })[host] || [{ address: "93.184.216.34", family: 4 }],
+  );
+
+  it("hashes the downloaded bytes", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond("jpeg bytes"));
+
+    const image = await downloadRemoteImage(url, { fetch, lookup });
+
+    expect(image).toEqual(
+      expect.objectContaining({
+        status: "ok",
+        mimeType: "image/jpeg",
+        fileSize: 10,
+        filename: "1234.jpg",
+        sha256: await sha256Hex(new TextEncoder().encode("jpeg bytes")),
+      }),
+    );
+  });
+
+  it("reports failed downloads, pages and large files", async () => {
+    const download = (response, options) =>
+      downloadRemoteImage(url, { fetch: vi.fn().mockImplementation(response), lookup, ...options });
+
+    expect(await download(() => Promise.reject(new Error("ECONNRESET")))).toEqual({
+      status: "download_failed",
+      message: `${url}: ECONNRESET`,
+    });
+    expect((await download(async () => respond("", {}, 404))).message).toBe(`${url}: HTTP 404`);
+    expect((await download(async () => respond("<html>", { "content-type": "text/html; charset=utf-8" }))).status).toBe(
+      "not_an_image",
+    );
+    expect((await download(async () => respond("x".repeat(2048)), { maxBytes: 1024 })).status).toBe("file_too_large");
+    expect((await download(async () => respond("x", { "content-type": "application/octet-stream" }))).status).toBe("ok");
+  });
+
+  it("only fetches http(s) URLs of hosts with public addresses", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond("jpeg bytes"));
+    const download = (target) => downloadRemoteImage(target, { fetch, lookup });
+
+    expect((await download("file:///etc/passwd")).message).toBe("file:///etc/passwd is not an http(s) URL");
+    expect(await download("http://169.254.169.254/latest/meta-data/")).toMatchObject({
+      status: "download_failed",
+      message: "169.254.169.254 is a private or reserved address",
+    });
+    expect((await download("http://[::ffff:127.0.0.1]/a.jpg")).status).toBe("download_failed");
+    expect((await download("https://intranet.example.com/a.jpg")).status).toBe("download_failed");
+    expect((await download("https://mixed.example.com/a.jpg")).status).toBe("download_failed");
+    expect(fetch).not.toHaveBeenCalled();
+    await expect(downloadRemoteImage(url, { fetch })).rejects.toThrow(/needs a lookup/);
+  });
+
+  it("connects to the address it checked", async () => {
+    const fetch = vi.fn().mockResolvedValue(respond("jpeg bytes"));
+
+    await downloadRemoteImage(url, { fetch, lookup });
+
+    expect(fetch.mock.calls[0][1]).toMatchObject({ redirect: "manual", address: "93.184.216.34" });
+    await expect(downloadRemoteImage(url, { lookup })).rejects.toThrow(/needs a fetch/);
+  });
+
+  it("stops reading bodies without a length at maxBytes", async () => {
+    let cancelled = false;
+    let sent = 0;
+    const body = new ReadableStream({
+      pull(controller) {
+        sent += 512;
+        controller.enqueue(new Uint8Array(512));
+      },
+      cancel() {
+        cancelled = true;
+      },
+    });
+    const fetch = vi.fn().mockResolvedValue(respond(body));
+
+    expect((await downloadRemoteImage(url, { fetch, lookup, maxBytes: 1024 })).status).toBe("file_too_large");
+    expect(cancelled).toBe(true);
+    expect(sent).toBeLessThan(4096);
+  });
+
+  it("checks the host again when it resolves to a private address on the next request", async () => {
+    const rebinding = vi
+      .fn()
+      .mockResolvedValueOnce([{ address: "93.184.216.34", family: 4 }])
+      .mockResolvedValueOnce([{ address: "127.0.0.1", family: 4 }]);
+    const fetch = vi.fn(async () => new Response(null, { status: 302, headers: { location: "/1234.jpg" } }));
+
+    expect(await downloadRemoteImage("https://rebind.example.com/a.jpg", { fetch, lookup: rebinding })).toEqual({
+      status: "download_failed",
+      message: "rebind.example.com is a private or reserved address",
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1].address).toBe("93.184.216.34");
+  });
+
+  it("checks the host of every redirect", async () => {
+    const redirect = (location) => new Response(null, { status: 302, headers: { location } });
+    const fetch = vi.fn(async (target) => {
+      if (target.endsWith("/moved")) return redirect("/1234.jpg");
+      if (target.endsWith("/internal")) return redirect("http://10.1.2.3/x.jpg");
+      return respond("jpeg bytes");
+    });
+
+    expect(await downloadRemoteImage("https://cdn.example.com/moved", { fetch, lookup })).toMatchObject({ status: "ok" });
+    expect(fetch.mock.calls.map(([target, init]) => [target, init.redirect])).toEqual([
+      ["https://cdn.example.com/moved", "manual"],
+      ["https://cdn.example.com/1234.jpg", "manual"],
+    ]);
+    expect(await downloadRemoteImage("https://cdn.example.com/internal", { fetch, lookup })).toEqual({
+      status: "download_failed",
+      message: "10.1.2.3 is a private or reserved address",
+    });
+  });
+
+  it("gives up on downloads that take too long", async () => {
+    const fetch = vi.fn(
+      (target, { signal }) =>
+        new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason))),
+    );
+
+    expect(await downloadRemoteImage(url, { fetch, lookup, timeoutMs: 10 })).toEqual({
+      status: "download_failed",
+      message: `${url}: no response within 0.01s`,
+    });
+  });
+});
+
+describe("isPublicAddress", () => {
+  it("rejects private, loopback, link-local and reserved addresses", () => {
+    const blocked = [
+      ["10.0.0.1", "127.0.0.1", "172.31.255.255", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0"],
+      ["::1", "::", "fd00:ec2::254", "fe80::1", "ff02::1", "::ffff:10.0.0.1", "64:ff9b::a00:1", "not an ip"],
+    ].flat();
+    const allowed = ["93.184.216.34", "172.32.0.1", "2606:2800:220:1:248:1893:25c8:1946", "::ffff:93.184.216.34"];
+
+    expect(blocked.filter(isPublicAddress)).toEqual([]);
+    expect(allowed.filter(isPublicAddress)).toEqual(allowed);
+  });
+});
@@ -0,0 +1,91 @@
+import { toErrorResult } from "./errors.js";
+import {
+  createProductMedia,
+  deleteProductMedia,
+  listProductMedia,
+  reorderProductMedia,
+  waitForMediaReady,
+} from "./media.js";
+
+// Gallery order with `mediaId` moved right in front of the first of `supersededIds`
+function orderBefore(ids, mediaId, supersededIds) {
+  const rest = ids.filter((id) => id !== mediaId);
+  const at = rest.findIndex((id) => supersededIds.includes(id));
+  if (at < 0) return null;
+  return [...rest.slice(0, at), mediaId, ...rest.slice(at)];
+}
+
+function toMoves(ids) {
+  return ids.map((id, index) => ({ id, newPosition: String(index + 1) }));
+}
+
+// Attach a staged file to a product and only then remove the images it supersedes: the new image is
+// created, waited on until READY and moved to the position of the first superseded image before those
+// are deleted. When any step after attaching fails before an old image is gone, the new image is deleted
+// again and the gallery put back in its old order, so the product keeps its old images (rolledBack tells
+// whether that worked). When only some old images could be deleted the new one stays in place and
+// remainingIds lists the old images still on the product.
+// Returns { status, mediaId, replaced, errors }; status is ok, replaced, or the failed step
+// (attach_failed, media_not_ready, reorder_failed, delete_existing_failed, or an Admin API error status).
+export async function safeReplaceProductImage(
+  gql,
+  productId,
+  { resourceUrl, altText, replace = [], readyTimeoutMs = 20000, readyIntervalMs = 800 },
+) {
+  const { media, errors: attachErrors } = await createProductMedia(gql, productId, [
+    { alt: altText || null, originalSource: resourceUrl, mediaContentType: "IMAGE" },
+  ]);
+  if (attachErrors.length) return { status: "attach_failed", mediaId: null, replaced: 0, errors: attachErrors };
+  const mediaId = media?.[0]?.id || null;
+  const supersededIds = replace.map((m) => (typeof m === "string" ? m : m.id));
+  if (!mediaId || !supersededIds.length) return { status: "ok", mediaId, replaced: 0, errors: [] };
+
+  // Gallery order before the new image was moved, once it was
+  let movedFrom = null;
+  const rollback = async (failure) => {
+    let rolledBack = false;
+    try {
+      const { errors } = await deleteProductMedia(gql, productId, [mediaId]);
+      rolledBack = !errors.length;
+      if (rolledBack && movedFrom) {
+        const moves = toMoves(movedFrom.filter((id) => id !== mediaId));
+        rolledBack = (await reorderProductMedia(gql, productId, moves)).success;
+      }
+    } catch {
+      // Reported through rolledBack: the new image may still be on the product, or out of order
+      rolledBack = false;
+    }
+    return { mediaId: rolledBack ? null : mediaId, replaced: 0, errors: [], ...failure, rolledBack };
+  };
+
+  try {
+    const ready = await waitForMediaReady(gql, mediaId, { timeoutMs: readyTimeoutMs, intervalMs: readyIntervalMs });
+    if (!ready) return rollback({ status: "media_not_ready", message: "New image did not finish processing" });
+
+    const gallery = (await listProductMedia(gql, productId)).map((m) => m.id);
+    const order = orderBefore(gallery, mediaId, supersededIds);
+    if (order) {
+      movedFrom = gallery;
+      const { success, errors } = await reorderProductMedia(gql, productId, toMoves(order));
+      if (!success) return rollback({ status: "reorder_failed", errors });
+    }
+
+    const { deleted, deletedIds, errors: deleteErrors } = await deleteProductMedia(gql, productId, supersededIds);
+    if (deleteErrors.length && !deleted) return rollback({ status: "delete_existing_failed", errors: deleteErrors });
+    if (deleteErrors.length) {
+      // Some old images are gone already, so the new one has to stay
+      const remainingIds = supersededIds.filter((id) => !deletedIds.includes(id));
+      return {
+        status: "delete_existing_failed",
+        mediaId,
+        replaced: deleted,
+        errors: deleteErrors,
+        message: `${remainingIds.length} of ${supersededIds.length} old images not deleted, the new image was kept`,
+        remainingIds,
+      };
+    }
+    return { status: "replaced", mediaId, replaced: deleted, errors: [] };
+  } catch (error) {
+    return rollback(toErrorResult(error));
+  }
+}
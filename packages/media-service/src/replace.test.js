@@ -0,0 +1,139 @@
+import { describe, it, expect } from "vitest";
+import { safeReplaceProductImage } from "./replace";
+import { mockAdmin, operations } from "./testing";
+
+const created = { data: { productCreateMedia: { media: [{ id: "new" }], mediaUserErrors: [] } } };
+const ready = { data: { node: { id: "new", status: "READY" } } };
+const gallery = {
+  data: { product: { media: { nodes: [{ id: "a" }, { id: "old" }, { id: "b" }, { id: "new" }] } } },
+};
+const deleted = (ids) => ({ data: { productDeleteMedia: { deletedMediaIds: ids, mediaUserErrors: [] } } });
+const reordered = { data: { productReorderMedia: { mediaUserErrors: [] } } };
+const upload = { resourceUrl: "https://staged/1234.jpg", altText: "Dog bed", replace: [{ id: "old" }], readyIntervalMs: 0 };
+
+describe("safeReplaceProductImage", () => {
+  it("moves the new image into place before deleting the old one", async () => {
+    const gql = mockAdmin({
+      ProductCreateMedia: created,
+      MediaStatus: ready,
+      ProductMedia: gallery,
+      ProductReorderMedia: reordered,
+      ProductDeleteMedia: (v) => deleted(v.mediaIds),
+    });
+
+    expect(await safeReplaceProductImage(gql, "p1", upload)).toEqual({
+      status: "replaced",
+      mediaId: "new",
+      replaced: 1,
+      errors: [],
+    });
+    expect(operations(gql)).toEqual([
+      "ProductCreateMedia",
+      "MediaStatus",
+      "ProductMedia",
+      "ProductReorderMedia",
+      "ProductDeleteMedia",
+    ]);
+    expect(gql.mock.calls[3][1].moves.map((m) => m.id)).toEqual(["a", "new", "old", "b"]);
+    expect(gql.mock.calls[4][1].mediaIds).toEqual(["old"]);
+  });
+
+  it("deletes nothing when attaching fails", async () => {
+    const mediaUserErrors = [{ field: ["media"], message: "Invalid source" }];
+    const gql = mockAdmin({ ProductCreateMedia: { data: { productCreateMedia: { media: [], mediaUserErrors } } } });
+
+    expect(await safeReplaceProductImage(gql, "p1", upload)).toMatchObject({
+      status: "attach_failed",
+      errors: mediaUserErrors,
+    });
+    expect(gql).toHaveBeenCalledTimes(1);
+  });
+
+  it("attaches without further steps when nothing is replaced", async () => {
+    const gql = mockAdmin({ ProductCreateMedia: created });
+
+    expect(await safeReplaceProductImage(gql, "p1", { ...upload, replace: [] })).toMatchObject({
+      status: "ok",
+      mediaId: "new",
+    });
+  });
+
+  it("removes the new image again when it does not become READY", async () => {
+    const gql = mockAdmin({
+      ProductCreateMedia: created,
+      MediaStatus: { data: { node: { id: "new", status: "FAILED" } } },
+      ProductDeleteMedia: (v) => deleted(v.mediaIds),
+    });
+
+    expect(await safeReplaceProductImage(gql, "p1", upload)).toMatchObject({
+      status: "media_not_ready",
+      mediaId: null,
+      rolledBack: true,
+    });
+    expect(gql.mock.calls.at(-1)[1].mediaIds).toEqual(["new"]);
+  });
+
+  it("rolls back to the old order when deleting the old image fails", async () => {
+    const gql = mockAdmin({
+      ProductCreateMedia: created,
+      MediaStatus: ready,
+      ProductMedia: gallery,
+      ProductReorderMedia: reordered,
+      ProductDeleteMedia: (v) =>
+        v.mediaIds.includes("old")
+          ? { data: { productDeleteMedia: { deletedMediaIds: [], mediaUserErrors: [{ message: "Media not found" }] } } }
+          : deleted(v.mediaIds),
+    });
+
+    expect(await safeReplaceProductImage(gql, "p1", upload)).toMatchObject({
+      status: "delete_existing_failed",
+      mediaId: null,
+      rolledBack: true,
+      replaced: 0,
+    });
+    expect(operations(gql).slice(3)).toEqual([
+      "ProductReorderMedia",
+      "ProductDeleteMedia",
+      "ProductDeleteMedia",
+      "ProductReorderMedia",
+    ]);
+    expect(gql.mock.calls[5][1].mediaIds).toEqual(["new"]);
+    expect(gql.mock.calls[6][1].moves.map((m) => m.id)).toEqual(["a", "old", "b"]);
+  });
+
+  it("keeps the new image when only some old images are deleted", async () => {
+    const gql = mockAdmin({
+      ProductCreateMedia: created,
+      MediaStatus: ready,
+      ProductMedia: gallery,
+      ProductReorderMedia: reordered,
+      ProductDeleteMedia: {
+        data: { productDeleteMedia: { deletedMediaIds: ["old"], mediaUserErrors: [{ message: "Media not found" }] } },
+      },
+    });
+
+    expect(await safeReplaceProductImage(gql, "p1", { ...upload, replace: ["old", "b"] })).toMatchObject({
+      status: "delete_existing_failed",
+      mediaId: "new",
+      replaced: 1,
+      remainingIds: ["b"],
+    });
+    expect(operations(gql).filter((name) => name === "ProductDeleteMedia")).toHaveLength(1);
+  });
+
+  it("reports a failed rollback", async () => {
+    const gql = mockAdmin({
+      ProductCreateMedia: created,
+      MediaStatus: ready,
+      ProductMedia: gallery,
+      ProductReorderMedia: { data: null, errors: [{ message: "Internal error" }] },
+      ProductDeleteMedia: { data: null, errors: [{ message: "Internal error" }] },
+    });
+
+    expect(await safeReplaceProductImage(gql, "p1", upload)).toMatchObject({
+      status: "graphql_error",
+      mediaId: "new",
+      rolledBack: false,
+    });
+  });
+});
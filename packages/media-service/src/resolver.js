@@ -0,0 +1,224 @@
+import { adminRequest, AMBIGUOUS_BARCODE, AmbiguousMatchError } from "./errors.js";
+import { DEFAULT_MATCHING, matchingChain } from "./matching.js";
+import {
+  DEFAULT_IDENTIFIER,
+  VARIANT_SEARCH_LIMIT,
+  VARIANT_SEARCH_PAGE,
+  searchExactVariant,
+  variantSearchQuery,
+} from "./products.js";
+
+// Keys per aliased query. SKU and barcode searches cost about 20 points each, which keeps a batch well
+// below the 1000 point limit of a single query.
+const DEFAULT_BATCH_SIZE = 20;
+
+const PRODUCT_FIELDS = "id title";
+const VARIANT_FIELDS = "id title sku barcode product { id title }";
+
+const productMatch = (node) =>
+  node ? { productId: node.id, productTitle: node.title, variantId: null, variantTitle: null } : null;
+
+const variantMatch = (node) =>
+  node
+    ? {
+        productId: node.product.id,
+        productTitle: node.product.title,
+        variantId: node.id,
+        variantTitle: node.title,
+      }
+    : null;
+
+// Aliased version of every lookup of matchProductForKey: the variable type and value for one key, the
+// field selected for it, and how its result becomes a match. SKU and barcode searches without an exact
+// hit on their first page go on with single searches for the next pages.
+const BATCH_LOOKUPS = {
+  custom_id: {
+    operation: "ResolveCustomIds",
+    type: "ProductIdentifierInput!",
+    variable: (key, { identifier }) => ({ customId: { ...DEFAULT_IDENTIFIER, ...identifier, value: key } }),
+    field: (v) => `productByIdentifier(identifier: ${v}) { ${PRODUCT_FIELDS} }`,
+    toMatch: (node) => productMatch(node),
+  },
+  sku: {
+    operation: "ResolveSkus",
+    type: "String!",
+    variable: (key) => variantSearchQuery("sku", key),
+    field: (v) => `productVariants(first: ${VARIANT_SEARCH_LIMIT}, query: ${v}) { ${VARIANT_SEARCH_PAGE} }`,
+    toMatch: (result, key, gql) => searchExactVariant(gql, "sku", key, result || { edges: [] }),
+  },
+  barcode: {
+    operation: "ResolveBarcodes",
+    type: "String!",
+    variable: (key) => variantSearchQuery("barcode", key),
+    field: (v) => `productVariants(first: ${VARIANT_SEARCH_LIMIT}, query: ${v}) { ${VARIANT_SEARCH_PAGE} }`,
+    toMatch: (result, key, gql) => searchExactVariant(gql, "barcode", key, result || { edges: [] }),
+  },
+  handle: {
+    operation: "ResolveHandles",
+    type: "ProductIdentifierInput!",
+    variable: (key) => ({ handle: key.toLowerCase() }),
+    field: (v) => `productByIdentifier(identifier: ${v}) { ${PRODUCT_FIELDS} }`,
+    toMatch: (node) => productMatch(node),
+  },
+  variant_metafield: {
+    operation: "ResolveVariantIdentifiers",
+    type: "ProductVariantIdentifierInput!",
+    variable: (key, { variantIdentifier }) => ({ customId: { ...variantIdentifier, value: key } }),
+    field: (v) => `productVariantByIdentifier(identifier: ${v}) { ${VARIANT_FIELDS} }`,
+    toMatch: (node) => variantMatch(node),
+    enabled: ({ variantIdentifier }) => !!variantIdentifier?.key,
+  },
+};
+
+function batchQuery({ operation, type, field }, count) {
+  const indexes = [...Array(count).keys()];
+  return `#graphql
+    query ${operation}(${indexes.map((i) => `$v${i}: ${type}`).join(", ")}) {
+      ${indexes.map((i) => `k${i}: ${field(`$v${i}`)}`).join("\n      ")}
+    }
+  `;
+}
+
+// Resolves filename keys the way matchProductForKey does, but many keys per request: every lookup of
+// the chain runs as one aliased query per batch of keys, and results (including "no match" and
+// ambiguous SKUs) are cached for the run. Use one resolver per job or CLI run.
+// With a catalog matcher (createCatalogMatcher), keys found in the snapshot need no request at all;
+// only keys the snapshot does not know are looked up live.
+export function createMatchResolver(
+  gql,
+  matching = DEFAULT_MATCHING,
+  { batchSize = DEFAULT_BATCH_SIZE, catalog = null } = {},
+) {
+  const config = { ...DEFAULT_MATCHING, ...matching };
+  const chain = matchingChain(config).filter((name) => BATCH_LOOKUPS[name].enabled?.(config) ?? true);
+  // key -> { match, error, steps }; steps is how many single lookups matchProductForKey would send
+  const cache = new Map();
+  const stats = { keys: 0, requests: 0, resolved: 0, unbatchedRequests: 0, snapshotHits: 0 };
+  // Keys bound to one lookup (the sku, custom_id or handle column of a manifest) skip the chain and the
+  // snapshot; each such lookup gets a resolver of its own
+  const fixed = new Map();
+  const withLookup = (lookup) => {
+    if (!BATCH_LOOKUPS[lookup]) throw new Error(`Unknown lookup ${lookup}`);
+    if (!fixed.has(lookup)) fixed.set(lookup, createMatchResolver(gql, { ...config, chain: [lookup] }, { batchSize }));
+    return fixed.get(lookup);
+  };
+
+  // Requests for further search pages of one key, counted like the batches
+  const countedGql = (query, variables) => {
+    stats.requests++;
+    return gql(query, variables);
+  };
+
+  // key -> { match } or { error }, plus the further search pages it took as pages
+  async function runLookup(name, keys) {
+    const lookup = BATCH_LOOKUPS[name];
+    const results = new Map();
+    for (let i = 0; i < keys.length; i += batchSize) {
+      const chunk = keys.slice(i, i + batchSize);
+      const variables = Object.fromEntries(chunk.map((key, j) => [`v${j}`, lookup.variable(key, config)]));
+      stats.requests++;
+      const json = await adminRequest(gql, batchQuery(lookup, chunk.length), variables);
+      for (const [j, key] of chunk.entries()) {
+        const before = stats.requests;
+        try {
+          results.set(key, { match: await lookup.toMatch(json.data[`k${j}`], key, countedGql) });
+        } catch (error) {
+          // Ambiguous matches are cached; a failed request for a further page fails the batch
+          if (!(error instanceof AmbiguousMatchError)) throw error;
+          results.set(key, { error });
+        }
+        results.get(key).pages = stats.requests - before;
+      }
+    }
+    return results;
+  }
+
+  // Resolve every key that is not cached yet. Throws when a request fails; keys of that batch stay
+  // unresolved.
+  async function load(keys) {
+    let pending = [...new Set(keys.map((k) => String(k).trim()).filter((k) => k && !cache.has(k)))];
+    if (catalog) pending = pending.filter((key) => !loadFromCatalog(key));
+    const steps = new Map(pending.map((k) => [k, 0]));
+    const found = new Map();
+    for (const name of chain) {
+      if (!pending.length) break;
+      const results = await runLookup(name, pending);
+      pending.forEach((k) => steps.set(k, steps.get(k) + 1 + results.get(k).pages));
+      for (const [key, result] of results) {
+        if (result.error || result.match) found.set(key, { ...result, matchedBy: name });
+      }
+      pending = pending.filter((k) => !found.has(k));
+    }
+    for (const [key, count] of steps) {
+      const result = found.get(key);
+      cache.set(key, {
+        match: result?.match ? { ...result.match, matchedBy: result.matchedBy } : null,
+        error: result?.error || null,
+        steps: count,
+      });
+      stats.keys++;
+    }
+  }
+
+  // Cache the snapshot's answer for a key; false when the snapshot does not know it
+  function loadFromCatalog(key) {
+    let entry;
+    try {
+      const found = catalog.match(key);
+      if (!found) return false;
+      entry = { match: found.match, error: null, matchedBy: found.match.matchedBy };
+    } catch (error) {
+      entry = { match: null, error, matchedBy: error.status === AMBIGUOUS_BARCODE ? "barcode" : "sku" };
+    }
+    // Live lookups would have walked the chain up to the lookup that answered
+    cache.set(key, { match: entry.match, error: entry.error, steps: chain.indexOf(entry.matchedBy) + 1 });
+    stats.keys++;
+    stats.snapshotHits++;
+    return true;
+  }
+
+  return {
+    // Warm the cache for the keys of a batch of files. Failures are left to resolve(), which reports
+    // them for the file that needs the key.
+    async prefetch(keys, { lookup } = {}) {
+      if (lookup) return withLookup(lookup).prefetch(keys);
+      try {
+        await load(keys);
+      } catch {
+        // resolve() retries the keys that are still missing
+      }
+    },
+    // Same result as matchProductForKey: the match, null, or a thrown AmbiguousMatchError. With a
+    // lookup the key is only looked up that way. A blank key ("_1.jpg") matches nothing and sends no
+    // request.
+    async resolve(key, { lookup } = {}) {
+      if (lookup) return withLookup(lookup).resolve(key);
+      const normalized = String(key ?? "").trim();
+      if (!normalized) return null;
+      if (!cache.has(normalized)) await load([normalized]);
+      const entry = cache.get(normalized);
+      stats.resolved++;
+      stats.unbatchedRequests += entry.steps;
+      if (entry.error) throw entry.error;
+      return entry.match;
+    },
+    stats: () => {
+      const total = { ...stats };
+      for (const resolver of fixed.values()) {
+        for (const [field, value] of Object.entries(resolver.stats())) total[field] += value;
+      }
+      return total;
+    },
+  };
+}
+
+// One-line summary of a resolver's stats() for job reports and CLI output
+export function describeLookupStats(stats) {
+  if (!stats?.resolved) return "";
+  const saved = stats.unbatchedRequests - stats.requests;
+  return (
+    `${stats.resolved} files looked up with ${stats.requests} requests instead of ` +
+    `${stats.unbatchedRequests}${saved > 0 ? ` (${saved} fewer)` : ""}` +
+    (stats.snapshotHits ? `, ${stats.snapshotHits} keys answered by the catalog snapshot` : "")
+  );
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect } from "vitest";
+import { createCatalogMatcher } from "./catalog";
+import { createMatchResolver, describeLookupStats } from "./resolver";
+import { mockAdmin } from "./testing";
+
+const variant = (id, sku, product) => ({
+  node: { id, title: "Default", sku, barcode: null, product: { id: product, title: product } },
+});
+
+describe("createMatchResolver", () => {
+  it("resolves a batch of keys with one aliased query per lookup", async () => {
+    const gql = mockAdmin({
+      ResolveCustomIds: { data: { k0: { id: "p1", title: "Dog bed" }, k1: null, k2: null } },
+      ResolveSkus: {
+        data: {
+          k0: { edges: [variant("v1", "DB-L", "p2")] },
+          k1: { edges: [variant("v9", "12345", "p9")] },
+        },
+      },
+    });
+    const resolver = createMatchResolver(gql);
+
+    await resolver.prefetch(["1234", "DB-L", "1234 ", "123"]);
+
+    expect(gql).toHaveBeenCalledTimes(2);
+    expect(gql.mock.calls[0][1]).toEqual({
+      v0: { customId: { namespace: "custom", key: "id", value: "1234" } },
+      v1: { customId: { namespace: "custom", key: "id", value: "DB-L" } },
+      v2: { customId: { namespace: "custom", key: "id", value: "123" } },
+    });
+    expect(gql.mock.calls[1][1]).toEqual({ v0: 'sku:"DB-L"', v1: 'sku:"123"' });
+
+    expect(await resolver.resolve("1234")).toMatchObject({ productId: "p1", matchedBy: "custom_id" });
+    expect(await resolver.resolve("DB-L")).toMatchObject({ productId: "p2", variantId: "v1", matchedBy: "sku" });
+    expect(await resolver.resolve("123")).toBeNull();
+    expect(gql).toHaveBeenCalledTimes(2);
+    expect(resolver.stats()).toMatchObject({ keys: 3, requests: 2, resolved: 3, unbatchedRequests: 5 });
+  });
+
+  it("looks keys bound to a lookup up only that way", async () => {
+    const gql = mockAdmin({
+      ResolveHandles: { data: { k0: { id: "p3", title: "Cat tree" } } },
+      ResolveSkus: { data: { k0: { edges: [variant("v1", "DB-L", "p2")] } } },
+    });
+    const resolver = createMatchResolver(gql);
+
+    await resolver.prefetch(["cat-tree"], { lookup: "handle" });
+
+    expect(gql.mock.calls[0][1]).toEqual({ v0: { handle: "cat-tree" } });
+    expect(await resolver.resolve("cat-tree", { lookup: "handle" })).toMatchObject({ productId: "p3", matchedBy: "handle" });
+    expect(await resolver.resolve("DB-L", { lookup: "sku" })).toMatchObject({ variantId: "v1", matchedBy: "sku" });
+    expect(gql).toHaveBeenCalledTimes(2);
+    expect(resolver.stats()).toMatchObject({ keys: 2, requests: 2, resolved: 2 });
+  });
+
+  it("reads further search pages for keys without an exact hit", async () => {
+    const prefixHits = [...Array(10).keys()].map((i) => variant(`v${i}`, `1234${i}`, `p${i}`));
+    const gql = mockAdmin({
+      ResolveSkus: {
+        data: {
+          k0: { edges: prefixHits, pageInfo: { hasNextPage: true, endCursor: "c1" } },
+          k1: { edges: [variant("v20", "DB-L", "p20")], pageInfo: { hasNextPage: true, endCursor: "c9" } },
+        },
+      },
+      VariantBySku: {
+        data: { productVariants: { edges: [variant("v10", "1234", "p10")], pageInfo: { hasNextPage: false } } },
+      },
+    });
+    const resolver = createMatchResolver(gql, { chain: ["sku"] });
+
+    await resolver.prefetch(["1234", "DB-L"]);
+
+    expect(await resolver.resolve("1234")).toMatchObject({ variantId: "v10", matchedBy: "sku" });
+    expect(await resolver.resolve("DB-L")).toMatchObject({ variantId: "v20" });
+    expect(gql.mock.calls[1][1]).toEqual({ query: 'sku:"1234"', first: 10, after: "c1" });
+    expect(resolver.stats()).toMatchObject({ requests: 2, unbatchedRequests: 3 });
+  });
+
+  it("answers blank keys as not found without a request", async () => {
+    const gql = mockAdmin({});
+    const resolver = createMatchResolver(gql);
+
+    await resolver.prefetch(["", "  "]);
+
+    expect(await resolver.resolve("")).toBeNull();
+    expect(await resolver.resolve("  ")).toBeNull();
+    expect(await resolver.resolve(" ", { lookup: "sku" })).toBeNull();
+    expect(gql).not.toHaveBeenCalled();
+    expect(resolver.stats()).toMatchObject({ keys: 0, requests: 0, resolved: 0 });
+  });
+
+  it("caches ambiguous SKUs as errors", async () => {
+    const gql = mockAdmin({
+      ResolveCustomIds: { data: { k0: null } },
+      ResolveSkus: { data: { k0: { edges: [variant("v1", "1234", "Dog bed"), variant("v2", "1234", "Cat bed")] } } },
+    });
+    const resolver = createMatchResolver(gql);
+
+    await expect(resolver.resolve("1234")).rejects.toMatchObject({ status: "ambiguous_sku" });
+    await expect(resolver.resolve("1234")).rejects.toMatchObject({ status: "ambiguous_sku" });
+    expect(gql).toHaveBeenCalledTimes(2);
+  });
+
+  it("splits keys into batches", async () => {
+    const gql = mockAdmin({
+      ResolveCustomIds: (v) => ({
+        data: Object.fromEntries(Object.keys(v).map((name, i) => [`k${i}`, { id: v[name].customId.value, title: "" }])),
+      }),
+    });
+    const resolver = createMatchResolver(gql, undefined, { batchSize: 2 });
+
+    await resolver.prefetch(["a", "b", "c"]);
+
+    expect(gql).toHaveBeenCalledTimes(2);
+    expect(await resolver.resolve("c")).toMatchObject({ productId: "c" });
+  });
+
+  it("leaves failed batches to resolve()", async () => {
+    let calls = 0;
+    const gql = mockAdmin({
+      ResolveCustomIds: () =>
+        ++calls === 1 ? { data: null, errors: [{ message: "Internal error" }] } : { data: { k0: { id: "p1", title: "" } } },
+    });
+    const resolver = createMatchResolver(gql);
+
+    await resolver.prefetch(["1234"]);
+
+    expect(await resolver.resolve("1234")).toMatchObject({ productId: "p1" });
+  });
+
+  it("answers keys from a catalog snapshot and looks up the rest", async () => {
+    const catalog = createCatalogMatcher({
+      products: [{ id: "p1", title: "Dog bed", handle: "dog-bed", identifier: "1234" }],
+      variants: [{ id: "v1", productId: "p1", title: "L", sku: "DB-L", barcode: null, identifier: null }],
+      media: [],
+    });
+    const gql = mockAdmin({
+      ResolveCustomIds: { data: { k0: { id: "p2", title: "Cat bed" } } },
+    });
+    const resolver = createMatchResolver(gql, undefined, { catalog });
+
+    await resolver.prefetch(["1234", "DB-L", "5678"]);
+
+    expect(gql).toHaveBeenCalledTimes(1);
+    expect(gql.mock.calls[0][1]).toEqual({ v0: { customId: { namespace: "custom", key: "id", value: "5678" } } });
+    expect(await resolver.resolve("DB-L")).toMatchObject({ variantId: "v1", matchedBy: "sku" });
+    expect(await resolver.resolve("5678")).toMatchObject({ productId: "p2", matchedBy: "custom_id" });
+    expect(resolver.stats()).toMatchObject({ requests: 1, snapshotHits: 2, unbatchedRequests: 3 });
+  });
+});
+
+describe("describeLookupStats", () => {
+  it("reports the requests saved", () => {
+    expect(describeLookupStats({ resolved: 40, requests: 3, unbatchedRequests: 70 })).toBe(
+      "40 files looked up with 3 requests instead of 70 (67 fewer)",
+    );
+  });
+
+  it("mentions keys answered by the catalog snapshot", () => {
+    expect(describeLookupStats({ resolved: 2, requests: 0, unbatchedRequests: 3, snapshotHits: 2 })).toBe(
+      "2 files looked up with 0 requests instead of 3 (3 fewer), 2 keys answered by the catalog snapshot",
+    );
+  });
+});
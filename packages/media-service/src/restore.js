@@ -0,0 +1,192 @@
+import { adminRequest } from "./errors.js";
+import { getMediaHashes, saveMediaHashes } from "./hashes.js";
+import {
+  createProductMedia,
+  deleteProductMedia,
+  reorderProductMedia,
+  waitForMediaReady,
+} from "./media.js";
+import { assignVariantMedia, setVariantMedia } from "./variants.js";
+
+// Variants per page of ProductVariantMedia and media read per variant. A query's requested cost is
+// about first * (per-variant fields + media first), which must stay under the Admin API's 1,000 points
+// (about 700 with these), so variants are paged instead of read with the gallery.
+export const VARIANT_MEDIA_PAGE_SIZE = 50;
+export const VARIANT_MEDIA_LIMIT = 10;
+
+// Gallery and variant images of a product: { title, media: [{ id, alt, mediaContentType, url }] in
+// gallery order, variants: [{ id, title, sku, selectedOptions, mediaIds }] in variant order }
+export async function getProductMediaState(gql, productId) {
+  const [json, variants] = await Promise.all([
+    adminRequest(
+      gql,
+      `#graphql
+        query ProductMediaState($id: ID!) {
+          product(id: $id) {
+            id
+            title
+            media(first: 250) {
+              nodes {
+                id
+                alt
+                mediaContentType
+                ... on MediaImage { image { url } }
+              }
+            }
+          }
+        }
+      `,
+      { id: productId },
+    ),
+    listProductVariantMedia(gql, productId),
+  ]);
+  const product = json?.data?.product;
+  return {
+    title: product?.title || null,
+    media: (product?.media?.nodes || []).map((m) => ({
+      id: m.id,
+      alt: m.alt || null,
+      mediaContentType: m.mediaContentType,
+      url: m.image?.url || null,
+    })),
+    variants,
+  };
+}
+
+// All variants of a product with their images, a page of VARIANT_MEDIA_PAGE_SIZE at a time
+async function listProductVariantMedia(gql, productId) {
+  const variants = [];
+  let after = null;
+  do {
+    const json = await adminRequest(
+      gql,
+      `#graphql
+        query ProductVariantMedia($id: ID!, $first: Int!, $after: String, $mediaFirst: Int!) {
+          product(id: $id) {
+            id
+            variants(first: $first, after: $after) {
+              nodes {
+                id
+                title
+                sku
+                selectedOptions { name value }
+                media(first: $mediaFirst) { nodes { id } }
+              }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      `,
+      { id: productId, first: VARIANT_MEDIA_PAGE_SIZE, after, mediaFirst: VARIANT_MEDIA_LIMIT },
+    );
+    const connection = json?.data?.product?.variants;
+    for (const v of connection?.nodes || []) {
+      variants.push({
+        id: v.id,
+        title: v.title || null,
+        sku: v.sku || null,
+        selectedOptions: v.selectedOptions || [],
+        mediaIds: (v.media?.nodes || []).map((n) => n.id),
+      });
+    }
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+  return variants;
+}
+
+// Everything restoreProductMedia needs to put a product back: media, variant images and the content
+// hash record. Taken before an upload job changes the product.
+export async function snapshotProductMedia(gql, productId) {
+  const [state, hashes] = await Promise.all([
+    getProductMediaState(gql, productId),
+    getMediaHashes(gql, productId),
+  ]);
+  return { ...state, hashes };
+}
+
+// Put a product back to a snapshotProductMedia snapshot: media created since (`added`) is deleted,
+// snapshot images that are gone are created again from their saved URLs, then gallery order, variant
+// images and the hash record are restored. Deleted videos and 3D models cannot be re-created and are
+// listed in `lost`.
+// Returns { status, removed, recreated, lost, errors }; status is restored, or the failed step
+// (remove_failed, recreate_failed, media_not_ready, reorder_failed, variant_restore_failed).
+export async function restoreProductMedia(
+  gql,
+  productId,
+  snapshot,
+  { added = [], readyTimeoutMs = 20000, readyIntervalMs = 800 } = {},
+) {
+  const result = { status: "restored", removed: 0, recreated: 0, lost: [], errors: [] };
+  const snapshotIds = snapshot.media.map((m) => m.id);
+  const current = await getProductMediaState(gql, productId);
+  const currentIds = current.media.map((m) => m.id);
+
+  // Media the snapshot already had (unchanged uploads) stays
+  const toRemove = added.filter((id) => !snapshotIds.includes(id) && currentIds.includes(id));
+  const { deleted, errors: removeErrors } = await deleteProductMedia(gql, productId, toRemove);
+  if (removeErrors.length) return { ...result, status: "remove_failed", errors: removeErrors };
+  result.removed = deleted;
+
+  // Snapshot media id -> id on the product now
+  const ids = new Map(snapshotIds.filter((id) => currentIds.includes(id)).map((id) => [id, id]));
+  const gone = snapshot.media.filter((m) => !ids.has(m.id));
+  const recreatable = gone.filter((m) => m.mediaContentType === "IMAGE" && m.url);
+  result.lost = gone.filter((m) => !recreatable.includes(m)).map((m) => m.id);
+  if (recreatable.length) {
+    const { media, errors } = await createProductMedia(
+      gql,
+      productId,
+      recreatable.map((m) => ({ alt: m.alt, originalSource: m.url, mediaContentType: "IMAGE" })),
+    );
+    if (errors.length) return { ...result, status: "recreate_failed", errors };
+    recreatable.forEach((m, i) => {
+      if (media[i]?.id) ids.set(m.id, media[i].id);
+    });
+    result.recreated = media.length;
+
+    // Reordering and variant assignment fail on media that is still processing
+    const recreatedIds = recreatable.map((m) => ids.get(m.id)).filter(Boolean);
+    const ready = await Promise.all(
+      recreatedIds.map((id) =>
+        waitForMediaReady(gql, id, { timeoutMs: readyTimeoutMs, intervalMs: readyIntervalMs }),
+      ),
+    );
+    if (ready.includes(false)) {
+      return { ...result, status: "media_not_ready", message: "Re-created images did not finish processing" };
+    }
+  }
+
+  // Snapshot order first; media added by others since stays behind it
+  const restored = snapshotIds.map((id) => ids.get(id)).filter(Boolean);
+  const remaining = currentIds.filter((id) => !toRemove.includes(id) && !restored.includes(id));
+  const moves = [...restored, ...remaining].map((id, index) => ({ id, newPosition: String(index + 1) }));
+  const reordered = await reorderProductMedia(gql, productId, moves);
+  if (!reordered.success) return { ...result, status: "reorder_failed", errors: reordered.errors };
+
+  for (const variant of snapshot.variants) {
+    const mediaIds = variant.mediaIds.map((id) => ids.get(id)).filter(Boolean);
+    const now = current.variants.find((v) => v.id === variant.id)?.mediaIds || [];
+    if (!mediaIds.length || mediaIds.every((id, i) => now[i] === id)) continue;
+    // Variants with several images (uploads in variant media mode "all") get all of them back in order
+    const { status, errors } =
+      mediaIds.length > 1
+        ? await setVariantMedia(gql, variant.id, mediaIds)
+        : await assignVariantMedia(gql, productId, variant.id, mediaIds[0]);
+    if (status !== "ok") {
+      result.status = "variant_restore_failed";
+      result.errors.push(...errors);
+    }
+  }
+
+  if (snapshot.hashes) {
+    const hashes = Object.fromEntries(
+      Object.entries(snapshot.hashes)
+        .filter(([id]) => ids.has(id))
+        .map(([id, record]) => [ids.get(id), record]),
+    );
+    // Without the record the next upload falls back to alt text and file names; not worth failing for
+    const { errors } = await saveMediaHashes(gql, productId, hashes);
+    result.errors.push(...errors);
+  }
+  return result;
+}
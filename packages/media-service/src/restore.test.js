@@ -0,0 +1,175 @@
+import { describe, it, expect } from "vitest";
+import {
+  getProductMediaState,
+  restoreProductMedia,
+  snapshotProductMedia,
+  VARIANT_MEDIA_LIMIT,
+  VARIANT_MEDIA_PAGE_SIZE,
+} from "./restore";
+import { mockAdmin, operations } from "./testing";
+
+const image = (id, alt) => ({ id, alt, mediaContentType: "IMAGE", image: { url: `https://cdn/${id}.jpg` } });
+// Handlers for both queries of getProductMediaState
+const state = (media, variants = []) => ({
+  ProductMediaState: { data: { product: { id: "p1", media: { nodes: media } } } },
+  ProductVariantMedia: {
+    data: {
+      product: {
+        id: "p1",
+        variants: {
+          nodes: variants.map(([id, mediaIds]) => ({ id, media: { nodes: mediaIds.map((m) => ({ id: m })) } })),
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+      },
+    },
+  },
+});
+const deleted = (ids) => ({ data: { productDeleteMedia: { deletedMediaIds: ids, mediaUserErrors: [] } } });
+const reordered = { data: { productReorderMedia: { mediaUserErrors: [] } } };
+const saved = { data: { metafieldsSet: { userErrors: [] } } };
+
+describe("snapshotProductMedia", () => {
+  it("records media, variant images and the hash record", async () => {
+    const gql = mockAdmin({
+      ...state([image("a", "Dog bed"), { id: "v", alt: null, mediaContentType: "VIDEO" }], [["var1", ["a"]]]),
+      ProductMediaHashes: { data: { product: { id: "p1", metafield: { value: '{"a":{"sha256":"aa","slot":"1234"}}' } } } },
+    });
+
+    expect(await snapshotProductMedia(gql, "p1")).toEqual({
+      title: null,
+      media: [
+        { id: "a", alt: "Dog bed", mediaContentType: "IMAGE", url: "https://cdn/a.jpg" },
+        { id: "v", alt: null, mediaContentType: "VIDEO", url: null },
+      ],
+      variants: [{ id: "var1", title: null, sku: null, selectedOptions: [], mediaIds: ["a"] }],
+      hashes: { a: { sha256: "aa", slot: "1234" } },
+    });
+  });
+});
+
+describe("getProductMediaState", () => {
+  it("pages through the variants with a bounded number of images each", async () => {
+    const variant = (id) => ({ id, sku: id, media: { nodes: [{ id: `m-${id}` }] } });
+    const gql = mockAdmin({
+      ProductMediaState: { data: { product: { id: "p1", title: "Dog bed", media: { nodes: [image("a")] } } } },
+      ProductVariantMedia: (v) => ({
+        data: {
+          product: {
+            id: "p1",
+            variants: {
+              nodes: [variant(v.after ? "var2" : "var1")],
+              pageInfo: { hasNextPage: !v.after, endCursor: "c1" },
+            },
+          },
+        },
+      }),
+    });
+
+    const { title, variants } = await getProductMediaState(gql, "p1");
+
+    expect(title).toBe("Dog bed");
+    expect(variants.map((v) => [v.id, v.sku, v.mediaIds])).toEqual([
+      ["var1", "var1", ["m-var1"]],
+      ["var2", "var2", ["m-var2"]],
+    ]);
+    const pages = gql.mock.calls.filter(([query]) => query.includes("ProductVariantMedia")).map(([, v]) => v);
+    expect(pages).toEqual([
+      { id: "p1", first: 50, after: null, mediaFirst: 10 },
+      { id: "p1", first: 50, after: "c1", mediaFirst: 10 },
+    ]);
+    // Requested cost of a page, counted like the Admin API: 2 per connection plus first * its nodes
+    expect(2 + VARIANT_MEDIA_PAGE_SIZE * (1 + 1 + 2 + VARIANT_MEDIA_LIMIT)).toBeLessThan(1000);
+  });
+});
+
+describe("restoreProductMedia", () => {
+  const snapshot = {
+    media: [
+      { id: "a", alt: "Dog bed", mediaContentType: "IMAGE", url: "https://cdn/a.jpg" },
+      { id: "b", alt: "Dog bed (2)", mediaContentType: "IMAGE", url: "https://cdn/b.jpg" },
+    ],
+    variants: [{ id: "var1", mediaIds: ["a"] }],
+    hashes: { a: { sha256: "aa", slot: "1234" }, b: { sha256: "bb", slot: "1234_1" } },
+  };
+
+  it("removes the job's images, re-creates deleted ones and restores order, variants and hashes", async () => {
+    const gql = mockAdmin({
+      // The job replaced a with n1 (also the variant image) and added n2
+      ...state([image("n1"), image("b"), image("n2")], [["var1", ["n1"]]]),
+      ProductDeleteMedia: (v) => deleted(v.mediaIds),
+      ProductCreateMedia: { data: { productCreateMedia: { media: [{ id: "a2" }], mediaUserErrors: [] } } },
+      MediaStatus: { data: { node: { id: "a2", status: "READY" } } },
+      ProductReorderMedia: reordered,
+      VariantSetMedia: { data: { productVariantsBulkUpdate: { productVariants: [], userErrors: [] } } },
+      SaveMediaHashes: saved,
+    });
+
+    const result = await restoreProductMedia(gql, "p1", snapshot, { added: ["n1", "n2"], readyIntervalMs: 0 });
+
+    expect(result).toEqual({ status: "restored", removed: 2, recreated: 1, lost: [], errors: [] });
+    expect(operations(gql)).toEqual([
+      "ProductMediaState",
+      "ProductVariantMedia",
+      "ProductDeleteMedia",
+      "ProductCreateMedia",
+      "MediaStatus",
+      "ProductReorderMedia",
+      "VariantSetMedia",
+      "SaveMediaHashes",
+    ]);
+    expect(gql.mock.calls[3][1].media).toEqual([
+      { alt: "Dog bed", originalSource: "https://cdn/a.jpg", mediaContentType: "IMAGE" },
+    ]);
+    expect(gql.mock.calls[5][1].moves.map((m) => m.id)).toEqual(["a2", "b"]);
+    expect(gql.mock.calls[6][1].variants).toEqual([{ id: "var1", mediaId: "a2" }]);
+    expect(JSON.parse(gql.mock.calls[7][1].metafields[0].value)).toEqual({
+      a2: { sha256: "aa", slot: "1234" },
+      b: { sha256: "bb", slot: "1234_1" },
+    });
+  });
+
+  it("keeps images the snapshot already had and media added by others", async () => {
+    const gql = mockAdmin({
+      ...state([image("b"), image("x"), image("a")], [["var1", ["a"]]]),
+      ProductDeleteMedia: (v) => deleted(v.mediaIds),
+      ProductReorderMedia: reordered,
+      SaveMediaHashes: saved,
+    });
+
+    // "a" was found unchanged by the job, "x" was uploaded by someone else
+    const result = await restoreProductMedia(gql, "p1", snapshot, { added: ["a"] });
+
+    expect(result).toMatchObject({ status: "restored", removed: 0, recreated: 0 });
+    expect(operations(gql)).not.toContain("ProductCreateMedia");
+    expect(gql.mock.calls.find(([q]) => q.includes("ProductReorderMedia"))[1].moves.map((m) => m.id)).toEqual([
+      "a",
+      "b",
+      "x",
+    ]);
+  });
+
+  it("stops before reordering when a re-created image does not process", async () => {
+    const gql = mockAdmin({
+      ...state([image("b")]),
+      ProductCreateMedia: { data: { productCreateMedia: { media: [{ id: "a2" }], mediaUserErrors: [] } } },
+      MediaStatus: { data: { node: { id: "a2", status: "FAILED" } } },
+    });
+
+    expect(await restoreProductMedia(gql, "p1", snapshot, { readyIntervalMs: 0 })).toMatchObject({
+      status: "media_not_ready",
+      recreated: 1,
+    });
+    expect(operations(gql)).not.toContain("ProductReorderMedia");
+  });
+
+  it("reports deleted media that cannot be re-created", async () => {
+    const withVideo = { ...snapshot, media: [...snapshot.media, { id: "v", mediaContentType: "VIDEO", url: null }] };
+    const gql = mockAdmin({
+      ...state([image("a"), image("b")], [["var1", ["a"]]]),
+      ProductReorderMedia: reordered,
+      SaveMediaHashes: saved,
+    });
+
+    expect(await restoreProductMedia(gql, "p1", withVideo)).toMatchObject({ status: "restored", lost: ["v"] });
+  });
+});
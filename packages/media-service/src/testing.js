@@ -0,0 +1,59 @@
+import { deflateRawSync } from "node:zlib";
+import { vi } from "vitest";
+
+// Fake Admin API transport for tests: answers each operation by its name, e.g.
+// mockAdmin({ VariantBySku: { data: ... } }). A handler may be a function of the variables.
+export function mockAdmin(handlers) {
+  return vi.fn(async (query, variables) => {
+    const name = operationName(query);
+    const handler = handlers[name];
+    if (!handler) throw new Error(`Unexpected operation ${name}`);
+    return typeof handler === "function" ? handler(variables) : handler;
+  });
+}
+
+// Names of the operations a mockAdmin transport was called with, in call order
+export function operations(gql) {
+  return gql.mock.calls.map(([query]) => operationName(query));
+}
+
+function operationName(query) {
+  return query.match(/(?:query|mutation)\s+(\w+)/)?.[1];
+}
+
+// ZIP archive of { name: text or bytes } for tests, entries deflated unless stored is set (CRCs are not
+// checked by the reader)
+export function zip(files, { stored = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = stored ? raw : deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
@@ -0,0 +1,118 @@
+// Shopify's GraphQL Admin API is rate limited by query cost (a leaky bucket of points). Each response
+// reports the cost and the bucket state in extensions.cost; a request that does not fit is rejected with
+// a THROTTLED error and no data.
+
+const DEFAULT_MAX_RETRIES = 5;
+const MIN_BACKOFF_MS = 1000;
+
+const defaultSleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function isThrottled(body) {
+  return !!body?.errors?.some?.(
+    (e) => e?.extensions?.code === "THROTTLED" || /throttled/i.test(e?.message || ""),
+  );
+}
+
+// Wrap a transport so it waits for enough points before sending a query it has seen before, and
+// retries THROTTLED responses once the bucket has refilled. Cost statistics are available through
+// the returned transport's stats(). One wrapper should be shared by all concurrent callers so they see
+// the same bucket.
+export function createThrottledTransport(
+  gql,
+  { maxRetries = DEFAULT_MAX_RETRIES, sleep = defaultSleep, now = Date.now, onThrottle } = {},
+) {
+  const stats = {
+    requests: 0,
+    throttled: 0,
+    retries: 0,
+    requestedCost: 0,
+    actualCost: 0,
+    waitedMs: 0,
+    throttleStatus: null,
+  };
+  // Local model of the bucket between responses: points available at `at`, refilled at restoreRate/s
+  let bucket = null;
+  // Last requested cost per query text, used to wait before sending instead of getting rejected
+  const queryCosts = new Map();
+
+  function available() {
+    if (!bucket) return Infinity;
+    const refilled = bucket.available + ((now() - bucket.at) / 1000) * bucket.restoreRate;
+    return Math.min(bucket.maximum, refilled);
+  }
+
+  function msUntilAvailable(cost) {
+    const missing = cost - available();
+    if (missing <= 0 || !bucket?.restoreRate) return 0;
+    return Math.ceil((missing / bucket.restoreRate) * 1000);
+  }
+
+  async function wait(ms) {
+    stats.waitedMs += ms;
+    await sleep(ms);
+  }
+
+  function record(body) {
+    const cost = body?.extensions?.cost;
+    if (!cost) return;
+    if (cost.throttleStatus) {
+      const { maximumAvailable, currentlyAvailable, restoreRate } = cost.throttleStatus;
+      stats.throttleStatus = { maximumAvailable, currentlyAvailable, restoreRate };
+      bucket = { available: currentlyAvailable, maximum: maximumAvailable, restoreRate, at: now() };
+    }
+    return cost;
+  }
+
+  const transport = async (query, variables) => {
+    for (let attempt = 0; ; attempt++) {
+      const expectedCost = queryCosts.get(query) || 0;
+      const delay = msUntilAvailable(expectedCost);
+      if (delay) await wait(delay);
+      // Reserve the points so concurrent callers do not all spend the same budget
+      if (bucket) bucket = { ...bucket, available: available() - expectedCost, at: now() };
+
+      stats.requests++;
+      const body = await gql(query, variables);
+      const cost = record(body);
+      if (cost?.requestedQueryCost != null) {
+        queryCosts.set(query, cost.requestedQueryCost);
+        stats.requestedCost += cost.requestedQueryCost;
+      }
+      if (cost?.actualQueryCost != null) stats.actualCost += cost.actualQueryCost;
+
+      if (!isThrottled(body)) return body;
+      stats.throttled++;
+      if (attempt >= maxRetries) return body;
+
+      const waitMs = Math.max(
+        msUntilAvailable(cost?.requestedQueryCost || expectedCost),
+        MIN_BACKOFF_MS * 2 ** attempt,
+      );
+      onThrottle?.({ attempt: attempt + 1, waitMs, throttleStatus: stats.throttleStatus });
+      stats.retries++;
+      await wait(waitMs);
+    }
+  };
+  transport.stats = () => ({
+    ...stats,
+    throttleStatus: stats.throttleStatus && {
+      ...stats.throttleStatus,
+      currentlyAvailable: Math.floor(available()),
+    },
+  });
+  return transport;
+}
+
+// One-line summary of stats() for logs and status lines
+export function describeCostStats(stats) {
+  if (!stats) return "";
+  const parts = [`${stats.requests} requests`, `${stats.actualCost || stats.requestedCost} cost points`];
+  if (stats.throttled) {
+    parts.push(`throttled ${stats.throttled}x, waited ${(stats.waitedMs / 1000).toFixed(1)}s`);
+  }
+  if (stats.throttleStatus) {
+    const { currentlyAvailable, maximumAvailable } = stats.throttleStatus;
+    parts.push(`${currentlyAvailable}/${maximumAvailable} points available`);
+  }
+  return parts.join(", ");
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from "vitest";
+import { createThrottledTransport, describeCostStats, isThrottled } from "./throttle";
+
+const cost = (requested, available, { actual = requested, maximum = 2000, restoreRate = 100 } = {}) => ({
+  requestedQueryCost: requested,
+  actualQueryCost: actual,
+  throttleStatus: { maximumAvailable: maximum, currentlyAvailable: available, restoreRate },
+});
+
+const throttledBody = (requested, available) => ({
+  errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+  extensions: { cost: { ...cost(requested, available), actualQueryCost: null } },
+});
+
+// Clock that only moves when the transport sleeps
+function fakeClock() {
+  let time = 0;
+  return {
+    now: () => time,
+    sleep: vi.fn(async (ms) => {
+      time += ms;
+    }),
+  };
+}
+
+describe("isThrottled", () => {
+  it("detects THROTTLED errors", () => {
+    expect(isThrottled(throttledBody(10, 0))).toBe(true);
+    expect(isThrottled({ data: {}, errors: [{ message: "Field 'x' doesn't exist" }] })).toBe(false);
+    expect(isThrottled({ data: {} })).toBe(false);
+  });
+});
+
+describe("createThrottledTransport", () => {
+  it("retries a throttled query once enough points are restored", async () => {
+    const clock = fakeClock();
+    const gql = vi
+      .fn()
+      .mockResolvedValueOnce(throttledBody(500, 100))
+      .mockResolvedValueOnce({ data: { ok: true }, extensions: { cost: cost(500, 1500, { actual: 20 }) } });
+    const transport = createThrottledTransport(gql, clock);
+
+    expect(await transport("query", {})).toEqual({ data: { ok: true }, extensions: expect.anything() });
+    // 400 points missing at 100 points/s
+    expect(clock.sleep).toHaveBeenCalledWith(4000);
+    expect(transport.stats()).toMatchObject({ requests: 2, throttled: 1, retries: 1, actualCost: 20, waitedMs: 4000 });
+  });
+
+  it("gives up after maxRetries and returns the throttled body", async () => {
+    const clock = fakeClock();
+    const gql = vi.fn().mockResolvedValue(throttledBody(10, 0));
+    const transport = createThrottledTransport(gql, { ...clock, maxRetries: 2 });
+
+    expect(isThrottled(await transport("query"))).toBe(true);
+    expect(gql).toHaveBeenCalledTimes(3);
+  });
+
+  it("waits before sending a known query the bucket cannot afford", async () => {
+    const clock = fakeClock();
+    const gql = vi.fn().mockResolvedValue({ data: {}, extensions: { cost: cost(300, 100) } });
+    const transport = createThrottledTransport(gql, clock);
+
+    await transport("query");
+    expect(clock.sleep).not.toHaveBeenCalled();
+    await transport("query");
+    expect(clock.sleep).toHaveBeenCalledWith(2000);
+  });
+
+  it("passes responses without cost extensions through", async () => {
+    const gql = vi.fn().mockResolvedValue({ data: { a: 1 } });
+    const transport = createThrottledTransport(gql, fakeClock());
+
+    expect(await transport("query")).toEqual({ data: { a: 1 } });
+    expect(transport.stats().throttleStatus).toBeNull();
+  });
+});
+
+describe("describeCostStats", () => {
+  it("summarises requests, cost, throttling and the bucket", () => {
+    expect(
+      describeCostStats({
+        requests: 12,
+        requestedCost: 400,
+        actualCost: 120,
+        throttled: 2,
+        waitedMs: 3500,
+        throttleStatus: { currentlyAvailable: 1880, maximumAvailable: 2000 },
+      }),
+    ).toBe("12 requests, 120 cost points, throttled 2x, waited 3.5s, 1880/2000 points available");
+  });
+});
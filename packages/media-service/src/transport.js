@@ -0,0 +1,51 @@
+import { AdminApiError, TRANSPORT_ERROR } from "./errors.js";
+
+// A transport is `async (query, variables) => body`, where body is the parsed Admin GraphQL
+// response ({ data, errors, extensions }). Every helper in this package takes one as its first argument,
+// so the same code runs inside the embedded app and in the standalone CLI.
+
+// Wrap the `admin` client returned by authenticate.admin() / unauthenticated.admin().
+export function createRemixTransport(admin) {
+  return async (query, variables) => {
+    try {
+      const response = await admin.graphql(query, { variables });
+      return await response.json();
+    } catch (error) {
+      // admin.graphql throws on GraphQL errors; hand back the same body shape a raw request would give
+      if (error?.body) {
+        const { data, errors, extensions } = error.body;
+        return {
+          data: data ?? null,
+          errors: errors?.graphQLErrors?.length ? errors.graphQLErrors : [{ message: error.message }],
+          extensions,
+        };
+      }
+      throw error;
+    }
+  };
+}
+
+// Talk to the Admin API directly with an access token (CLI scripts, custom apps).
+export function createTokenTransport({ shop, accessToken, apiVersion = "2025-01", fetch: fetchImpl = fetch }) {
+  const url = `https://${shop}/admin/api/${apiVersion}/graphql.json`;
+  return async (query, variables) => {
+    const res = await fetchImpl(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Shopify-Access-Token": accessToken,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+    // Request-level rate limiting answers 429 without a GraphQL body; report it like a THROTTLED query
+    if (res.status === 429) {
+      return { data: null, errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }] };
+    }
+    // Invalid or revoked tokens, unknown shops and server errors never reach GraphQL
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new AdminApiError(TRANSPORT_ERROR, `Admin API responded with HTTP ${res.status} ${text}`.trim());
+    }
+    return res.json();
+  };
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from "vitest";
+import { createRemixTransport, createTokenTransport } from "./transport";
+
+describe("createTokenTransport", () => {
+  it("posts the query to the shop Admin API with the access token", async () => {
+    const fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ data: { shop: { id: "1" } } }),
+    });
+    const gql = createTokenTransport({ shop: "demo.myshopify.com", accessToken: "shpat_1", apiVersion: "2025-01", fetch });
+
+    const body = await gql("query { shop { id } }", { a: 1 });
+
+    expect(body).toEqual({ data: { shop: { id: "1" } } });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe("https://demo.myshopify.com/admin/api/2025-01/graphql.json");
+    expect(init.headers["X-Shopify-Access-Token"]).toBe("shpat_1");
+    expect(JSON.parse(init.body)).toEqual({ query: "query { shop { id } }", variables: { a: 1 } });
+  });
+
+  it("reports HTTP 429 as a THROTTLED error", async () => {
+    const fetch = vi.fn().mockResolvedValue({ status: 429, json: async () => ({ errors: "Exceeded" }) });
+    const gql = createTokenTransport({ shop: "demo.myshopify.com", accessToken: "shpat_1", fetch });
+
+    const body = await gql("query");
+
+    expect(body.errors[0].extensions.code).toBe("THROTTLED");
+  });
+
+  it("throws a transport error for other HTTP failures", async () => {
+    const fetch = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 401,
+      text: async () => '{"errors":"[API] Invalid API key or access token"}',
+    });
+    const gql = createTokenTransport({ shop: "demo.myshopify.com", accessToken: "expired", fetch });
+
+    await expect(gql("query")).rejects.toMatchObject({
+      status: "transport_error",
+      message: expect.stringContaining("HTTP 401"),
+    });
+  });
+});
+
+describe("createRemixTransport", () => {
+  it("unwraps the Response returned by admin.graphql", async () => {
+    const admin = { graphql: vi.fn().mockResolvedValue(new Response(JSON.stringify({ data: { ok: true } }))) };
+    const gql = createRemixTransport(admin);
+
+    expect(await gql("query", { id: 1 })).toEqual({ data: { ok: true } });
+    expect(admin.graphql).toHaveBeenCalledWith("query", { variables: { id: 1 } });
+  });
+
+  it("turns a thrown GraphQL error into a response body with errors", async () => {
+    const error = Object.assign(new Error("Access denied"), {
+      body: { errors: { graphQLErrors: [{ message: "Access denied for productByIdentifier" }] } },
+    });
+    const gql = createRemixTransport({ graphql: vi.fn().mockRejectedValue(error) });
+
+    expect(await gql("query")).toEqual({
+      data: null,
+      errors: [{ message: "Access denied for productByIdentifier" }],
+      extensions: undefined,
+    });
+  });
+
+  it("rethrows errors without a response body", async () => {
+    const gql = createRemixTransport({ graphql: vi.fn().mockRejectedValue(new Error("socket hang up")) });
+
+    await expect(gql("query")).rejects.toThrow("socket hang up");
+  });
+});
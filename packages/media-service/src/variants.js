@@ -0,0 +1,189 @@
+import { adminRequest } from "./errors.js";
+import { slotMediaIds } from "./hashes.js";
+
+// Which uploaded images of a SKU go to its variant: all of them in index order, or only the first
+// (index 0) as the variant image, with the others only added to the product as before
+export const VARIANT_MEDIA_MODES = ["all", "featured"];
+export const DEFAULT_VARIANT_MEDIA = "all";
+
+export async function listVariantMedia(gql, variantId) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query VariantMedia($id: ID!) {
+        productVariant(id: $id) { id media(first: 50) { nodes { id } } }
+      }
+    `,
+    { id: variantId },
+  );
+  return json?.data?.productVariant?.media?.nodes?.map((n) => n.id) || [];
+}
+
+export async function detachVariantMedia(gql, variantId, mediaIds) {
+  if (!mediaIds.length) return { removed: 0, errors: [] };
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation ProductVariantDetachMedia($variantId: ID!, $mediaIds: [ID!]!) {
+        productVariantDetachMedia(variantId: $variantId, mediaIds: $mediaIds) {
+          detachedMediaIds
+          userErrors { field message }
+        }
+      }
+    `,
+    { variantId, mediaIds },
+  );
+  const errors = json?.data?.productVariantDetachMedia?.userErrors || [];
+  const removed = json?.data?.productVariantDetachMedia?.detachedMediaIds?.length || 0;
+  return { removed, errors };
+}
+
+// Append media to the end of the variant's media, in the given order
+export async function appendVariantMedia(gql, variantId, mediaIds) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation ProductVariantAppendMedia($variantId: ID!, $mediaIds: [ID!]!) {
+        productVariantAppendMedia(variantId: $variantId, mediaIds: $mediaIds) {
+          attachedToVariantIds
+          userErrors { field message }
+        }
+      }
+    `,
+    { variantId, mediaIds },
+  );
+  const errors = json?.data?.productVariantAppendMedia?.userErrors || [];
+  return { errors };
+}
+
+// Set the variant's featured media through productVariantsBulkUpdate
+export async function bulkSetVariantMedia(gql, productId, variantId, mediaId) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      mutation VariantSetMedia($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants { id }
+          userErrors { field message }
+        }
+      }
+    `,
+    { productId, variants: [{ id: variantId, mediaId }] },
+  );
+  const errors = json?.data?.productVariantsBulkUpdate?.userErrors || [];
+  return { errors };
+}
+
+// Make mediaId the variant's image: bulk update first, detach + append as a fallback.
+// Expects the media to be READY already.
+export async function assignVariantMedia(gql, productId, variantId, mediaId) {
+  const { errors: bulkErrors } = await bulkSetVariantMedia(gql, productId, variantId, mediaId);
+  if (!bulkErrors.length) return { status: "ok", errors: [] };
+
+  const existingVariantMedia = await listVariantMedia(gql, variantId);
+  if (existingVariantMedia.length) {
+    const { errors: detErrors } = await detachVariantMedia(gql, variantId, existingVariantMedia);
+    if (detErrors.length) return { status: "variant_detach_failed", errors: detErrors };
+  }
+  const { errors: appErrors } = await appendVariantMedia(gql, variantId, [mediaId]);
+  if (appErrors.length) return { status: "variant_attach_failed", errors: appErrors };
+  return { status: "ok", errors: [] };
+}
+
+// Make mediaIds the first media of the variant, in this order; other media of the variant stays behind
+// them. Media from the first one out of place on is detached and appended again. Expects the media to
+// be READY already. Returns { status, errors } like assignVariantMedia.
+export async function setVariantMedia(gql, variantId, mediaIds) {
+  const current = await listVariantMedia(gql, variantId);
+  let inPlace = 0;
+  while (inPlace < mediaIds.length && current[inPlace] === mediaIds[inPlace]) inPlace++;
+  if (inPlace === mediaIds.length) return { status: "ok", errors: [] };
+
+  const detached = current.slice(inPlace);
+  const { errors: detErrors } = await detachVariantMedia(gql, variantId, detached);
+  if (detErrors.length) return { status: "variant_detach_failed", errors: detErrors };
+  const others = detached.filter((id) => !mediaIds.includes(id));
+  const { errors: appErrors } = await appendVariantMedia(gql, variantId, [...mediaIds.slice(inPlace), ...others]);
+  if (appErrors.length) return { status: "variant_attach_failed", errors: appErrors };
+  return { status: "ok", errors: [] };
+}
+
+// Give an uploaded image of a SKU (index in its slots) to the variant the SKU matched. In mode "all"
+// the variant gets every image recorded for the SKU in hashes (the record after this upload), in index
+// order; in mode "featured" only index 0 becomes the variant image. Expects the media to be READY.
+export async function attachUploadToVariant(
+  gql,
+  productId,
+  variantId,
+  { mediaId, sku, index = 0, hashes, mode = DEFAULT_VARIANT_MEDIA },
+) {
+  if (mode === "featured") {
+    return index === 0 ? assignVariantMedia(gql, productId, variantId, mediaId) : { status: "ok", errors: [] };
+  }
+  const mediaIds = slotMediaIds(hashes, sku);
+  // Uploads without a content hash are not in the record
+  if (!mediaIds.includes(mediaId)) mediaIds.push(mediaId);
+  return setVariantMedia(gql, variantId, mediaIds);
+}
+
+// attachUploadToVariant for every variant an upload goes to: an option upload (1234__color-blue) gives
+// the same image to all variants of that option value. Stops at the first variant that fails.
+export async function attachUploadToVariants(gql, productId, variantIds, options) {
+  for (const variantId of variantIds) {
+    const result = await attachUploadToVariant(gql, productId, variantId, options);
+    if (result.status !== "ok") return result;
+  }
+  return { status: "ok", errors: [] };
+}
+
+// Variants of a product with their SKUs and selected options, for option uploads and manifest rows
+export async function listProductVariantOptions(gql, productId) {
+  const json = await adminRequest(
+    gql,
+    `#graphql
+      query ProductVariantOptions($id: ID!) {
+        product(id: $id) {
+          id
+          variants(first: 250) { nodes { id title sku selectedOptions { name value } } }
+        }
+      }
+    `,
+    { id: productId },
+  );
+  return json?.data?.product?.variants?.nodes || [];
+}
+
+// File names cannot carry every spelling, so case is ignored and dashes count as spaces
+function optionText(text) {
+  return String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, " ");
+}
+
+// Variants whose selected option matches the { name, value } of an option upload, as
+// { name, value, variants } with name and value spelled as in the shop (as given when none match)
+export function findOptionVariants(variants, option) {
+  const selectedOf = (variant) =>
+    variant.selectedOptions?.find((o) => optionText(o.name) === optionText(option.name));
+  const matching = variants.filter((v) => optionText(selectedOf(v)?.value) === optionText(option.value));
+  const selected = matching.length ? selectedOf(matching[0]) : option;
+  return { name: selected.name, value: selected.value, variants: matching };
+}
+
+// "Color: Blue (4 variants)" for a findOptionVariants result
+export function describeOptionVariants({ name, value, variants }) {
+  return `${name}: ${value} (${variants.length} ${variants.length === 1 ? "variant" : "variants"})`;
+}
+
+// The variant a manifest row names, by SKU or else by title ("M / Blue"), ignoring case; null when no
+// variant of the product has it
+export function findNamedVariant(variants, name) {
+  const wanted = String(name || "").trim().toLowerCase();
+  if (!wanted) return null;
+  return (
+    variants.find((v) => v.sku && v.sku.toLowerCase() === wanted) ||
+    variants.find((v) => v.title?.toLowerCase() === wanted) ||
+    null
+  );
+}
@@ -0,0 +1,158 @@
+import { describe, it, expect } from "vitest";
+import {
+  assignVariantMedia,
+  attachUploadToVariant,
+  attachUploadToVariants,
+  describeOptionVariants,
+  findNamedVariant,
+  findOptionVariants,
+  setVariantMedia,
+} from "./variants";
+import { mockAdmin } from "./testing";
+
+describe("assignVariantMedia", () => {
+  it("sets the media through a bulk variant update", async () => {
+    const gql = mockAdmin({ VariantSetMedia: { data: { productVariantsBulkUpdate: { userErrors: [] } } } });
+
+    expect(await assignVariantMedia(gql, "p1", "v1", "m1")).toEqual({ status: "ok", errors: [] });
+    expect(gql.mock.calls[0][1]).toEqual({ productId: "p1", variants: [{ id: "v1", mediaId: "m1" }] });
+  });
+
+  it("falls back to detaching the old media and appending the new one", async () => {
+    const gql = mockAdmin({
+      VariantSetMedia: { data: { productVariantsBulkUpdate: { userErrors: [{ message: "Not allowed" }] } } },
+      VariantMedia: { data: { productVariant: { media: { nodes: [{ id: "old" }] } } } },
+      ProductVariantDetachMedia: { data: { productVariantDetachMedia: { detachedMediaIds: ["old"], userErrors: [] } } },
+      ProductVariantAppendMedia: { data: { productVariantAppendMedia: { userErrors: [] } } },
+    });
+
+    expect(await assignVariantMedia(gql, "p1", "v1", "m1")).toEqual({ status: "ok", errors: [] });
+    expect(gql.mock.calls.at(-1)[1]).toEqual({ variantId: "v1", mediaIds: ["m1"] });
+  });
+
+  it("reports a failed append", async () => {
+    const appendErrors = [{ message: "Media is not ready" }];
+    const gql = mockAdmin({
+      VariantSetMedia: { data: { productVariantsBulkUpdate: { userErrors: [{ message: "Not allowed" }] } } },
+      VariantMedia: { data: { productVariant: { media: { nodes: [] } } } },
+      ProductVariantAppendMedia: { data: { productVariantAppendMedia: { userErrors: appendErrors } } },
+    });
+
+    expect(await assignVariantMedia(gql, "p1", "v1", "m1")).toEqual({
+      status: "variant_attach_failed",
+      errors: appendErrors,
+    });
+  });
+});
+
+describe("setVariantMedia", () => {
+  const variantMedia = (ids) => ({ data: { productVariant: { media: { nodes: ids.map((id) => ({ id })) } } } });
+  const handlers = (current) => ({
+    VariantMedia: variantMedia(current),
+    ProductVariantDetachMedia: (v) => ({
+      data: { productVariantDetachMedia: { detachedMediaIds: v.mediaIds, userErrors: [] } },
+    }),
+    ProductVariantAppendMedia: { data: { productVariantAppendMedia: { userErrors: [] } } },
+  });
+
+  it("leaves a variant alone whose media already starts with the images", async () => {
+    const gql = mockAdmin(handlers(["m0", "m1", "own"]));
+
+    expect(await setVariantMedia(gql, "v1", ["m0", "m1"])).toEqual({ status: "ok", errors: [] });
+    expect(gql).toHaveBeenCalledTimes(1);
+  });
+
+  it("re-appends from the first image out of place, keeping other media behind", async () => {
+    const gql = mockAdmin(handlers(["m0", "own", "m2"]));
+
+    expect(await setVariantMedia(gql, "v1", ["m0", "m1", "m2"])).toEqual({ status: "ok", errors: [] });
+    expect(gql.mock.calls[1][1]).toEqual({ variantId: "v1", mediaIds: ["own", "m2"] });
+    expect(gql.mock.calls[2][1]).toEqual({ variantId: "v1", mediaIds: ["m1", "m2", "own"] });
+  });
+});
+
+describe("attachUploadToVariant", () => {
+  const hashes = {
+    m2: { sha256: "c", slot: "db-rl_2" },
+    m0: { sha256: "a", slot: "db-rl" },
+    other: { sha256: "x", slot: "db-bl" },
+  };
+
+  it("gives the variant every image of its SKU in index order", async () => {
+    const gql = mockAdmin({
+      VariantMedia: { data: { productVariant: { media: { nodes: [{ id: "m0" }] } } } },
+      ProductVariantDetachMedia: { data: { productVariantDetachMedia: { detachedMediaIds: [], userErrors: [] } } },
+      ProductVariantAppendMedia: { data: { productVariantAppendMedia: { userErrors: [] } } },
+    });
+    const upload = { mediaId: "m1", sku: "DB-RL", index: 1, hashes: { ...hashes, m1: { sha256: "b", slot: "db-rl_1" } } };
+
+    expect(await attachUploadToVariant(gql, "p1", "v1", upload)).toEqual({ status: "ok", errors: [] });
+    expect(gql.mock.calls.at(-1)[1]).toEqual({ variantId: "v1", mediaIds: ["m1", "m2"] });
+  });
+
+  it("only sets the first image in featured mode", async () => {
+    const gql = mockAdmin({ VariantSetMedia: { data: { productVariantsBulkUpdate: { userErrors: [] } } } });
+
+    await attachUploadToVariant(gql, "p1", "v1", { mediaId: "m1", sku: "DB-RL", index: 1, hashes, mode: "featured" });
+    expect(gql).not.toHaveBeenCalled();
+    await attachUploadToVariant(gql, "p1", "v1", { mediaId: "m0", sku: "DB-RL", index: 0, hashes, mode: "featured" });
+    expect(gql.mock.calls[0][1].variants).toEqual([{ id: "v1", mediaId: "m0" }]);
+  });
+});
+
+describe("findOptionVariants", () => {
+  const variants = [
+    { id: "v1", selectedOptions: [{ name: "Size", value: "S" }, { name: "Color", value: "Light Blue" }] },
+    { id: "v2", selectedOptions: [{ name: "Size", value: "S" }, { name: "Color", value: "Red" }] },
+    { id: "v3", selectedOptions: [{ name: "Size", value: "M" }, { name: "Color", value: "Light Blue" }] },
+  ];
+
+  it("finds every variant of the option value, ignoring case and dashes", () => {
+    const found = findOptionVariants(variants, { name: "color", value: "light-blue" });
+
+    expect(found.variants.map((v) => v.id)).toEqual(["v1", "v3"]);
+    expect(describeOptionVariants(found)).toBe("Color: Light Blue (2 variants)");
+  });
+
+  it("finds nothing for an unknown option or value", () => {
+    expect(findOptionVariants(variants, { name: "color", value: "green" }).variants).toEqual([]);
+    expect(findOptionVariants(variants, { name: "material", value: "red" })).toEqual({
+      name: "material",
+      value: "red",
+      variants: [],
+    });
+  });
+});
+
+describe("attachUploadToVariants", () => {
+  it("gives the image of an option slot to every variant", async () => {
+    const gql = mockAdmin({
+      VariantMedia: { data: { productVariant: { media: { nodes: [] } } } },
+      ProductVariantDetachMedia: { data: { productVariantDetachMedia: { detachedMediaIds: [], userErrors: [] } } },
+      ProductVariantAppendMedia: { data: { productVariantAppendMedia: { userErrors: [] } } },
+    });
+    const hashes = { m0: { sha256: "a", slot: "1234__color-blue" }, m1: { sha256: "b", slot: "1234__color-blue_1" } };
+    const upload = { mediaId: "m1", sku: "1234__color-blue", index: 1, hashes };
+
+    expect(await attachUploadToVariants(gql, "p1", ["v1", "v3"], upload)).toEqual({ status: "ok", errors: [] });
+    const appended = gql.mock.calls.filter(([query]) => query.includes("ProductVariantAppendMedia"));
+    expect(appended.map(([, variables]) => variables)).toEqual([
+      { variantId: "v1", mediaIds: ["m0", "m1"] },
+      { variantId: "v3", mediaIds: ["m0", "m1"] },
+    ]);
+  });
+});
+
+describe("findNamedVariant", () => {
+  const variants = [
+    { id: "v1", title: "S / Blue", sku: "DB-SB" },
+    { id: "v2", title: "M / Blue", sku: "M / Blue" },
+    { id: "v3", title: "DB-SB", sku: null },
+  ];
+
+  it("prefers a SKU over a title", () => {
+    expect(findNamedVariant(variants, "db-sb").id).toBe("v1");
+    expect(findNamedVariant(variants, "m / blue").id).toBe("v2");
+    expect(findNamedVariant(variants, "L / Red")).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+// Minimal ZIP reader, enough for spreadsheet manifests (an XLSX file is a ZIP archive of XML files).
+// Entries are inflated with DecompressionStream, which browsers and Node 18+ provide, so the same code
+// runs in the uploader page and in the CLI. ZIP64 archives and encrypted entries are not supported.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+function findEndOfCentralDirectory(view) {
+  // The record is 22 bytes plus a comment of up to 65535 bytes at the end of the archive
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let at = view.byteLength - 22; at >= stop; at--) {
+    if (view.getUint32(at, true) === END_OF_CENTRAL_DIRECTORY) return at;
+  }
+  throw new Error("Not a ZIP archive");
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Entries of a ZIP archive (Uint8Array or ArrayBuffer) as [{ name, size, directory, read }], in archive
+// order. read() resolves to the entry's bytes; nothing is inflated until it is called. Throws an Error
+// when the archive cannot be read.
+export function listZipEntries(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEndOfCentralDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  if (at === 0xffffffff || count === 0xffff) throw new Error("ZIP64 archives are not supported");
+
+  const names = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (at + 46 > bytes.length || view.getUint32(at, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error("Damaged ZIP archive");
+    }
+    const flags = view.getUint16(at + 8, true);
+    const method = view.getUint16(at + 10, true);
+    const compressedSize = view.getUint32(at + 20, true);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const headerAt = view.getUint32(at + 42, true);
+    const name = names.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    at += 46 + nameLength + extraLength + commentLength;
+
+    entries.push({
+      name,
+      size,
+      directory: name.endsWith("/"),
+      async read() {
+        if (flags & 1) throw new Error(`${name} is encrypted`);
+        if (view.getUint32(headerAt, true) !== LOCAL_FILE_HEADER) throw new Error(`Damaged ZIP entry ${name}`);
+        const start = headerAt + 30 + view.getUint16(headerAt + 26, true) + view.getUint16(headerAt + 28, true);
+        const data = bytes.subarray(start, start + compressedSize);
+        if (method === STORED) return data;
+        if (method === DEFLATED) return inflateRaw(data);
+        throw new Error(`${name} uses an unsupported compression method (${method})`);
+      },
+    });
+  }
+  return entries;
+}
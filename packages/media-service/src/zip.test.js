@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { zip } from "./testing";
+import { listZipEntries } from "./zip";
+
+const text = async (entry) => new TextDecoder().decode(await entry.read());
+
+describe("listZipEntries", () => {
+  it("lists nested entries and folders in archive order", async () => {
+    const entries = listZipEntries(zip({ "DB-RL/": "", "DB-RL/1.jpg": "one", "DB-RL/detail/2.jpg": "two" }));
+
+    expect(entries.map(({ name, size, directory }) => ({ name, size, directory }))).toEqual([
+      { name: "DB-RL/", size: 0, directory: true },
+      { name: "DB-RL/1.jpg", size: 3, directory: false },
+      { name: "DB-RL/detail/2.jpg", size: 3, directory: false },
+    ]);
+    expect(await text(entries[2])).toBe("two");
+  });
+
+  it("reads stored and deflated entries", async () => {
+    const [stored] = listZipEntries(zip({ "a.txt": "stored" }, { stored: true }));
+    const [deflated] = listZipEntries(zip({ "a.txt": "deflated ".repeat(100) }).buffer);
+
+    expect(await text(stored)).toBe("stored");
+    expect(await text(deflated)).toBe("deflated ".repeat(100));
+  });
+
+  it("rejects what it cannot read", async () => {
+    expect(() => listZipEntries(new Uint8Array(100))).toThrow("Not a ZIP archive");
+
+    const damaged = zip({ "a.txt": "x" }, { stored: true });
+    damaged[damaged.length - 6] += 1;
+    expect(() => listZipEntries(damaged)).toThrow("Damaged ZIP archive");
+
+    const encrypted = zip({ "a.txt": "x" }, { stored: true });
+    const central = encrypted.length - 22 - 46 - "a.txt".length;
+    encrypted[central + 8] = 1;
+    await expect(listZipEntries(encrypted)[0].read()).rejects.toThrow("a.txt is encrypted");
+  });
+});
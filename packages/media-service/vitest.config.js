@@ -0,0 +1,4 @@
+import { defineConfig } from "vitest/config";
+
+// Keeps vitest from picking up the Remix app's vite.config.js at the repository root
+export default defineConfig({});
@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "upload_job" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "kind" TEXT NOT NULL DEFAULT 'image',
+    "status" TEXT NOT NULL DEFAULT 'completed',
+    "uploadedBy" TEXT,
+    "userId" TEXT,
+    "totalFiles" INTEGER NOT NULL DEFAULT 0,
+    "okCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "upload_job_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "upload_job_item" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "filename" TEXT,
+    "sku" TEXT,
+    "productId" TEXT,
+    "productTitle" TEXT,
+    "variantId" TEXT,
+    "variantTitle" TEXT,
+    "position" INTEGER,
+    "status" TEXT NOT NULL,
+    "replaced" INTEGER NOT NULL DEFAULT 0,
+    "mediaId" TEXT,
+    "error" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "upload_job_item_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "upload_job_shop_createdAt_idx" ON "upload_job"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "upload_job_item_jobId_idx" ON "upload_job_item"("jobId");
+
+-- CreateIndex
+CREATE INDEX "upload_job_item_sku_idx" ON "upload_job_item"("sku");
+
+-- AddForeignKey
+ALTER TABLE "upload_job_item" ADD CONSTRAINT "upload_job_item_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "upload_job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "upload_job" ALTER COLUMN "status" SET DEFAULT 'queued',
+ADD COLUMN     "phase" TEXT NOT NULL DEFAULT 'upload',
+ADD COLUMN     "reorderQueue" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "lockedAt" TIMESTAMP(3),
+ADD COLUMN     "lockedBy" TEXT,
+ADD COLUMN     "error" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "upload_job_item" ADD COLUMN     "matchedBy" TEXT,
+ADD COLUMN     "resourceUrl" TEXT,
+ADD COLUMN     "mimeType" TEXT,
+ADD COLUMN     "fileSize" INTEGER,
+ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- DropIndex
+DROP INDEX "upload_job_item_jobId_idx";
+
+-- CreateIndex
+CREATE INDEX "upload_job_item_jobId_status_idx" ON "upload_job_item"("jobId", "status");
+
+-- CreateIndex
+CREATE INDEX "upload_job_status_idx" ON "upload_job"("status");
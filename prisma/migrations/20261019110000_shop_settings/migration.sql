@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "shop_settings" (
+    "shop" TEXT NOT NULL,
+    "filenameTemplates" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "filenameRoles" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "shop_settings_pkey" PRIMARY KEY ("shop")
+);
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "shop_settings" ADD COLUMN     "identifierNamespace" TEXT NOT NULL DEFAULT 'custom',
+ADD COLUMN     "identifierKey" TEXT NOT NULL DEFAULT 'id',
+ADD COLUMN     "matchLookups" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "variantIdentifierNamespace" TEXT,
+ADD COLUMN     "variantIdentifierKey" TEXT;
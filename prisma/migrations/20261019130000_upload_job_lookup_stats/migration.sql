@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "upload_job" ADD COLUMN     "lookupStats" JSONB;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "catalog_snapshot" (
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "bulkOperationId" TEXT,
+    "matching" JSONB,
+    "objectCount" INTEGER NOT NULL DEFAULT 0,
+    "data" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "catalog_snapshot_pkey" PRIMARY KEY ("shop")
+);
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "upload_job" ADD COLUMN     "undoQueue" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "undoneAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "upload_job_product_snapshot" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "media" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "restoredAt" TIMESTAMP(3),
+
+    CONSTRAINT "upload_job_product_snapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "upload_job_product_snapshot_jobId_productId_key" ON "upload_job_product_snapshot"("jobId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "upload_job_product_snapshot" ADD CONSTRAINT "upload_job_product_snapshot_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "upload_job"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "upload_job_item" ADD COLUMN     "variantOption" JSONB;
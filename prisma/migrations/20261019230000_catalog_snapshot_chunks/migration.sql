@@ -0,0 +1,28 @@
+-- Snapshots are stored in chunks from now on. Exports made before keep their row (and matching settings)
+-- but are no longer used for matching until the shop refreshes them; exports still running have no job
+-- to store them and end the same way.
+UPDATE "catalog_snapshot"
+SET "status" = 'failed',
+    "error" = 'Exported by an earlier version of the app, refresh the snapshot to use it again',
+    "completedAt" = CURRENT_TIMESTAMP;
+
+-- AlterTable
+ALTER TABLE "catalog_snapshot" DROP COLUMN "data",
+ADD COLUMN     "importedBytes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "jobId" TEXT;
+
+-- CreateTable
+CREATE TABLE "catalog_snapshot_chunk" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "offset" INTEGER NOT NULL,
+    "data" JSONB NOT NULL,
+
+    CONSTRAINT "catalog_snapshot_chunk_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "catalog_snapshot_chunk_shop_offset_key" ON "catalog_snapshot_chunk"("shop", "offset");
+
+-- AddForeignKey
+ALTER TABLE "catalog_snapshot_chunk" ADD CONSTRAINT "catalog_snapshot_chunk_shop_fkey" FOREIGN KEY ("shop") REFERENCES "catalog_snapshot"("shop") ON DELETE CASCADE ON UPDATE CASCADE;